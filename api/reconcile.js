@@ -0,0 +1,663 @@
+// Vercel serverless function — POST /api/reconcile
+// Headless ReconcilePO for the Copilot plugin (appPackage/apiSpecificationFile/openapi.json).
+// Accepts the PO and price list either as multipart uploads (poFile, pricelistFile)
+// or as download URLs (poFileUrl, pricelistFileUrl) in a JSON body or query string.
+// Download URLs must be https SharePoint / OneDrive (or Microsoft Graph) links;
+// the server fetches nothing else.
+// An optional customer SKU cross-reference (skuMapFile / skuMapFileUrl) is
+// consulted before exact and prefix SKU matching. Dated price lists are priced
+// as of priceDate, else the PO's own order date or earliest delivery date.
+// PO prices in another currency are converted with fxRates (text) and/or an
+// FX rate table (fxRatesFile / fxRatesFileUrl) before comparison. VAT codes per
+// SKU or customer come from taxCodes (text) and/or a table (taxCodesFile /
+// taxCodesFileUrl); PO prices inc VAT (priceBasis, or detected) are compared net.
+// A customer contract list (contractFile / contractFileUrl) and a promotional
+// list (promoFile / promoFileUrl) may be layered over the price list, which
+// is then the base list: each SKU is priced from the first list that has it.
+// Promotions — deal prices below list, by SKU or category, customer and date
+// window — come from promotions (text) and/or a table (promotionsFile /
+// promotionsFileUrl); lines at a deal price are Promo Matches.
+// The PO number, dates, customer and ship-to are read from the PO's columns or
+// its title block, with headerPatterns (text) for layouts the labels miss.
+// Runs the same parse → detect → reconcile → credit note / staging / email pipeline
+// as the add-in and returns the structured result the plugin's responding
+// instructions describe.
+
+const { File } = require("buffer");
+
+const ALLOWED_ORIGIN = "https://thetomhub.github.io";
+const MAX_FILE_BYTES = 10 * 1024 * 1024;
+// A multipart body may carry the PO, the price list and all six optional tables
+const MAX_UPLOAD_BYTES = 8 * MAX_FILE_BYTES;
+
+// Hosts a file URL (and every redirect from it) may point at — the SharePoint
+// and OneDrive links the plugin sends, and Graph's /content downloads
+const DOWNLOAD_HOSTS = ["sharepoint.com", "graph.microsoft.com", "onedrive.live.com", "1drv.ms", "1drv.com", "livefilestore.com"];
+const DOWNLOAD_TIMEOUT_MS = 30 * 1000;
+const MAX_REDIRECTS = 5;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// The engine in src/ is ES modules shared with the add-in's webpack build, and
+// pdf.js awaits while it loads, so it is imported rather than required — once
+// per instance. src/ spells out ".js" on its own imports so that plain Node
+// resolves them as webpack does.
+const ENGINE_MODULES = [
+  () => import("../src/reconcile/parser.js"),
+  () => import("../src/reconcile/detector.js"),
+  () => import("../src/reconcile/reconcile.js"),
+  () => import("../src/reconcile/recommend.js"),
+  () => import("../src/reconcile/tolerance.js"),
+  () => import("../src/reconcile/uom.js"),
+  () => import("../src/reconcile/xref.js"),
+  () => import("../src/reconcile/fx.js"),
+  () => import("../src/reconcile/tax.js"),
+  () => import("../src/reconcile/promo.js"),
+  () => import("../src/reconcile/creditnote.js"),
+  () => import("../src/email/email.js"),
+  () => import("../src/entry/entry.js"),
+  () => import("../src/capture/extractor.js"),
+  () => import("../src/capture/header.js"),
+  () => import("../src/utils/format.js"),
+  () => import("../src/utils/money.js"),
+  () => import("../src/utils/date.js"),
+];
+
+let engine = null;
+
+class RequestError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+module.exports = async function handler(req, res) {
+  // CORS
+  res.setHeader("Access-Control-Allow-Origin", ALLOWED_ORIGIN);
+  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+  if (req.method === "OPTIONS") {
+    return res.status(204).end();
+  }
+
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  try {
+    const input = await readInput(req);
+    const result = await runReconciliation(input);
+    return res.status(200).json(result);
+  } catch (err) {
+    const status = err instanceof RequestError ? err.status : 422;
+    return res.status(status).json({ error: err.message });
+  }
+};
+
+// Every engine export by name; a failed load is retried on the next request
+function loadEngine() {
+  engine ??= loadPdfWorker()
+    .then(() => Promise.all(ENGINE_MODULES.map((load) => load())))
+    .then((modules) => Object.assign({}, ...modules))
+    .catch((err) => {
+      engine = null;
+      throw err;
+    });
+  return engine;
+}
+
+/**
+ * There are no Web Workers on the server, so pdf.js runs its worker in this
+ * thread — from globalThis.pdfjsWorker, which must be set before getDocument().
+ * parser.js's workerSrc is for the add-in.
+ */
+async function loadPdfWorker() {
+  globalThis.pdfjsWorker ??= await import("pdfjs-dist/legacy/build/pdf.worker.mjs");
+}
+
+/**
+ * Run the full ReconcilePO pipeline on two File-like objects.
+ */
+async function runReconciliation(input) {
+  const modules = await loadEngine();
+  const { parseFile, detectColumns, withMoneySettings } = modules;
+  const { poFile, pricelistFile, skuMapFile, fxRatesFile, taxCodesFile, contractFile, promoFile, promotionsFile } = input;
+
+  const poData = await parseFile(poFile);
+  const poColumns = detectColumns(poData.headers);
+  if (!poColumns.sku || !poColumns.price) {
+    throw new Error(`Could not detect SKU and Price columns in PO data. Found headers: ${poData.headers.join(", ")}`);
+  }
+
+  const erpData = await parseFile(pricelistFile);
+  const erpColumns = detectColumns(erpData.headers);
+  if (!erpColumns.sku || !erpColumns.price) {
+    throw new Error(`Could not detect SKU and Price columns in ERP data. Found headers: ${erpData.headers.join(", ")}`);
+  }
+
+  const priceLayers = [];
+  for (const [source, file] of [["contract", contractFile], ["promo", promoFile]]) {
+    if (!file) continue;
+    const data = await parseFile(file);
+    const columns = detectColumns(data.headers);
+    if (!columns.sku || !columns.price) {
+      throw new Error(`Could not detect SKU and Price columns in the ${source} price list. Found headers: ${data.headers.join(", ")}`);
+    }
+    priceLayers.push({ source, data, columns });
+  }
+
+  const parsed = {
+    poData,
+    poColumns,
+    erpData,
+    erpColumns,
+    priceLayers,
+    skuMapData: skuMapFile ? await parseFile(skuMapFile) : null,
+    fxRatesData: fxRatesFile ? await parseFile(fxRatesFile) : null,
+    taxCodesData: taxCodesFile ? await parseFile(taxCodesFile) : null,
+    promotionsData: promotionsFile ? await parseFile(promotionsFile) : null,
+  };
+
+  // The rest is synchronous, so this request's currency and rounding stay its
+  // own while other requests to the instance are downloading and parsing
+  return withMoneySettings(
+    { currency: input.currency || "GBP", rounding: input.rounding },
+    () => reconcileParsed(modules, { ...input, ...parsed }),
+  );
+}
+
+/**
+ * Reconcile the parsed files and build the response, under the request's
+ * currency and rounding.
+ */
+function reconcileParsed(modules, {
+  poFile,
+  pricelistFile,
+  contractFile,
+  promoFile,
+  poData,
+  poColumns,
+  erpData,
+  erpColumns,
+  priceLayers,
+  skuMapData,
+  fxRatesData,
+  taxCodesData,
+  promotionsData,
+  tolerance,
+  qtyCheck,
+  uomConversions,
+  priceDate: priceDateParam,
+  fxRates: fxRatesParam,
+  poCurrency,
+  erpCurrency,
+  fxTolerance,
+  taxCodes: taxCodesParam,
+  priceBasis,
+  promotions: promotionsParam,
+  headerPatterns,
+  currency,
+  customer: customerParam,
+}) {
+  const {
+    reconcile, recommend, describeTolerancePolicy, xrefFromRows, fxRatesFromRows, taxCodesFromRows,
+    promotionsFromRows, generateCreditNote, generateCorrectedInvoice, generateEmailDraft,
+    generateStagingEntry, detectAllColumns, extractPOData, setCurrency, getCurrency, getRoundingMode,
+  } = modules;
+
+  const extraction = extractPOData(poData, detectAllColumns(poData.headers), { headerPatterns });
+  const m = extraction.metadata;
+  const poRef = m.poRef !== "Unknown" ? m.poRef : poFile.name.replace(/\.[^.]+$/, "");
+  const customer = customerParam || (m.customer !== "Unknown" ? m.customer : "");
+  const priceDate = priceDateParam || m.poDate || m.deliveryDate;
+
+  // A map without a customer column applies to this PO's customer
+  const xref = skuMapData ? xrefFromRows(skuMapData).map((m) => ({ ...m, customer: m.customer || customer })) : [];
+  const fxRates = fxRatesData ? [...fxRatesFromRows(fxRatesData), ...fxRatesParam] : fxRatesParam;
+  const taxCodes = taxCodesData ? [...taxCodesFromRows(taxCodesData), ...taxCodesParam] : taxCodesParam;
+  const promotions = promotionsData ? [...promotionsFromRows(promotionsData), ...promotionsParam] : promotionsParam;
+
+  const results = reconcile({
+    poData,
+    poColumns,
+    erpData,
+    erpColumns,
+    priceLayers,
+    tolerance,
+    customer,
+    qtyCheck,
+    uomConversions,
+    xref,
+    priceDate,
+    fxRates,
+    poCurrency,
+    erpCurrency,
+    fxTolerance,
+    taxCodes,
+    priceBasis,
+    promotions,
+  });
+  // Report amounts in the price list's currency unless the caller chose one
+  if (!currency && results.summary.erpCurrency) setCurrency(results.summary.erpCurrency);
+  const verdict = recommend(results);
+  const creditNote = generateCreditNote(results);
+  const reInvoice = generateCorrectedInvoice(results);
+  const staging = generateStagingEntry(results, { poRef, customer });
+  const email = generateEmailDraft(results, poFile.name);
+
+  const s = results.summary;
+  const exceptionDetails = results.rows
+    .filter((r) => r.status === "Exception" || r.status === "Not in ERP" || r.status === "Not in PO" || r.status === "Suggested match")
+    .map((r) => ({
+      status: r.status,
+      sku: r.sku,
+      erpSku: r.erpSku || null,
+      matchType: r.matchType || null,
+      confidence: r.confidence ?? null,
+      matchReason: r.matchReason || null,
+      name: r.name || "",
+      poPrice: r.poPrice,
+      erpPrice: r.erpPrice,
+      diff: r.diff,
+      pctDiff: r.pctDiff,
+      qty: r.poQty,
+      poCurrency: r.poCurrency || null,
+      poPriceOriginal: r.fxRate != null ? r.poPriceOriginal : null,
+      fxRate: r.fxRate ?? null,
+      fxRateDate: r.fxRateDate || null,
+      lineExposure: r.lineExposure ?? null,
+      toleranceRule: r.toleranceRule ?? null,
+      action: r.action,
+      reason: r.reason || null,
+      poListPrice: r.poListPrice ?? null,
+      poDiscount: r.poDiscount ?? null,
+      erpListPrice: r.erpListPrice ?? null,
+      erpDiscount: r.erpDiscount ?? null,
+      tier: r.tier || null,
+      poTier: r.poTier || null,
+      qtyStatus: r.qtyStatus ?? null,
+      uom: r.uom || null,
+      orderedQty: r.orderedQty ?? null,
+      orderedUom: r.orderedUom || null,
+      orderedPrice: r.orderedPrice ?? null,
+      priceSource: r.priceSource || null,
+      priceList: r.priceList || null,
+      notInContract: Boolean(r.notInContract),
+      expiredPrice: Boolean(r.expiredPrice),
+      poPriceGross: r.poPriceGross ?? null,
+      taxCode: r.taxCode || null,
+      taxRate: r.taxRate ?? null,
+      dealCode: r.dealCode || null,
+      promoPrice: r.promoPrice ?? null,
+    }));
+
+  const expiredPriceLines = results.rows
+    .filter((r) => r.expiredPrice)
+    .map((r) => ({
+      status: r.status,
+      sku: r.sku,
+      name: r.name || "",
+      poPrice: r.poPrice,
+      erpPrice: r.erpPrice,
+      priceSource: r.priceSource || null,
+      action: r.action,
+    }));
+
+  const promoLines = results.rows
+    .filter((r) => r.status === "Promo Match" || r.reason === "Expired promo" || r.reason === "Promo misapplied")
+    .map((r) => ({
+      status: r.status,
+      sku: r.sku,
+      name: r.name || "",
+      poPrice: r.poPrice,
+      erpPrice: r.erpPrice,
+      promoPrice: r.promoPrice ?? null,
+      dealCode: r.dealCode || null,
+      reason: r.reason || null,
+      action: r.action,
+    }));
+
+  const quantityIssues = results.rows
+    .filter((r) => r.qtyStatus === "Qty Short" || r.qtyStatus === "Qty Over")
+    .map((r) => ({
+      qtyStatus: r.qtyStatus,
+      sku: r.sku,
+      name: r.name || "",
+      poQty: r.poQty,
+      refQty: r.refQty,
+      qtyDiff: r.qtyDiff,
+    }));
+
+  return {
+    poRef,
+    customer,
+    poDate: m.poDate || null,
+    shipTo: m.shipTo || null,
+    poFilename: poFile.name,
+    pricelistFilename: pricelistFile.name,
+    contractFilename: contractFile ? contractFile.name : null,
+    promoFilename: promoFile ? promoFile.name : null,
+    lineCount: m.lineCount,
+    totalValue: m.totalValue,
+    poTotals: s.poTotals || m.totalsCheck,
+    currency: getCurrency(),
+    rounding: getRoundingMode(),
+    tolerance: describeTolerancePolicy(tolerance),
+    recommendation: verdict.recommendation,
+    recommendationLabel: verdict.label,
+    recommendationReason: verdict.reason,
+    recommendationAction: [verdict.action, ...verdict.notes].join(" "),
+    summary: {
+      total: s.total,
+      matches: s.matches,
+      tolerances: s.tolerances,
+      exceptions: s.exceptions,
+      warnings: s.warnings,
+      suggested: s.suggested,
+      promoMatches: s.promoMatches,
+    },
+    exposure: s.exposure,
+    overcharge: s.overcharge,
+    undercharge: s.undercharge,
+    exceptionDetails,
+    xrefMatches: results.rows.filter((r) => r.matchType === "xref").length,
+    uomConverted: s.uomConverted,
+    priceDate: s.priceDate,
+    expiredPrices: s.expiredPrices,
+    wrongTiers: s.wrongTiers,
+    expiredPriceLines,
+    priceLists: s.priceLists,
+    notInContract: s.notInContract,
+    notInContractLines: results.rows
+      .filter((r) => r.notInContract && r.status !== "Suggested match")
+      .map((r) => ({ status: r.status, sku: r.sku, name: r.name || "", poPrice: r.poPrice, erpPrice: r.erpPrice, priceList: r.priceList })),
+    promoMatches: s.promoMatches,
+    promoIssues: s.promoIssues,
+    promoLines,
+    poCurrency: s.poCurrency,
+    erpCurrency: s.erpCurrency,
+    fxDate: s.fxDate,
+    fxConverted: s.fxConverted,
+    fxDifferences: s.fxDifferences,
+    fxExposure: s.fxExposure,
+    qtyBasis: s.qtyBasis,
+    qtyShort: s.qtyShort,
+    qtyOver: s.qtyOver,
+    quantityIssues,
+    priceBasis: s.priceBasis,
+    creditNoteTotal: creditNote.totals.totalCredit,
+    creditNoteTax: creditNote.totals.totalTax,
+    creditNoteGross: creditNote.totals.totalGross,
+    creditNoteReverseCharge: creditNote.totals.vat.reverseCharge,
+    creditNoteLines: creditNote.totals.lineCount,
+    creditNoteOvercharge: creditNote.totals.overcharge,
+    creditNoteUndercharge: creditNote.totals.undercharge,
+    reInvoiceTotal: reInvoice.totals.totalInvoice,
+    reInvoiceTax: reInvoice.totals.totalTax,
+    reInvoiceGross: reInvoice.totals.totalGross,
+    reInvoiceLines: reInvoice.totals.lineCount,
+    staging: {
+      ready: staging.totals.readyCount,
+      review: staging.totals.reviewCount,
+      hold: staging.totals.holdCount,
+      totalValue: staging.totals.totalValue,
+      totalTax: staging.totals.totalTax,
+      totalGross: staging.totals.totalGross,
+      vat: staging.totals.vat.rates.map(({ label, rate, net, tax, gross }) => ({ label, rate, net, tax, gross })),
+    },
+    emailSubject: email.subject,
+    emailBody: email.body,
+    timestamp: s.timestamp,
+  };
+}
+
+// ── Request parsing ──
+
+async function readInput(req) {
+  const {
+    tolerancePolicyFromParams, parseUomConversions, parseFxRates, parseTaxCodes, parsePriceBasis,
+    parsePromotions, parseHeaderPatterns, parseRoundingMode, parseDate, normalizeCurrency,
+  } = await loadEngine();
+  const contentType = req.headers["content-type"] || "";
+  const query = req.query || {};
+  let fields = { ...query };
+  let uploads = {};
+
+  if (contentType.startsWith("multipart/form-data")) {
+    const form = await readFormData(req, contentType);
+    for (const [key, value] of form.entries()) {
+      if (typeof value === "string") {
+        fields[key] = value;
+      } else {
+        if (value.size > MAX_FILE_BYTES) throw tooLarge(key);
+        uploads[key] = value;
+      }
+    }
+  } else if (req.body && typeof req.body === "object") {
+    fields = { ...fields, ...req.body };
+  }
+
+  const poFile = uploads.poFile || (await downloadFile(fields.poFileUrl, "poFileUrl"));
+  const pricelistFile = uploads.pricelistFile || (await downloadFile(fields.pricelistFileUrl, "pricelistFileUrl"));
+  const skuMapFile = uploads.skuMapFile || (fields.skuMapFileUrl ? await downloadFile(fields.skuMapFileUrl, "skuMapFileUrl") : null);
+  const fxRatesFile = uploads.fxRatesFile || (fields.fxRatesFileUrl ? await downloadFile(fields.fxRatesFileUrl, "fxRatesFileUrl") : null);
+  const taxCodesFile = uploads.taxCodesFile || (fields.taxCodesFileUrl ? await downloadFile(fields.taxCodesFileUrl, "taxCodesFileUrl") : null);
+  const contractFile = uploads.contractFile || (fields.contractFileUrl ? await downloadFile(fields.contractFileUrl, "contractFileUrl") : null);
+  const promoFile = uploads.promoFile || (fields.promoFileUrl ? await downloadFile(fields.promoFileUrl, "promoFileUrl") : null);
+  const promotionsFile = uploads.promotionsFile || (fields.promotionsFileUrl ? await downloadFile(fields.promotionsFileUrl, "promotionsFileUrl") : null);
+
+  let tolerance, uomConversions, fxRates, taxCodes, priceBasis, promotions, headerPatterns, rounding;
+  try {
+    tolerance = tolerancePolicyFromParams(fields);
+    uomConversions = parseUomConversions(fields.uomConversions);
+    fxRates = parseFxRates(fields.fxRates);
+    taxCodes = parseTaxCodes(fields.taxCodes);
+    priceBasis = parsePriceBasis(fields.priceBasis);
+    promotions = parsePromotions(fields.promotions);
+    headerPatterns = parseHeaderPatterns(fields.headerPatterns);
+    rounding = parseRoundingMode(fields.rounding);
+  } catch (err) {
+    throw new RequestError(400, err.message);
+  }
+
+  const priceDate = fields.priceDate ? parseDate(fields.priceDate) : null;
+  if (fields.priceDate && !priceDate) {
+    throw new RequestError(400, `priceDate "${fields.priceDate}" is not a date. Use YYYY-MM-DD.`);
+  }
+
+  for (const key of ["poCurrency", "erpCurrency"]) {
+    if (fields[key] && !normalizeCurrency(fields[key])) {
+      throw new RequestError(400, `${key} "${fields[key]}" is not a currency. Use an ISO code such as GBP or EUR.`);
+    }
+  }
+  const fxTolerance = fields.fxTolerance != null && fields.fxTolerance !== "" ? Number(fields.fxTolerance) : null;
+  if (fxTolerance != null && !(fxTolerance >= 0)) {
+    throw new RequestError(400, `fxTolerance "${fields.fxTolerance}" must be a percentage of 0 or more.`);
+  }
+
+  const qtyCheck = ["order", "stock"].includes(fields.qtyBasis)
+    ? fields.qtyBasis
+    : String(fields.checkQuantity ?? "").toLowerCase() === "true" || fields.checkQuantity === true;
+
+  return {
+    poFile,
+    pricelistFile,
+    skuMapFile,
+    fxRatesFile,
+    taxCodesFile,
+    contractFile,
+    promoFile,
+    promotionsFile,
+    tolerance,
+    qtyCheck,
+    uomConversions,
+    priceDate,
+    fxRates,
+    poCurrency: fields.poCurrency || null,
+    erpCurrency: fields.erpCurrency || null,
+    fxTolerance,
+    taxCodes,
+    priceBasis,
+    promotions,
+    headerPatterns,
+    rounding,
+    currency: fields.currency || null,
+    customer: fields.customer || "",
+  };
+}
+
+/**
+ * Read the raw multipart body and hand it to the platform's FormData parser.
+ * The Vercel body helper does not parse multipart, so the stream is still unread here.
+ */
+async function readFormData(req, contentType) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_UPLOAD_BYTES) {
+      throw new RequestError(413, "Upload too large. Maximum 80 MB in all, 10 MB per file.");
+    }
+    chunks.push(chunk);
+  }
+
+  try {
+    const request = new Request("http://localhost/api/reconcile", {
+      method: "POST",
+      headers: { "content-type": contentType },
+      body: Buffer.concat(chunks),
+    });
+    return await request.formData();
+  } catch {
+    throw new RequestError(400, "Could not read multipart upload.");
+  }
+}
+
+async function downloadFile(url, paramName) {
+  if (!url) {
+    throw new RequestError(400, `Missing ${paramName}. Provide a download URL or upload the file directly.`);
+  }
+
+  // Redirects are followed by hand so that every hop is checked against DOWNLOAD_HOSTS;
+  // the timeout covers the whole download, body included
+  const signal = AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS);
+  let target = allowedDownloadUrl(url, paramName);
+  let response;
+  for (let redirects = 0; ; redirects++) {
+    response = await fetchOnce(target, signal, paramName);
+    const location = REDIRECT_STATUSES.includes(response.status) && response.headers.get("location");
+    if (!location) break;
+
+    await response.body?.cancel();
+    if (redirects === MAX_REDIRECTS) {
+      throw new RequestError(502, `Could not download ${paramName}: too many redirects.`);
+    }
+    target = allowedDownloadUrl(resolveUrl(location, target), paramName);
+  }
+  if (!response.ok) {
+    throw new RequestError(502, `Could not download ${paramName} (HTTP ${response.status}).`);
+  }
+
+  if (Number(response.headers.get("content-length")) > MAX_FILE_BYTES) {
+    await response.body?.cancel();
+    throw tooLarge(paramName);
+  }
+  const buffer = await readBody(response, paramName);
+  return new File([buffer], getDownloadFilename(response, url));
+}
+
+// The URL as fetch() should take it, or a 400 unless it is https on a DOWNLOAD_HOSTS host
+function allowedDownloadUrl(url, paramName) {
+  let parsed = null;
+  try {
+    parsed = new URL(url);
+  } catch {
+    // Not a URL — rejected below
+  }
+  const host = parsed ? parsed.hostname.toLowerCase() : "";
+  const allowed = parsed
+    && parsed.protocol === "https:"
+    && !parsed.port
+    && !parsed.username
+    && !parsed.password
+    && DOWNLOAD_HOSTS.some((allowedHost) => host === allowedHost || host.endsWith(`.${allowedHost}`));
+  if (!allowed) {
+    throw new RequestError(400, `${paramName} must be an https SharePoint or OneDrive download URL.`);
+  }
+  return parsed.href;
+}
+
+// A redirect's Location against the URL it came from; "" (rejected) when malformed
+function resolveUrl(location, base) {
+  try {
+    return new URL(location, base).href;
+  } catch {
+    return "";
+  }
+}
+
+async function fetchOnce(url, signal, paramName) {
+  try {
+    return await fetch(url, { redirect: "manual", signal });
+  } catch (err) {
+    throw downloadError(err, paramName);
+  }
+}
+
+// The body chunk by chunk, stopping as soon as it passes MAX_FILE_BYTES
+async function readBody(response, paramName) {
+  const chunks = [];
+  let size = 0;
+  try {
+    for await (const chunk of response.body ?? []) {
+      size += chunk.length;
+      if (size > MAX_FILE_BYTES) throw tooLarge(paramName);
+      chunks.push(chunk);
+    }
+  } catch (err) {
+    throw err instanceof RequestError ? err : downloadError(err, paramName);
+  }
+  return Buffer.concat(chunks);
+}
+
+function downloadError(err, paramName) {
+  if (err.name === "TimeoutError") {
+    return new RequestError(504, `Timed out downloading ${paramName}.`);
+  }
+  return new RequestError(502, `Could not download ${paramName}. Check the link is a direct download URL.`);
+}
+
+function tooLarge(paramName) {
+  return new RequestError(413, `${paramName} is too large. Maximum 10 MB per file.`);
+}
+
+/**
+ * Prefer the server's Content-Disposition filename — SharePoint download URLs
+ * rarely end in the real filename, and parseFile() dispatches on the extension.
+ */
+function getDownloadFilename(response, url) {
+  const disposition = response.headers.get("content-disposition") || "";
+  const starMatch = disposition.match(/filename\*=(?:UTF-8'')?([^;]+)/i);
+  const encoded = starMatch && decodeOrNull(starMatch[1].trim().replace(/^"|"$/g, ""));
+  if (encoded) return encoded;
+  const plainMatch = disposition.match(/filename="?([^";]+)"?/i);
+  if (plainMatch) return plainMatch[1].trim();
+
+  let last = null;
+  try {
+    last = decodeOrNull(new URL(url).pathname.split("/").pop());
+  } catch {
+    // Not a parseable URL — fall through
+  }
+  return last && last.includes(".") ? last : "download.csv";
+}
+
+// decodeURIComponent, or null for a malformed escape such as "%E0%A4%A"
+function decodeOrNull(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch {
+    return null;
+  }
+}
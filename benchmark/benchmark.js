@@ -448,6 +448,139 @@ for (const r of allResults) {
   console.log(`  ${label} ${String(r.lineCount).padStart(5)} lines  →  ${String(r.engineMs).padStart(6)}ms`);
 }
 
+// ── Large price lists: prefix matching ──
+// POs that give a core number ("1234") are matched to the full ERP SKU
+// ("1234V012") by prefix. The engine used to scan every ERP SKU for each PO line
+// without an exact match, then scan every ERP row again to recover each
+// unmatched SKU's original spelling for the "Not in PO" rows. It now keeps the
+// original SKU on the map entry and searches a sorted index
+// (src/reconcile/skuindex.js). Both strategies are replayed here.
+
+function buildSkuIndex(erpMap) {
+  const order = new Map();
+  for (const key of erpMap.keys()) order.set(key, order.size);
+  return { keys: [...order.keys()].sort(), order, erpMap };
+}
+
+function indexedPrefixMatches(index, normPoSku) {
+  const { keys, order, erpMap } = index;
+  let lo = 0;
+  let hi = keys.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (keys[mid] < normPoSku) lo = mid + 1;
+    else hi = mid;
+  }
+  const hits = [];
+  for (let i = lo; i < keys.length && keys[i].startsWith(normPoSku); i++) {
+    if (keys[i] !== normPoSku) hits.push(keys[i]);
+  }
+  return hits.sort((a, b) => order.get(a) - order.get(b)).map((key) => erpMap.get(key));
+}
+
+function linearPrefixMatches(erpMap, normPoSku) {
+  const results = [];
+  for (const [erpSku, entry] of erpMap) {
+    if (erpSku.startsWith(normPoSku) && erpSku !== normPoSku) results.push(entry);
+  }
+  return results;
+}
+
+function denormalizeSku(normSku, rows) {
+  for (const row of rows) {
+    if (normalizeSku(row.SKU) === normSku) return row.SKU;
+  }
+  return normSku;
+}
+
+// The linear "Not in PO" pass is quadratic — minutes on 100k rows — so it is
+// timed on an evenly spread sample of unmatched SKUs and scaled up
+const DENORMALIZE_SAMPLE = 500;
+
+function generateLargeData(erpCount, poLines, coreRate) {
+  const erpRows = [];
+  for (let i = 0; i < erpCount; i++) {
+    erpRows.push({ SKU: `${100000 + i}v${String(i % 13).padStart(3, "0")}`, "Unit Price": String(round(1 + (i % 500) / 10)) });
+  }
+
+  // Spread the PO over the price list; some lines give only the core number
+  const step = Math.floor(erpCount / poLines);
+  const poRows = [];
+  for (let i = 0; i < poLines; i++) {
+    const erp = erpRows[i * step];
+    const sku = Math.random() < coreRate ? erp.SKU.slice(0, 6) : erp.SKU;
+    poRows.push({ SKU: sku, "Unit Price": erp["Unit Price"], Qty: "1" });
+  }
+  return { erpRows, poRows };
+}
+
+function matchLarge({ erpRows, poRows }, indexed) {
+  const erpMap = new Map();
+  for (const row of erpRows) {
+    erpMap.set(normalizeSku(row.SKU), { sku: row.SKU, matched: false });
+  }
+
+  const timings = { prefixMs: 0, notInPoMs: 0 };
+  let index = null;
+  let prefixMatched = 0;
+
+  const prefixStart = performance.now();
+  for (const row of poRows) {
+    const normSku = normalizeSku(row.SKU);
+    let entry = erpMap.get(normSku);
+    if (!entry) {
+      if (indexed) index = index || buildSkuIndex(erpMap);
+      const hits = indexed ? indexedPrefixMatches(index, normSku) : linearPrefixMatches(erpMap, normSku);
+      if (hits.length === 1) {
+        entry = hits[0];
+        prefixMatched++;
+      }
+    }
+    if (entry) entry.matched = true;
+  }
+  timings.prefixMs = performance.now() - prefixStart;
+
+  const unmatched = [...erpMap].filter(([, entry]) => !entry.matched);
+  const stride = indexed ? 1 : Math.max(1, Math.floor(unmatched.length / DENORMALIZE_SAMPLE));
+  const sample = unmatched.filter((_, i) => i % stride === 0);
+  const notInPoStart = performance.now();
+  for (const [normSku, entry] of sample) {
+    entry.notInPoSku = indexed ? entry.sku : denormalizeSku(normSku, erpRows);
+  }
+  timings.notInPoMs = ((performance.now() - notInPoStart) * unmatched.length) / Math.max(sample.length, 1);
+
+  return { ...timings, prefixMatched, notInPo: unmatched.length, extrapolated: sample.length < unmatched.length };
+}
+
+function formatMs(ms) {
+  return ms >= 10000 ? `${round(ms / 1000)}s` : `${round(ms)}ms`;
+}
+
+const largeScenarios = [
+  { name: "100k SKUs, 2k-line PO, 25% core numbers", erpRows: 100000, poLines: 2000, coreRate: 0.25 },
+  { name: "100k SKUs, 2k-line PO, all core numbers", erpRows: 100000, poLines: 2000, coreRate: 1 },
+  { name: "100k SKUs, 10k-line PO, 25% core numbers", erpRows: 100000, poLines: 10000, coreRate: 0.25 },
+];
+
+console.log("\n═══════════════════════════════════════════════════════════════");
+console.log("  LARGE PRICE LISTS — PREFIX MATCHING (linear scan vs sorted index)");
+console.log("═══════════════════════════════════════════════════════════════\n");
+
+for (const sc of largeScenarios) {
+  const data = generateLargeData(sc.erpRows, sc.poLines, sc.coreRate);
+  const linear = matchLarge(data, false);
+  const indexed = matchLarge(data, true);
+  const linearTotal = linear.prefixMs + linear.notInPoMs;
+  const indexedTotal = indexed.prefixMs + indexed.notInPoMs;
+
+  console.log(`┌─ ${sc.name}`);
+  console.log(`│    Prefix matches: ${indexed.prefixMatched}  |  Not in PO: ${indexed.notInPo}`);
+  console.log(`│    Linear scan:   prefix ${formatMs(linear.prefixMs).padStart(9)}   Not in PO ${formatMs(linear.notInPoMs).padStart(9)}${linear.extrapolated ? " (est.)" : ""}`);
+  console.log(`│    Sorted index:  prefix ${formatMs(indexed.prefixMs).padStart(9)}   Not in PO ${formatMs(indexed.notInPoMs).padStart(9)}`);
+  console.log(`│  ▸ ${formatMs(linearTotal)} → ${formatMs(indexedTotal)}  (${Math.round(linearTotal / Math.max(indexedTotal, 0.01))}× faster)`);
+  console.log(`└──────────────────────────────────────────────────────────\n`);
+}
+
 console.log("\n═══════════════════════════════════════════════════════════════");
 console.log("  END OF BENCHMARK");
 console.log("═══════════════════════════════════════════════════════════════\n");
@@ -1,10 +1,16 @@
-import { detectColumns } from "../reconcile/detector";
-import { parseNumber } from "../utils/format";
+import { detectColumns } from "../reconcile/detector.js";
+import { readNetPrice, discountFractions } from "../reconcile/discount.js";
+import { checkDocumentTotals } from "../reconcile/totals.js";
+import { readDocumentHeader } from "./header.js";
+import { parseNumber, parseQuantity } from "../utils/format.js";
+import { parseDate } from "../utils/date.js";
+import { lineAmount, sumMoney, subtract, currencyDecimals } from "../utils/money.js";
 
 /**
  * Extended column detection for Capture module.
  * Adds delivery date, PO reference, customer, and UOM detection
- * on top of the base SKU/price/name/qty detection.
+ * on top of the base SKU/price/name/qty detection, and catches the
+ * discount headings customer POs use that ERP exports don't.
  */
 
 const DATE_ALIASES = [
@@ -21,6 +27,17 @@ const DATE_ALIASES = [
   "eta",
 ];
 
+// Order date — the date the PO's prices should be valid on. No bare "date":
+// the loose pass still picks up a lone "Date" header without grabbing "Ship Date"
+const PO_DATE_ALIASES = [
+  "po date",
+  "order date",
+  "date ordered",
+  "ordered on",
+  "document date",
+  "date of order",
+];
+
 const PO_REF_ALIASES = [
   "po number",
   "po no",
@@ -47,6 +64,14 @@ const CUSTOMER_ALIASES = [
   "ship to name",
 ];
 
+const SHIP_TO_ALIASES = [
+  "ship to",
+  "ship-to",
+  "deliver to",
+  "delivery address",
+  "ship to address",
+];
+
 const UOM_ALIASES = [
   "uom",
   "unit of measure",
@@ -58,6 +83,15 @@ const UOM_ALIASES = [
   "outer",
 ];
 
+// On top of detector.js's discount aliases — no "line"/"rate" variants,
+// which the loose pass would match to "Line" or "Rate" columns
+const DISCOUNT_ALIASES = [
+  "trade discount",
+  "trade disc",
+  "less %",
+  "allowance %",
+];
+
 const LINE_TOTAL_ALIASES = [
   "line total",
   "total",
@@ -75,13 +109,18 @@ const LINE_TOTAL_ALIASES = [
  */
 export function detectAllColumns(headers) {
   const base = detectColumns(headers);
+  const deliveryDate = findColumn(headers, DATE_ALIASES);
+  const poDate = findColumn(headers, PO_DATE_ALIASES);
 
   return {
     ...base,
-    deliveryDate: findColumn(headers, DATE_ALIASES),
+    deliveryDate,
+    poDate: poDate !== deliveryDate ? poDate : null,
     poRef: findColumn(headers, PO_REF_ALIASES),
     customer: findColumn(headers, CUSTOMER_ALIASES),
-    uom: findColumn(headers, UOM_ALIASES),
+    shipTo: findColumn(headers, SHIP_TO_ALIASES),
+    uom: base.uom || findColumn(headers, UOM_ALIASES),
+    discount: base.discount || findColumn(headers, DISCOUNT_ALIASES),
     lineTotal: findColumn(headers, LINE_TOTAL_ALIASES),
   };
 }
@@ -89,10 +128,20 @@ export function detectAllColumns(headers) {
 /**
  * Extract and normalize PO data into standardized staging rows.
  *
- * Input:  raw parsed data { headers, rows } from parser.js
+ * Input:  raw parsed data { headers, rows, totals, titleBlock } from parser.js
  * Output: { stagingRows, metadata, warnings }
+ *
+ * PO number, customer, order date, delivery date and ship-to come from their
+ * columns, else from the title block above the table (readDocumentHeader),
+ * read with `options.headerPatterns` (parseHeaderPatterns) where given;
+ * metadata.headerLabels maps each field found there to its label.
+ *
+ * metadata.documentTotals is the subtotal / charges / VAT / total the PO states,
+ * and metadata.totalsCheck whether the extracted lines add up to them.
+ * For a scanned PO read by OCR, metadata.ocrConfidence is the mean word
+ * confidence, and each doubtful cell in a detected column is a warning.
  */
-export function extractPOData(parsedData, detectedColumns) {
+export function extractPOData(parsedData, detectedColumns, { headerPatterns } = {}) {
   const cols = detectedColumns || detectAllColumns(parsedData.headers);
 
   if (!cols.sku) {
@@ -103,6 +152,9 @@ export function extractPOData(parsedData, detectedColumns) {
   const warnings = [];
   let poRef = null;
   let customer = null;
+  let poDate = null;
+  let shipTo = null;
+  const fractions = discountFractions(parsedData, cols);
 
   for (let i = 0; i < parsedData.rows.length; i++) {
     const raw = parsedData.rows[i];
@@ -115,16 +167,17 @@ export function extractPOData(parsedData, detectedColumns) {
       continue;
     }
 
-    // Extract price
+    // Extract price — net of any discount
     const rawPrice = cols.price ? raw[cols.price] : null;
-    const price = rawPrice != null ? parseNumber(rawPrice) : null;
+    const terms = cols.price ? readNetPrice(raw, cols, fractions) : { price: null, listPrice: null, discount: null };
+    const price = terms.price;
     if (cols.price && price === null && rawPrice) {
       warnings.push({ line: lineNum, field: "Price", message: `Non-numeric price: "${rawPrice}"` });
     }
 
     // Extract quantity
     const rawQty = cols.qty ? raw[cols.qty] : null;
-    const qty = rawQty != null ? parseNumber(rawQty) : null;
+    const qty = rawQty != null ? parseQuantity(rawQty) : null;
     if (cols.qty && qty === null && rawQty) {
       warnings.push({ line: lineNum, field: "Qty", message: `Non-numeric quantity: "${rawQty}"` });
     }
@@ -147,13 +200,13 @@ export function extractPOData(parsedData, detectedColumns) {
 
     // Calculate line total if not provided
     if (lineTotal === null && price !== null && qty !== null) {
-      lineTotal = Math.round(price * qty * 100) / 100;
+      lineTotal = lineAmount(price, qty);
     }
 
     // Cross-check line total
     if (lineTotal !== null && price !== null && qty !== null) {
-      const expected = Math.round(price * qty * 100) / 100;
-      if (Math.abs(lineTotal - expected) > 0.02) {
+      const expected = lineAmount(price, qty);
+      if (Math.abs(subtract(lineTotal, expected, currencyDecimals())) > 0.02) {
         warnings.push({
           line: lineNum,
           field: "Line Total",
@@ -168,18 +221,30 @@ export function extractPOData(parsedData, detectedColumns) {
       if (val) poRef = val;
     }
 
+    // Extract PO date from first row that has it
+    if (!poDate && cols.poDate) {
+      poDate = parseDate(raw[cols.poDate]);
+    }
+
     // Extract customer from first row that has it
     if (!customer && cols.customer) {
       const val = normalizeValue(raw[cols.customer]);
       if (val) customer = val;
     }
 
+    if (!shipTo && cols.shipTo && cols.shipTo !== cols.customer) {
+      const val = normalizeValue(raw[cols.shipTo]);
+      if (val) shipTo = val;
+    }
+
     stagingRows.push({
       lineNum,
       sku,
       name,
       qty: qty ?? 1,
       price: price ?? 0,
+      listPrice: terms.listPrice,
+      discount: terms.discount,
       uom,
       lineTotal: lineTotal ?? 0,
       deliveryDate: deliveryDate || "",
@@ -203,13 +268,37 @@ export function extractPOData(parsedData, detectedColumns) {
     }
   }
 
+  // Cells OCR could only just read — someone should check them against the scan
+  if (parsedData.ocr) {
+    const fields = new Set(Object.values(cols).filter(Boolean));
+    for (const cell of parsedData.ocr.cells) {
+      if (!fields.has(cell.field)) continue;
+      warnings.push({
+        line: cell.line,
+        field: cell.field,
+        message: `Read by OCR at ${cell.confidence}% confidence: "${cell.text}" — check against the scan`,
+      });
+    }
+  }
+
+  // Fields the lines don't carry, from the title block above the table
+  const header = readDocumentHeader(parsedData.titleBlock, headerPatterns);
+
   // Summary metadata
-  const totalValue = stagingRows.reduce((sum, r) => sum + r.lineTotal, 0);
+  const totalValue = sumMoney(stagingRows.map((r) => r.lineTotal));
+  const deliveryDates = stagingRows.map((r) => parseDate(r.deliveryDate)).filter(Boolean).sort();
   const metadata = {
     lineCount: stagingRows.length,
-    totalValue: Math.round(totalValue * 100) / 100,
-    poRef: poRef || "Unknown",
-    customer: customer || "Unknown",
+    totalValue,
+    poRef: poRef || header.poRef || "Unknown",
+    customer: customer || header.customer || "Unknown",
+    poDate: poDate || header.poDate || "",
+    deliveryDate: deliveryDates[0] || header.deliveryDate || "", // earliest
+    shipTo: shipTo || header.shipTo || "",
+    headerLabels: header.labels,
+    documentTotals: parsedData.totals || null,
+    totalsCheck: checkDocumentTotals(stagingRows, parsedData.totals || null),
+    ocrConfidence: parsedData.ocr ? parsedData.ocr.confidence : null,
     detectedFields: Object.entries(cols)
       .filter(([, v]) => v !== null)
       .map(([k]) => k),
@@ -0,0 +1,220 @@
+/**
+ * PO title block — the PO number, order date, buyer, ship-to address and
+ * requested delivery date a PO prints above its line table.
+ *
+ * Fields are read from label / value pairs by proximity:
+ *   ["PO Number: PO-2026-041"]             (label and value in one cell)
+ *   ["", "Order Date", "26/02/2026"]       (value in the next cell along)
+ *   ["Ship To:"] / ["Acme Corp London DC"] / ["1 Dock Road"]   (value below)
+ * and, for layouts that defeat that, from regex patterns — for every PO or
+ * for one customer's (see parseHeaderPatterns). A pattern wins over a label.
+ */
+
+import { parseDate } from "../utils/date.js";
+
+// Checked in order — "delivery date" is a date, "delivery address" the ship-to
+const HEADER_LABELS = [
+  ["poRef", /^(p\.?\s?o\.?|purchase order|customer po|order|your order)\s*(number|no\.?|num|#|ref(erence)?)$|^(p\.?o\.?|purchase order)$/],
+  ["poDate", /^((p\.?\s?o\.?|order|purchase order|issue|document)\s*date|date (ordered|of order|issued)|date)$/],
+  ["deliveryDate", /^((delivery|required|requested delivery|ship|due|arrival)\s*date|date required|delivery|(required|needed|wanted|deliver|need)[- ]by)$/],
+  ["customer", /^(customer( name)?|buyer|bill(ed)? to|invoice to|sold to|ordered by|purchaser|account( name)?|from)$/],
+  ["shipTo", /^(ship[- ]?to( address)?|deliver to|delivery (address|to|location)|consignee)$/],
+];
+
+// Fields whose values are names, read only after a label that stands alone or ends in ":"
+const FREE_TEXT_FIELDS = ["customer", "shipTo"];
+
+// Address lines read under a "Ship To" label
+const MAX_ADDRESS_LINES = 4;
+
+/**
+ * Read the title block fields from the raw rows above a PO's line table.
+ *
+ * @param {Array<Array<string>>} rawRows
+ * @param {object[]} [patterns] - parseHeaderPatterns() result
+ * @returns {{ poRef, poDate, deliveryDate, customer, shipTo, labels }}
+ *   strings or null (dates as "YYYY-MM-DD"); labels maps each field found
+ *   to the label or pattern it was read from
+ */
+export function readDocumentHeader(rawRows, patterns = []) {
+  const header = { poRef: null, poDate: null, deliveryDate: null, customer: null, shipTo: null, labels: {} };
+  const rows = (rawRows || []).map((row) => (row || []).map((c) => (c == null ? "" : String(c).trim())));
+
+  for (let r = 0; r < rows.length; r++) {
+    const cells = rows[r];
+    for (let i = 0; i < cells.length; i++) {
+      if (!cells[i]) continue;
+      const found = readLabel(cells[i]);
+      if (!found || header[found.field] !== null) continue;
+
+      const value = found.value != null
+        ? cleanValue(found.field, [found.value])
+        : cleanValue(found.field, valueNear(rows, r, i, found.field));
+      if (value === null) continue;
+
+      header[found.field] = value;
+      header.labels[found.field] = found.label;
+    }
+  }
+
+  applyPatterns(header, rows, patterns);
+  return header;
+}
+
+/**
+ * Parse title block patterns from the compact text form used by the
+ * settings panel and the agent parameters. One per line (or ";"):
+ *
+ *   po number: Order Ref\s*(\S+)
+ *   ship to for Acme Corp: Deliver(?:y)? to:?\s*(.+)
+ *
+ * The first capture group (else the whole match) is the value. A pattern
+ * "for" a customer applies only to POs that name that customer.
+ * Throws on an unknown field or an invalid expression.
+ */
+export function parseHeaderPatterns(text) {
+  if (!text || !String(text).trim()) return [];
+
+  // ";" separates patterns only before the next "<field>:", as a regex may contain one
+  const lines = String(text).split(/\n|;(?=\s*[a-z .#-]+(?:\s+for\s+[^:]+)?:)/i).map((l) => l.trim()).filter(Boolean);
+  return lines.map((line, i) => {
+    const fail = (why) => new Error(`Header pattern ${i + 1} ("${line}"): ${why}`);
+
+    const m = line.match(/^([a-z .#-]+?)(?:\s+for\s+([^:]+))?\s*:\s*(.+)$/i);
+    if (!m) throw fail("expected \"po number: <regex>\" or \"ship to for <customer>: <regex>\".");
+
+    const field = fieldFromName(m[1]);
+    if (!field) throw fail(`unknown field "${m[1].trim()}". Use po number, order date, delivery date, customer or ship to.`);
+
+    let regex;
+    try {
+      regex = new RegExp(m[3].trim(), "im");
+    } catch (err) {
+      throw fail(`invalid pattern — ${err.message}`);
+    }
+
+    return { field, customer: m[2] ? m[2].trim() : null, regex, source: m[3].trim() };
+  });
+}
+
+// ── Helpers ──
+
+/**
+ * A cell that is (or starts with) a title block label: "PO Number",
+ * "Order Date:", "PO Number: PO-2026-041", "PURCHASE ORDER PO-2026-041".
+ * `value` is the rest of the cell, when there is one.
+ */
+function readLabel(text) {
+  const inline = text.match(/^([^:]{1,30}):\s*(.*)$/);
+  if (inline) {
+    const field = classifyHeaderLabel(inline[1]);
+    return field ? { field, label: inline[1].trim(), value: inline[2].trim() || null } : null;
+  }
+
+  const field = classifyHeaderLabel(text);
+  if (field) return { field, label: text.replace(/[:\s]+$/, ""), value: null };
+
+  // "PO# 12345", "Order Date 26/02/2026" — the label's words, then the value.
+  // Only for references and dates: "Customer Service" is not a customer
+  const words = text.split(/\s+/);
+  for (let n = Math.min(words.length - 1, 4); n >= 1; n--) {
+    const label = words.slice(0, n).join(" ");
+    const prefixField = classifyHeaderLabel(label);
+    if (prefixField && !FREE_TEXT_FIELDS.includes(prefixField)) {
+      return { field: prefixField, label, value: words.slice(n).join(" ") };
+    }
+  }
+  return null;
+}
+
+function classifyHeaderLabel(text) {
+  const label = String(text ?? "").toLowerCase().replace(/[:\s]+$/, "").replace(/\s+/g, " ").trim();
+  if (!label || label.length > 30) return null;
+  for (const [field, pattern] of HEADER_LABELS) {
+    if (pattern.test(label)) return field;
+  }
+  return null;
+}
+
+/**
+ * Candidate values for a label standing alone: the next filled cell along
+ * the row, else the cell below it. An address carries on down its column
+ * until a blank, or a new label beside it.
+ */
+function valueNear(rows, r, i, field) {
+  const limit = field === "shipTo" ? MAX_ADDRESS_LINES : 1;
+  const j = rows[r].findIndex((cell, k) => k > i && cell);
+  const beside = j !== -1 && !readLabel(rows[r][j]);
+
+  const col = beside ? j : i;
+  const lines = beside ? [rows[r][j]] : [];
+  for (let k = r + 1; k < rows.length && lines.length < limit; k++) {
+    const cell = rows[k][col] || "";
+    if (!cell || readLabel(cell)) break;
+    if (beside && rows[k].slice(i, col).some(Boolean)) break; // the next label's row
+    lines.push(cell);
+  }
+  return lines;
+}
+
+// The field's value from its candidate text, or null when it doesn't fit
+function cleanValue(field, parts) {
+  const text = parts.map((p) => p.replace(/^[:#\s]+/, "").trim()).filter(Boolean);
+  if (text.length === 0) return null;
+
+  switch (field) {
+    case "poRef":
+      // A reference has a digit and at most two words — not "Page 1 of 2"
+      return /\d/.test(text[0]) && text[0].length <= 40 && text[0].split(/\s+/).length <= 2 ? text[0] : null;
+    case "poDate":
+    case "deliveryDate":
+      return parseDate(text[0]);
+    case "customer":
+      // A "Bill To" block's first line is the company
+      return /[a-z]/i.test(text[0]) && text[0].length <= 80 ? text[0] : null;
+    case "shipTo":
+      return text.join(", ");
+    default:
+      return null;
+  }
+}
+
+/**
+ * Apply patterns to the title block's text, one line per row. A customer's
+ * patterns apply when the PO names that customer.
+ */
+function applyPatterns(header, rows, patterns) {
+  if (!patterns || patterns.length === 0) return;
+
+  const text = rows.map((cells) => cells.filter(Boolean).join(" ")).join("\n");
+  const lower = text.toLowerCase();
+  const forThisPo = (p) => !p.customer
+    || lower.includes(p.customer.toLowerCase())
+    || (header.customer && header.customer.toLowerCase() === p.customer.toLowerCase());
+
+  // Customer patterns first, so they win over the general ones
+  const ordered = [...patterns.filter((p) => p.customer), ...patterns.filter((p) => !p.customer)];
+  const done = new Set();
+  for (const p of ordered) {
+    if (done.has(p.field) || !forThisPo(p)) continue;
+    const m = text.match(p.regex);
+    if (!m) continue;
+    const value = cleanValue(p.field, [(m[1] ?? m[0]).trim()]);
+    if (value === null) continue;
+    header[p.field] = value;
+    header.labels[p.field] = `pattern ${p.source}`;
+    done.add(p.field);
+  }
+}
+
+function fieldFromName(name) {
+  const key = name.toLowerCase().replace(/[^a-z#]/g, "");
+  const names = {
+    poref: "poRef", ponumber: "poRef", pono: "poRef", "po#": "poRef", ordernumber: "poRef", orderref: "poRef",
+    podate: "poDate", orderdate: "poDate",
+    deliverydate: "deliveryDate", requireddate: "deliveryDate",
+    customer: "customer", buyer: "customer",
+    shipto: "shipTo", deliverto: "shipTo", deliveryaddress: "shipTo",
+  };
+  return names[key] || null;
+}
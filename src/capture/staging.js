@@ -1,4 +1,4 @@
-import { formatCurrency, getCurrencyFormat } from "../utils/format";
+import { formatCurrency, getCurrencyFormat } from "../utils/format.js";
 
 /* global Excel */
 
@@ -42,18 +42,21 @@ export async function writeStagingSheet(extractionResult) {
 
     const sheet = context.workbook.worksheets.add(sheetName);
 
-    // ── Summary Section (rows 1-7) ──
+    // ── Summary Section (rows 1-10) ──
     const summaryData = [
       ["PO Staging Sheet", ""],
       ["PO Reference", metadata.poRef],
       ["Customer", metadata.customer],
+      ["Order Date", metadata.poDate || "—"],
+      ["Ship To", metadata.shipTo || "—"],
       ["Line Items", metadata.lineCount],
       ["Total Value", formatCurrency(metadata.totalValue)],
       ["Warnings", metadata.warningCount],
+      ["PO Totals", describeTotalsCheck(metadata.totalsCheck)],
       ["Extracted", new Date().toLocaleString()],
     ];
 
-    const summaryRange = sheet.getRange("A1:B7");
+    const summaryRange = sheet.getRange("A1:B10");
     summaryRange.values = summaryData;
 
     // Format summary
@@ -63,18 +66,25 @@ export async function writeStagingSheet(extractionResult) {
     summaryTitle.format.font.size = 14;
     summaryTitle.format.font.color = HEADER_BG;
 
-    const summaryLabels = sheet.getRange("A2:A7");
+    const summaryLabels = sheet.getRange("A2:A10");
     summaryLabels.format.font.bold = true;
 
     // Highlight warnings count if > 0
     if (metadata.warningCount > 0) {
-      const warningCell = sheet.getRange("B6");
+      const warningCell = sheet.getRange("B8");
       warningCell.format.font.color = "#A4262C";
       warningCell.format.font.bold = true;
     }
 
-    // ── Data Table (row 9+) ──
-    const tableStartRow = 9;
+    // Highlight PO totals the lines don't add up to
+    if (metadata.totalsCheck && metadata.totalsCheck.status === "Mismatch") {
+      const totalsCell = sheet.getRange("B9");
+      totalsCell.format.font.color = "#A4262C";
+      totalsCell.format.font.bold = true;
+    }
+
+    // ── Data Table (row 12+) ──
+    const tableStartRow = 12;
 
     const headerRange = sheet.getRange(`A${tableStartRow}:I${tableStartRow}`);
     headerRange.values = [STAGING_HEADERS];
@@ -181,6 +191,15 @@ export async function writeStagingSheet(extractionResult) {
   });
 }
 
+/**
+ * PO totals check for the summary, e.g. "Agree — PO total £4,825.80".
+ */
+function describeTotalsCheck(check) {
+  if (!check || check.status === "Not stated") return "Not stated on PO";
+  if (check.status === "Mismatch" || check.statedTotal == null) return check.message;
+  return `Agree — PO total ${formatCurrency(check.statedTotal)}`;
+}
+
 function getStagingSheetName(poRef) {
   const clean = (poRef || "PO").replace(/[\\/*?\[\]:]/g, "").trim().slice(0, 20);
   return `PO ${clean}`;
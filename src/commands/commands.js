@@ -1,21 +1,36 @@
 /* global Office, Excel */
 
-import { reconcile } from "../reconcile/reconcile";
-import { detectColumns } from "../reconcile/detector";
-import { writeResultsSheet } from "../reconcile/results";
-import { generateCreditNote, generateCorrectedInvoice } from "../reconcile/creditnote";
-import { writeCreditNoteSheet, writeReInvoiceSheet } from "../reconcile/creditnote-results";
-import { generateEmailDraft } from "../email/email";
-import { formatCurrency, setCurrency, parseNumber } from "../utils/format";
-import { detectAllColumns, extractPOData } from "../capture/extractor";
-import { writeStagingSheet } from "../capture/staging";
-import { validate, formatValidationReport } from "../validate/validator";
-import { generateStagingEntry } from "../entry/entry";
-import { writeEntrySheet } from "../entry/entry-results";
-import { toHistoryRecords, analyzeHistory, formatPredictReport } from "../predict/predict";
-import { appendHistory, readHistory } from "../predict/history";
-import { writeDashboard } from "../predict/dashboard";
-import { checkLicense, hasFeature, getLineLimit, getUpgradeMessage } from "../license/license";
+import { reconcileInWorker } from "../reconcile/worker-client.js";
+import { recommend } from "../reconcile/recommend.js";
+import { tolerancePolicyFromParams, describeTolerancePolicy } from "../reconcile/tolerance.js";
+import { detectColumns, detectLineColumn } from "../reconcile/detector.js";
+import { parseUomConversions, uomConversionsFromRows } from "../reconcile/uom.js";
+import { readSkuMap } from "../reconcile/skumap.js";
+import { parseFxRates } from "../reconcile/fx.js";
+import { readFxRates } from "../reconcile/fxrates.js";
+import { isTotalsRow, readDocumentTotals } from "../reconcile/totals.js";
+import { parseTaxCodes, taxCodesFromRows, parsePriceBasis } from "../reconcile/tax.js";
+import { parsePromotions, promotionsFromRows } from "../reconcile/promo.js";
+import { writeResultsSheet } from "../reconcile/results.js";
+import { batchRefs, matchSheetPattern, summarizeBatch } from "../reconcile/batch.js";
+import { writeBatchSummarySheet } from "../reconcile/batch-results.js";
+import { generateCreditNote, generateCorrectedInvoice, generateThreeWayCreditNote } from "../reconcile/creditnote.js";
+import { writeCreditNoteSheet, writeReInvoiceSheet } from "../reconcile/creditnote-results.js";
+import { reconcileThreeWay } from "../reconcile/threeway.js";
+import { writeThreeWayResultsSheet, writeThreeWayCreditNoteSheet } from "../reconcile/threeway-results.js";
+import { generateEmailDraft } from "../email/email.js";
+import { formatCurrency, setCurrency, parseNumber } from "../utils/format.js";
+import { setRoundingMode } from "../utils/money.js";
+import { detectAllColumns, extractPOData } from "../capture/extractor.js";
+import { parseHeaderPatterns } from "../capture/header.js";
+import { writeStagingSheet } from "../capture/staging.js";
+import { validate, formatValidationReport } from "../validate/validator.js";
+import { generateStagingEntry } from "../entry/entry.js";
+import { writeEntrySheet } from "../entry/entry-results.js";
+import { toHistoryRecords, analyzeHistory, formatPredictReport } from "../predict/predict.js";
+import { appendHistory, readHistory } from "../predict/history.js";
+import { writeDashboard } from "../predict/dashboard.js";
+import { checkLicense, hasFeature, getLineLimit, getUpgradeMessage } from "../license/license.js";
 
 /**
  * Shared state for agent actions within a session.
@@ -24,6 +39,15 @@ import { checkLicense, hasFeature, getLineLimit, getUpgradeMessage } from "../li
 const agentState = {
   results: null,
   poFilename: "",
+  customer: "",
+  threeWay: null,
+  threeWayRef: "",
+};
+
+// Price lists layered over ERPPrices, highest priority first
+const PRICE_LAYER_SHEETS = {
+  contract: "ContractPrices",
+  promo: "PromoPrices",
 };
 
 Office.onReady(() => {
@@ -32,45 +56,93 @@ Office.onReady(() => {
   // Agent actions are registered below via Office.actions.associate
 });
 
+// The customer the agent names, else the one on the PO — as the taskpane and API do
+function poCustomer(params, metadata) {
+  return params.customer || (metadata.customer !== "Unknown" ? metadata.customer : "");
+}
+
+// ── Sheet tables ──
+
+/**
+ * Read a sheet as a table — header row, then one object per non-blank row.
+ * Returns null when the workbook has no sheet of that name.
+ */
+async function readSheetTable(context, name) {
+  const sheet = context.workbook.worksheets.getItemOrNullObject(name);
+  await context.sync();
+  if (sheet.isNullObject) return null;
+
+  const usedRange = sheet.getUsedRange();
+  usedRange.load("values");
+  await context.sync();
+  return tableFromValues(usedRange.values);
+}
+
+// Range values as { headers, rows }, skipping blank rows
+function tableFromValues(values) {
+  if (!values || values.length === 0) return { headers: [], rows: [] };
+  const headers = values[0].map((h) => String(h).trim()).filter(Boolean);
+  const rows = values.slice(1)
+    .filter((row) => row.some((cell) => cell != null && String(cell).trim() !== ""))
+    .map((row) => {
+      const obj = {};
+      headers.forEach((h, i) => { obj[h] = row[i] != null ? String(row[i]) : ""; });
+      return obj;
+    });
+  return { headers, rows };
+}
+
 // ── ReconcilePO ──
 // Reads PO data from a sheet named "PO" (or first sheet) and ERP data from:
 //   1. A sheet named "ERPPrices" (written by the Copilot agent from SharePoint), or
 //   2. The user's current selection (manual fallback).
+// Optional "ContractPrices" and "PromoPrices" sheets are layered over that
+// list: each SKU is priced from the customer's contract first, then the
+// promotion, then the ERP base list.
+// An optional "UOM" sheet (SKU, UOM, Factor, Base UOM) supplies unit conversions;
+// conversions passed by the agent are applied on top. Customer SKU
+// cross-references come from the "SKUMap" sheet, exchange rates from the
+// "FXRates" sheet plus any rates passed by the agent, and VAT codes from the
+// "TaxCodes" sheet (SKU / Customer, Tax Code, Rate) plus any passed by the agent.
+// Promotions (deal prices below list) come from an optional "Promotions" sheet
+// plus any passed by the agent.
+// With `poSheets` (a sheet name pattern such as "PO*") every matching sheet is
+// reconciled in turn against the same price list: one Recon sheet per PO, a
+// "Batch Summary" sheet, and every PO appended to price history.
 
 async function handleReconcilePO(message) {
   const params = message ? JSON.parse(message) : {};
-  const tolerance = params.tolerance ?? 0.02;
   const currency = params.currency ?? "GBP";
 
   setCurrency(currency);
+  setRoundingMode(params.rounding);
+
+  const tolerance = tolerancePolicyFromParams(params);
+  const agentUomConversions = parseUomConversions(params.uomConversions);
+  const agentFxRates = parseFxRates(params.fxRates);
+  const agentTaxCodes = parseTaxCodes(params.taxCodes);
+  const agentPromotions = parsePromotions(params.promotions);
+  const priceBasis = parsePriceBasis(params.priceBasis);
 
   await checkLicense();
 
   // Read ERP data — prefer ERPPrices sheet (from SharePoint), fall back to selected range
   let erpData, erpColumns, erpSource;
   await Excel.run(async (context) => {
-    let values;
-
     // Check for ERPPrices sheet written by the agent from SharePoint
-    const erpSheet = context.workbook.worksheets.getItemOrNullObject("ERPPrices");
-    await context.sync();
-
-    if (!erpSheet.isNullObject) {
-      const usedRange = erpSheet.getUsedRange();
-      usedRange.load("values");
-      await context.sync();
-      values = usedRange.values;
+    let table = await readSheetTable(context, "ERPPrices");
+    if (table) {
       erpSource = "SharePoint price list (ERPPrices sheet)";
     } else {
       // Fall back to user's selected range
       const selection = context.workbook.getSelectedRange();
       selection.load("values");
       await context.sync();
-      values = selection.values;
+      table = tableFromValues(selection.values);
       erpSource = "selected range";
     }
 
-    if (!values || values.length < 2) {
+    if (table.rows.length === 0) {
       throw new Error(
         erpSource === "selected range"
           ? "No ERP data found. Either ask the agent to load the price list from SharePoint, or select your ERP data range in Excel first."
@@ -78,88 +150,246 @@ async function handleReconcilePO(message) {
       );
     }
 
-    const headers = values[0].map((h) => String(h).trim()).filter(Boolean);
-    const rows = values.slice(1)
-      .filter((row) => row.some((cell) => cell != null && String(cell).trim() !== ""))
-      .map((row) => {
-        const obj = {};
-        headers.forEach((h, i) => { obj[h] = row[i] != null ? String(row[i]) : ""; });
-        return obj;
-      });
-
-    erpColumns = detectColumns(headers);
+    erpColumns = detectColumns(table.headers);
     if (!erpColumns.sku || !erpColumns.price) {
-      throw new Error(`Could not detect SKU and Price columns in ERP data. Found headers: ${headers.join(", ")}`);
+      throw new Error(`Could not detect SKU and Price columns in ERP data. Found headers: ${table.headers.join(", ")}`);
     }
 
-    erpData = { headers, rows };
+    erpData = table;
   });
 
-  // Read PO data from sheet named "PO" or first sheet
-  let poData, poColumns;
+  // Read the optional contract and promotional price lists
+  const priceLayers = [];
   await Excel.run(async (context) => {
-    let sheet;
-    const poSheet = context.workbook.worksheets.getItemOrNullObject("PO");
-    await context.sync();
+    for (const [source, sheetName] of Object.entries(PRICE_LAYER_SHEETS)) {
+      const table = await readSheetTable(context, sheetName);
+      if (!table || table.rows.length === 0) continue;
+
+      const columns = detectColumns(table.headers);
+      if (!columns.sku || !columns.price) {
+        throw new Error(`Could not detect SKU and Price columns in the ${sheetName} sheet. Found headers: ${table.headers.join(", ")}`);
+      }
+      priceLayers.push({ source, data: table, columns });
+      erpSource += ` + ${sheetName}`;
+    }
+  });
+
+  // Read the optional UOM conversion sheet
+  let uomConversions = agentUomConversions;
+  await Excel.run(async (context) => {
+    const table = await readSheetTable(context, "UOM");
+    if (!table || table.rows.length === 0) return;
+    uomConversions = [...uomConversionsFromRows(table), ...agentUomConversions];
+  });
 
-    if (!poSheet.isNullObject) {
-      sheet = poSheet;
+  // Read the optional tax code sheet
+  let taxCodes = agentTaxCodes;
+  await Excel.run(async (context) => {
+    const table = await readSheetTable(context, "TaxCodes");
+    if (!table || table.rows.length === 0) return;
+    taxCodes = [...taxCodesFromRows(table), ...agentTaxCodes];
+  });
+
+  // Read the optional promotions sheet
+  let promotions = agentPromotions;
+  await Excel.run(async (context) => {
+    const table = await readSheetTable(context, "Promotions");
+    if (!table || table.rows.length === 0) return;
+    promotions = [...promotionsFromRows(table), ...agentPromotions];
+  });
+
+  // Customer SKU cross-reference (SKUMap sheet) — optional
+  let xref = [];
+  try {
+    xref = await readSkuMap();
+  } catch {
+    // Non-critical — reconcile without cross-references
+  }
+
+  // Exchange rates (FXRates sheet) — optional
+  let fxRates = agentFxRates;
+  try {
+    fxRates = [...(await readFxRates()), ...agentFxRates];
+  } catch {
+    // Non-critical — reconcile with the agent's rates only
+  }
+
+  // Read PO data — every sheet matching `poSheets` in batch mode, else the
+  // sheet named "PO" or the first sheet
+  const poSheets = [];
+  await Excel.run(async (context) => {
+    let sheets;
+    if (params.poSheets) {
+      const isPoSheet = matchSheetPattern(params.poSheets);
+      const worksheets = context.workbook.worksheets;
+      worksheets.load("items/name");
+      await context.sync();
+      sheets = worksheets.items.filter((sheet) => isPoSheet(sheet.name));
+      if (sheets.length === 0) {
+        throw new Error(`No sheets match "${params.poSheets}". Add one sheet per PO, e.g. "PO-041", "PO-042".`);
+      }
     } else {
-      sheet = context.workbook.worksheets.getFirst();
+      const poSheet = context.workbook.worksheets.getItemOrNullObject("PO");
+      await context.sync();
+      const sheet = poSheet.isNullObject ? context.workbook.worksheets.getFirst() : poSheet;
+      sheet.load("name");
+      sheets = [sheet];
     }
 
-    const usedRange = sheet.getUsedRange();
-    usedRange.load("values");
+    const ranges = sheets.map((sheet) => {
+      const usedRange = sheet.getUsedRange();
+      usedRange.load("values");
+      return usedRange;
+    });
     await context.sync();
+    sheets.forEach((sheet, i) => poSheets.push({ name: sheet.name, values: ranges[i].values }));
+  });
 
-    const values = usedRange.values;
+  const readPO = (values) => {
     if (!values || values.length < 2) {
       throw new Error("PO sheet has no data. Upload a PO file first.");
     }
 
+    // Subtotal / VAT / total rows under the lines are the PO's stated totals, not lines
     const headers = values[0].map((h) => String(h).trim()).filter(Boolean);
-    const rows = values.slice(1)
-      .filter((row) => row.some((cell) => cell != null && String(cell).trim() !== ""))
+    const body = values.slice(1).filter((row) => row.some((cell) => cell != null && String(cell).trim() !== ""));
+    const rows = body
+      .filter((row) => !isTotalsRow(row))
       .map((row) => {
         const obj = {};
         headers.forEach((h, i) => { obj[h] = row[i] != null ? String(row[i]) : ""; });
         return obj;
       });
 
-    poColumns = detectColumns(headers);
+    const poColumns = detectColumns(headers);
     if (!poColumns.sku || !poColumns.price) {
       throw new Error(`Could not detect SKU and Price columns in PO data. Found headers: ${headers.join(", ")}`);
     }
 
-    poData = { headers, rows };
-    agentState.poFilename = sheet.name;
-  });
+    const poData = { headers, rows, totals: readDocumentTotals(body.filter(isTotalsRow)) };
+    return { poData, poColumns, metadata: extractPOData(poData).metadata };
+  };
+
+  // Run reconciliation — in the background worker, as the taskpane does
+  const qtyCheck = ["order", "stock"].includes(params.qtyBasis) ? params.qtyBasis : params.checkQuantity === true;
+  const reconcilePO = ({ poData, poColumns, metadata }) => {
+    // Priced, converted and promo-checked as of the PO date, else the earliest delivery date
+    const priceDate = params.priceDate || metadata.poDate || metadata.deliveryDate;
+
+    return reconcileInWorker({
+      poData,
+      poColumns,
+      erpData,
+      erpColumns,
+      priceLayers,
+      tolerance,
+      customer: poCustomer(params, metadata),
+      qtyCheck,
+      uomConversions,
+      xref,
+      priceDate,
+      fxRates,
+      poCurrency: params.poCurrency || null,
+      erpCurrency: params.erpCurrency || null,
+      fxTolerance: params.fxTolerance,
+      taxCodes,
+      priceBasis,
+      promotions,
+    });
+  };
+
+  // Append to price history
+  const recordHistory = async (results, poRef) => {
+    try {
+      const today = new Date().toISOString().slice(0, 10);
+      const historyRecords = toHistoryRecords(results, poRef, today);
+      await appendHistory(historyRecords);
+    } catch {
+      // Non-critical — don't fail the reconciliation
+    }
+  };
 
-  // Enforce line limit for free tier
   const lineLimit = getLineLimit();
+
+  // Batch mode: one Recon sheet per PO, then the Batch Summary sheet
+  if (params.poSheets) {
+    const refs = batchRefs(poSheets.map((sheet) => sheet.name));
+    const entries = [];
+    for (const [i, sheet] of poSheets.entries()) {
+      const poRef = refs[i];
+      try {
+        const po = readPO(sheet.values);
+        if (lineLimit > 0 && po.poData.rows.length > lineLimit) {
+          throw new Error(`Free plan limit: ${lineLimit} lines per PO, this PO has ${po.poData.rows.length}.`);
+        }
+        const results = await reconcilePO(po);
+        if (params.currency == null && results.summary.erpCurrency) setCurrency(results.summary.erpCurrency);
+        await writeResultsSheet(results, tolerance, poRef);
+        await recordHistory(results, poRef);
+        entries.push({ poRef, results });
+      } catch (err) {
+        entries.push({ poRef, error: err.message });
+      }
+    }
+
+    const batch = summarizeBatch(entries);
+    await writeBatchSummarySheet(batch, tolerance);
+    // Single-PO actions (credit note, email…) need one PO's results
+    agentState.results = null;
+    agentState.poFilename = "";
+    agentState.customer = "";
+
+    const t = batch.totals;
+    const poLines = batch.rows.map((r) => (r.status === "Failed"
+      ? `  ${r.poRef}: failed — ${r.error}`
+      : `  ${r.poRef}: ${r.recommendation} — ${r.exceptions} exception(s), exposure ${formatCurrency(r.exposure)}`));
+    return `Batch reconciliation complete.\n\nERP data: ${erpSource}\nTolerance: ${describeTolerancePolicy(tolerance)}\nPOs reconciled: ${t.reconciled}${t.failed > 0 ? ` (${t.failed} failed)` : ""}\nTotal items: ${t.lines}\nExceptions: ${t.exceptions}\nTotal exposure: ${formatCurrency(t.exposure)} (customer overpaying ${formatCurrency(t.overcharge)}, underpaying ${formatCurrency(t.undercharge)})\nRecommendations: ${t.accept} accept, ${t.review} review, ${t.escalate} escalate\n\n${poLines.join("\n")}\n\nOne Recon sheet per PO and a Batch Summary sheet created; every PO was added to price history. Run ReconcilePO without poSheets on one PO for its credit note or email.`;
+  }
+
+  const po = readPO(poSheets[0].values);
+  const { poData } = po;
+  agentState.poFilename = poSheets[0].name;
+  agentState.customer = poCustomer(params, po.metadata);
+
+  // Enforce line limit for free tier
   if (lineLimit > 0 && poData.rows.length > lineLimit) {
     return `Free plan limit: ReconcilePO supports up to ${lineLimit} lines. This PO has ${poData.rows.length} lines.\n\n${getUpgradeMessage("ReconcilePO")}`;
   }
 
-  // Run reconciliation
-  const results = reconcile({ poData, poColumns, erpData, erpColumns, tolerance });
+  const results = await reconcilePO(po);
   agentState.results = results;
 
+  // Show amounts in the price list's currency unless the agent chose one
+  if (params.currency == null && results.summary.erpCurrency) setCurrency(results.summary.erpCurrency);
+
   // Write results sheet
   await writeResultsSheet(results, tolerance, agentState.poFilename);
+  await recordHistory(results, agentState.poFilename);
 
-  // Append to price history
-  try {
-    const today = new Date().toISOString().slice(0, 10);
-    const historyRecords = toHistoryRecords(results, agentState.poFilename, today);
-    await appendHistory(historyRecords);
-  } catch {
-    // Non-critical — don't fail the reconciliation
-  }
-
-  // Format summary
   const s = results.summary;
-  return `Reconciliation complete.\n\nERP data: ${erpSource}\nTotal items: ${s.total}\nPerfect matches: ${s.matches}\nWithin tolerance: ${s.tolerances}\nExceptions: ${s.exceptions}\nWarnings: ${s.warnings}\nTotal exposure: ${formatCurrency(s.exposure)}\n\nResults sheet created with color-coded status rows.`;
+  const xrefCount = results.rows.filter((r) => r.matchType === "xref").length;
+  const xrefLine = xrefCount > 0 ? `\nMatched via SKU cross-reference: ${xrefCount} line(s)` : "";
+  const suggestedLine = s.suggested > 0 ? `\nSuggested matches to confirm: ${s.suggested}` : "";
+  const priceDateLine = s.priceDate
+    ? `\nPrices as of: ${s.priceDate}${s.expiredPrices > 0 ? ` — ${s.expiredPrices} line(s) use an expired price` : ""}`
+    : "";
+  const tierLine = s.wrongTiers > 0 ? `\nWrong volume break applied: ${s.wrongTiers} line(s)` : "";
+  const promoLine = s.promoMatches > 0 || s.promoIssues > 0
+    ? `\nPromotions: ${s.promoMatches} line(s) at a deal price${s.promoIssues > 0 ? `, ${s.promoIssues} expired or misapplied` : ""}`
+    : "";
+  const contractLine = s.notInContract > 0 ? `\nNot in contract: ${s.notInContract} line(s) priced from the promo or base list` : "";
+  const fxLine = s.fxConverted > 0
+    ? `\nFX: ${s.fxConverted} line(s) converted ${s.poCurrency || "PO"} → ${s.erpCurrency} at rates for ${s.fxDate}${s.fxDifferences > 0 ? ` — ${s.fxDifferences} difference(s) put down to FX (${formatCurrency(s.fxExposure)})` : ""}`
+    : "";
+  const totalsLine = s.poTotals && s.poTotals.status !== "Not stated"
+    ? `\nPO totals: ${s.poTotals.status === "OK" ? "lines agree with the PO's stated totals" : s.poTotals.message}`
+    : "";
+  const uomLine = s.uomConverted > 0 ? `\nUOM conversions applied: ${s.uomConverted} line(s)` : "";
+  const basisLine = s.priceBasis === "gross" ? "\nPO prices include VAT — compared net of tax" : "";
+  const qtyLine = s.qtyBasis
+    ? `\nQuantity check (${s.qtyBasis === "stock" ? "available stock" : "ERP order qty"}): ${s.qtyShort} short, ${s.qtyOver} over`
+    : "";
+  return `Reconciliation complete.\n\nERP data: ${erpSource}\nTolerance: ${describeTolerancePolicy(tolerance)}\nTotal items: ${s.total}\nPerfect matches: ${s.matches}\nWithin tolerance: ${s.tolerances}\nExceptions: ${s.exceptions}\nWarnings: ${s.warnings}${totalsLine}\nTotal exposure: ${formatCurrency(s.exposure)} (customer overpaying ${formatCurrency(s.overcharge)}, underpaying ${formatCurrency(s.undercharge)})${priceDateLine}${tierLine}${contractLine}${promoLine}${fxLine}${xrefLine}${suggestedLine}${uomLine}${basisLine}${qtyLine}\n\nResults sheet created with color-coded status rows.`;
 }
 
 // ── GenerateCreditNote ──
@@ -173,7 +403,7 @@ async function handleGenerateCreditNote() {
   await writeCreditNoteSheet(creditData, agentState.poFilename);
 
   const t = creditData.totals;
-  return `Credit note created.\n\nLines: ${t.lineCount}\nTotal credit: ${formatCurrency(t.totalCredit)}\n\nThe CreditNote sheet has been activated.`;
+  return `Credit note created.\n\nLines: ${t.lineCount}\nTotal credit: ${formatCurrency(t.totalCredit)}\nVAT: ${formatCurrency(t.totalTax)}\nTotal credit inc VAT: ${formatCurrency(t.totalGross)}${t.vat.reverseCharge ? "\nReverse charge: customer to account for the VAT" : ""}\nCustomer overpaid: ${formatCurrency(t.overcharge)}\nCustomer underpaid: ${formatCurrency(t.undercharge)}\n\nThe CreditNote sheet has been activated.`;
 }
 
 // ── GenerateReInvoice ──
@@ -188,7 +418,7 @@ async function handleGenerateReInvoice() {
   await writeReInvoiceSheet(invoiceData, agentState.poFilename, exceptionCount);
 
   const t = invoiceData.totals;
-  return `Re-invoice created.\n\nLines: ${t.lineCount}\nCorrected total: ${formatCurrency(t.totalInvoice)}\nPrice corrections: ${exceptionCount}\n\nThe ReInvoice sheet has been activated. Yellow-highlighted rows indicate price corrections.`;
+  return `Re-invoice created.\n\nLines: ${t.lineCount}\nCorrected total: ${formatCurrency(t.totalInvoice)}\nVAT: ${formatCurrency(t.totalTax)}\nCorrected total inc VAT: ${formatCurrency(t.totalGross)}${t.vat.reverseCharge ? "\nReverse charge: customer to account for the VAT" : ""}\nPrice corrections: ${exceptionCount}\n\nThe ReInvoice sheet has been activated. Yellow-highlighted rows indicate price corrections.`;
 }
 
 // ── DraftExceptionEmail ──
@@ -210,8 +440,10 @@ async function handleExtractPOData(message) {
   const params = message ? JSON.parse(message) : {};
   const sheetNameParam = params.sheetName || null;
   const currency = params.currency ?? "GBP";
+  const headerPatterns = parseHeaderPatterns(params.headerPatterns);
 
   setCurrency(currency);
+  setRoundingMode(params.rounding);
 
   await checkLicense();
 
@@ -256,16 +488,19 @@ async function handleExtractPOData(message) {
       if (score > bestScore) { bestScore = score; bestRow = r; }
     }
 
+    // Totals can sit above the header (PO total) or below the lines (subtotal, VAT)
     const headers = values[bestRow].map((h) => String(h ?? "").trim()).filter(Boolean);
-    const rows = values.slice(bestRow + 1)
-      .filter((row) => row.some((cell) => cell != null && String(cell).trim() !== ""))
+    const body = values.slice(bestRow + 1).filter((row) => row.some((cell) => cell != null && String(cell).trim() !== ""));
+    const rows = body
+      .filter((row) => !isTotalsRow(row))
       .map((row) => {
         const obj = {};
         headers.forEach((h, i) => { obj[h] = row[i] != null ? String(row[i]) : ""; });
         return obj;
       });
 
-    parsedData = { headers, rows };
+    const totals = readDocumentTotals([...values.slice(0, bestRow), ...body.filter(isTotalsRow)]);
+    parsedData = { headers, rows, totals, titleBlock: values.slice(0, bestRow) };
     agentState.poFilename = sheet.name;
   });
 
@@ -277,9 +512,9 @@ async function handleExtractPOData(message) {
 
   // Detect columns and extract
   const columns = detectAllColumns(parsedData.headers);
-  const extraction = extractPOData(parsedData, columns);
+  const extraction = extractPOData(parsedData, columns, { headerPatterns });
 
-  // Use sheet name as fallback when no PO ref column was detected
+  // Use sheet name as fallback when the PO states no reference
   if (extraction.metadata.poRef === "Unknown") {
     extraction.metadata.poRef = agentState.poFilename || "PO";
   }
@@ -291,7 +526,7 @@ async function handleExtractPOData(message) {
   await writeStagingSheet(extraction);
 
   // Run validation
-  const validation = validate(extraction.stagingRows);
+  const validation = validate(extraction.stagingRows, extraction.metadata.documentTotals);
 
   // Store for potential follow-up reconciliation
   agentState.lastExtraction = extraction;
@@ -303,8 +538,13 @@ async function handleExtractPOData(message) {
   let response = `PO data extracted and staging sheet created.\n\n`;
   response += `PO Reference: ${m.poRef}\n`;
   response += `Customer: ${m.customer}\n`;
+  if (m.poDate) response += `Order date: ${m.poDate}\n`;
+  if (m.shipTo) response += `Ship to: ${m.shipTo}\n`;
   response += `Line items: ${m.lineCount}\n`;
   response += `Total value: ${formatCurrency(m.totalValue)}\n`;
+  if (m.totalsCheck.status !== "Not stated") {
+    response += `PO totals: ${m.totalsCheck.status === "OK" ? "agree with the lines" : m.totalsCheck.message}\n`;
+  }
   response += `Detected fields: ${detectedStr}\n`;
 
   // Validation results
@@ -348,7 +588,7 @@ async function handleGenerateERPStaging(message) {
 
   const entryData = generateStagingEntry(agentState.results, {
     poRef: agentState.poFilename,
-    customer: params.customer || "",
+    customer: params.customer || agentState.customer,
     deliveryDate: params.deliveryDate || "",
   });
 
@@ -359,7 +599,8 @@ async function handleGenerateERPStaging(message) {
   let response = `ERP staging sheet created.\n\n`;
   response += `PO Reference: ${m.poRef}\n`;
   response += `Total lines: ${t.lineCount}\n`;
-  response += `Total value: ${formatCurrency(t.totalValue)}\n\n`;
+  response += `Total value: ${formatCurrency(t.totalValue)}\n`;
+  response += `VAT: ${formatCurrency(t.totalTax)} (total inc VAT ${formatCurrency(t.totalGross)})\n\n`;
   response += `Status breakdown:\n`;
   response += `  Ready (green):  ${t.readyCount} — safe to enter into ERP\n`;
   response += `  Review (yellow): ${t.reviewCount} — price exceptions, operator decision needed\n`;
@@ -620,21 +861,22 @@ async function handleAssessPORisk() {
   lines.push(`  Tolerances: ${s.tolerances}`);
   lines.push(`  Warnings: ${s.warnings}`);
   lines.push(`  Total exposure: ${formatCurrency(s.exposure)}`);
+  lines.push(`    Customer overpaying: ${formatCurrency(s.overcharge)}`);
+  lines.push(`    Customer underpaying: ${formatCurrency(s.undercharge)}`);
   lines.push("");
 
   // Biggest risks
   const exceptionRows = results.rows
     .filter((r) => r.status === "Exception" && r.diff != null)
-    .sort((a, b) => Math.abs(b.diff) - Math.abs(a.diff));
+    .sort((a, b) => Math.abs(b.lineExposure) - Math.abs(a.lineExposure));
 
   if (exceptionRows.length > 0) {
     lines.push("TOP PRICE DISCREPANCIES");
     for (const row of exceptionRows.slice(0, 8)) {
       const sign = row.diff >= 0 ? "+" : "";
-      const qty = row.poQty || 1;
-      const lineImpact = Math.abs(row.diff * qty);
+      const lineImpact = Math.abs(row.lineExposure);
       lines.push(`  ${row.sku} ${row.name || ""}`);
-      lines.push(`    PO: ${formatCurrency(row.poPrice)} → ERP: ${formatCurrency(row.erpPrice)}  (${sign}${formatCurrency(row.diff)} per unit, ${formatCurrency(lineImpact)} total)`);
+      lines.push(`    PO: ${formatCurrency(row.poPrice)} → ERP: ${formatCurrency(row.erpPrice)}  (${sign}${formatCurrency(row.diff)} per unit, ${formatCurrency(lineImpact)} total on ${row.poQty} units)`);
     }
     lines.push("");
   }
@@ -650,6 +892,17 @@ async function handleAssessPORisk() {
     lines.push("");
   }
 
+  // Fuzzy suggestions awaiting confirmation
+  const suggestedRows = results.rows.filter((r) => r.status === "Suggested match");
+  if (suggestedRows.length > 0) {
+    lines.push(`SUGGESTED SKU MATCHES TO CONFIRM: ${suggestedRows.length}`);
+    for (const row of suggestedRows.slice(0, 5)) {
+      lines.push(`  ${row.sku} → ${row.erpSku} (${row.confidence}% — ${row.matchReason})`);
+    }
+    if (suggestedRows.length > 5) lines.push(`  ... and ${suggestedRows.length - 5} more`);
+    lines.push("");
+  }
+
   // Historical context
   if (historicalContext) {
     lines.push(historicalContext);
@@ -659,28 +912,121 @@ async function handleAssessPORisk() {
   lines.push("");
   lines.push("RECOMMENDATION");
 
-  const exceptionPct = s.total > 0 ? (s.exceptions / s.total) * 100 : 0;
-  const hasHighExposure = s.exposure > 100;
-  const hasNotInErp = notInErp.length > 0;
-
-  if (exceptionPct === 0 && !hasNotInErp) {
-    lines.push("  ✓ ACCEPT — All prices match or are within tolerance.");
-    lines.push("  Action: Generate ERP staging sheet and process the order.");
-  } else if (exceptionPct <= 10 && s.exposure < 50 && notInErp.length === 0) {
-    lines.push("  ✓ ACCEPT WITH REVIEW — Minor price discrepancies.");
-    lines.push(`  Action: Review ${s.exceptions} exception(s), generate credit note if needed, then process.`);
-  } else if (exceptionPct <= 30 && !hasHighExposure) {
-    lines.push("  ⚠ REVIEW — Moderate price discrepancies found.");
-    lines.push(`  Action: Generate credit note and re-invoice for ${s.exceptions} exception(s). Contact supplier if patterns persist.`);
-  } else {
-    lines.push("  🛑 ESCALATE — Significant pricing issues.");
-    lines.push(`  Action: ${s.exceptions} exceptions with ${formatCurrency(s.exposure)} exposure. Escalate to pricing team before processing.`);
-    if (hasNotInErp) lines.push(`  ${notInErp.length} item(s) not found in ERP — may be new products or incorrect SKUs.`);
-  }
+  const verdict = recommend(results);
+  lines.push(`  ${verdict.icon} ${verdict.label} — ${verdict.reason}`);
+  lines.push(`  Action: ${verdict.action}`);
+  for (const note of verdict.notes) lines.push(`  ${note}`);
 
   return lines.join("\n");
 }
 
+// ── ThreeWayMatch ──
+// Accounts payable three-way match: PO lines (sheet "PO", or the first sheet)
+// against goods received (sheet "GRN") and the supplier invoice (sheet
+// "Invoice"). Lines are matched by PO line reference when the sheets have one,
+// else by SKU. Tax codes come from the "TaxCodes" sheet plus any passed by the agent.
+
+async function handleThreeWayMatch(message) {
+  const params = message ? JSON.parse(message) : {};
+  const currency = params.currency ?? "GBP";
+
+  setCurrency(currency);
+  setRoundingMode(params.rounding);
+
+  const tolerance = tolerancePolicyFromParams(params);
+  const agentTaxCodes = parseTaxCodes(params.taxCodes);
+
+  await checkLicense();
+
+  // Read the three documents — each needs SKU (or a PO line reference) and Qty
+  const docs = {};
+  await Excel.run(async (context) => {
+    const read = async (name, label, { fallbackToFirst = false, needsPrice = false } = {}) => {
+      let sheet = context.workbook.worksheets.getItemOrNullObject(name);
+      await context.sync();
+      if (sheet.isNullObject) {
+        if (!fallbackToFirst) throw new Error(`No "${name}" sheet found. Add the ${label} on a sheet named "${name}".`);
+        sheet = context.workbook.worksheets.getFirst();
+      }
+
+      const usedRange = sheet.getUsedRange();
+      usedRange.load("values");
+      sheet.load("name");
+      await context.sync();
+
+      const values = usedRange.values;
+      if (!values || values.length < 2) throw new Error(`${label} sheet has no data.`);
+
+      // Totals rows under the lines aren't lines
+      const headers = values[0].map((h) => String(h).trim()).filter(Boolean);
+      const rows = values.slice(1)
+        .filter((row) => row.some((cell) => cell != null && String(cell).trim() !== "") && !isTotalsRow(row))
+        .map((row) => {
+          const obj = {};
+          headers.forEach((h, i) => { obj[h] = row[i] != null ? String(row[i]) : ""; });
+          return obj;
+        });
+
+      const columns = { ...detectColumns(headers), line: detectLineColumn(headers) };
+      if ((!columns.sku && !columns.line) || !columns.qty || (needsPrice && !columns.price)) {
+        throw new Error(`Could not detect SKU, Qty${needsPrice ? " and Price" : ""} columns in the ${label}. Found headers: ${headers.join(", ")}`);
+      }
+      return { data: { headers, rows }, columns, sheetName: sheet.name };
+    };
+
+    docs.po = await read("PO", "PO", { fallbackToFirst: true, needsPrice: true });
+    docs.grn = await read("GRN", "goods received note");
+    docs.invoice = await read("Invoice", "invoice", { needsPrice: true });
+  });
+
+  // Read the optional tax code sheet
+  let taxCodes = agentTaxCodes;
+  await Excel.run(async (context) => {
+    const table = await readSheetTable(context, "TaxCodes");
+    if (!table || table.rows.length === 0) return;
+    taxCodes = [...taxCodesFromRows(table), ...agentTaxCodes];
+  });
+
+  const results = reconcileThreeWay({
+    poData: docs.po.data,
+    poColumns: docs.po.columns,
+    grnData: docs.grn.data,
+    grnColumns: docs.grn.columns,
+    invoiceData: docs.invoice.data,
+    invoiceColumns: docs.invoice.columns,
+    tolerance,
+    supplier: params.supplier || "",
+    taxCodes,
+    currency,
+  });
+  agentState.threeWay = results;
+  agentState.threeWayRef = params.invoiceRef || docs.po.sheetName;
+
+  await writeThreeWayResultsSheet(results, tolerance, agentState.threeWayRef);
+
+  const s = results.summary;
+  const overReceivedLine = s.overReceived > 0 ? `\nReceived above PO quantity: ${s.overReceived} line(s)` : "";
+  const creditLine = s.overBilled > 0 ? "\n\nRun GenerateThreeWayCreditNote for the credit note request." : "";
+  return `Three-way match complete.\n\nTolerance: ${describeTolerancePolicy(tolerance)}\nTotal lines: ${s.total}\nMatched: ${s.matches}\nWithin tolerance: ${s.tolerances}\nPrice variances (invoice vs PO): ${s.priceVariances}\nQuantity variances (invoice vs received): ${s.qtyVariances} — ${s.overInvoiced} over-invoiced, ${s.underInvoiced} under-invoiced\nInvoiced, not received: ${s.notReceived}\nNot on PO: ${s.notOnPo}\nReceived, not invoiced: ${s.notInvoiced}${overReceivedLine}\n\nInvoice total: ${formatCurrency(s.invoiceTotal)}\nPayable: ${formatCurrency(s.payable)}\nOver-billed: ${formatCurrency(s.overBilled)}\nOn hold (not received): ${formatCurrency(s.onHold)}\n\nThree-way results sheet created with color-coded status rows.${creditLine}`;
+}
+
+// ── GenerateThreeWayCreditNote ──
+
+async function handleGenerateThreeWayCreditNote() {
+  if (!agentState.threeWay) {
+    return "No three-way match results available. Please run ThreeWayMatch first.";
+  }
+
+  const creditData = generateThreeWayCreditNote(agentState.threeWay);
+  if (creditData.totals.lineCount === 0) {
+    return "No over-billing found — nothing to request a credit for.";
+  }
+  await writeThreeWayCreditNoteSheet(creditData, agentState.threeWayRef);
+
+  const t = creditData.totals;
+  return `Credit note request created.\n\nLines: ${t.lineCount}\nTotal credit: ${formatCurrency(t.totalCredit)}\nVAT: ${formatCurrency(t.totalTax)}\nTotal credit inc VAT: ${formatCurrency(t.totalGross)}${t.vat.reverseCharge ? "\nReverse charge: account for the VAT yourself" : ""}\nInvoiced above received: ${formatCurrency(t.qtyOverBilled)}\nInvoiced above PO price: ${formatCurrency(t.priceOverBilled)}\n\nThe credit note request sheet has been activated.`;
+}
+
 // ── Register agent actions ──
 
 Office.actions.associate("ExtractPOData", async (message) => {
@@ -762,3 +1108,19 @@ Office.actions.associate("AssessPORisk", async () => {
     return `Error: ${err.message}`;
   }
 });
+
+Office.actions.associate("ThreeWayMatch", async (message) => {
+  try {
+    return await handleThreeWayMatch(message);
+  } catch (err) {
+    return `Error: ${err.message}`;
+  }
+});
+
+Office.actions.associate("GenerateThreeWayCreditNote", async () => {
+  try {
+    return await handleGenerateThreeWayCreditNote();
+  } catch (err) {
+    return `Error: ${err.message}`;
+  }
+});
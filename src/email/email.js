@@ -1,4 +1,4 @@
-import { formatCurrency } from "../utils/format";
+import { formatCurrency, formatMoney } from "../utils/format.js";
 
 /**
  * Generate email draft from reconciliation results.
@@ -23,9 +23,64 @@ export function generateEmailDraft(results, filename) {
     if (r.status === "Not in PO") {
       return `  - SKU ${r.sku}: In ERP but not on PO`;
     }
-    return `  - SKU ${r.sku}: PO ${formatCurrency(r.poPrice)} vs ERP ${formatCurrency(r.erpPrice)} (diff: ${formatCurrency(r.diff)})`;
+    const impact = r.lineExposure != null ? `, ${formatCurrency(Math.abs(r.lineExposure))} on ${r.poQty} units` : "";
+    const cause = r.reason === "Wrong tier applied" ? ` — wrong volume break: PO priced at ${r.poTier}, qty qualifies for ${r.tier}`
+      : r.reason === "Wrong discount" ? ` — wrong discount: PO ${r.poDiscount || 0}% vs ERP ${r.erpDiscount || 0}%`
+      : r.reason === "Wrong list price" || r.reason === "Wrong list price and discount" ? ` — ${r.reason.toLowerCase()}`
+      : r.reason === "Expired promo" || r.reason === "Promo misapplied" ? ` — ${r.reason.toLowerCase()}`
+      : "";
+    const fx = r.fxRate != null ? ` [PO ${formatMoney(r.poPriceOriginal, r.poCurrency)} at ${r.fxRate}]` : "";
+    return `  - SKU ${r.sku}: PO ${formatCurrency(r.poPrice)} vs ERP ${formatCurrency(r.erpPrice)} (diff: ${formatCurrency(r.diff)}${impact})${cause}${fx}`;
   });
 
+  const qtyRows = rows.filter((r) => r.qtyStatus === "Qty Short" || r.qtyStatus === "Qty Over");
+  const refLabel = summary.qtyBasis === "stock" ? "available" : "ERP";
+  const qtySection = summary.qtyBasis && qtyRows.length > 0
+    ? `\nQuantity issues (${summary.qtyShort} short, ${summary.qtyOver} over):\n${qtyRows.slice(0, 3)
+      .map((r) => `  - SKU ${r.sku}: ${r.qtyStatus} — PO ${r.poQty} vs ${refLabel} ${r.refQty}`)
+      .join("\n")}\n${qtyRows.length > 3 ? `  ... and ${qtyRows.length - 3} more\n` : ""}`
+    : "";
+
+  const suggestedRows = rows.filter((r) => r.status === "Suggested match");
+  const suggestedSection = suggestedRows.length > 0
+    ? `\nSuggested SKU matches to confirm (${suggestedRows.length}):\n${suggestedRows.slice(0, 3)
+      .map((r) => `  - SKU ${r.sku} → ERP ${r.erpSku} (${r.confidence}% — ${r.matchReason})`)
+      .join("\n")}\n${suggestedRows.length > 3 ? `  ... and ${suggestedRows.length - 3} more\n` : ""}`
+    : "";
+
+  const expiredRows = rows.filter((r) => r.expiredPrice);
+  const expiredSection = expiredRows.length > 0
+    ? `\nLines priced from an expired price list (prices as of ${summary.priceDate}):\n${expiredRows.slice(0, 3)
+      .map((r) => `  - SKU ${r.sku}: PO ${formatCurrency(r.poPrice)} — ${r.action}`)
+      .join("\n")}\n${expiredRows.length > 3 ? `  ... and ${expiredRows.length - 3} more\n` : ""}`
+    : "";
+
+  const promoRows = rows.filter((r) => r.status === "Promo Match");
+  const promoIssueRows = rows.filter((r) => r.reason === "Expired promo" || r.reason === "Promo misapplied");
+  const promoSection = promoIssueRows.length > 0
+    ? `\nPromotions not honoured (${promoIssueRows.length}) — list price applies unless the deal is confirmed:\n${promoIssueRows.slice(0, 3)
+      .map((r) => `  - SKU ${r.sku}: PO ${formatCurrency(r.poPrice)} vs list ${formatCurrency(r.erpPrice)} — ${r.reason}: ${r.action.replace(/^Review pricing — /, "")}`)
+      .join("\n")}\n${promoIssueRows.length > 3 ? `  ... and ${promoIssueRows.length - 3} more\n` : ""}`
+    : "";
+  const promoMatchLine = promoRows.length > 0
+    ? `\n${promoRows.length} line(s) were priced at a valid promotion and accepted: ${promoRows.slice(0, 3).map((r) => `SKU ${r.sku}${r.dealCode ? ` (${r.dealCode})` : ""}`).join(", ")}${promoRows.length > 3 ? ", ..." : ""}\n`
+    : "";
+
+  const totalsCheck = summary.poTotals;
+  const totalsSection = totalsCheck && totalsCheck.status === "Mismatch"
+    ? `\nThe PO's lines don't add up to its own stated totals — check for missing or extra lines:\n${totalsCheck.checks
+      .filter((c) => !c.ok)
+      .map((c) => `  - ${c.message}`)
+      .join("\n")}\n`
+    : "";
+
+  const fxRows = rows.filter((r) => r.reason === "FX difference");
+  const fxSection = fxRows.length > 0
+    ? `\nDifferences put down to exchange rates (${summary.poCurrency || "PO"} → ${summary.erpCurrency}, ${formatCurrency(summary.fxExposure)}):\n${fxRows.slice(0, 3)
+      .map((r) => `  - SKU ${r.sku}: PO ${formatMoney(r.poPriceOriginal, r.poCurrency)} × ${r.fxRate} = ${formatCurrency(r.poPrice)} vs ERP ${formatCurrency(r.erpPrice)}`)
+      .join("\n")}\n${fxRows.length > 3 ? `  ... and ${fxRows.length - 3} more\n` : ""}`
+    : "";
+
   const body = `Hi Team,
 
 PO reconciliation for ${poNumber} has been completed. Please see the summary below:
@@ -35,8 +90,10 @@ PO reconciliation for ${poNumber} has been completed. Please see the summary bel
   Within tolerance:    ${summary.tolerances}
   Exceptions:          ${summary.exceptions}
   Total $ exposure:    ${formatCurrency(summary.exposure)}
+    Customer overpaying:  ${formatCurrency(summary.overcharge)}
+    Customer underpaying: ${formatCurrency(summary.undercharge)}
 
-${summary.exceptions > 0 ? `Top exceptions:\n${topLines.join("\n")}\n${exceptionRows.length > 3 ? `  ... and ${exceptionRows.length - 3} more\n` : ""}` : "All items matched within tolerance."}
+${summary.exceptions > 0 ? `Top exceptions:\n${topLines.join("\n")}\n${exceptionRows.length > 3 ? `  ... and ${exceptionRows.length - 3} more\n` : ""}` : "All items matched within tolerance."}${totalsSection}${expiredSection}${promoSection}${promoMatchLine}${fxSection}${suggestedSection}${qtySection}
 Full reconciliation details are in the Recon sheet attached to this workbook.
 ${summary.exceptions > 0 ? "\nCredit note and corrected re-invoice sheets have been generated in this workbook.\n" : ""}
 Please review and advise on next steps.
@@ -1,4 +1,6 @@
-import { formatCurrency, getCurrencyFormat } from "../utils/format";
+import { formatCurrency, getCurrencyFormat } from "../utils/format.js";
+import { describeTaxCode } from "../reconcile/tax.js";
+import { writeVatSummary } from "../reconcile/creditnote-results.js";
 
 /* global Excel */
 
@@ -25,7 +27,7 @@ export async function writeEntrySheet(entryData) {
     const sheet = context.workbook.worksheets.add(sheetName);
     const { entryRows, totals, metadata } = entryData;
 
-    // --- Summary Section (rows 1-8) ---
+    // --- Summary Section (rows 1-10) ---
     const summaryData = [
       ["ERP Staging Sheet", ""],
       ["PO Reference", metadata.poRef],
@@ -34,10 +36,12 @@ export async function writeEntrySheet(entryData) {
       ["Generated", new Date().toLocaleDateString()],
       ["Total Lines", totals.lineCount],
       ["Total Value", formatCurrency(totals.totalValue)],
+      ["VAT", formatCurrency(totals.totalTax)],
+      ["Total inc VAT", formatCurrency(totals.totalGross)],
       ["Status", `${totals.readyCount} ready, ${totals.reviewCount} review, ${totals.holdCount} hold`],
     ];
 
-    const summaryRange = sheet.getRange("A1:B8");
+    const summaryRange = sheet.getRange("A1:B10");
     summaryRange.values = summaryData;
 
     const summaryTitle = sheet.getRange("A1:B1");
@@ -46,14 +50,14 @@ export async function writeEntrySheet(entryData) {
     summaryTitle.format.font.size = 14;
     summaryTitle.format.font.color = HEADER_BG;
 
-    const summaryLabels = sheet.getRange("A2:A8");
+    const summaryLabels = sheet.getRange("A2:A10");
     summaryLabels.format.font.bold = true;
 
-    // --- Table Section (row 10+) ---
-    const tableStartRow = 10;
-    const headers = ["Line", "SKU", "ERP SKU", "Description", "Qty", "UOM", "Unit Price", "Line Total", "Status", "Notes"];
-    const colCount = headers.length; // A through J
-    const lastCol = String.fromCharCode(64 + colCount); // J
+    // --- Table Section (row 12+) ---
+    const tableStartRow = 12;
+    const headers = ["Line", "SKU", "ERP SKU", "Description", "Qty", "UOM", "PO Qty", "PO UOM", "Unit Price", "Line Total", "Tax Code", "VAT", "Gross", "Status", "Notes"];
+    const colCount = headers.length; // A through O
+    const lastCol = String.fromCharCode(64 + colCount); // O
 
     const headerRange = sheet.getRange(`A${tableStartRow}:${lastCol}${tableStartRow}`);
     headerRange.values = [headers];
@@ -71,8 +75,13 @@ export async function writeEntrySheet(entryData) {
         row.name,
         row.qty,
         row.uom,
+        row.orderedQty,
+        row.orderedUom,
         row.entryPrice,
         row.lineTotal,
+        describeTaxCode(row.taxCode, row.taxRate),
+        row.taxAmount,
+        row.grossTotal,
         row.status,
         row.notes,
       ]);
@@ -82,8 +91,8 @@ export async function writeEntrySheet(entryData) {
       const dataRange = sheet.getRange(`A${dataStartRow}:${lastCol}${dataEndRow}`);
       dataRange.values = dataValues;
 
-      // Currency format for price columns (G = Unit Price, H = Line Total)
-      for (const col of ["G", "H"]) {
+      // Currency format for price columns (I = Unit Price, J = Line Total, L = VAT, M = Gross)
+      for (const col of ["I", "J", "L", "M"]) {
         const priceRange = sheet.getRange(`${col}${dataStartRow}:${col}${dataEndRow}`);
         priceRange.numberFormat = [[getCurrencyFormat()]];
       }
@@ -107,21 +116,24 @@ export async function writeEntrySheet(entryData) {
       // Footer row: totals
       const footerRow = dataEndRow + 2;
       const footerRange = sheet.getRange(`A${footerRow}:${lastCol}${footerRow}`);
-      footerRange.values = [["", "", "", "", "", "", "Total:", totals.totalValue, "", ""]];
+      footerRange.values = [["", "", "", "", "", "", "", "", "Total:", totals.totalValue, "", totals.totalTax, totals.totalGross, "", ""]];
       footerRange.format.font.bold = true;
 
-      const footerPriceCell = sheet.getRange(`H${footerRow}`);
-      footerPriceCell.numberFormat = [[getCurrencyFormat()]];
+      for (const col of ["J", "L", "M"]) {
+        sheet.getRange(`${col}${footerRow}`).numberFormat = [[getCurrencyFormat()]];
+      }
+
+      const vatEndRow = writeVatSummary(sheet, footerRow + 2, totals.vat);
 
       // Legend row
-      const legendRow = footerRow + 2;
+      const legendRow = vatEndRow + 2;
       sheet.getRange(`A${legendRow}`).values = [["Legend:"]];
       sheet.getRange(`A${legendRow}`).format.font.bold = true;
       sheet.getRange(`A${legendRow + 1}:B${legendRow + 1}`).values = [["Ready", "Price verified — safe to enter into ERP"]];
       sheet.getRange(`A${legendRow + 1}:B${legendRow + 1}`).format.fill.color = READY_BG;
-      sheet.getRange(`A${legendRow + 2}:B${legendRow + 2}`).values = [["Review", "Price mismatch — operator decision needed"]];
+      sheet.getRange(`A${legendRow + 2}:B${legendRow + 2}`).values = [["Review", "Price or quantity mismatch — operator decision needed"]];
       sheet.getRange(`A${legendRow + 2}:B${legendRow + 2}`).format.fill.color = REVIEW_BG;
-      sheet.getRange(`A${legendRow + 3}:B${legendRow + 3}`).values = [["Hold", "Missing from ERP or data issue — cannot enter"]];
+      sheet.getRange(`A${legendRow + 3}:B${legendRow + 3}`).values = [["Hold", "Missing from ERP, data issue, or no stock — cannot enter"]];
       sheet.getRange(`A${legendRow + 3}:B${legendRow + 3}`).format.fill.color = HOLD_BG;
 
       // Auto-fit columns
@@ -9,11 +9,15 @@
  * Output: { entryRows, totals, metadata }
  */
 
+import { BASE_UOM } from "../reconcile/uom.js";
+import { taxAmount, summarizeTax } from "../reconcile/tax.js";
+import { lineAmount, sumMoney } from "../utils/money.js";
+
 /**
  * Status values for staging rows.
  * Ready  — price verified, safe to enter
- * Review — price mismatch or exception, needs operator decision
- * Hold   — missing from ERP or warning, cannot enter yet
+ * Review — price or quantity mismatch, or unconfirmed suggested SKU, needs operator decision
+ * Hold   — missing from ERP, warning, or not enough stock — cannot enter yet
  */
 const STATUS = {
   READY: "Ready",
@@ -24,7 +28,8 @@ const STATUS = {
 /**
  * Generate ERP staging data from reconciliation results.
  *
- * Uses the corrected (ERP) price where available.
+ * Uses the corrected (ERP) price where available — except on promo lines,
+ * which are entered at the deal price the customer is entitled to.
  * Excludes ERP-only rows ("Not in PO") since they weren't ordered.
  *
  * @param {object} results - { summary, rows } from reconcile()
@@ -33,10 +38,12 @@ const STATUS = {
  * @param {string} options.customer - Customer name
  * @param {string} options.deliveryDate - Delivery date (optional)
  * @returns {{ entryRows, totals, metadata }}
+ *   line totals are net, with each line's tax code, rate and tax alongside;
+ *   totals.vat is the VAT summary per rate (see tax.js).
  */
 export function generateStagingEntry(results, options = {}) {
+  const ccy = results.summary.erpCurrency;
   const entryRows = [];
-  let totalValue = 0;
   let readyCount = 0;
   let reviewCount = 0;
   let holdCount = 0;
@@ -67,6 +74,12 @@ export function generateStagingEntry(results, options = {}) {
         notes = `Within tolerance (diff: ${row.diff})`;
         break;
 
+      case "Promo Match":
+        entryPrice = row.promoPrice ?? row.poPrice;
+        status = STATUS.READY;
+        notes = `Promo price${row.dealCode ? ` — deal ${row.dealCode}` : ""}`;
+        break;
+
       case "Exception":
         // Use ERP price (the correct one) but flag for review
         entryPrice = row.erpPrice ?? row.poPrice;
@@ -80,6 +93,13 @@ export function generateStagingEntry(results, options = {}) {
         notes = "SKU not found in ERP — verify item code";
         break;
 
+      case "Suggested match":
+        // ERP SKU not confirmed yet — keep the customer's price until it is
+        entryPrice = row.poPrice;
+        status = STATUS.REVIEW;
+        notes = `Suggested ERP SKU ${row.erpSku} (${row.confidence}% — ${row.matchReason}) — confirm before entry`;
+        break;
+
       case "Warning":
         entryPrice = row.poPrice ?? 0;
         status = STATUS.HOLD;
@@ -92,9 +112,25 @@ export function generateStagingEntry(results, options = {}) {
         notes = "";
     }
 
+    // Quantity check (when run) — stock shortfalls can't ship, other
+    // mismatches need a decision; never downgrade an existing Hold
+    if (row.qtyStatus === "Qty Short" || row.qtyStatus === "Qty Over") {
+      const qtyNote = `${row.qtyStatus}: PO ${row.poQty} vs ${results.summary.qtyBasis === "stock" ? "available" : "ERP"} ${row.refQty}`;
+      notes = notes ? `${notes}; ${qtyNote}` : qtyNote;
+      if (results.summary.qtyBasis === "stock") status = STATUS.HOLD;
+      else if (status === STATUS.READY) status = STATUS.REVIEW;
+    }
+
+    // Lines converted from the customer's unit keep the ordered figures alongside
+    const converted = row.uomFactor != null && row.uomFactor !== 1;
+    if (converted) {
+      const uomNote = `Ordered ${row.orderedQty} ${row.orderedUom} = ${row.poQty} ${row.uom || BASE_UOM}`;
+      notes = notes ? `${notes}; ${uomNote}` : uomNote;
+    }
+
     const qty = row.poQty || 1;
-    const lineTotal = round(entryPrice * qty);
-    totalValue = round(totalValue + lineTotal);
+    const lineTotal = lineAmount(entryPrice, qty, ccy);
+    const tax = taxAmount(lineTotal, row.taxRate, ccy);
 
     if (status === STATUS.READY) readyCount++;
     else if (status === STATUS.REVIEW) reviewCount++;
@@ -106,19 +142,30 @@ export function generateStagingEntry(results, options = {}) {
       erpSku: row.erpSku || "",
       name: row.name || "",
       qty,
-      uom: "EA", // Default — future: carry forward from extraction
+      uom: row.uom || BASE_UOM,
+      orderedQty: converted ? row.orderedQty : qty,
+      orderedUom: (converted ? row.orderedUom : row.uom) || BASE_UOM,
       entryPrice,
       lineTotal,
+      taxCode: row.taxCode || null,
+      taxRate: row.taxRate ?? null,
+      taxAmount: tax,
+      grossTotal: sumMoney([lineTotal, tax], ccy),
       status,
       notes,
     });
   }
 
+  const vat = summarizeTax(entryRows.map((r) => ({ taxCode: r.taxCode, taxRate: r.taxRate, net: r.lineTotal, tax: r.taxAmount })), ccy);
+
   return {
     entryRows,
     totals: {
       lineCount: entryRows.length,
-      totalValue,
+      totalValue: sumMoney(entryRows.map((r) => r.lineTotal), ccy),
+      totalTax: vat.tax,
+      totalGross: vat.gross,
+      vat,
       readyCount,
       reviewCount,
       holdCount,
@@ -132,12 +179,12 @@ export function generateStagingEntry(results, options = {}) {
         matches: results.summary.matches,
         tolerances: results.summary.tolerances,
         exceptions: results.summary.exceptions,
+        qtyShort: results.summary.qtyShort,
+        qtyOver: results.summary.qtyOver,
         exposure: results.summary.exposure,
+        overcharge: results.summary.overcharge,
+        undercharge: results.summary.undercharge,
       },
     },
   };
 }
-
-function round(n) {
-  return Math.round(n * 100) / 100;
-}
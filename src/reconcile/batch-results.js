@@ -0,0 +1,141 @@
+import { formatCurrency, getCurrencyFormat } from "../utils/format.js";
+import { describeTolerancePolicy } from "./tolerance.js";
+
+/* global Excel */
+
+const SHEET_NAME = "Batch Summary";
+
+// Same palette as the Recon sheet (results.js)
+const HEADER_BG = "#1F4E79";
+const HEADER_FG = "#FFFFFF";
+const EXCEPTION_BG = "#FFC7CE";
+const TOLERANCE_BG = "#FFEB9C";
+const MATCH_BG = "#C6EFCE";
+const WARNING_BG = "#F2F2F2";
+
+const VERDICT_BG = {
+  ACCEPT: MATCH_BG,
+  REVIEW: TOLERANCE_BG,
+  ESCALATE: EXCEPTION_BG,
+};
+
+const TABLE_HEADERS = [
+  "PO",
+  "Status",
+  "Lines",
+  "Matches",
+  "Within Tolerance",
+  "Exceptions",
+  "Warnings",
+  "PO Total",
+  "Exposure",
+  "Customer Overpaying",
+  "Customer Underpaying",
+  "Recommendation",
+  "Notes",
+];
+const LAST_COL = String.fromCharCode(64 + TABLE_HEADERS.length); // M
+
+/**
+ * Write the batch summary (summarizeBatch) — one row per PO with its totals,
+ * exposure and recommendation — replacing the previous run's sheet.
+ * `tolerance` is the amount or policy every PO was reconciled with.
+ */
+export async function writeBatchSummarySheet(batch, tolerance) {
+  await Excel.run(async (context) => {
+    const existing = context.workbook.worksheets.getItemOrNullObject(SHEET_NAME);
+    await context.sync();
+    if (!existing.isNullObject) {
+      existing.delete();
+      await context.sync();
+    }
+
+    const sheet = context.workbook.worksheets.add(SHEET_NAME);
+    const t = batch.totals;
+
+    // --- Summary Section (rows 1-11) ---
+    const summaryData = [
+      ["Batch Reconciliation Summary", ""],
+      ["POs", t.failed > 0 ? `${t.reconciled} reconciled, ${t.failed} failed` : t.reconciled],
+      ["Total Line Items", t.lines],
+      ["Exceptions", t.exceptions],
+      ["Total $ Exposure", formatCurrency(t.exposure)],
+      ["Customer Overpaying", formatCurrency(t.overcharge)],
+      ["Customer Underpaying", formatCurrency(t.undercharge)],
+      ["Accept / Review / Escalate", `${t.accept} / ${t.review} / ${t.escalate}`],
+      ["Tolerance Used", describeTolerancePolicy(tolerance)],
+      ["Currency", batch.currency || "—"],
+      ["Timestamp", new Date().toLocaleString()],
+    ];
+
+    sheet.getRange("A1:B11").values = summaryData;
+
+    const summaryTitle = sheet.getRange("A1:B1");
+    summaryTitle.merge();
+    summaryTitle.format.font.bold = true;
+    summaryTitle.format.font.size = 14;
+    summaryTitle.format.font.color = HEADER_BG;
+
+    sheet.getRange("A2:A11").format.font.bold = true;
+
+    const exceptionsRow = sheet.getRange("A4:B4");
+    exceptionsRow.format.font.color = "#A4262C";
+    exceptionsRow.format.font.bold = true;
+
+    // --- Table Section (row 13+) ---
+    const tableStartRow = 13;
+
+    const headerRange = sheet.getRange(`A${tableStartRow}:${LAST_COL}${tableStartRow}`);
+    headerRange.values = [TABLE_HEADERS];
+    headerRange.format.font.bold = true;
+    headerRange.format.font.color = HEADER_FG;
+    headerRange.format.fill.color = HEADER_BG;
+
+    sheet.freezePanes.freezeRows(tableStartRow);
+
+    let lastRow = tableStartRow;
+    if (batch.rows.length > 0) {
+      const dataValues = batch.rows.map((row) => (row.status === "Failed"
+        ? [row.poRef, row.status, "", "", "", "", "", "", "", "", "", "", row.error]
+        : [
+          row.poRef,
+          row.status,
+          row.total,
+          row.matches,
+          row.tolerances,
+          row.exceptions,
+          row.warnings,
+          row.poTotal,
+          row.exposure,
+          row.overcharge,
+          row.undercharge,
+          row.recommendation,
+          row.reason,
+        ]));
+
+      const dataStartRow = tableStartRow + 1;
+      const dataEndRow = dataStartRow + dataValues.length - 1;
+      sheet.getRange(`A${dataStartRow}:${LAST_COL}${dataEndRow}`).values = dataValues;
+      sheet.getRange(`H${dataStartRow}:K${dataEndRow}`).numberFormat = dataValues.map(() => Array(4).fill(getCurrencyFormat()));
+
+      // Colour each PO by its recommendation; failed POs grey
+      for (let i = 0; i < batch.rows.length; i++) {
+        const row = batch.rows[i];
+        const fill = row.status === "Failed" ? WARNING_BG : VERDICT_BG[row.recommendation];
+        if (fill) sheet.getRange(`A${dataStartRow + i}:${LAST_COL}${dataStartRow + i}`).format.fill.color = fill;
+      }
+
+      // Footer row: batch totals
+      const footerRow = dataEndRow + 1;
+      const footerRange = sheet.getRange(`A${footerRow}:${LAST_COL}${footerRow}`);
+      footerRange.values = [["Total", "", t.lines, t.matches, t.tolerances, t.exceptions, t.warnings, t.poTotal, t.exposure, t.overcharge, t.undercharge, "", ""]];
+      footerRange.format.font.bold = true;
+      sheet.getRange(`H${footerRow}:K${footerRow}`).numberFormat = [Array(4).fill(getCurrencyFormat())];
+      lastRow = footerRow;
+    }
+
+    sheet.getRange(`A1:${LAST_COL}${lastRow}`).format.autofitColumns();
+    sheet.activate();
+    await context.sync();
+  });
+}
@@ -0,0 +1,125 @@
+/**
+ * Batch reconciliation — many POs against the one loaded price list, e.g.
+ * the Monday pile of 40 customer POs.
+ *
+ * Each PO is reconciled on its own (reconcile() in the worker, one Recon
+ * sheet each); this module names the POs, picks PO sheets by pattern, and
+ * rolls the per-PO results up into the batch summary (batch-results.js).
+ */
+
+import { recommend } from "./recommend.js";
+import { sumMoney } from "../utils/money.js";
+
+// Recon sheet names keep 20 characters of the PO reference (results.js)
+const REF_LENGTH = 20;
+
+/**
+ * PO references for a batch — file or sheet names without the extension,
+ * made unique in their first REF_LENGTH characters so no PO's Recon sheet
+ * replaces another's.
+ *
+ * @param {string[]} names
+ * @returns {string[]}
+ */
+export function batchRefs(names) {
+  const seen = new Set();
+  return names.map((name) => {
+    const base = String(name).replace(/\.(xlsx|xls|csv|pdf|txt|edi|x12|850|edifact|edf|xml|cxml)$/i, "").trim() || "PO";
+    let ref = base;
+    for (let n = 2; seen.has(key(ref)); n++) {
+      const suffix = ` #${n}`;
+      ref = base.slice(0, REF_LENGTH - suffix.length) + suffix;
+    }
+    seen.add(key(ref));
+    return ref;
+  });
+}
+
+/**
+ * Predicate for sheet names matching a pattern: "PO*", "PO-2026-??", or a
+ * comma-separated list of them. Case-insensitive; * is any run of
+ * characters, ? any one.
+ */
+export function matchSheetPattern(pattern) {
+  const globs = String(pattern || "").split(",").map((p) => p.trim()).filter(Boolean);
+  if (globs.length === 0) throw new Error("Sheet pattern is empty. Use e.g. \"PO*\".");
+
+  const regexes = globs.map((glob) => {
+    const body = glob.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".");
+    return new RegExp(`^${body}$`, "i");
+  });
+  return (name) => regexes.some((re) => re.test(String(name).trim()));
+}
+
+/**
+ * Roll a batch up into one summary row per PO plus batch totals.
+ *
+ * @param {object[]} entries - { poRef, results } for reconciled POs,
+ *   { poRef, error } for POs that could not be read or reconciled
+ * @returns {{ rows: object[], totals: object, currency: string|null, timestamp: string }}
+ *   each row is { poRef, status: "Reconciled" | "Failed", total, matches, tolerances,
+ *   exceptions, warnings, poTotal, exposure, overcharge, undercharge, recommendation, reason, error }
+ */
+export function summarizeBatch(entries) {
+  const reconciled = entries.filter((e) => e.results);
+  const currency = reconciled.length > 0 ? reconciled[0].results.summary.erpCurrency : null;
+
+  const rows = entries.map(({ poRef, results, error }) => {
+    if (!results) {
+      return { poRef, status: "Failed", error: error || "Not reconciled", recommendation: null, reason: error || "" };
+    }
+    const s = results.summary;
+    const verdict = recommend(results);
+    return {
+      poRef,
+      status: "Reconciled",
+      total: s.total,
+      matches: s.matches,
+      tolerances: s.tolerances,
+      exceptions: s.exceptions,
+      warnings: s.warnings,
+      poTotal: sumMoney(results.rows.map((r) => r.lineTotal), s.erpCurrency),
+      exposure: s.exposure,
+      overcharge: s.overcharge,
+      undercharge: s.undercharge,
+      recommendation: verdict.recommendation,
+      reason: verdict.reason,
+      error: null,
+    };
+  });
+
+  const done = rows.filter((r) => r.status === "Reconciled");
+  const sum = (field) => done.reduce((n, r) => n + (r[field] || 0), 0);
+  const money = (field) => sumMoney(done.map((r) => r[field]), currency);
+  const verdicts = (label) => done.filter((r) => r.recommendation === label).length;
+
+  return {
+    rows,
+    totals: {
+      pos: rows.length,
+      reconciled: done.length,
+      failed: rows.length - done.length,
+      lines: sum("total"),
+      matches: sum("matches"),
+      tolerances: sum("tolerances"),
+      exceptions: sum("exceptions"),
+      warnings: sum("warnings"),
+      poTotal: money("poTotal"),
+      exposure: money("exposure"),
+      overcharge: money("overcharge"),
+      undercharge: money("undercharge"),
+      accept: verdicts("ACCEPT"),
+      review: verdicts("REVIEW"),
+      escalate: verdicts("ESCALATE"),
+    },
+    currency,
+    timestamp: new Date().toISOString(),
+  };
+}
+
+// ── Helpers ──
+
+// The part of a reference a sheet name keeps, as results.js cleans it
+function key(ref) {
+  return ref.replace(/[\\/*?\[\]:]/g, "").trim().slice(0, REF_LENGTH).toUpperCase();
+}
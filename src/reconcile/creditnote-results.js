@@ -1,4 +1,5 @@
-import { formatCurrency, getCurrencyFormat } from "../utils/format";
+import { formatCurrency, getCurrencyFormat, getPriceFormat } from "../utils/format.js";
+import { describeTaxCode } from "./tax.js";
 
 /* global Excel */
 
@@ -26,16 +27,20 @@ export async function writeCreditNoteSheet(creditData, poFilename) {
     const sheet = context.workbook.worksheets.add(sheetName);
     const { creditRows, totals } = creditData;
 
-    // --- Summary Section (rows 1-5) ---
+    // --- Summary Section (rows 1-9) ---
     const summaryData = [
       ["Credit Note", ""],
       ["Date", new Date().toLocaleDateString()],
       ["PO Reference", poFilename || "—"],
       ["Total Lines", totals.lineCount],
       ["Total Credit", formatCurrency(totals.totalCredit)],
+      ["VAT", formatCurrency(totals.totalTax)],
+      ["Total Credit inc VAT", formatCurrency(totals.totalGross)],
+      ["Customer Overpaid", formatCurrency(totals.overcharge)],
+      ["Customer Underpaid", formatCurrency(totals.undercharge)],
     ];
 
-    const summaryRange = sheet.getRange("A1:B5");
+    const summaryRange = sheet.getRange("A1:B9");
     summaryRange.values = summaryData;
 
     // Format summary header
@@ -45,19 +50,21 @@ export async function writeCreditNoteSheet(creditData, poFilename) {
     summaryTitle.format.font.size = 14;
     summaryTitle.format.font.color = HEADER_BG;
 
-    const summaryLabels = sheet.getRange("A2:A5");
+    const summaryLabels = sheet.getRange("A2:A9");
     summaryLabels.format.font.bold = true;
 
-    // Highlight total credit row in red
-    const totalCreditRow = sheet.getRange("A5:B5");
-    totalCreditRow.format.font.color = CREDIT_FG;
-    totalCreditRow.format.font.bold = true;
+    // Highlight total credit rows (net, inc VAT) in red
+    for (const row of [5, 7]) {
+      const totalCreditRow = sheet.getRange(`A${row}:B${row}`);
+      totalCreditRow.format.font.color = CREDIT_FG;
+      totalCreditRow.format.font.bold = true;
+    }
 
-    // --- Table Section (row 7+) ---
-    const tableStartRow = 7;
-    const headers = ["SKU", "Product Name", "Qty", "PO Price", "ERP Price", "Diff", "Line Total", "Credit Amount"];
+    // --- Table Section (row 11+) ---
+    const tableStartRow = 11;
+    const headers = ["SKU", "Product Name", "Qty", "Tier", "PO Price", "ERP Price", "Diff", "Line Exposure", "Line Total", "Credit Amount", "Tax Code", "VAT", "Gross Credit"];
 
-    const headerRange = sheet.getRange(`A${tableStartRow}:H${tableStartRow}`);
+    const headerRange = sheet.getRange(`A${tableStartRow}:M${tableStartRow}`);
     headerRange.values = [headers];
     headerRange.format.font.bold = true;
     headerRange.format.font.color = HEADER_FG;
@@ -71,43 +78,53 @@ export async function writeCreditNoteSheet(creditData, poFilename) {
         row.sku,
         row.name,
         row.qty,
+        describeTier(row),
         row.originalPrice,
         row.erpPrice != null ? row.erpPrice : "",
         row.diff != null ? row.diff : "",
+        row.lineExposure != null ? row.lineExposure : "",
         row.lineTotal,
         row.creditAmount,
+        describeTaxCode(row.taxCode, row.taxRate),
+        row.taxAmount,
+        row.grossAmount,
       ]);
 
       const dataStartRow = tableStartRow + 1;
       const dataEndRow = dataStartRow + dataValues.length - 1;
-      const dataRange = sheet.getRange(`A${dataStartRow}:H${dataEndRow}`);
+      const dataRange = sheet.getRange(`A${dataStartRow}:M${dataEndRow}`);
       dataRange.values = dataValues;
 
-      // Currency format for price columns (D, E, F, G, H)
-      for (const col of ["D", "E", "F", "G", "H"]) {
+      // Unit prices keep up to 4 dp (E, F, G); amounts are money (H, I, J, L, M)
+      for (const col of ["E", "F", "G", "H", "I", "J", "L", "M"]) {
         const priceRange = sheet.getRange(`${col}${dataStartRow}:${col}${dataEndRow}`);
-        priceRange.numberFormat = [[getCurrencyFormat()]];
+        priceRange.numberFormat = [[col <= "G" ? getPriceFormat() : getCurrencyFormat()]];
       }
 
-      // Red font for credit amount column (H)
-      const creditCol = sheet.getRange(`H${dataStartRow}:H${dataEndRow}`);
-      creditCol.format.font.color = CREDIT_FG;
+      // Red font for credit amount columns (J, L, M)
+      for (const col of ["J", "L", "M"]) {
+        sheet.getRange(`${col}${dataStartRow}:${col}${dataEndRow}`).format.font.color = CREDIT_FG;
+      }
 
-      // Footer row: total credit
+      // Footer row: total credit, VAT and gross
       const footerRow = dataEndRow + 1;
-      const footerRange = sheet.getRange(`A${footerRow}:H${footerRow}`);
-      footerRange.values = [["", "", "", "", "", "", "Total Credit:", totals.totalCredit]];
+      const footerRange = sheet.getRange(`A${footerRow}:M${footerRow}`);
+      footerRange.values = [["", "", "", "", "", "", "", "", "Total Credit:", totals.totalCredit, "", totals.totalTax, totals.totalGross]];
       footerRange.format.font.bold = true;
 
-      const footerPriceCell = sheet.getRange(`H${footerRow}`);
-      footerPriceCell.numberFormat = [[getCurrencyFormat()]];
-      footerPriceCell.format.font.color = CREDIT_FG;
+      for (const col of ["J", "L", "M"]) {
+        const footerPriceCell = sheet.getRange(`${col}${footerRow}`);
+        footerPriceCell.numberFormat = [[getCurrencyFormat()]];
+        footerPriceCell.format.font.color = CREDIT_FG;
+      }
+
+      const vatEndRow = writeVatSummary(sheet, footerRow + 2, totals.vat);
 
       // Auto-fit columns
-      const fullRange = sheet.getRange(`A1:H${footerRow}`);
+      const fullRange = sheet.getRange(`A1:M${vatEndRow}`);
       fullRange.format.autofitColumns();
     } else {
-      const fullRange = sheet.getRange(`A1:H${tableStartRow}`);
+      const fullRange = sheet.getRange(`A1:M${tableStartRow}`);
       fullRange.format.autofitColumns();
     }
 
@@ -133,16 +150,18 @@ export async function writeReInvoiceSheet(invoiceData, poFilename, exceptionCoun
     const sheet = context.workbook.worksheets.add(sheetName);
     const { invoiceRows, totals } = invoiceData;
 
-    // --- Summary Section (rows 1-5) ---
+    // --- Summary Section (rows 1-7) ---
     const summaryData = [
       ["Corrected Re-Invoice", ""],
       ["Date", new Date().toLocaleDateString()],
       ["PO Reference", poFilename || "—"],
       ["Corrected Total", formatCurrency(totals.totalInvoice)],
+      ["VAT", formatCurrency(totals.totalTax)],
+      ["Corrected Total inc VAT", formatCurrency(totals.totalGross)],
       ["Price Corrections", exceptionCount],
     ];
 
-    const summaryRange = sheet.getRange("A1:B5");
+    const summaryRange = sheet.getRange("A1:B7");
     summaryRange.values = summaryData;
 
     const summaryTitle = sheet.getRange("A1:B1");
@@ -151,14 +170,14 @@ export async function writeReInvoiceSheet(invoiceData, poFilename, exceptionCoun
     summaryTitle.format.font.size = 14;
     summaryTitle.format.font.color = HEADER_BG;
 
-    const summaryLabels = sheet.getRange("A2:A5");
+    const summaryLabels = sheet.getRange("A2:A7");
     summaryLabels.format.font.bold = true;
 
-    // --- Table Section (row 7+) ---
-    const tableStartRow = 7;
-    const headers = ["SKU", "Product Name", "Qty", "Original Price", "Corrected Price", "Diff", "Line Total"];
+    // --- Table Section (row 9+) ---
+    const tableStartRow = 9;
+    const headers = ["SKU", "Product Name", "Qty", "Tier", "Original Price", "Corrected Price", "Diff", "Line Total", "Tax Code", "VAT", "Gross"];
 
-    const headerRange = sheet.getRange(`A${tableStartRow}:G${tableStartRow}`);
+    const headerRange = sheet.getRange(`A${tableStartRow}:K${tableStartRow}`);
     headerRange.values = [headers];
     headerRange.format.font.bold = true;
     headerRange.format.font.color = HEADER_FG;
@@ -171,36 +190,43 @@ export async function writeReInvoiceSheet(invoiceData, poFilename, exceptionCoun
         row.sku,
         row.name,
         row.qty,
+        describeTier(row),
         row.originalPrice != null ? row.originalPrice : "",
         row.correctedPrice,
         row.diff != null ? row.diff : "",
         row.lineTotal,
+        describeTaxCode(row.taxCode, row.taxRate),
+        row.taxAmount,
+        row.grossTotal,
       ]);
 
       const dataStartRow = tableStartRow + 1;
       const dataEndRow = dataStartRow + dataValues.length - 1;
-      const dataRange = sheet.getRange(`A${dataStartRow}:G${dataEndRow}`);
+      const dataRange = sheet.getRange(`A${dataStartRow}:K${dataEndRow}`);
       dataRange.values = dataValues;
 
-      // Currency format for price columns (D, E, F, G)
-      for (const col of ["D", "E", "F", "G"]) {
+      // Unit prices keep up to 4 dp (E, F, G); amounts are money (H, J, K)
+      for (const col of ["E", "F", "G", "H", "J", "K"]) {
         const priceRange = sheet.getRange(`${col}${dataStartRow}:${col}${dataEndRow}`);
-        priceRange.numberFormat = [[getCurrencyFormat()]];
+        priceRange.numberFormat = [[col <= "G" ? getPriceFormat() : getCurrencyFormat()]];
       }
 
-      // Footer row: total invoice
+      // Footer row: total invoice, VAT and gross
       const footerRow = dataEndRow + 1;
-      const footerRange = sheet.getRange(`A${footerRow}:G${footerRow}`);
-      footerRange.values = [["", "", "", "", "", "Total Invoice:", totals.totalInvoice]];
+      const footerRange = sheet.getRange(`A${footerRow}:K${footerRow}`);
+      footerRange.values = [["", "", "", "", "", "", "Total Invoice:", totals.totalInvoice, "", totals.totalTax, totals.totalGross]];
       footerRange.format.font.bold = true;
 
-      const footerPriceCell = sheet.getRange(`G${footerRow}`);
-      footerPriceCell.numberFormat = [[getCurrencyFormat()]];
+      for (const col of ["H", "J", "K"]) {
+        sheet.getRange(`${col}${footerRow}`).numberFormat = [[getCurrencyFormat()]];
+      }
+
+      const vatEndRow = writeVatSummary(sheet, footerRow + 2, totals.vat);
 
-      const fullRange = sheet.getRange(`A1:G${footerRow}`);
+      const fullRange = sheet.getRange(`A1:K${vatEndRow}`);
       fullRange.format.autofitColumns();
     } else {
-      const fullRange = sheet.getRange(`A1:G${tableStartRow}`);
+      const fullRange = sheet.getRange(`A1:K${tableStartRow}`);
       fullRange.format.autofitColumns();
     }
 
@@ -209,6 +235,45 @@ export async function writeReInvoiceSheet(invoiceData, poFilename, exceptionCoun
   });
 }
 
+/**
+ * VAT summary block — net, VAT and gross per rate — starting at `startRow`
+ * in columns A–E. Returns the last row written. Shared with the ERP staging sheet.
+ */
+export function writeVatSummary(sheet, startRow, vat) {
+  sheet.getRange(`A${startRow}`).values = [["VAT Summary"]];
+  sheet.getRange(`A${startRow}`).format.font.bold = true;
+
+  const headerRange = sheet.getRange(`A${startRow + 1}:E${startRow + 1}`);
+  headerRange.values = [["Tax Code", "Rate", "Net", "VAT", "Gross"]];
+  headerRange.format.font.bold = true;
+  headerRange.format.font.color = HEADER_FG;
+  headerRange.format.fill.color = HEADER_BG;
+
+  const values = [
+    ...vat.rates.map((r) => [r.label, `${r.rate ?? 0}%`, r.net, r.tax, r.gross]),
+    ["Total", "", vat.net, vat.tax, vat.gross],
+  ];
+  const firstRow = startRow + 2;
+  const lastRow = firstRow + values.length - 1;
+  sheet.getRange(`A${firstRow}:E${lastRow}`).values = values;
+  sheet.getRange(`C${firstRow}:E${lastRow}`).numberFormat = values.map(() => [getCurrencyFormat(), getCurrencyFormat(), getCurrencyFormat()]);
+  sheet.getRange(`A${lastRow}:E${lastRow}`).format.font.bold = true;
+
+  if (!vat.reverseCharge) return lastRow;
+  sheet.getRange(`A${lastRow + 1}`).values = [["Reverse charge: customer to account for the VAT"]];
+  sheet.getRange(`A${lastRow + 1}`).format.font.italic = true;
+  return lastRow + 1;
+}
+
+/**
+ * Volume break for a line: "100+", or "1–99 → 100+" when the PO applied
+ * the wrong break. Blank for untiered price lists.
+ */
+function describeTier(row) {
+  if (row.poTier && row.tier) return `${row.poTier} → ${row.tier}`;
+  return row.tier || "";
+}
+
 function getSheetName(prefix, poRef) {
   const clean = (poRef || "").replace(/[\\/*?\[\]:]/g, "").trim().slice(0, 20);
   return clean ? `${prefix} ${clean}` : prefix;
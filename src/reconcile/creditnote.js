@@ -2,19 +2,37 @@
  * Credit note and corrected re-invoice generators.
  *
  * Credit notes and re-invoices only cover exception lines —
- * lines where the PO price doesn't match the ERP price.
+ * lines where the PO price doesn't match the ERP price. The three-way
+ * credit note request covers supplier over-billing instead.
+ *
+ * Lines priced from a volume-break list carry `tier` (the break the ERP
+ * price belongs to) and, when the PO applied a different break, `poTier`.
+ *
+ * Amounts are exact decimal (utils/money.js) in the price list's currency, and
+ * line exposure is taken from the Recon rows so the two always agree.
+ *
+ * Line totals are net. Each line also carries its tax code, rate and tax
+ * (taxCode / taxRate from the Recon row, see tax.js), and the totals a VAT
+ * summary per rate, so both documents can go out with tax added.
  */
 
+import { lineAmount, sumMoney } from "../utils/money.js";
+import { taxAmount, summarizeTax } from "./tax.js";
+
 /**
  * Generate credit note data from reconciliation results.
  * Credits only EXCEPTION lines at their original PO prices (negative amounts).
  *
+ * Totals also carry the quantity-weighted price error behind the credit:
+ * overcharge (customer paid above ERP) and undercharge (paid below).
+ *
  * @param {object} results - { summary, rows } from reconcile()
- * @returns {{ creditRows: object[], totals: { lineCount: number, totalCredit: number } }}
+ * @returns {{ creditRows: object[], totals: { lineCount: number, totalCredit: number, overcharge: number, undercharge: number, totalTax: number, totalGross: number, vat: object } }}
+ *   totalCredit is net; vat is summarizeTax() of the credit lines.
  */
 export function generateCreditNote(results) {
+  const ccy = results.summary.erpCurrency;
   const creditRows = [];
-  let totalCredit = 0;
 
   for (const row of results.rows) {
     // Only credit lines with price exceptions
@@ -23,8 +41,10 @@ export function generateCreditNote(results) {
     if (row.poPrice == null) continue;
 
     const qty = row.poQty || 1;
-    const lineTotal = round(row.poPrice * qty);
-    const creditAmount = round(-lineTotal);
+    const lineTotal = lineAmount(row.poPrice, qty, ccy);
+    const creditAmount = -lineTotal || 0; // no -0 on a zero line
+    const lineExposure = row.lineExposure ?? (row.diff != null ? lineAmount(row.diff, qty, ccy) : null);
+    const taxCredit = -taxAmount(lineTotal, row.taxRate, ccy) || 0;
 
     creditRows.push({
       sku: row.sku,
@@ -33,18 +53,31 @@ export function generateCreditNote(results) {
       originalPrice: row.poPrice,
       erpPrice: row.erpPrice,
       diff: row.diff,
+      reason: row.reason || null,
+      tier: row.tier || "",
+      poTier: row.poTier || null,
+      lineExposure,
       lineTotal,
       creditAmount,
+      taxCode: row.taxCode || null,
+      taxRate: row.taxRate ?? null,
+      taxAmount: taxCredit,
+      grossAmount: sumMoney([creditAmount, taxCredit], ccy),
     });
-
-    totalCredit = round(totalCredit + creditAmount);
   }
 
+  const vat = summarizeTax(creditRows.map((r) => ({ taxCode: r.taxCode, taxRate: r.taxRate, net: r.creditAmount, tax: r.taxAmount })), ccy);
+
   return {
     creditRows,
     totals: {
       lineCount: creditRows.length,
-      totalCredit,
+      totalCredit: sumMoney(creditRows.map((r) => r.creditAmount), ccy),
+      overcharge: sumMoney(creditRows.map((r) => (r.lineExposure > 0 ? r.lineExposure : 0)), ccy),
+      undercharge: sumMoney(creditRows.map((r) => (r.lineExposure < 0 ? -r.lineExposure : 0)), ccy),
+      totalTax: vat.tax,
+      totalGross: vat.gross,
+      vat,
     },
   };
 }
@@ -54,11 +87,12 @@ export function generateCreditNote(results) {
  * Only includes exception lines, re-invoiced at correct ERP prices.
  *
  * @param {object} results - { summary, rows } from reconcile()
- * @returns {{ invoiceRows: object[], totals: { lineCount: number, totalInvoice: number } }}
+ * @returns {{ invoiceRows: object[], totals: { lineCount: number, totalInvoice: number, totalTax: number, totalGross: number, vat: object } }}
+ *   totalInvoice is net; vat is summarizeTax() of the invoice lines.
  */
 export function generateCorrectedInvoice(results) {
+  const ccy = results.summary.erpCurrency;
   const invoiceRows = [];
-  let totalInvoice = 0;
 
   for (const row of results.rows) {
     // Only re-invoice lines with price exceptions
@@ -67,7 +101,8 @@ export function generateCorrectedInvoice(results) {
 
     const qty = row.poQty || 1;
     const correctedPrice = row.erpPrice;
-    const lineTotal = round(correctedPrice * qty);
+    const lineTotal = lineAmount(correctedPrice, qty, ccy);
+    const tax = taxAmount(lineTotal, row.taxRate, ccy);
 
     invoiceRows.push({
       sku: row.sku,
@@ -77,20 +112,87 @@ export function generateCorrectedInvoice(results) {
       correctedPrice,
       lineTotal,
       diff: row.diff,
+      reason: row.reason || null,
+      tier: row.tier || "",
+      poTier: row.poTier || null,
+      taxCode: row.taxCode || null,
+      taxRate: row.taxRate ?? null,
+      taxAmount: tax,
+      grossTotal: sumMoney([lineTotal, tax], ccy),
     });
-
-    totalInvoice = round(totalInvoice + lineTotal);
   }
 
+  const vat = summarizeTax(invoiceRows.map((r) => ({ taxCode: r.taxCode, taxRate: r.taxRate, net: r.lineTotal, tax: r.taxAmount })), ccy);
+
   return {
     invoiceRows,
     totals: {
       lineCount: invoiceRows.length,
-      totalInvoice,
+      totalInvoice: sumMoney(invoiceRows.map((r) => r.lineTotal), ccy),
+      totalTax: vat.tax,
+      totalGross: vat.gross,
+      vat,
     },
   };
 }
 
-function round(n) {
-  return Math.round(n * 100) / 100;
+/**
+ * Generate a credit note request for over-billing from a three-way match
+ * (reconcileThreeWay in threeway.js): every line invoiced above what was
+ * received at the PO price, plus invoice lines not on the PO. Lines with
+ * nothing received yet are held, not credited, so they are left off.
+ *
+ * @param {object} results - { summary, rows } from reconcileThreeWay()
+ * @returns {{ creditRows: object[], totals: { lineCount: number, totalCredit: number, qtyOverBilled: number, priceOverBilled: number, totalTax: number, totalGross: number, vat: object } }}
+ *   totalCredit is net; vat is summarizeTax() of the credit lines.
+ */
+export function generateThreeWayCreditNote(results) {
+  const ccy = results.summary.currency;
+  const creditRows = [];
+
+  for (const row of results.rows) {
+    if (!(row.overBilled > 0)) continue;
+
+    const creditAmount = -row.overBilled;
+    const taxCredit = -taxAmount(row.overBilled, row.taxRate, ccy) || 0;
+    // Over-billing beyond the extra quantity is the price difference
+    const qtyOverBilled = row.qtyOverBilled || 0;
+    const priceOverBilled = sumMoney([row.overBilled, -qtyOverBilled], ccy);
+
+    creditRows.push({
+      line: row.line || "",
+      sku: row.sku,
+      name: row.name || "",
+      reason: row.status,
+      poQty: row.poQty,
+      receivedQty: row.receivedQty ?? 0,
+      invoicedQty: row.invoicedQty,
+      poPrice: row.poPrice,
+      invoicePrice: row.invoicePrice,
+      invoiceAmount: row.invoiceAmount,
+      payable: row.payable,
+      qtyOverBilled,
+      priceOverBilled,
+      creditAmount,
+      taxCode: row.taxCode || null,
+      taxRate: row.taxRate ?? null,
+      taxAmount: taxCredit,
+      grossAmount: sumMoney([creditAmount, taxCredit], ccy),
+    });
+  }
+
+  const vat = summarizeTax(creditRows.map((r) => ({ taxCode: r.taxCode, taxRate: r.taxRate, net: r.creditAmount, tax: r.taxAmount })), ccy);
+
+  return {
+    creditRows,
+    totals: {
+      lineCount: creditRows.length,
+      totalCredit: sumMoney(creditRows.map((r) => r.creditAmount), ccy),
+      qtyOverBilled: sumMoney(creditRows.map((r) => r.qtyOverBilled), ccy),
+      priceOverBilled: sumMoney(creditRows.map((r) => r.priceOverBilled), ccy),
+      totalTax: vat.tax,
+      totalGross: vat.gross,
+      vat,
+    },
+  };
 }
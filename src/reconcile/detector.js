@@ -16,6 +16,7 @@ const SKU_ALIASES = [
 const PRICE_ALIASES = [
   "price",
   "unit price",
+  "list price",
   "cost",
   "amount",
   "unit cost",
@@ -48,20 +49,219 @@ const QTY_ALIASES = [
   "ea",
 ];
 
+const CATEGORY_ALIASES = [
+  "category",
+  "product category",
+  "product group",
+  "item group",
+  "item category",
+  "product family",
+  "family",
+  "commodity",
+];
+
+// ATP / stock-on-hand — kept free of bare "qty"/"stock" so "Qty" and "Stock Code"
+// headers aren't mistaken for stock columns
+const STOCK_ALIASES = [
+  "atp",
+  "available to promise",
+  "available",
+  "in stock",
+  "on hand",
+  "stock on hand",
+  "stock level",
+  "free stock",
+];
+
+// Unit of measure — no bare "unit", which would catch "Unit Price" / "Unit Cost",
+// and no "pack size" / "case size", which hold a count (12), not a unit.
+// Matched without the loose third pass so "Size" or "Price" headers can't qualify.
+const UOM_ALIASES = [
+  "uom",
+  "unit of measure",
+  "u/m",
+];
+
+// Price-list validity window — no bare "from"/"to"/"date", and matched without
+// the loose pass so a PO's "Date" or "Delivery Date" column can't qualify
+const VALID_FROM_ALIASES = [
+  "valid from",
+  "effective from",
+  "effective date",
+  "start date",
+  "date from",
+  "from date",
+  "price from",
+];
+
+const VALID_TO_ALIASES = [
+  "valid to",
+  "valid until",
+  "valid till",
+  "effective to",
+  "end date",
+  "date to",
+  "to date",
+  "expiry date",
+  "expiry",
+  "expires",
+];
+
+// Volume break — the smallest quantity a price row applies to. No "moq": a
+// minimum order quantity limits what can be ordered, it doesn't price a tier.
+const MIN_QTY_ALIASES = [
+  "min qty",
+  "minimum qty",
+  "min quantity",
+  "minimum quantity",
+  "min order qty",
+  "break qty",
+  "qty break",
+  "price break",
+  "from qty",
+  "qty from",
+  "tier qty",
+];
+
+// Discount % off the list price
+const DISCOUNT_ALIASES = [
+  "discount %",
+  "discount",
+  "disc %",
+  "disc",
+  "customer discount",
+  "discount pct",
+  "discount percent",
+  "% off",
+];
+
+const LIST_PRICE_ALIASES = [
+  "list price",
+  "unit price",
+  "gross price",
+  "catalogue price",
+  "catalog price",
+  "base price",
+  "rrp",
+  "price",
+];
+
+// Price after discount — kept out of `price` when a list price is also present
+const NET_PRICE_ALIASES = [
+  "net price",
+  "net unit price",
+  "nett price",
+  "net cost",
+  "net unit cost",
+  "price after discount",
+  "discounted price",
+];
+
+// Currency code per line — no bare "curr", which would catch "Current Price"
+const CURRENCY_ALIASES = [
+  "currency",
+  "currency code",
+  "ccy",
+  "cur code",
+];
+
+// Deal / promotion code quoted on a PO line
+const DEAL_ALIASES = [
+  "deal code",
+  "promo code",
+  "promotion code",
+  "deal ref",
+  "deal reference",
+  "offer code",
+  "deal",
+  "promo",
+];
+
+// The customer's own item number alongside the supplier's SKU (EDI / XML
+// orders), looked up in the SKU cross-reference
+const BUYER_SKU_ALIASES = [
+  "buyer item",
+  "buyer part",
+  "buyer part id",
+  "buyer sku",
+  "customer item",
+  "customer part",
+  "customer sku",
+];
+
+// PO line reference on goods receipts and invoices — matched without the loose
+// pass so "Line Total" / "Line Amount" can't qualify
+const LINE_ALIASES = [
+  "po line",
+  "po line no",
+  "po line number",
+  "line no",
+  "line number",
+  "line #",
+  "line",
+];
+
 /**
- * Auto-detect SKU, Price, and optional Name columns from headers.
- * Returns { sku: string|null, price: string|null, name: string|null }
+ * Auto-detect SKU, Price, and optional Name/Qty/Category/Stock/UOM/validity/break/discount/currency/deal/buyer SKU
+ * columns from headers.
+ * Returns { sku, price, name, qty, category, stock, uom, validFrom, validTo, minQty, discount, netPrice, currency, dealCode, buyerSku }
+ * — each string|null. With a discount or net price column, `price` is the list price.
  */
 export function detectColumns(headers) {
+  const stock = findColumn(headers, STOCK_ALIASES);
+  const minQty = findColumn(headers, MIN_QTY_ALIASES, { loose: false });
+  // "Min Qty" / "Price Break" contain "qty" / "price" — never read a break column as either
+  const others = headers.filter((h) => h !== minQty);
+  const qty = findColumn(others, QTY_ALIASES);
+  const { price, netPrice } = detectPriceColumns(others);
+  const sku = findColumn(headers, SKU_ALIASES);
+
   return {
-    sku: findColumn(headers, SKU_ALIASES),
-    price: findColumn(headers, PRICE_ALIASES),
+    sku,
+    price,
     name: findColumn(headers, NAME_ALIASES),
-    qty: findColumn(headers, QTY_ALIASES),
+    qty: qty !== stock ? qty : null,
+    category: findColumn(headers, CATEGORY_ALIASES),
+    stock,
+    uom: findColumn(headers, UOM_ALIASES, { loose: false }),
+    validFrom: findColumn(headers, VALID_FROM_ALIASES, { loose: false }),
+    validTo: findColumn(headers, VALID_TO_ALIASES, { loose: false }),
+    minQty,
+    discount: findColumn(headers, DISCOUNT_ALIASES, { loose: false }),
+    netPrice,
+    currency: findColumn(headers, CURRENCY_ALIASES, { loose: false }),
+    // "Promo Price" / "Deal % Off" are prices, not codes
+    dealCode: findColumn(headers.filter((h) => !/price|%|off|discount|amount/i.test(h)), DEAL_ALIASES, { loose: false }),
+    // Only alongside a separate SKU column — a lone "Customer SKU" is the SKU
+    buyerSku: findColumn(headers.filter((h) => h !== sku), BUYER_SKU_ALIASES, { loose: false }),
   };
 }
 
-function findColumn(headers, aliases) {
+/**
+ * PO line reference column ("PO Line", "Line No"), or null. Kept out of
+ * detectColumns() — only three-way matching (threeway.js) keys on it.
+ */
+export function detectLineColumn(headers) {
+  const others = headers.filter((h) => !/total|amount|value|price|discount|desc/i.test(h));
+  return findColumn(others, LINE_ALIASES, { loose: false });
+}
+
+/**
+ * Split list and net price columns. The list price is looked for among unit
+ * price headers only — "Ext Price" / "Amount" are line totals, not list prices.
+ * A lone net price column is returned as both price and netPrice, so callers
+ * know no list price (and no discount) applies.
+ */
+function detectPriceColumns(headers) {
+  const netPrice = findColumn(headers, NET_PRICE_ALIASES, { loose: false });
+  if (!netPrice) return { price: findColumn(headers, PRICE_ALIASES), netPrice: null };
+
+  const unitHeaders = headers.filter((h) => h !== netPrice && !/ext|total|amount|value/i.test(h));
+  const list = findColumn(unitHeaders, LIST_PRICE_ALIASES, { loose: false });
+  return { price: list || netPrice, netPrice };
+}
+
+function findColumn(headers, aliases, { loose = true } = {}) {
   const normalized = headers.map((h) => h.toLowerCase().trim());
 
   // Exact match first
@@ -76,6 +276,8 @@ function findColumn(headers, aliases) {
     if (idx !== -1) return headers[idx];
   }
 
+  if (!loose) return null;
+
   // Partial match (alias contains header) — for short headers like "sku"
   for (const alias of aliases) {
     const idx = normalized.findIndex((h) => alias.includes(h) && h.length >= 3);
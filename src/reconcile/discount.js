@@ -0,0 +1,99 @@
+/**
+ * List-price-minus-discount pricing.
+ *
+ * POs and ERP exports often give a list price plus a discount % (and
+ * sometimes the resulting net price) instead of one price column.
+ * reconcile() compares net unit prices, and uses the list / discount
+ * split on both sides to say which half of the price is wrong.
+ */
+
+import { parseNumber, parsePercent } from "../utils/format.js";
+import { roundTo, roundPrice, percentOf, subtract, samePrice, PRICE_DECIMALS } from "../utils/money.js";
+
+/**
+ * True when a file's discount column holds fractions (0.125 for 12.5%):
+ * every bare number in it is between 0 and 1, and one is above 0. Decided
+ * for the whole column so that a 0.5% discount next to a 10% one still
+ * reads as 0.5%; values with a % sign are percentages either way.
+ *
+ * @param {object} data - Parsed file ({ rows })
+ * @param {object} columns - detectColumns() result
+ */
+export function discountFractions(data, columns) {
+  if (!columns.discount) return false;
+  const bare = data.rows
+    .map((row) => row[columns.discount])
+    .filter((v) => v != null && v !== "" && !String(v).includes("%"))
+    .map(parseNumber)
+    .filter((n) => n !== null);
+  return bare.some((n) => n > 0) && bare.every((n) => n >= 0 && n <= 1);
+}
+
+/**
+ * Read one line's price columns into { price, listPrice, discount }.
+ * `price` is the net unit price: the net column when there is one, else
+ * list × (1 − discount). listPrice / discount are null when the file only
+ * has a single price column (a lone net price column included — detectColumns
+ * then returns it as both `price` and `netPrice`).
+ *
+ * @param {object} row - Parsed row keyed by header
+ * @param {object} columns - detectColumns() result (price, discount, netPrice)
+ * @param {boolean} [fractions] - discountFractions() for the row's file
+ */
+export function readNetPrice(row, columns, fractions = false) {
+  const list = parseNumber(row[columns.price]);
+  const discount = columns.discount ? parsePercent(row[columns.discount], fractions) : null;
+  const net = columns.netPrice ? parseNumber(row[columns.netPrice]) : null;
+
+  if ((!columns.discount && !columns.netPrice) || columns.netPrice === columns.price) {
+    return { price: list, listPrice: null, discount: null };
+  }
+  if (net !== null) {
+    // Net given — derive the discount when the file doesn't state it
+    const derived = discount ?? (list ? roundTo((1 - net / list) * 100, 2) : null);
+    return { price: net, listPrice: list, discount: derived };
+  }
+  if (list === null) {
+    return { price: null, listPrice: null, discount };
+  }
+  return { price: percentOf(list, subtract(100, discount || 0, 6), PRICE_DECIMALS), listPrice: list, discount: discount || 0 };
+}
+
+/**
+ * Attribute a net price difference to the list price, the discount, or both.
+ * Each side is { price, listPrice, discount } with prices in the same unit.
+ * A side without a list / discount split counts as list = net, no discount.
+ *
+ * @returns {"Wrong discount" | "Wrong list price" | "Wrong list price and discount" | null}
+ *   null when neither side has a discount split to compare.
+ */
+export function attributePriceDiff(po, erp) {
+  if (po.listPrice == null && erp.listPrice == null) return null;
+
+  const poList = po.listPrice ?? po.price;
+  const erpList = erp.listPrice ?? erp.price;
+  const listDiffers = !samePrice(poList, erpList);
+  const discountDiffers = Math.abs((po.discount || 0) - (erp.discount || 0)) >= 0.005;
+
+  if (listDiffers && discountDiffers) return "Wrong list price and discount";
+  if (listDiffers) return "Wrong list price";
+  if (discountDiffers) return "Wrong discount";
+  return null;
+}
+
+/**
+ * Action text for an attributed difference, e.g.
+ * "Review discount — PO 10% vs ERP 15%" or "Review list price — PO 10.00 vs ERP 10.0125".
+ */
+export function explainPriceDiff(reason, po, erp) {
+  const discounts = `PO ${po.discount || 0}% vs ERP ${erp.discount || 0}%`;
+  const lists = `PO ${showPrice(po.listPrice ?? po.price)} vs ERP ${showPrice(erp.listPrice ?? erp.price)}`;
+  if (reason === "Wrong discount") return `Review discount — ${discounts}`;
+  if (reason === "Wrong list price") return `Review list price — ${lists}`;
+  return `Review list price and discount — list ${lists}, discount ${discounts}`;
+}
+
+// A unit price as getPriceFormat shows it: two decimals, up to PRICE_DECIMALS
+function showPrice(value) {
+  return roundPrice(value).toFixed(PRICE_DECIMALS).replace(/(\.\d\d\d*?)0+$/, "$1");
+}
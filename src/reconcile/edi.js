@@ -0,0 +1,460 @@
+/**
+ * EDI purchase orders — ANSI X12 850 and UN/EDIFACT ORDERS messages, as
+ * larger retail customers send them.
+ *
+ * Both are read into the same { headers, rows, totals } table parseFile()
+ * returns for spreadsheets: one row per PO line (X12 PO1, EDIFACT LIN group),
+ * with the order header — PO number, order date, buyer, delivery date,
+ * currency — repeated on every row, so extractPOData() and detectColumns()
+ * pick it up like the columns of any other PO:
+ *
+ *   PO Line | SKU | Buyer Item | GTIN | Product Name | Qty | UOM | Unit Price |
+ *   Line Total | PO Number | PO Date | Delivery Date | Buyer | Ship To | Currency
+ *
+ * Columns no line fills are left out. SKU is the supplier's own item number
+ * (X12 VP / VN, EDIFACT SA) when the buyer sends it, else the buyer's item
+ * number or the GTIN; the buyer's number is kept as Buyer Item for the SKU
+ * cross-reference (see reconcile()). Stated totals (X12 CTT / AMT, EDIFACT
+ * CNT / MOA) become `totals`, as readDocumentTotals() returns them, for the
+ * PO totals check.
+ */
+
+import { readDocumentTotals } from "./totals.js";
+import { parseDate } from "../utils/date.js";
+import { divide, PRICE_DECIMALS } from "../utils/money.js";
+
+const HEADERS = [
+  "PO Line",
+  "SKU",
+  "Buyer Item",
+  "GTIN",
+  "Product Name",
+  "Qty",
+  "UOM",
+  "Unit Price",
+  "Line Total",
+  "PO Number",
+  "PO Date",
+  "Delivery Date",
+  "Buyer",
+  "Ship To",
+  "Currency",
+];
+// Kept even when empty, so detection and its error messages see them
+const REQUIRED_HEADERS = ["SKU", "Qty", "Unit Price"];
+
+// Product ID qualifiers — X12 235 and EDIFACT 7143 — by whose number it is
+const ITEM_QUALIFIERS = {
+  supplier: ["VP", "VN", "SA", "MG", "MF"],
+  buyer: ["BP", "IN", "SK", "CB"],
+  gtin: ["UP", "UK", "UA", "EN", "SRV"],
+};
+
+// Party qualifiers for the customer, most specific first: buyer, bill-to, ship-to
+const X12_PARTIES = ["BY", "BT", "ST"];
+const EDIFACT_PARTIES = ["BY", "IV", "DP"];
+
+// Delivery / ship dates (X12 374, EDIFACT 2005); the earliest given is used
+const X12_DELIVERY_DATES = ["002", "010", "017", "037", "038", "063", "064", "106"];
+const EDIFACT_DELIVERY_DATES = ["2", "10", "17", "63", "64", "69"];
+const X12_ORDER_DATES = ["004"];
+const EDIFACT_ORDER_DATES = ["137", "4"];
+
+/**
+ * True when text is an X12 or EDIFACT interchange rather than a CSV — used
+ * to route .txt / .csv downloads that are really EDI.
+ */
+export function isEdi(text) {
+  return detectSyntax(text) !== null;
+}
+
+/**
+ * Parse an X12 850 or EDIFACT ORDERS message into a PO table. Throws when
+ * the text is neither, is another message type, or holds no PO lines.
+ *
+ * @param {string} text
+ * @returns {{ headers: string[], rows: Record<string, string>[], totals: object|null, autoDetected: boolean, format: string }}
+ */
+export function parseEdi(text) {
+  switch (detectSyntax(text)) {
+    case "x12":
+      return parseX12(text);
+    case "edifact":
+      return parseEdifact(text);
+    default:
+      throw new Error("Not an EDI purchase order. Expected an X12 850 (starting ISA or ST) or an EDIFACT ORDERS message (starting UNA, UNB or UNH).");
+  }
+}
+
+/**
+ * Parse an ANSI X12 850 purchase order. Separators are read from the ISA
+ * envelope when there is one, else "*" and "~" (or one segment per line).
+ */
+export function parseX12(text) {
+  const orders = [];
+  let order = null;
+  let line = null;
+
+  for (const el of splitX12(text)) {
+    const tag = el[0];
+    if (tag === "ST") {
+      if (el[1] !== "850") throw new Error(`EDI file is an X12 ${el[1] || "?"}, not an 850 purchase order.`);
+      order = newOrder();
+      orders.push(order);
+      line = null;
+      continue;
+    }
+    if (!order) continue;
+
+    switch (tag) {
+      case "BEG":
+        order.poNumber = el[3] || "";
+        order.poDate = ediDate(el[5]);
+        break;
+      case "CUR":
+        order.currency = el[2] || order.currency;
+        break;
+      case "N1":
+        addParty(order, el[1], el[2]);
+        break;
+      case "DTM":
+        addDate(order, line, el[1], ediDate(el[2]), X12_DELIVERY_DATES, X12_ORDER_DATES);
+        break;
+      case "PO1":
+        line = newLine(el[1]);
+        line.qty = el[2] || "";
+        line.uom = el[3] || "";
+        line.price = el[4] || "";
+        for (let i = 6; i < el.length - 1; i += 2) addItemId(line, el[i], el[i + 1]);
+        order.lines.push(line);
+        break;
+      case "PID":
+        if (line && !line.name) line.name = el[5] || "";
+        break;
+      case "CTT":
+        order.totals.lineCount = el[1];
+        line = null;
+        break;
+      case "AMT":
+        if (el[1] === "TT") order.totals.total = el[2];
+        break;
+      case "SE":
+        order = null;
+        line = null;
+        break;
+      default:
+        break;
+    }
+  }
+
+  return toTable(orders, "X12 850", "PO1");
+}
+
+/**
+ * Parse a UN/EDIFACT ORDERS message. Separators are read from the UNA
+ * service string advice when there is one, else the defaults (: + ? ').
+ */
+export function parseEdifact(text) {
+  const orders = [];
+  let order = null;
+  let line = null;
+  let summary = false;
+
+  for (const el of splitEdifact(text)) {
+    const tag = el[0][0];
+    const first = (i) => (el[i] ? el[i][0] || "" : "");
+    if (tag === "UNH") {
+      const type = el[2] ? el[2][0] : "";
+      if (type !== "ORDERS") throw new Error(`EDI file is an EDIFACT ${type || "?"} message, not ORDERS.`);
+      order = newOrder();
+      orders.push(order);
+      line = null;
+      summary = false;
+      continue;
+    }
+    if (!order) continue;
+
+    switch (tag) {
+      case "BGM":
+        order.poNumber = first(2);
+        break;
+      case "CUX":
+        order.currency = (el[1] && el[1][1]) || order.currency;
+        break;
+      case "NAD": {
+        const name = [el[4], el[3]].map((c) => (c || []).filter(Boolean).join(" ")).find(Boolean);
+        addParty(order, first(1), name || first(2));
+        break;
+      }
+      case "DTM": {
+        const [qualifier, value, format] = el[1] || [];
+        addDate(order, line, qualifier, ediDate(value, format), EDIFACT_DELIVERY_DATES, EDIFACT_ORDER_DATES);
+        break;
+      }
+      case "LIN":
+        line = newLine(first(1));
+        if (el[3]) addItemId(line, el[3][1], el[3][0]);
+        order.lines.push(line);
+        break;
+      case "PIA":
+        if (line) el.slice(2).forEach((c) => addItemId(line, c[1], c[0]));
+        break;
+      case "IMD":
+        if (line && !line.name && el[3]) line.name = el[3].slice(3).filter(Boolean).join(" ");
+        break;
+      case "QTY": {
+        const [qualifier, qty, unit] = el[1] || [];
+        if (line && (qualifier === "21" || (qualifier === "1" && !line.qty))) {
+          line.qty = edifactNumber(qty);
+          line.uom = unit || line.uom;
+        }
+        break;
+      }
+      case "PRI": {
+        // Net (AAA) wins over gross (AAB); a price per 10 or per 100 is brought to per unit
+        const [qualifier, price, , , basis] = el[1] || [];
+        if (line && (qualifier === "AAA" || (qualifier === "AAB" && !line.netPrice))) {
+          const unitPrice = basis && Number(edifactNumber(basis)) > 1
+            ? String(divide(edifactNumber(price), edifactNumber(basis), PRICE_DECIMALS))
+            : edifactNumber(price);
+          line.price = unitPrice;
+          line.netPrice = qualifier === "AAA";
+        }
+        break;
+      }
+      case "MOA": {
+        const [qualifier, amount] = el[1] || [];
+        if (!summary && line && qualifier === "203") line.lineTotal = edifactNumber(amount);
+        if (summary && qualifier === "79") order.totals.subtotal = edifactNumber(amount);
+        if (summary && ["86", "128", "39"].includes(qualifier) && !order.totals.total) order.totals.total = edifactNumber(amount);
+        if (summary && ["124", "176"].includes(qualifier)) order.totals.tax = edifactNumber(amount);
+        break;
+      }
+      case "UNS":
+        summary = true;
+        line = null;
+        break;
+      case "CNT":
+        if (el[1] && el[1][0] === "2") order.totals.lineCount = edifactNumber(el[1][1]);
+        break;
+      case "UNT":
+        order = null;
+        line = null;
+        break;
+      default:
+        break;
+    }
+  }
+
+  return toTable(orders, "EDIFACT ORDERS", "LIN");
+}
+
+/**
+ * An order as the PO table parseFile() returns — shared with orderxml.js.
+ *
+ * @param {object} order - { format, poNumber, poDate, deliveryDate, currency, buyer,
+ *   shipTo, lines, totals }; each line { number, supplierItem, buyerItem, gtin, name,
+ *   qty, uom, price, lineTotal, deliveryDate }, and totals { lineCount, subtotal,
+ *   freight, tax, total } as stated on the order
+ * @param {string} lineLabel - what a line is called in the format, for the error
+ *   when there are none ("PO1 segments")
+ */
+export function orderTable(order, lineLabel) {
+  if (order.lines.length === 0) {
+    throw new Error(`${order.poNumber ? `Purchase order ${order.poNumber}` : "The purchase order"} has no line items (${lineLabel}).`);
+  }
+
+  const rows = order.lines.map((line) => ({
+    "PO Line": line.number || "",
+    SKU: line.supplierItem || line.buyerItem || line.gtin || "",
+    "Buyer Item": line.buyerItem || "",
+    GTIN: line.gtin || "",
+    "Product Name": line.name || "",
+    Qty: line.qty || "",
+    UOM: line.uom || "",
+    "Unit Price": line.price || "",
+    "Line Total": line.lineTotal || "",
+    "PO Number": order.poNumber || "",
+    "PO Date": order.poDate || "",
+    "Delivery Date": line.deliveryDate || order.deliveryDate || "",
+    Buyer: order.buyer || "",
+    "Ship To": order.shipTo || "",
+    Currency: order.currency || "",
+  }));
+
+  const headers = HEADERS.filter((h) => REQUIRED_HEADERS.includes(h) || rows.some((row) => row[h] !== ""));
+  const totals = order.totals || {};
+  const stated = [
+    ["Total Lines", totals.lineCount],
+    ["Subtotal", totals.subtotal],
+    ["Freight", totals.freight],
+    ["VAT", totals.tax],
+    ["Total", totals.total],
+  ].filter(([, value]) => value != null && value !== "");
+
+  return {
+    headers,
+    rows: rows.map((row) => Object.fromEntries(headers.map((h) => [h, row[h]]))),
+    autoDetected: true,
+    totals: readDocumentTotals(stated),
+    format: order.format,
+  };
+}
+
+// ── Helpers ──
+
+function detectSyntax(text) {
+  const body = String(text ?? "").replace(/^\uFEFF/, "").trimStart();
+  if (/^(ISA|GS|ST)[^A-Za-z0-9\s]/.test(body)) return "x12";
+  if (/^(UNA|UNB|UNH)[^A-Za-z0-9\s]/.test(body)) return "edifact";
+  return null;
+}
+
+function newOrder() {
+  return { poNumber: "", poDate: null, deliveryDate: null, currency: "", parties: {}, lines: [], totals: {} };
+}
+
+function newLine(number) {
+  return { number: number || "", ids: {}, name: "", qty: "", uom: "", price: "", netPrice: false, lineTotal: "", deliveryDate: null };
+}
+
+function addItemId(line, qualifier, id) {
+  if (!qualifier || !id) return;
+  const code = String(qualifier).trim().toUpperCase();
+  for (const [owner, qualifiers] of Object.entries(ITEM_QUALIFIERS)) {
+    const rank = qualifiers.indexOf(code);
+    if (rank === -1) continue;
+    // Keep the most preferred qualifier of each kind
+    const current = line.ids[owner];
+    if (!current || rank < current.rank) line.ids[owner] = { id: String(id).trim(), rank };
+  }
+}
+
+function addParty(order, qualifier, name) {
+  if (qualifier && name && !order.parties[qualifier]) order.parties[qualifier] = String(name).trim();
+}
+
+// A delivery date inside a line is that line's; in the header it's every line's. Earliest wins.
+function addDate(order, line, qualifier, date, deliveryQualifiers, orderQualifiers) {
+  if (!date) return;
+  if (deliveryQualifiers.includes(qualifier)) {
+    const target = line || order;
+    if (!target.deliveryDate || date < target.deliveryDate) target.deliveryDate = date;
+  } else if (orderQualifiers.includes(qualifier) && !line && !order.poDate) {
+    order.poDate = date;
+  }
+}
+
+// CCYYMMDD (X12, EDIFACT 102 / 203 / 204 / 718) or YYMMDD (older X12, EDIFACT 101)
+function ediDate(value, format) {
+  const digits = String(value ?? "").trim();
+  if (format === "101" || /^\d{6}$/.test(digits)) {
+    return parseDate(`20${digits.slice(0, 2)}-${digits.slice(2, 4)}-${digits.slice(4, 6)}`);
+  }
+  return /^\d{8}/.test(digits) ? parseDate(digits.slice(0, 8)) : null;
+}
+
+// EDIFACT allows a decimal comma; it has no thousands separator to confuse it with
+function edifactNumber(value) {
+  return String(value ?? "").trim().replace(",", ".");
+}
+
+/**
+ * The one order in an interchange, with its parties resolved to buyer and
+ * ship-to. An interchange carrying several POs is refused rather than run
+ * together as one.
+ */
+function toTable(orders, format, lineSegment) {
+  if (orders.length === 0) {
+    throw new Error(`No ${format} purchase order found in the EDI file.`);
+  }
+  if (orders.length > 1) {
+    const refs = orders.map((o) => o.poNumber || "?").join(", ");
+    throw new Error(`EDI file holds ${orders.length} purchase orders (${refs}). Split it into one file per PO and upload them together to reconcile them as a batch.`);
+  }
+
+  const order = orders[0];
+  const [buyerParties, shipToParty] = format === "X12 850" ? [X12_PARTIES, "ST"] : [EDIFACT_PARTIES, "DP"];
+  const buyerQualifier = buyerParties.find((q) => order.parties[q]);
+
+  return orderTable({
+    ...order,
+    format,
+    buyer: buyerQualifier ? order.parties[buyerQualifier] : "",
+    shipTo: order.parties[shipToParty] || "",
+    lines: order.lines.map((line) => ({
+      ...line,
+      supplierItem: line.ids.supplier ? line.ids.supplier.id : "",
+      buyerItem: line.ids.buyer ? line.ids.buyer.id : "",
+      gtin: line.ids.gtin ? line.ids.gtin.id : "",
+    })),
+  }, `${lineSegment} segments`);
+}
+
+/**
+ * X12 segments as arrays of elements. The ISA envelope is fixed at 16
+ * elements, so the character after its last element is the component
+ * separator and the one after that the segment terminator.
+ */
+function splitX12(text) {
+  const body = String(text).replace(/^\uFEFF/, "").trim();
+  let element = "*";
+  let segment = body.includes("~") ? "~" : "\n";
+
+  if (body.startsWith("ISA")) {
+    element = body[3];
+    let at = 3;
+    for (let n = 1; n < 16 && at !== -1; n++) at = body.indexOf(element, at + 1);
+    if (at !== -1 && body.length > at + 2) segment = body[at + 2];
+  }
+
+  return body
+    .split(segment === "\n" || segment === "\r" ? /\r\n?|\n/ : segment)
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((s) => s.split(element).map((e) => e.trim()));
+}
+
+/**
+ * EDIFACT segments as arrays of elements, each an array of components,
+ * honouring the release character (?+ is a literal "+").
+ */
+function splitEdifact(text) {
+  let body = String(text).replace(/^\uFEFF/, "").trim();
+  let component = ":";
+  let element = "+";
+  let release = "?";
+  let terminator = "'";
+
+  if (body.startsWith("UNA")) {
+    component = body[3];
+    element = body[4];
+    release = body[6];
+    terminator = body[8];
+    body = body.slice(9);
+  }
+
+  const segments = [];
+  let elements = [[""]];
+  const current = () => elements[elements.length - 1];
+  for (let i = 0; i < body.length; i++) {
+    const ch = body[i];
+    if (ch === release && i + 1 < body.length) {
+      current()[current().length - 1] += body[++i];
+    } else if (ch === terminator) {
+      segments.push(elements);
+      elements = [[""]];
+    } else if (ch === element) {
+      elements.push([""]);
+    } else if (ch === component) {
+      current().push("");
+    } else if ((ch === "\n" || ch === "\r") && elements.length === 1 && current()[0] === "") {
+      // Line breaks between segments
+    } else {
+      current()[current().length - 1] += ch;
+    }
+  }
+  if (elements.length > 1 || current()[0].trim()) segments.push(elements);
+
+  return segments.map((seg) => seg.map((el) => el.map((c) => c.trim())));
+}
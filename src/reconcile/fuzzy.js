@@ -0,0 +1,177 @@
+/**
+ * Fuzzy SKU matching — the last resort when the cross-reference, exact and
+ * prefix matching all fail. Candidates are only ever suggestions: reconcile()
+ * reports them as "Suggested match" rows for the operator to confirm (and
+ * remember as a cross-reference), never as matches.
+ *
+ * Tiers, tried in order — the first tier that finds anything wins:
+ *   1. Formatting — same SKU once dashes, spaces, dots and leading zeros go
+ *   2. Typos      — edit distance 1 (incl. transposed characters), or 2 on long SKUs
+ *   3. Name       — product-name similarity against the ERP name column
+ *
+ * Typo and name tiers skip ERP lines already matched to another PO line.
+ * Confidence is 0–100 and reflects the tier, not a probability.
+ */
+
+const MIN_EDIT_LENGTH = 6;       // short codes (1004 vs 1005) are different items, not typos
+const LONG_SKU_LENGTH = 8;       // long enough to tolerate two typos
+const MIN_NAME_SIMILARITY = 0.6; // Dice coefficient on name tokens
+const MAX_CANDIDATES = 3;
+
+const CONFIDENCE = {
+  formatting: 95,
+  transposition: 85,
+  oneEdit: 80,
+  twoEdits: 65,
+  nameMax: 70,
+};
+
+/**
+ * Precompute canonical SKUs and name tokens for every ERP entry.
+ *
+ * @param {Map<string, object>} erpMap - reconcile()'s ERP lookup (entries carry sku, name)
+ */
+export function buildFuzzyIndex(erpMap) {
+  const byCanonical = new Map();
+  const entries = [];
+
+  for (const entry of erpMap.values()) {
+    const canonical = canonicalSku(entry.sku);
+    const item = { sku: entry.sku, entry, canonical, nameTokens: tokenize(entry.name) };
+    entries.push(item);
+    if (!canonical) continue;
+    if (!byCanonical.has(canonical)) byCanonical.set(canonical, []);
+    byCanonical.get(canonical).push(item);
+  }
+
+  return { byCanonical, entries };
+}
+
+/**
+ * Candidate ERP matches for an unmatched PO line, best first.
+ *
+ * @returns {{ sku: string, entry: object, confidence: number, reason: string }[]}
+ */
+export function findFuzzyMatches(index, poSku, poName) {
+  const canonical = canonicalSku(poSku);
+
+  // 1. Formatting differences only
+  const same = canonical ? index.byCanonical.get(canonical) || [] : [];
+  if (same.length > 0) {
+    return same.slice(0, MAX_CANDIDATES).map((c) => ({
+      sku: c.sku,
+      entry: c.entry,
+      confidence: CONFIDENCE.formatting,
+      reason: "SKU formatting (zeros, dashes, spaces)",
+    }));
+  }
+
+  // 2. Typos — bounded edit distance on canonical SKUs
+  if (canonical.length >= MIN_EDIT_LENGTH) {
+    const maxEdits = canonical.length >= LONG_SKU_LENGTH ? 2 : 1;
+    const typos = [];
+    for (const c of index.entries) {
+      if (c.entry.matched || !c.canonical || Math.abs(c.canonical.length - canonical.length) > maxEdits) continue;
+      const distance = editDistance(canonical, c.canonical, maxEdits);
+      if (distance > maxEdits) continue;
+
+      let confidence, reason;
+      if (distance === 1 && isAdjacentSwap(canonical, c.canonical)) {
+        confidence = CONFIDENCE.transposition;
+        reason = "transposed characters in SKU";
+      } else if (distance === 1) {
+        confidence = CONFIDENCE.oneEdit;
+        reason = "1 character different in SKU";
+      } else {
+        confidence = CONFIDENCE.twoEdits;
+        reason = "2 characters different in SKU";
+      }
+      typos.push({ sku: c.sku, entry: c.entry, confidence, reason });
+    }
+    if (typos.length > 0) {
+      return typos.sort((a, b) => b.confidence - a.confidence).slice(0, MAX_CANDIDATES);
+    }
+  }
+
+  // 3. Product name similarity
+  const poTokens = tokenize(poName);
+  if (poTokens.size === 0) return [];
+
+  const byName = [];
+  for (const c of index.entries) {
+    if (c.entry.matched) continue;
+    const similarity = dice(poTokens, c.nameTokens);
+    if (similarity < MIN_NAME_SIMILARITY) continue;
+    byName.push({
+      sku: c.sku,
+      entry: c.entry,
+      confidence: Math.round(similarity * CONFIDENCE.nameMax),
+      reason: `similar product name (${Math.round(similarity * 100)}%)`,
+    });
+  }
+  return byName.sort((a, b) => b.confidence - a.confidence).slice(0, MAX_CANDIDATES);
+}
+
+// ── Helpers ──
+
+/**
+ * Uppercase, drop separators and leading zeros: "00-12 34.A" → "1234A"
+ */
+function canonicalSku(sku) {
+  return String(sku ?? "").toUpperCase().replace(/[^A-Z0-9]/g, "").replace(/^0+(?=.)/, "");
+}
+
+function tokenize(text) {
+  const tokens = String(text ?? "").toLowerCase().match(/[a-z0-9]+/g) || [];
+  return new Set(tokens.filter((t) => t.length >= 2));
+}
+
+function dice(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const t of a) if (b.has(t)) shared++;
+  return (2 * shared) / (a.size + b.size);
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein + adjacent transpositions),
+ * giving up once every cell in a row exceeds `max`.
+ */
+function editDistance(a, b, max) {
+  if (a === b) return 0;
+
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let d = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d = Math.min(d, prevPrev[j - 2] + 1);
+      }
+      row.push(d);
+      if (d < rowMin) rowMin = d;
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+
+  return prev[b.length];
+}
+
+/**
+ * True when b is a with exactly one pair of neighbouring characters swapped.
+ */
+function isAdjacentSwap(a, b) {
+  if (a.length !== b.length) return false;
+  const diffs = [];
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) diffs.push(i);
+  }
+  return diffs.length === 2 && diffs[1] === diffs[0] + 1 &&
+    a[diffs[0]] === b[diffs[1]] && a[diffs[1]] === b[diffs[0]];
+}
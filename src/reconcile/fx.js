@@ -0,0 +1,192 @@
+/**
+ * Multi-currency support — detects the currency each file is priced in and
+ * converts PO prices into the price list's currency before comparison.
+ *
+ * A rate says one unit of `from` is worth `rate` units of `to` from `date`
+ * onward (a blank date applies to every day):
+ *   { from: "EUR", to: "GBP", rate: 0.8512, date: "2026-03-01" }
+ * The rate used for a PO is the latest one dated on or before the PO date.
+ * The inverse pair is used when only the opposite direction is given.
+ */
+
+import { parseDate } from "../utils/date.js";
+
+// Differences within this % of the ERP price on a converted line are put down
+// to exchange-rate movement rather than a pricing error. Off unless asked for:
+// a band wider than the price tolerance would hide real errors on foreign POs
+export const DEFAULT_FX_BAND = 0;
+
+// Symbol → ISO code. "$" alone is read as USD.
+const CURRENCY_SYMBOLS = [
+  ["US$", "USD"],
+  ["C$", "CAD"],
+  ["A$", "AUD"],
+  ["£", "GBP"],
+  ["€", "EUR"],
+  ["$", "USD"],
+];
+
+const CODE_PATTERN = /\b([A-Z]{3})\b/;
+const KNOWN_CODES = new Set(["GBP", "EUR", "USD", "CHF", "SEK", "NOK", "DKK", "PLN", "CZK", "HUF", "CAD", "AUD", "NZD", "JPY", "CNY", "INR", "ZAR"]);
+
+const SAMPLE_ROWS = 25;
+
+/**
+ * Work out the currency a parsed file is priced in.
+ * Looks at, in order: a currency column, a code or symbol in the price
+ * header ("Unit Price (EUR)", "Price €"), then symbols / codes in the price cells.
+ *
+ * @param {object} data - { headers, rows } from parseFile()
+ * @param {object} columns - detectColumns() result (price, currency)
+ * @returns {{ currency: string, source: string } | null}
+ */
+export function detectCurrency(data, columns) {
+  if (columns.currency) {
+    const code = mostCommon(data.rows.slice(0, SAMPLE_ROWS).map((r) => normalizeCurrency(r[columns.currency])));
+    if (code) return { currency: code, source: `${columns.currency} column` };
+  }
+
+  if (columns.price) {
+    const fromHeader = currencyIn(columns.price);
+    if (fromHeader) return { currency: fromHeader, source: `${columns.price} header` };
+
+    const code = mostCommon(data.rows.slice(0, SAMPLE_ROWS).map((r) => currencyIn(r[columns.price])));
+    if (code) return { currency: code, source: "price symbols" };
+  }
+
+  return null;
+}
+
+/**
+ * Currency code from a cell or header ("EUR", "eur", "€", "Price (GBP)"), or null.
+ */
+export function normalizeCurrency(value) {
+  if (value == null) return null;
+  const str = String(value).trim();
+  if (!str) return null;
+  return currencyIn(str.toUpperCase());
+}
+
+/**
+ * Normalize rates (text — see parseFxRates — or a list) into a lookup table:
+ * "FROM/TO" → rates sorted by date.
+ */
+export function buildFxTable(rates) {
+  const list = typeof rates === "string" ? parseFxRates(rates) : rates || [];
+  const table = new Map();
+
+  for (const r of list) {
+    const from = normalizeCurrency(r.from);
+    const to = normalizeCurrency(r.to);
+    const rate = Number(r.rate);
+    if (!from || !to || from === to || !(rate > 0)) continue;
+
+    const key = `${from}/${to}`;
+    if (!table.has(key)) table.set(key, []);
+    table.get(key).push({ rate, date: parseDate(r.date) });
+  }
+
+  for (const entries of table.values()) {
+    entries.sort((a, b) => (a.date || "").localeCompare(b.date || ""));
+  }
+  return table;
+}
+
+/**
+ * Rate to convert `from` into `to` on `date` ("YYYY-MM-DD").
+ *
+ * @returns {{ rate: number, date: string | null } | null} null when no rate applies
+ */
+export function findFxRate(table, from, to, date) {
+  if (from === to) return { rate: 1, date: null };
+
+  const direct = latestOnOrBefore(table.get(`${from}/${to}`), date);
+  if (direct) return direct;
+
+  const inverse = latestOnOrBefore(table.get(`${to}/${from}`), date);
+  if (inverse) return { rate: Math.round((1 / inverse.rate) * 1e8) / 1e8, date: inverse.date };
+
+  return null;
+}
+
+/**
+ * Parse rates from the compact text form used by the settings panel and the
+ * agent parameter. One rate per line (or ";"), the date optional:
+ *
+ *   EUR/GBP = 0.8512 @ 2026-03-01
+ *   USD/GBP = 0.79
+ *
+ * Throws on a malformed line.
+ */
+export function parseFxRates(text) {
+  if (!text || !String(text).trim()) return [];
+
+  const lines = String(text).split(/[\n;]/).map((l) => l.trim()).filter(Boolean);
+  return lines.map((line, i) => {
+    const m = line.match(/^([A-Za-z]{3})\s*[/→>-]+\s*([A-Za-z]{3})\s*[=:]\s*([\d.]+)\s*(?:@\s*(.+))?$/);
+    const date = m && m[4] ? parseDate(m[4]) : null;
+    if (!m || !(parseFloat(m[3]) > 0) || (m[4] && !date)) {
+      throw new Error(`FX rate ${i + 1} ("${line}"): expected "EUR/GBP = 0.85" or "EUR/GBP = 0.85 @ 2026-03-01".`);
+    }
+    return { from: m[1].toUpperCase(), to: m[2].toUpperCase(), rate: parseFloat(m[3]), date };
+  });
+}
+
+/**
+ * Read rates from a sheet-style table ({ headers, rows }) with columns like
+ * From / To / Rate and an optional Date.
+ */
+export function fxRatesFromRows({ headers, rows }) {
+  const find = (aliases) => headers.find((h) => aliases.includes(String(h).toLowerCase().trim())) || null;
+  const fromCol = find(["from", "from currency", "base", "base currency", "currency from", "ccy from"]);
+  const toCol = find(["to", "to currency", "quote", "quote currency", "currency to", "ccy to"]);
+  const rateCol = find(["rate", "fx rate", "exchange rate", "conversion rate"]);
+  const dateCol = find(["date", "rate date", "effective date", "valid from", "as of"]);
+
+  if (!fromCol || !toCol || !rateCol) {
+    throw new Error(`FX rate table needs From, To and Rate columns. Found headers: ${headers.join(", ")}`);
+  }
+
+  return rows
+    .filter((row) => row[fromCol] && row[toCol] && parseFloat(row[rateCol]) > 0)
+    .map((row) => ({
+      from: String(row[fromCol]).trim().toUpperCase(),
+      to: String(row[toCol]).trim().toUpperCase(),
+      rate: parseFloat(row[rateCol]),
+      date: dateCol ? parseDate(row[dateCol]) : null,
+    }));
+}
+
+// ── Helpers ──
+
+function currencyIn(value) {
+  if (value == null) return null;
+  const str = String(value);
+  for (const [symbol, code] of CURRENCY_SYMBOLS) {
+    if (str.includes(symbol)) return code;
+  }
+  const m = str.toUpperCase().match(CODE_PATTERN);
+  return m && KNOWN_CODES.has(m[1]) ? m[1] : null;
+}
+
+function latestOnOrBefore(entries, date) {
+  if (!entries) return null;
+  let best = null;
+  for (const e of entries) {
+    if (e.date && date && e.date > date) break;
+    best = e;
+  }
+  return best ? { rate: best.rate, date: best.date } : null;
+}
+
+function mostCommon(values) {
+  const counts = new Map();
+  for (const v of values) {
+    if (v) counts.set(v, (counts.get(v) || 0) + 1);
+  }
+  let best = null;
+  for (const [v, n] of counts) {
+    if (!best || n > counts.get(best)) best = v;
+  }
+  return best;
+}
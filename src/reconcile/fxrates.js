@@ -0,0 +1,118 @@
+/**
+ * FXRates sheet — Office.js reader/writer for the dated exchange-rate table.
+ *
+ * Rates imported once (from a treasury CSV or typed in) persist in the
+ * workbook and are used by every later multi-currency reconciliation.
+ */
+
+/* global Excel */
+
+import { fxRatesFromRows } from "./fx.js";
+
+const SHEET_NAME = "FXRates";
+const HEADERS = ["From", "To", "Rate", "Date"];
+
+const HEADER_BG = "#1f4e79";
+const HEADER_FG = "#ffffff";
+
+/**
+ * Read all rates from the FXRates sheet.
+ *
+ * @returns {object[]} { from, to, rate, date }, or empty array if no sheet.
+ */
+export async function readFxRates() {
+  let rates = [];
+
+  await Excel.run(async (ctx) => {
+    const sheet = ctx.workbook.worksheets.getItemOrNullObject(SHEET_NAME);
+    await ctx.sync();
+    if (sheet.isNullObject) return;
+
+    const usedRange = sheet.getUsedRangeOrNullObject(true);
+    usedRange.load(["values", "rowCount"]);
+    await ctx.sync();
+
+    if (usedRange.isNullObject || usedRange.rowCount < 2) return;
+
+    const [headerRow, ...dataRows] = usedRange.values;
+    const headers = headerRow.map((h) => String(h).trim());
+    const rows = dataRows.map((row) => {
+      const obj = {};
+      headers.forEach((h, i) => { obj[h] = row[i] != null ? String(row[i]) : ""; });
+      return obj;
+    });
+    rates = fxRatesFromRows({ headers, rows });
+  });
+
+  return rates;
+}
+
+/**
+ * Save rates to the FXRates sheet, creating it if needed.
+ * An existing rate for the same pair and date is updated in place.
+ *
+ * @param {object[]} rates - { from, to, rate, date }
+ * @returns {{ added: number, updated: number }}
+ */
+export async function saveFxRates(rates) {
+  let added = 0;
+  let updated = 0;
+  if (!rates || rates.length === 0) return { added, updated };
+
+  await Excel.run(async (ctx) => {
+    let sheet = ctx.workbook.worksheets.getItemOrNullObject(SHEET_NAME);
+    await ctx.sync();
+
+    if (sheet.isNullObject) {
+      sheet = ctx.workbook.worksheets.add(SHEET_NAME);
+
+      const headerRange = sheet.getRangeByIndexes(0, 0, 1, HEADERS.length);
+      headerRange.values = [HEADERS];
+      headerRange.format.font.bold = true;
+      headerRange.format.font.color = HEADER_FG;
+      headerRange.format.fill.color = HEADER_BG;
+
+      const widths = [70, 70, 90, 100];
+      for (let i = 0; i < widths.length; i++) {
+        sheet.getRangeByIndexes(0, i, 1, 1).format.columnWidth = widths[i];
+      }
+      await ctx.sync();
+    }
+
+    const usedRange = sheet.getUsedRangeOrNullObject(true);
+    usedRange.load(["values", "rowCount"]);
+    await ctx.sync();
+
+    const existing = usedRange.isNullObject ? [HEADERS] : usedRange.values;
+    const appended = [];
+
+    for (const r of rates) {
+      const key = rateKey(r.from, r.to, r.date);
+      const idx = existing.findIndex((row, i) => i > 0 && rateKey(row[0], row[1], row[3]) === key);
+      const values = [r.from, r.to, r.rate, r.date || ""];
+
+      if (idx !== -1) {
+        sheet.getRangeByIndexes(idx, 0, 1, HEADERS.length).values = [values];
+        existing[idx] = values;
+        updated++;
+      } else {
+        appended.push(values);
+        existing.push(values);
+        added++;
+      }
+    }
+
+    if (appended.length > 0) {
+      const startRow = usedRange.isNullObject ? 1 : usedRange.rowCount;
+      sheet.getRangeByIndexes(startRow, 0, appended.length, HEADERS.length).values = appended;
+    }
+
+    await ctx.sync();
+  });
+
+  return { added, updated };
+}
+
+function rateKey(from, to, date) {
+  return `${String(from || "").trim().toUpperCase()}/${String(to || "").trim().toUpperCase()}|${String(date || "").trim()}`;
+}
@@ -0,0 +1,159 @@
+/**
+ * OCR for scanned (image-only) PDF purchase orders — faxed and scanned POs
+ * have no text layer for pdf.js to read.
+ *
+ * Each page is rasterised with pdf.js and read by Tesseract (tesseract.js),
+ * whose engine, worker and English language data ship with the add-in under
+ * ocr/ (see webpack.config.js), so nothing is fetched from the network. Words
+ * come back as positioned items in PDF points, the shape parser.js's
+ * groupPdfRows / alignPdfColumns already reconstruct tables from, with
+ * Tesseract's confidence (0–100) on each.
+ */
+
+/* global OffscreenCanvas */
+
+// 300 dpi — Tesseract's sweet spot for printed text; pdf.js renders at 72
+const OCR_SCALE = 300 / 72;
+
+// Where webpack copies the engine, relative to the add-in's pages
+const OCR_ASSETS = "ocr/";
+
+/**
+ * Canvas factory for pdf.js inside a Web Worker, where there is no document
+ * to create canvases from. Passed to getDocument() as `canvasFactory`;
+ * undefined elsewhere, so pdf.js keeps its default.
+ */
+class OffscreenCanvasFactory {
+  create(width, height) {
+    const canvas = new OffscreenCanvas(width, height);
+    return { canvas, context: canvas.getContext("2d") };
+  }
+
+  reset(target, width, height) {
+    target.canvas.width = width;
+    target.canvas.height = height;
+  }
+
+  destroy(target) {
+    target.canvas.width = 0;
+    target.canvas.height = 0;
+    target.canvas = null;
+    target.context = null;
+  }
+}
+
+export const workerCanvasFactory = typeof document === "undefined" && typeof OffscreenCanvas !== "undefined"
+  ? new OffscreenCanvasFactory()
+  : undefined;
+
+/**
+ * Rasterise and OCR every page of a pdf.js document.
+ *
+ * @param {object} pdf - pdf.js PDFDocumentProxy
+ * @param {function} [onProgress] - called with { phase: "parse", done, total, unit: "scanned page" }
+ * @returns {Promise<{ items: { x: number, y: number, text: string, width: number, confidence: number, page: number }[], confidence: number|null }>}
+ *   items in PDF points, top-down like parsePDF's; `confidence` is the mean over all words
+ */
+export async function recognizePdf(pdf, onProgress) {
+  if (!canRasterise()) {
+    throw new Error("This PDF is a scan with no text. Reading scans needs the Excel add-in — please export to Excel/CSV first.");
+  }
+
+  const { createWorker } = await import("tesseract.js");
+  const base = new URL(OCR_ASSETS, globalThis.location.href).href;
+  let engine;
+  try {
+    engine = await createWorker("eng", 1, {
+      workerPath: `${base}worker.min.js`,
+      corePath: `${base}core`,
+      langPath: `${base}lang`,
+      workerBlobURL: false,
+    });
+  } catch {
+    throw new Error("Could not start OCR for this scanned PDF. Please export to Excel/CSV first.");
+  }
+
+  const items = [];
+  try {
+    for (let p = 1; p <= pdf.numPages; p++) {
+      if (onProgress) onProgress({ phase: "parse", done: p - 1, total: pdf.numPages, unit: "scanned page" });
+      const page = await pdf.getPage(p);
+      const image = await rasterise(page);
+      const { data } = await engine.recognize(image, {}, { blocks: true });
+      items.push(...wordItems(data.blocks || [], p));
+      page.cleanup();
+    }
+  } finally {
+    await engine.terminate();
+  }
+
+  const confidence = items.length > 0
+    ? Math.round(items.reduce((sum, item) => sum + item.confidence, 0) / items.length)
+    : null;
+  return { items, confidence };
+}
+
+// ── Helpers ──
+
+function canRasterise() {
+  return typeof OffscreenCanvas !== "undefined" || typeof document !== "undefined";
+}
+
+// Render one page at OCR_SCALE to a PNG blob Tesseract can read
+async function rasterise(page) {
+  const viewport = page.getViewport({ scale: OCR_SCALE });
+  const width = Math.ceil(viewport.width);
+  const height = Math.ceil(viewport.height);
+
+  let canvas;
+  if (typeof OffscreenCanvas !== "undefined") {
+    canvas = new OffscreenCanvas(width, height);
+  } else {
+    canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+  }
+
+  const context = canvas.getContext("2d");
+  // Scans often have no background of their own — OCR wants black on white
+  context.fillStyle = "#FFFFFF";
+  context.fillRect(0, 0, width, height);
+  await page.render({ canvasContext: context, viewport }).promise;
+
+  if (canvas.convertToBlob) return canvas.convertToBlob({ type: "image/png" });
+  return new Promise((resolve) => canvas.toBlob(resolve, "image/png"));
+}
+
+/**
+ * Tesseract's words as positioned items, scaled back to PDF points. Every
+ * word takes its line's baseline as y, so a table row lines up the way a
+ * text layer's items would.
+ *
+ * @param {object[]} blocks - Tesseract's `data.blocks` for one page
+ * @param {number} page - 1-based page number
+ */
+export function wordItems(blocks, page) {
+  const items = [];
+  for (const block of blocks) {
+    for (const paragraph of block.paragraphs || []) {
+      for (const line of paragraph.lines || []) {
+        const baseline = line.baseline && line.baseline.has_baseline
+          ? (line.baseline.y0 + line.baseline.y1) / 2
+          : line.bbox.y1;
+        for (const word of line.words || []) {
+          const text = String(word.text || "").trim();
+          if (!text) continue;
+          items.push({
+            x: word.bbox.x0 / OCR_SCALE,
+            y: baseline / OCR_SCALE,
+            text,
+            width: (word.bbox.x1 - word.bbox.x0) / OCR_SCALE,
+            confidence: Math.round(word.confidence),
+            page,
+          });
+        }
+      }
+    }
+  }
+  return items;
+}
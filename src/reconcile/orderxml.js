@@ -0,0 +1,265 @@
+/**
+ * XML purchase orders — cXML OrderRequest (punch-out and e-procurement
+ * systems) and UBL 2.1 Order documents — read into the same PO table as EDI
+ * messages (orderTable in edi.js), so they flow through extraction,
+ * validation and reconciliation like any other PO.
+ *
+ *   cXML  OrderRequestHeader @orderID @orderDate, BillTo / ShipTo names,
+ *         Total / Tax / Shipping; ItemOut @lineNumber @quantity
+ *         @requestedDeliveryDate with ItemID (SupplierPartID, BuyerPartID)
+ *         and ItemDetail (UnitPrice, UnitOfMeasure, Description)
+ *   UBL   cbc:ID, cbc:IssueDate, BuyerCustomerParty, Delivery (ship-to and
+ *         RequestedDeliveryPeriod), AnticipatedMonetaryTotal / TaxTotal;
+ *         OrderLine / LineItem with Quantity @unitCode, Price (PriceAmount
+ *         per BaseQuantity), LineExtensionAmount and Item (SellersItem-,
+ *         BuyersItem- and StandardItemIdentification)
+ *
+ * The buyer's part ID is kept beside the supplier's as Buyer Item, so the
+ * SKU cross-reference can map it. Namespace prefixes are ignored.
+ */
+
+import { orderTable } from "./edi.js";
+import { parseDate } from "../utils/date.js";
+import { divide, PRICE_DECIMALS } from "../utils/money.js";
+
+// UN/ECE Rec 20 codes for "one" / "piece", UBL's usual unit — the ERP says EA
+const UNIT_CODES = { C62: "EA", H87: "EA" };
+
+/**
+ * True when text is a cXML or UBL order document rather than a CSV — used
+ * to route .txt / .csv downloads that are really XML.
+ */
+export function isOrderXml(text) {
+  const body = String(text ?? "").replace(/^\uFEFF/, "").trimStart();
+  return body.startsWith("<") && /<(\w+:)?(cXML|Order)[\s>]/.test(body);
+}
+
+/**
+ * Parse a cXML OrderRequest or UBL Order into a PO table. Throws on
+ * malformed XML, another document type, or an order with no lines.
+ *
+ * @param {string} text
+ * @returns {{ headers: string[], rows: Record<string, string>[], totals: object|null, autoDetected: boolean, format: string }}
+ */
+export function parseOrderXml(text) {
+  const root = parseXml(text);
+  switch (root.name) {
+    case "cXML":
+      return parseCxml(root);
+    case "Order":
+      return parseUbl(root);
+    default:
+      throw new Error(`XML file is a <${root.name}> document, not a cXML OrderRequest or UBL Order.`);
+  }
+}
+
+// ── cXML ──
+
+function parseCxml(root) {
+  const request = find(root, "Request/OrderRequest");
+  if (!request) {
+    const other = find(root, "Request");
+    const type = other && other.children[0] ? other.children[0].name : "message";
+    throw new Error(`cXML file holds a ${type}, not an OrderRequest.`);
+  }
+
+  const header = find(request, "OrderRequestHeader") || emptyNode();
+  const lines = findAll(request, "ItemOut").map((item, i) => {
+    const id = find(item, "ItemID");
+    const detail = find(item, "ItemDetail");
+    return {
+      number: item.attrs.lineNumber || String(i + 1),
+      supplierItem: textOf(find(id, "SupplierPartID")),
+      buyerItem: textOf(find(id, "BuyerPartID")),
+      gtin: "",
+      name: textOf(find(detail, "Description/ShortName")) || ownText(find(detail, "Description")),
+      qty: item.attrs.quantity || "",
+      uom: textOf(find(detail, "UnitOfMeasure")),
+      price: textOf(find(detail, "UnitPrice/Money")),
+      lineTotal: "",
+      deliveryDate: parseDate(item.attrs.requestedDeliveryDate),
+    };
+  });
+
+  return orderTable({
+    format: "cXML OrderRequest",
+    poNumber: header.attrs.orderID || "",
+    poDate: parseDate(header.attrs.orderDate),
+    deliveryDate: parseDate(header.attrs.requestedDeliveryDate),
+    currency: find(header, "Total/Money")?.attrs.currency || find(request, "ItemOut/ItemDetail/UnitPrice/Money")?.attrs.currency || "",
+    buyer: addressName(find(header, "BillTo/Address")) || addressName(find(header, "ShipTo/Address")),
+    shipTo: addressName(find(header, "ShipTo/Address")),
+    lines,
+    totals: {
+      lineCount: null,
+      // cXML's Total is the items only; tax and shipping are stated apart
+      subtotal: textOf(find(header, "Total/Money")),
+      freight: textOf(find(header, "Shipping/Money")),
+      tax: textOf(find(header, "Tax/Money")),
+      total: null,
+    },
+  }, "ItemOut elements");
+}
+
+// Organisation name of a cXML Address, else its first street and city
+function addressName(address) {
+  if (!address) return "";
+  return textOf(find(address, "Name")) || joinText(find(address, "PostalAddress"), ["Street", "City"]);
+}
+
+// ── UBL ──
+
+function parseUbl(root) {
+  const delivery = find(root, "Delivery");
+  const lines = findAll(root, "OrderLine").map((orderLine, i) => {
+    const item = find(orderLine, "LineItem") || emptyNode();
+    const quantity = find(item, "Quantity");
+    const priceNode = find(item, "Price");
+    const price = textOf(find(priceNode, "PriceAmount"));
+    const base = textOf(find(priceNode, "BaseQuantity"));
+    return {
+      number: textOf(find(item, "ID")) || String(i + 1),
+      supplierItem: textOf(find(item, "Item/SellersItemIdentification/ID")),
+      buyerItem: textOf(find(item, "Item/BuyersItemIdentification/ID")),
+      gtin: textOf(find(item, "Item/StandardItemIdentification/ID")),
+      name: textOf(find(item, "Item/Name")) || textOf(find(item, "Item/Description")),
+      qty: textOf(quantity),
+      uom: unitOf(quantity),
+      // A price per 10 or per 100 is brought to per unit
+      price: base && Number(base) > 1 ? String(divide(price, base, PRICE_DECIMALS)) : price,
+      lineTotal: textOf(find(item, "LineExtensionAmount")),
+      deliveryDate: requestedDate(find(item, "Delivery")),
+    };
+  });
+
+  const total = find(root, "AnticipatedMonetaryTotal");
+  return orderTable({
+    format: "UBL Order",
+    poNumber: textOf(find(root, "ID")),
+    poDate: parseDate(textOf(find(root, "IssueDate"))),
+    deliveryDate: requestedDate(delivery),
+    currency: textOf(find(root, "DocumentCurrencyCode")) || find(total, "LineExtensionAmount")?.attrs.currencyID || "",
+    buyer: partyName(find(root, "BuyerCustomerParty/Party")) || partyName(find(root, "AccountingCustomerParty/Party")),
+    shipTo: partyName(find(delivery, "DeliveryParty"))
+      || textOf(find(delivery, "DeliveryLocation/Name"))
+      || joinText(find(delivery, "DeliveryLocation/Address"), ["StreetName", "CityName"]),
+    lines,
+    totals: {
+      lineCount: textOf(find(root, "LineCountNumeric")),
+      subtotal: textOf(find(total, "LineExtensionAmount")),
+      freight: null,
+      tax: textOf(find(root, "TaxTotal/TaxAmount")),
+      total: textOf(find(total, "PayableAmount")),
+    },
+  }, "OrderLine elements");
+}
+
+function partyName(party) {
+  return textOf(find(party, "PartyName/Name")) || textOf(find(party, "PartyLegalEntity/RegistrationName"));
+}
+
+// Start of the requested delivery period, else its end
+function requestedDate(delivery) {
+  const period = find(delivery, "RequestedDeliveryPeriod");
+  return parseDate(textOf(find(period, "StartDate"))) || parseDate(textOf(find(period, "EndDate")));
+}
+
+function unitOf(quantity) {
+  const code = quantity ? String(quantity.attrs.unitCode || "").trim() : "";
+  return UNIT_CODES[code.toUpperCase()] || code;
+}
+
+// ── XML reading ──
+
+/**
+ * Minimal XML reader — elements, attributes, text and CDATA, with namespace
+ * prefixes dropped — enough for order documents. DOMParser isn't available
+ * in the Web Worker or in Node (api/).
+ */
+function parseXml(text) {
+  const doc = emptyNode("#document");
+  const stack = [doc];
+  const token = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<!DOCTYPE[^>[]*(?:\[[\s\S]*?\])?\s*>|<\/([^\s>]+)\s*>|<([^\s/>!?]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/y;
+  const body = String(text).replace(/^\uFEFF/, "");
+
+  while (token.lastIndex < body.length) {
+    const at = token.lastIndex;
+    const m = token.exec(body);
+    if (!m) throw new Error(`Malformed XML near "${body.slice(at, at + 30)}".`);
+    const top = stack[stack.length - 1];
+
+    if (m[1] != null) {
+      top.text += m[1];
+    } else if (m[2]) {
+      const name = localName(m[2]);
+      if (stack.length === 1 || top.name !== name) throw new Error(`Malformed XML: unexpected </${m[2]}>.`);
+      stack.pop();
+    } else if (m[3]) {
+      const node = emptyNode(localName(m[3]));
+      for (const a of m[4].matchAll(/([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+        node.attrs[localName(a[1])] = decodeEntities(a[2] ?? a[3]);
+      }
+      top.children.push(node);
+      if (!m[5]) stack.push(node);
+    } else if (m[6] != null) {
+      top.text += decodeEntities(m[6]);
+    }
+  }
+
+  if (stack.length > 1) throw new Error(`Malformed XML: <${stack[stack.length - 1].name}> is not closed.`);
+  const root = doc.children[0];
+  if (!root) throw new Error("XML file has no root element.");
+  return root;
+}
+
+function emptyNode(name = "") {
+  return { name, attrs: {}, children: [], text: "" };
+}
+
+function localName(name) {
+  return name.slice(name.indexOf(":") + 1);
+}
+
+function decodeEntities(value) {
+  return value.replace(/&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos);/gi, (whole, code) => {
+    const named = { lt: "<", gt: ">", amp: "&", quot: "\"", apos: "'" }[code.toLowerCase()];
+    if (named) return named;
+    const n = code[1] === "x" || code[1] === "X" ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+    return Number.isFinite(n) ? String.fromCodePoint(n) : whole;
+  });
+}
+
+// First descendant along a child path ("Item/Name"), searching direct children at each step
+function find(node, path) {
+  let current = node;
+  for (const name of path.split("/")) {
+    if (!current) return null;
+    current = current.children.find((c) => c.name === name) || null;
+  }
+  return current;
+}
+
+// Every element with this name at any depth, in document order
+function findAll(node, name) {
+  const found = [];
+  for (const child of node.children) {
+    if (child.name === name) found.push(child);
+    else found.push(...findAll(child, name));
+  }
+  return found;
+}
+
+// Text of an element and everything inside it
+function textOf(node) {
+  if (!node) return "";
+  return (node.text + node.children.map(textOf).join(" ")).replace(/\s+/g, " ").trim();
+}
+
+// Text directly inside an element, not its children (cXML Description beside ShortName)
+function ownText(node) {
+  return node ? node.text.replace(/\s+/g, " ").trim() : "";
+}
+
+function joinText(node, names) {
+  return names.map((name) => textOf(find(node, name))).filter(Boolean).join(", ");
+}
@@ -1,7 +1,11 @@
 import Papa from "papaparse";
 import * as XLSX from "xlsx";
 import * as pdfjsLib from "pdfjs-dist/legacy/build/pdf.mjs";
-import { detectColumns } from "./detector";
+import { detectColumns } from "./detector.js";
+import { isTotalsRow, readDocumentTotals } from "./totals.js";
+import { isEdi, parseEdi } from "./edi.js";
+import { isOrderXml, parseOrderXml } from "./orderxml.js";
+import { recognizePdf, workerCanvasFactory } from "./ocr.js";
 
 // Disable worker — runs synchronously, fine for small PO documents
 pdfjsLib.GlobalWorkerOptions.workerSrc = "";
@@ -15,25 +19,54 @@ const HEADER_KEYWORDS = [
 ];
 
 /**
- * Parse an uploaded file into { headers: string[], rows: Record<string, string>[] }
+ * Parse an uploaded file into { headers: string[], rows: Record<string, string>[], totals }
  * Tries multiple candidate header rows until one yields recognizable SKU+Price columns.
+ * Subtotal / freight / VAT / total lines around the table are returned as `totals`
+ * (see readDocumentTotals) rather than as data rows, and the non-empty rows above
+ * the header as `titleBlock` (string[][]) for extraction to read the PO number,
+ * dates, buyer and ship-to from (capture/header.js).
+ * X12 850 and EDIFACT ORDERS messages (edi.js) and cXML / UBL order XML
+ * (orderxml.js) come back in the same shape, one row per PO line — by
+ * extension, or by content for .txt / .csv files.
+ * A multi-page PDF's pages are joined into one table (stitchPdfPages) before
+ * the header is looked for, so a header repeated on each page, page subtotals
+ * and carried-forward rows don't come back as lines.
+ * Scanned PDFs with no text layer are read by OCR (ocr.js); their result has
+ * `ocr: { confidence, cells }`, the cells read below OCR_MIN_CONFIDENCE as
+ * { line, field, text, confidence } for extraction to flag.
+ *
+ * `onProgress` (optional) is called with { phase: "parse", done, total, unit }
+ * as pages ("page", or "scanned page" when OCR'd) or sheets ("sheet") are read.
  */
-export async function parseFile(file) {
+export async function parseFile(file, { onProgress } = {}) {
   const ext = file.name.split(".").pop().toLowerCase();
 
   switch (ext) {
     case "csv":
-    case "tsv": {
-      const rawRows = await parseCSVRaw(file);
-      return findBestTable(rawRows);
+    case "tsv":
+    case "txt": {
+      const text = await file.text();
+      if (isEdi(text)) return parseEdi(text);
+      if (isOrderXml(text)) return parseOrderXml(text);
+      if (ext === "txt") throw new Error("Text file is not an X12 850 or EDIFACT ORDERS message. Please use .xlsx, .csv, .pdf, an EDI or an XML order file.");
+      return findBestTable(await parseCSVRaw(text));
     }
+    case "edi":
+    case "x12":
+    case "850":
+    case "edifact":
+    case "edf":
+      return parseEdi(await file.text());
+    case "xml":
+    case "cxml":
+      return parseOrderXml(await file.text());
     case "xlsx":
     case "xls":
-      return parseExcelAllSheets(file);
+      return parseExcelAllSheets(file, onProgress);
     case "pdf":
-      return parsePDF(file);
+      return parsePDF(file, onProgress);
     default:
-      throw new Error(`Unsupported file type: .${ext}. Please use .xlsx, .csv, or .pdf.`);
+      throw new Error(`Unsupported file type: .${ext}. Please use .xlsx, .csv, .pdf, an EDI file (.edi, .x12) or an XML order (cXML, UBL).`);
   }
 }
 
@@ -41,7 +74,7 @@ export async function parseFile(file) {
  * Try every sheet in the workbook — pick the first one where we auto-detect SKU+Price
  * with data rows. Falls back to the sheet with the most data-like content.
  */
-async function parseExcelAllSheets(file) {
+async function parseExcelAllSheets(file, onProgress) {
   const buffer = await file.arrayBuffer();
   let workbook;
   try {
@@ -56,7 +89,8 @@ async function parseExcelAllSheets(file) {
 
   let bestFallback = null; // best manual-selection result across all sheets
 
-  for (const sheetName of workbook.SheetNames) {
+  for (const [i, sheetName] of workbook.SheetNames.entries()) {
+    if (onProgress) onProgress({ phase: "parse", done: i, total: workbook.SheetNames.length, unit: "sheet" });
     const sheet = workbook.Sheets[sheetName];
     const rawRows = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: "" });
     if (rawRows.length < 2) continue;
@@ -101,7 +135,7 @@ function findBestTable(rawRows, throwOnFail = true) {
     if (detected.sku && detected.price) {
       const rows = buildRows(rawRows, idx, headers, colMap);
       if (rows.length > 0) {
-        return { headers, rows, autoDetected: true };
+        return { headers, rows, autoDetected: true, totals: tableTotals(rawRows, idx), titleBlock: titleBlock(rawRows, idx) };
       }
     }
   }
@@ -119,7 +153,7 @@ function findBestTable(rawRows, throwOnFail = true) {
     if (headers.length < 2) continue;
     const rows = buildRows(rawRows, idx, headers, colMap);
     if (rows.length > 0) {
-      return { headers, rows, autoDetected: false };
+      return { headers, rows, autoDetected: false, totals: tableTotals(rawRows, idx), titleBlock: titleBlock(rawRows, idx) };
     }
   }
 
@@ -147,9 +181,9 @@ function extractHeaders(rawRow) {
 }
 
 function buildRows(rawRows, headerIdx, headers, colMap) {
-  return rawRows.slice(headerIdx + 1)
-    .filter((row) => row.some((cell) => cell != null && String(cell).trim() !== ""))
-    .map((row) => {
+  return dataRowIndices(rawRows, headerIdx)
+    .map((r) => {
+      const row = rawRows[r];
       const obj = {};
       headers.forEach((h, i) => {
         const col = colMap[i];
@@ -159,6 +193,32 @@ function buildRows(rawRows, headerIdx, headers, colMap) {
     });
 }
 
+// Indices of the data rows under the header — non-empty and not totals lines
+function dataRowIndices(rawRows, headerIdx) {
+  const indices = [];
+  for (let r = headerIdx + 1; r < rawRows.length; r++) {
+    const row = rawRows[r];
+    if (!row.some((cell) => cell != null && String(cell).trim() !== "")) continue;
+    if (isTotalsRow(row)) continue;
+    indices.push(r);
+  }
+  return indices;
+}
+
+/**
+ * Stated totals from the rows above the header and the totals rows below it.
+ */
+function tableTotals(rawRows, headerIdx) {
+  return readDocumentTotals(rawRows.filter((row, i) => i < headerIdx || (i > headerIdx && isTotalsRow(row))));
+}
+
+// Non-empty rows above the header, as text
+function titleBlock(rawRows, headerIdx) {
+  return rawRows.slice(0, headerIdx)
+    .filter((row) => row && row.some((cell) => cell != null && String(cell).trim() !== ""))
+    .map((row) => row.map((cell) => (cell == null ? "" : String(cell))));
+}
+
 /**
  * Rank all rows by how likely they are to be a data table header.
  * Returns array of row indices, best first.
@@ -200,9 +260,11 @@ function rankHeaderCandidates(rawRows) {
   return scored.map((s) => s.idx);
 }
 
-function parseCSVRaw(file) {
+// Parses CSV text rather than the File itself so the same path works headlessly
+// in Node (api/reconcile), where Papa Parse has no FileReader to stream with.
+function parseCSVRaw(text) {
   return new Promise((resolve, reject) => {
-    Papa.parse(file, {
+    Papa.parse(text, {
       header: false,
       skipEmptyLines: true,
       dynamicTyping: false,
@@ -228,12 +290,17 @@ function parseCSVRaw(file) {
 const PDF_Y_TOLERANCE = 3;    // Points — items within this Y delta are on the same line
 const PDF_ITEM_GAP = 8;       // Points — X gap to consider items as separate cells
 const PDF_COL_TOLERANCE = 20; // Points — X tolerance for clustering cells into columns
+const OCR_Y_TOLERANCE = 6;    // Points — OCR baselines wander more than a text layer's on a skewed scan
+const OCR_MIN_CONFIDENCE = 80; // Tesseract word confidence (0-100) below which a cell is flagged
+
+// A cell that is only a page number or a "continued" note, on any page of a PDF
+const PDF_PAGE_FURNITURE = /^(page\s*\d+(\s*(of|\/)\s*\d+)?|\(?continued(\s+(overleaf|over|on next page))?\.*\)?)$/i;
 
-async function parsePDF(file) {
+async function parsePDF(file, onProgress) {
   let pdf;
   try {
     const buffer = await file.arrayBuffer();
-    pdf = await pdfjsLib.getDocument({ data: buffer }).promise;
+    pdf = await pdfjsLib.getDocument({ data: buffer, canvasFactory: workerCanvasFactory }).promise;
   } catch {
     throw new Error("Cannot parse this PDF. Please export to Excel/CSV first.");
   }
@@ -242,6 +309,7 @@ async function parsePDF(file) {
   const allItems = [];
 
   for (let p = 1; p <= pdf.numPages; p++) {
+    if (onProgress) onProgress({ phase: "parse", done: p - 1, total: pdf.numPages, unit: "page" });
     const page = await pdf.getPage(p);
     const viewport = page.getViewport({ scale: 1 });
     const textContent = await page.getTextContent();
@@ -254,17 +322,18 @@ async function parsePDF(file) {
         y: viewport.height - item.transform[5], // flip Y to top-down
         text: text.trim(),
         width: item.width || 0,
+        page: p,
       });
     }
   }
 
-  if (allItems.length === 0) {
-    throw new Error("Cannot parse this PDF — no text found. Please export to Excel/CSV first.");
-  }
+  // No text layer — a scanned or faxed PO
+  if (allItems.length === 0) return parseScannedPDF(pdf, onProgress);
 
-  // Group items into rows by Y proximity, detect columns, build 2D array
-  const posRows = groupPdfRows(allItems);
-  const rawRows = alignPdfColumns(posRows);
+  // Group items into rows by Y proximity page by page, join the pages' tables,
+  // detect columns, build 2D array
+  const posRows = stitchPdfPages(allItems);
+  const { rows: rawRows } = alignPdfColumns(posRows);
 
   if (rawRows.length < 2) {
     throw new Error("Cannot parse this PDF. Please export to Excel/CSV first.");
@@ -273,17 +342,70 @@ async function parsePDF(file) {
   return findBestTable(rawRows);
 }
 
+/**
+ * OCR a scanned PDF and rebuild its table the same way, keeping each cell's
+ * confidence so extraction can flag the doubtful ones.
+ */
+async function parseScannedPDF(pdf, onProgress) {
+  return readOcrTable(await recognizePdf(pdf, onProgress));
+}
+
+/**
+ * The PO table in recognizePdf's words, with `ocr: { confidence, cells }`.
+ * Separate from parseScannedPDF so a recorded OCR result can be checked
+ * without a canvas.
+ *
+ * @param {{ items: object[], confidence: number|null }} recognized - recognizePdf's result
+ */
+export function readOcrTable({ items, confidence }) {
+  if (items.length === 0) {
+    throw new Error("Cannot parse this PDF — no text found, even by OCR. Please export to Excel/CSV first.");
+  }
+
+  const aligned = alignPdfColumns(stitchPdfPages(items, OCR_Y_TOLERANCE));
+  if (aligned.rows.length < 2) {
+    throw new Error("Cannot parse this scanned PDF. Please export to Excel/CSV first.");
+  }
+
+  const result = findBestTable(aligned.rows);
+  return { ...result, ocr: { confidence, cells: lowConfidenceCells(aligned, result) } };
+}
+
+/**
+ * Cells of the chosen table read below OCR_MIN_CONFIDENCE, by data line
+ * (1-based, as extraction numbers lines) and header.
+ */
+function lowConfidenceCells({ rows, confidence }, { headers }) {
+  const headerIdx = rows.findIndex((row) => {
+    const found = extractHeaders(row).headers;
+    return found.length === headers.length && found.every((h, i) => h === headers[i]);
+  });
+  if (headerIdx === -1) return [];
+  const { colMap } = extractHeaders(rows[headerIdx]);
+
+  const cells = [];
+  dataRowIndices(rows, headerIdx).forEach((r, i) => {
+    headers.forEach((field, h) => {
+      const score = confidence[r][colMap[h]];
+      if (score != null && score < OCR_MIN_CONFIDENCE) {
+        cells.push({ line: i + 1, field, text: rows[r][colMap[h]], confidence: score });
+      }
+    });
+  });
+  return cells;
+}
+
 /**
  * Group text items into rows by Y coordinate proximity.
  * Returns array of { y, items[] }, sorted top-to-bottom.
  */
-function groupPdfRows(items) {
+function groupPdfRows(items, yTolerance = PDF_Y_TOLERANCE) {
   const sorted = [...items].sort((a, b) => a.y - b.y || a.x - b.x);
 
   const rows = [];
   for (const item of sorted) {
     const lastRow = rows[rows.length - 1];
-    if (lastRow && Math.abs(lastRow.y - item.y) <= PDF_Y_TOLERANCE) {
+    if (lastRow && Math.abs(lastRow.y - item.y) <= yTolerance) {
       lastRow.items.push(item);
     } else {
       rows.push({ y: item.y, items: [item] });
@@ -293,37 +415,161 @@ function groupPdfRows(items) {
   return rows;
 }
 
+/**
+ * Group a PDF's items into rows page by page and join the pages' tables into
+ * one. A long PO repeats its column header on each page: where it does, the
+ * repeat and the letterhead above it are dropped, the page's items are moved
+ * onto the first page's columns (they drift a few points between pages), and
+ * totals rows on a page the table carries on from are page subtotals and go
+ * too. Page numbers and "Continued" notes are dropped throughout — first,
+ * so that a footer sharing its line with "Page 2 of 3" reads the same on
+ * every page — and then lines printed on every page (a footer).
+ * Returns rows as groupPdfRows() does, in document order.
+ */
+function stitchPdfPages(items, yTolerance = PDF_Y_TOLERANCE) {
+  const pageNumbers = [...new Set(items.map((item) => item.page ?? 1))].sort((a, b) => a - b);
+  const pages = pageNumbers.map((p) => groupPdfRows(items.filter((item) => (item.page ?? 1) === p), yTolerance)
+    .map(withoutPageMarkers)
+    .filter((row) => row.items.length > 0));
+  if (pages.length < 2) return pages.flat();
+
+  const header = repeatedHeader(pages);
+  if (!header) return pages.flat();
+
+  // A footer is a line or two of text; a PO line on every page would have more cells
+  const footers = (rows) => rows.filter((row) => pdfCells(row).length <= 2).map(rowText);
+  const everyPage = pages.slice(1).reduce(
+    (common, rows) => new Set(footers(rows).filter((text) => common.has(text))),
+    new Set(footers(pages[0])),
+  );
+
+  const stitched = pages[0].slice(0, header.starts[0] + 1);
+  pages.forEach((rows, p) => {
+    const start = header.starts[p];
+    const continues = (header.starts[p + 1] ?? -1) !== -1;
+    const body = rows.slice(start + 1)
+      .filter((row) => !everyPage.has(rowText(row)))
+      .filter((row) => !(continues && isTotalsRow(pdfCells(row).map((cell) => cell.text))));
+    const shift = header.shifts[p];
+    stitched.push(...(shift === 0 ? body : body.map((row) => ({
+      y: row.y,
+      items: row.items.map((item) => ({ ...item, x: item.x - shift })),
+    }))));
+  });
+  return stitched;
+}
+
+/**
+ * A row without its page-number / "continued" cells (PDF_PAGE_FURNITURE).
+ * A cell's items are those from its x up to the next cell's.
+ */
+function withoutPageMarkers(row) {
+  const cells = pdfCells(row);
+  const marks = cells
+    .map((cell, i) => ({ from: cell.x, to: i + 1 < cells.length ? cells[i + 1].x : Infinity, text: cell.text }))
+    .filter((cell) => PDF_PAGE_FURNITURE.test(cell.text));
+  if (marks.length === 0) return row;
+  return { y: row.y, items: row.items.filter((item) => !marks.some((m) => item.x >= m.from && item.x < m.to)) };
+}
+
+/**
+ * The column header the pages repeat: the first row of the first page with
+ * header words that a later page prints again. `starts` is its row index on
+ * each page (-1 where the page doesn't repeat it), `shifts` how far each
+ * page's columns sit right of the first page's, in points.
+ */
+function repeatedHeader(pages) {
+  const [first, ...rest] = pages.map((rows) => rows.map(pdfCells));
+  for (let h = 0; h < first.length; h++) {
+    const header = first[h];
+    if (headerKeywordHits(header) < 2) continue;
+
+    const starts = [h, ...rest.map((rows) => rows.findIndex((cells) => sameHeader(header, cells)))];
+    if (starts.slice(1).every((start) => start === -1)) continue;
+
+    const shifts = starts.map((start, p) => (p === 0 || start === -1 ? 0 : headerShift(header, rest[p - 1][start])));
+    return { starts, shifts };
+  }
+  return null;
+}
+
+// A row that prints most of the header's cells again (OCR may misread one)
+function sameHeader(header, cells) {
+  const texts = new Set(cells.map((cell) => normalizeCell(cell.text)));
+  const shared = header.filter((cell) => texts.has(normalizeCell(cell.text))).length;
+  return shared >= Math.max(2, Math.ceil(header.length * 0.8));
+}
+
+// Median offset of a repeated header's cells from the first page's
+function headerShift(header, cells) {
+  const offsets = header
+    .map((cell) => {
+      const match = cells.find((c) => normalizeCell(c.text) === normalizeCell(cell.text));
+      return match ? match.x - cell.x : null;
+    })
+    .filter((offset) => offset !== null)
+    .sort((a, b) => a - b);
+  return offsets.length > 0 ? offsets[Math.floor(offsets.length / 2)] : 0;
+}
+
+function headerKeywordHits(cells) {
+  return cells.filter((cell) => {
+    const val = cell.text.toLowerCase();
+    return val.length <= 40 && HEADER_KEYWORDS.some((keyword) => val.includes(keyword));
+  }).length;
+}
+
+function normalizeCell(text) {
+  return text.toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+function rowText(row) {
+  return pdfCells(row).map((cell) => cell.text).join(" ");
+}
+
+/**
+ * Merge a positioned row's items into cells: items closer than PDF_ITEM_GAP
+ * are one cell. Returns [{ text, x, confidence }] left to right, `confidence`
+ * the cell's lowest OCR word confidence (null for text-layer items).
+ */
+function pdfCells(row) {
+  const sorted = [...row.items].sort((a, b) => a.x - b.x);
+  if (sorted.length === 0) return [];
+
+  const cells = [];
+  let text = sorted[0].text;
+  let x = sorted[0].x;
+  let right = sorted[0].x + sorted[0].width;
+  let confidence = sorted[0].confidence ?? null;
+
+  for (let i = 1; i < sorted.length; i++) {
+    const gap = sorted[i].x - right;
+    if (gap > PDF_ITEM_GAP) {
+      cells.push({ text, x, confidence });
+      text = sorted[i].text;
+      x = sorted[i].x;
+      confidence = sorted[i].confidence ?? null;
+    } else {
+      text += " " + sorted[i].text;
+      confidence = lowest(confidence, sorted[i].confidence);
+    }
+    right = Math.max(right, sorted[i].x + sorted[i].width);
+  }
+  cells.push({ text, x, confidence });
+  return cells;
+}
+
 /**
  * Convert positioned rows into a column-aligned 2D string array.
  * 1. Within each row, merge adjacent items into cells (gap < PDF_ITEM_GAP)
  * 2. Cluster cell X positions across all rows into columns
  * 3. Assign cells to columns → 2D string array for findBestTable()
+ * Returns { rows, confidence }: `confidence` is the same grid holding each
+ * cell's lowest OCR word confidence, or null for text-layer items.
  */
 function alignPdfColumns(rows) {
   // Step 1: Merge items within each row into cells
-  const rowCells = rows.map((row) => {
-    const sorted = [...row.items].sort((a, b) => a.x - b.x);
-    if (sorted.length === 0) return [];
-
-    const cells = [];
-    let text = sorted[0].text;
-    let x = sorted[0].x;
-    let right = sorted[0].x + sorted[0].width;
-
-    for (let i = 1; i < sorted.length; i++) {
-      const gap = sorted[i].x - right;
-      if (gap > PDF_ITEM_GAP) {
-        cells.push({ text, x });
-        text = sorted[i].text;
-        x = sorted[i].x;
-      } else {
-        text += " " + sorted[i].text;
-      }
-      right = Math.max(right, sorted[i].x + sorted[i].width);
-    }
-    cells.push({ text, x });
-    return cells;
-  });
+  const rowCells = rows.map(pdfCells);
 
   // Step 2: Cluster all cell X positions into column anchors
   const columns = [];
@@ -340,7 +586,7 @@ function alignPdfColumns(rows) {
   }
   columns.sort((a, b) => a.center - b.center);
 
-  if (columns.length === 0) return [];
+  if (columns.length === 0) return { rows: [], confidence: [] };
 
   // Column boundaries = midpoints between adjacent column centers
   const bounds = [-Infinity];
@@ -350,16 +596,29 @@ function alignPdfColumns(rows) {
   bounds.push(Infinity);
 
   // Step 3: Assign cells to columns → 2D array
-  return rowCells.map((cells) => {
+  const grid = [];
+  const confidence = [];
+  for (const cells of rowCells) {
     const row = new Array(columns.length).fill("");
+    const scores = new Array(columns.length).fill(null);
     for (const cell of cells) {
       for (let c = 0; c < columns.length; c++) {
         if (cell.x >= bounds[c] && cell.x < bounds[c + 1]) {
           row[c] = row[c] ? row[c] + " " + cell.text : cell.text;
+          scores[c] = lowest(scores[c], cell.confidence);
           break;
         }
       }
     }
-    return row;
-  });
+    grid.push(row);
+    confidence.push(scores);
+  }
+  return { rows: grid, confidence };
+}
+
+// Lower of two OCR confidences, either of which may be missing
+function lowest(a, b) {
+  if (a == null) return b ?? null;
+  if (b == null) return a;
+  return Math.min(a, b);
 }
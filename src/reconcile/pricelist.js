@@ -0,0 +1,128 @@
+/**
+ * Effective-dated and quantity-tiered ERP price lists.
+ *
+ * An ERP export with Valid From / Valid To and/or Min Qty columns can hold
+ * several price records for one SKU:
+ *   { price: 5.00, minQty: 1,   validFrom: "2026-01-01", validTo: null }
+ *   { price: 4.50, minQty: 100, validFrom: "2026-01-01", validTo: null }
+ *   { price: 4.80, minQty: 1,   validFrom: "2025-07-01", validTo: "2025-12-31" }
+ * reconcile() prices each PO line with the record valid on the PO date for
+ * the line's quantity. Blank date bounds are open-ended and both bounds are
+ * inclusive; a blank Min Qty is the base tier. A tier runs from its Min Qty
+ * up to the next tier's. When several records qualify, the highest tier
+ * wins, then the latest Valid From — a new list supersedes an open-ended
+ * old one.
+ *
+ * A customer's prices can also come from several lists layered over the ERP
+ * export: contract prices, then promotional prices, then the base list
+ * (PRICE_LISTS, highest priority first — see reconcile()).
+ */
+
+import { samePrice } from "../utils/money.js";
+
+export const PRICE_LISTS = ["contract", "promo", "base"];
+
+const PRICE_LIST_NAMES = {
+  contract: "contract",
+  promo: "promo list",
+  base: "base list",
+};
+
+/**
+ * The record that prices `qty` units on `date` ("YYYY-MM-DD", null when the
+ * list is undated), or null if no record is valid on the date. A quantity
+ * below every tier (or a null qty) gets the lowest tier.
+ */
+export function selectPriceRecord(records, date, qty = null) {
+  const valid = records.filter((r) => isValidOn(r, date));
+  if (valid.length === 0) return null;
+
+  const lowest = Math.min(...valid.map(minQtyOf));
+  const reach = qty != null && qty > lowest ? qty : lowest;
+
+  let best = null;
+  for (const r of valid) {
+    if (minQtyOf(r) > reach) continue;
+    if (!best || minQtyOf(r) > minQtyOf(best) ||
+      (minQtyOf(r) === minQtyOf(best) && (r.validFrom || "") >= (best.validFrom || ""))) {
+      best = r;
+    }
+  }
+  return best;
+}
+
+/**
+ * Another tier valid on `date` whose price is `price` — i.e. the PO applied
+ * the wrong volume break. Null if no other tier carries that price.
+ */
+export function findTierRecord(records, date, price, applied) {
+  for (const r of records) {
+    if (r === applied || r.price == null || !isValidOn(r, date)) continue;
+    if (minQtyOf(r) === minQtyOf(applied)) continue;
+    if (samePrice(r.price, price)) return r;
+  }
+  return null;
+}
+
+/**
+ * Quantity range of a tier among the records valid on `date`:
+ * "1–99", "100+", or "" for an untiered list.
+ */
+export function describeTier(records, date, record) {
+  if (!record) return "";
+  const valid = records.filter((r) => isValidOn(r, date));
+  const tiers = [...new Set(valid.map(minQtyOf))].sort((a, b) => a - b);
+  if (tiers.length < 2) return "";
+
+  const min = minQtyOf(record);
+  const next = tiers.find((t) => t > min);
+  const from = min > 0 ? min : 1; // a blank Min Qty reads as 1
+  if (next == null) return `${from}+`;
+  // Whole-unit breaks read "1–99"; fractional ones (kg, m) read "1 to <2.5"
+  return Number.isInteger(next) ? `${from}–${next - 1}` : `${from} to <${next}`;
+}
+
+/**
+ * The most recent record that had expired by `date` and carried `price` —
+ * i.e. the PO was priced from an out-of-date list. Null if there is none.
+ */
+export function findExpiredRecord(records, date, price) {
+  let best = null;
+  for (const r of records) {
+    if (r.price == null || !r.validTo || r.validTo >= date) continue;
+    if (!samePrice(r.price, price)) continue;
+    if (!best || r.validTo > best.validTo) best = r;
+  }
+  return best;
+}
+
+/**
+ * Human-readable validity window: "valid 2026-01-01 – 2026-06-30",
+ * "valid from 2026-01-01", "valid to 2026-06-30" or "undated".
+ */
+export function describePriceRecord(record) {
+  if (!record) return "";
+  const { validFrom, validTo } = record;
+  if (validFrom && validTo) return `valid ${validFrom} – ${validTo}`;
+  if (validFrom) return `valid from ${validFrom}`;
+  if (validTo) return `valid to ${validTo}`;
+  return "undated";
+}
+
+/**
+ * Name of a layered price list: "contract", "promo list" or "base list".
+ */
+export function describePriceList(source) {
+  return PRICE_LIST_NAMES[source] || source || "";
+}
+
+function minQtyOf(record) {
+  return record.minQty != null ? record.minQty : 0;
+}
+
+function isValidOn(record, date) {
+  if (!date) return true;
+  if (record.validFrom && record.validFrom > date) return false;
+  if (record.validTo && record.validTo < date) return false;
+  return true;
+}
@@ -0,0 +1,217 @@
+/**
+ * Promotions — deal prices customers may legitimately pay below list.
+ *
+ * A promotion gives a promo price or a % off list for one SKU or a whole
+ * category, optionally for one customer and within a date window, under a
+ * deal code the customer may quote on the PO line:
+ *   { sku: "1002", category: null, customer: null, validFrom: "2026-02-01",
+ *     validTo: "2026-03-31", price: 3.20, percentOff: null, dealCode: "SPRING26" }
+ *   { sku: null, category: "Filters", customer: "Acme Corp", validFrom: null,
+ *     validTo: null, price: null, percentOff: 10, dealCode: "ACME10" }
+ *
+ * reconcile() consults them for lines priced outside tolerance of the price
+ * list: a line at an eligible promotion's price is a "Promo Match", while a
+ * line at the price of a promotion that has ended (or not started), belongs to
+ * another customer, or doesn't cover the SKU stays an Exception with the
+ * reason spelled out.
+ */
+
+import { parseDate } from "../utils/date.js";
+import { parseNumber } from "../utils/format.js";
+import { percentOf, subtract, priceDiff, PRICE_DECIMALS } from "../utils/money.js";
+
+export const PROMO_REASONS = {
+  EXPIRED: "Expired promo",
+  MISAPPLIED: "Promo misapplied",
+};
+
+/**
+ * Normalise promotion entries — text (see parsePromotions) or an array —
+ * for checkPromo(). Promotions for every customer are kept, so a deal used
+ * by the wrong customer can be named.
+ */
+export function buildPromoTable(entries) {
+  const list = typeof entries === "string" ? parsePromotions(entries) : entries || [];
+  return list
+    .filter((e) => (e.sku || e.category) && (e.price != null || e.percentOff != null))
+    .map((e) => ({
+      ...e,
+      skuKey: e.sku ? normalizeKey(e.sku) : null,
+      categoryKey: e.category ? normalizeKey(e.category) : null,
+      customerKey: e.customer ? normalizeKey(e.customer) : null,
+      codeKey: e.dealCode ? normalizeKey(e.dealCode) : null,
+    }));
+}
+
+/**
+ * Check one PO line, priced outside tolerance of the list, against the
+ * promotions.
+ *
+ * @param {object[]} table - buildPromoTable() result
+ * @param {object} line - { skus, category, customer, date, dealCode, poPrice, listPrice, limit }
+ *   `skus` are the PO and ERP SKUs, `date` the PO date ("YYYY-MM-DD"), `dealCode`
+ *   the code quoted on the PO line (if any), `limit` the tolerance in price units
+ * @returns {{ match: boolean, reason: string|null, dealCode: string, promoPrice: number|null, note: string }|null}
+ *   null when no promotion bears on the line
+ */
+export function checkPromo(table, { skus, category, customer, date, dealCode, poPrice, listPrice, limit }) {
+  const keys = skus.filter(Boolean).map(normalizeKey);
+  const categoryKey = normalizeKey(category);
+  const customerKey = normalizeKey(customer);
+  const code = normalizeKey(dealCode);
+
+  const covers = (p) => (p.skuKey ? keys.includes(p.skuKey) : Boolean(categoryKey) && p.categoryKey === categoryKey);
+  const forCustomer = (p) => !p.customerKey || p.customerKey === customerKey;
+  const inWindow = (p) => (!p.validFrom || p.validFrom <= date) && (!p.validTo || p.validTo >= date);
+  const fits = (p) => {
+    const price = promoPriceOf(p, listPrice);
+    return price != null && Math.abs(priceDiff(poPrice, price)) <= limit;
+  };
+  // The promotion that best explains the line: eligible first, then the customer's own
+  const pick = (promos) => promos.find((p) => forCustomer(p) && inWindow(p)) || promos.find(forCustomer) || promos[0];
+
+  const candidates = table.filter(covers);
+  let promo;
+  if (code) {
+    const quoted = candidates.filter((p) => p.codeKey === code);
+    if (quoted.length === 0) {
+      const known = table.some((p) => p.codeKey === code);
+      return {
+        match: false,
+        reason: PROMO_REASONS.MISAPPLIED,
+        dealCode: String(dealCode).trim(),
+        promoPrice: null,
+        note: known ? `deal ${String(dealCode).trim()} doesn't cover this SKU` : `unknown deal code ${String(dealCode).trim()}`,
+      };
+    }
+    promo = pick(quoted);
+  } else {
+    // No code quoted — a promotion at exactly the PO's price still explains it
+    const matching = candidates.filter(fits);
+    if (matching.length === 0) return null;
+    promo = pick(matching);
+  }
+
+  const promoPrice = promoPriceOf(promo, listPrice);
+  const result = { dealCode: promo.dealCode || "", promoPrice };
+  const deal = describePromo(promo);
+  if (!forCustomer(promo)) {
+    return { ...result, match: false, reason: PROMO_REASONS.MISAPPLIED, note: `${deal} is for ${promo.customer} only` };
+  }
+  if (!inWindow(promo)) {
+    const when = promo.validTo && promo.validTo < date ? `ended ${promo.validTo}` : `starts ${promo.validFrom}`;
+    return { ...result, match: false, reason: PROMO_REASONS.EXPIRED, note: `${deal} ${when}` };
+  }
+  if (!fits(promo)) {
+    return { ...result, match: false, reason: PROMO_REASONS.MISAPPLIED, note: `${deal} price is ${promoPrice}, PO ${poPrice}` };
+  }
+  return { ...result, match: true, reason: null, note: deal };
+}
+
+/**
+ * Short description of a promotion, e.g. "deal SPRING26 (3.2, to 2026-03-31)"
+ * or "promo 10% off".
+ */
+export function describePromo(promo) {
+  const terms = [promo.price != null ? String(promo.price) : `${promo.percentOff}% off`];
+  if (promo.validFrom && promo.validTo) terms.push(`${promo.validFrom} – ${promo.validTo}`);
+  else if (promo.validFrom) terms.push(`from ${promo.validFrom}`);
+  else if (promo.validTo) terms.push(`to ${promo.validTo}`);
+  return promo.dealCode ? `deal ${promo.dealCode} (${terms.join(", ")})` : `promo ${terms.join(", ")}`;
+}
+
+/**
+ * Parse promotions from the compact text form used by the settings panel
+ * and the ReconcilePO agent parameter. One entry per line (or ";"):
+ *
+ *   1002: 3.20 deal SPRING26 from 2026-02-01 to 2026-03-31
+ *   category Filters: 10% off deal ACME10 for Acme Corp
+ *   1010: 5% off
+ *
+ * Throws on a malformed line.
+ */
+export function parsePromotions(text) {
+  if (!text || !String(text).trim()) return [];
+
+  const lines = String(text).split(/[\n;]/).map((l) => l.trim()).filter(Boolean);
+  return lines.map((line, i) => {
+    const fail = () => new Error(`Promotion ${i + 1} ("${line}"): expected "<SKU>: 3.20 deal CODE from 2026-02-01 to 2026-03-31" or "category <name>: 10% off for <customer>".`);
+
+    const sep = line.indexOf(":");
+    if (sep === -1) throw fail();
+    const target = line.slice(0, sep).trim();
+    const m = line.slice(sep + 1).trim()
+      .match(/^(?:([\d.]+)\s*%(?:\s*off)?|([\d.]+))(?:\s+deal\s+(\S+))?(?:\s+from\s+(\S+))?(?:\s+to\s+(\S+))?(?:\s+for\s+(.+))?$/i);
+    if (!target || !m) throw fail();
+
+    const validFrom = m[4] ? parseDate(m[4]) : null;
+    const validTo = m[5] ? parseDate(m[5]) : null;
+    if ((m[4] && !validFrom) || (m[5] && !validTo)) throw fail();
+
+    const categoryMatch = target.match(/^category\s+(.+)$/i);
+    return {
+      sku: categoryMatch ? null : target,
+      category: categoryMatch ? categoryMatch[1].trim() : null,
+      customer: m[6] ? m[6].trim() : null,
+      validFrom,
+      validTo,
+      price: m[2] != null ? parseFloat(m[2]) : null,
+      percentOff: m[1] != null ? parseFloat(m[1]) : null,
+      dealCode: m[3] || null,
+    };
+  });
+}
+
+/**
+ * Read promotions from a sheet-style table ({ headers, rows }) with SKU
+ * and/or Category, optional Customer, Valid From / Valid To and Deal Code
+ * columns, and a Promo Price and/or % Off column.
+ */
+export function promotionsFromRows({ headers, rows }) {
+  const find = (aliases) => headers.find((h) => aliases.includes(String(h).toLowerCase().trim())) || null;
+  const skuCol = find(["sku", "item", "item number", "product code", "part number"]);
+  const categoryCol = find(["category", "product category", "product group", "group"]);
+  const customerCol = find(["customer", "customer name", "account"]);
+  const fromCol = find(["valid from", "start", "start date", "from", "effective from"]);
+  const toCol = find(["valid to", "end", "end date", "to", "expiry", "expires", "valid until"]);
+  const priceCol = find(["promo price", "promotional price", "deal price", "price", "unit price"]);
+  const pctCol = find(["% off", "percent off", "discount", "discount %", "promo %", "off"]);
+  const codeCol = find(["deal code", "promo code", "promotion code", "deal", "code", "deal ref", "deal reference"]);
+
+  if (!skuCol && !categoryCol) {
+    throw new Error(`Promotions sheet needs a SKU or Category column. Found headers: ${headers.join(", ")}`);
+  }
+  if (!priceCol && !pctCol) {
+    throw new Error(`Promotions sheet needs a Promo Price or % Off column. Found headers: ${headers.join(", ")}`);
+  }
+
+  const text = (row, col) => (col && String(row[col] ?? "").trim() ? String(row[col]).trim() : null);
+  return rows
+    .map((row) => {
+      const pct = pctCol ? parseFloat(String(row[pctCol]).replace("%", "")) : NaN;
+      return {
+        sku: text(row, skuCol),
+        category: text(row, categoryCol),
+        customer: text(row, customerCol),
+        validFrom: fromCol ? parseDate(row[fromCol]) : null,
+        validTo: toCol ? parseDate(row[toCol]) : null,
+        price: priceCol ? parseNumber(row[priceCol]) : null,
+        percentOff: isNaN(pct) ? null : pct,
+        dealCode: text(row, codeCol),
+      };
+    })
+    .filter((e) => (e.sku || e.category) && (e.price != null || e.percentOff != null));
+}
+
+// ── Helpers ──
+
+// Promo price for a line: the fixed price, else list less the % off
+function promoPriceOf(promo, listPrice) {
+  if (promo.price != null) return promo.price;
+  if (listPrice == null) return null;
+  return subtract(listPrice, percentOf(listPrice, promo.percentOff, PRICE_DECIMALS), PRICE_DECIMALS);
+}
+
+function normalizeKey(value) {
+  return String(value ?? "").trim().toUpperCase();
+}
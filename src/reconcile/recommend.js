@@ -0,0 +1,92 @@
+/**
+ * PO recommendation — ACCEPT / REVIEW / ESCALATE from reconciliation results.
+ *
+ * Shared by the AssessPORisk agent action and the /api/reconcile endpoint
+ * so both surfaces give the same verdict for the same PO.
+ */
+
+import { formatCurrency } from "../utils/format.js";
+
+// Thresholds on quantity-weighted exposure (summary.exposure), in currency units
+const MINOR_EXPOSURE = 50;
+const HIGH_EXPOSURE = 100;
+
+/**
+ * Derive a recommendation from reconcile() output.
+ *
+ * @param {object} results - { summary, rows } from reconcile()
+ * @returns {{ recommendation: string, label: string, icon: string, reason: string, action: string, notes: string[] }}
+ */
+export function recommend(results) {
+  const s = results.summary;
+  const notInErp = results.rows.filter((r) => r.status === "Not in ERP").length;
+  const suggested = s.suggested || 0;
+
+  const exceptionPct = s.total > 0 ? (s.exceptions / s.total) * 100 : 0;
+  const hasHighExposure = s.exposure > HIGH_EXPOSURE;
+
+  const suggestedNote = suggested > 0
+    ? [`${suggested} suggested SKU match(es) need confirming before entry.`]
+    : [];
+  const totalsNote = s.poTotals && s.poTotals.status === "Mismatch"
+    ? [`PO totals don't add up: ${s.poTotals.message}`]
+    : [];
+
+  // Prices can't be accepted while lines may be missing from or added to the PO
+  if (totalsNote.length > 0 && exceptionPct <= 10 && s.exposure < MINOR_EXPOSURE && notInErp === 0) {
+    return {
+      recommendation: "REVIEW",
+      label: "REVIEW",
+      icon: "⚠",
+      reason: "PO lines don't add up to the PO's stated totals.",
+      action: "Check the PO for missing or extra lines before processing.",
+      notes: [...totalsNote, ...suggestedNote],
+    };
+  }
+
+  if (exceptionPct === 0 && notInErp === 0 && suggested === 0) {
+    return {
+      recommendation: "ACCEPT",
+      label: "ACCEPT",
+      icon: "✓",
+      reason: "All prices match or are within tolerance.",
+      action: "Generate ERP staging sheet and process the order.",
+      notes: [],
+    };
+  }
+
+  if (exceptionPct <= 10 && s.exposure < MINOR_EXPOSURE && notInErp === 0) {
+    return {
+      recommendation: "ACCEPT",
+      label: "ACCEPT WITH REVIEW",
+      icon: "✓",
+      reason: s.exceptions > 0 ? "Minor price discrepancies." : "Prices match; some SKUs need confirming.",
+      action: `Review ${s.exceptions} exception(s), generate credit note if needed, then process.`,
+      notes: suggestedNote,
+    };
+  }
+
+  if (exceptionPct <= 30 && !hasHighExposure) {
+    return {
+      recommendation: "REVIEW",
+      label: "REVIEW",
+      icon: "⚠",
+      reason: "Moderate price discrepancies found.",
+      action: `Generate credit note and re-invoice for ${s.exceptions} exception(s). Contact supplier if patterns persist.`,
+      notes: [...totalsNote, ...suggestedNote],
+    };
+  }
+
+  return {
+    recommendation: "ESCALATE",
+    label: "ESCALATE",
+    icon: "🛑",
+    reason: "Significant pricing issues.",
+    action: `${s.exceptions} exceptions with ${formatCurrency(s.exposure)} exposure. Escalate to pricing team before processing.`,
+    notes: [
+      ...(notInErp > 0 ? [`${notInErp} item(s) not found in ERP — may be new products or incorrect SKUs.`] : []),
+      ...totalsNote,
+      ...suggestedNote,
+    ],
+  };
+}
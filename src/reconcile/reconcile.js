@@ -1,34 +1,239 @@
-import { parseNumber } from "../utils/format";
+import { parseNumber, parseQuantity } from "../utils/format.js";
+import { buildTolerancePolicy, selectToleranceRule, toleranceLimit, describeToleranceRule } from "./tolerance.js";
+import { buildUomTable, convertUom, BASE_UOM } from "./uom.js";
+import { buildXrefMap } from "./xref.js";
+import { buildFuzzyIndex, findFuzzyMatches } from "./fuzzy.js";
+import { buildSkuIndex, findPrefixMatches } from "./skuindex.js";
+import { selectPriceRecord, findExpiredRecord, findTierRecord, describePriceRecord, describePriceList, describeTier, PRICE_LISTS } from "./pricelist.js";
+import { readNetPrice, discountFractions, attributePriceDiff, explainPriceDiff } from "./discount.js";
+import { buildFxTable, findFxRate, detectCurrency, normalizeCurrency, DEFAULT_FX_BAND } from "./fx.js";
+import { checkDocumentTotals } from "./totals.js";
+import { buildPromoTable, checkPromo } from "./promo.js";
+import { buildTaxTable, taxFor, detectPriceBasis, netOfTax } from "./tax.js";
+import { parseDate, today } from "../utils/date.js";
+import { roundTo, roundPrice, multiply, lineAmount, priceDiff, subtract, toMinor, fromMinor, PRICE_DECIMALS } from "../utils/money.js";
+
+// Converted quantities keep 4 dp (7 EA of a 12-pack is 0.5833 CS)
+const QTY_DECIMALS = 4;
 
 /**
  * Core reconciliation engine.
  *
- * Input: { poData, poColumns, erpData, erpColumns, tolerance }
+ * Input: { poData, poColumns, erpData, erpColumns, priceLayers, tolerance, customer, qtyCheck, uomConversions, xref,
+ *          priceDate, fxRates, poCurrency, erpCurrency, fxTolerance, taxCodes, priceBasis, promotions }
  * Output: { summary, rows }
+ *
+ * SKUs are matched via the customer cross-reference first (`xref`, entries
+ * scoped to `customer` — see xref.js), then exactly, then by unambiguous
+ * prefix (a sorted SKU index — skuindex.js — so large price lists stay fast).
+ * A PO that carries the customer's own item number beside the SKU
+ * (poColumns.buyerSku — EDI and XML orders) has that number looked up in the
+ * cross-reference too, when the SKU itself isn't in the price list.
+ * Matched rows record how in `matchType`: "xref", "exact" or "prefix".
+ * When all three fail, fuzzy matching (fuzzy.js) may propose an ERP SKU: the
+ * line becomes a "Suggested match" row (matchType "fuzzy", with `confidence`,
+ * `matchReason` and `erpCandidates`) for the operator to confirm. Suggested
+ * lines are counted in summary.suggested, not as matches or exceptions.
+ *
+ * `tolerance` is a plain amount or a rule/policy (see tolerance.js); the rule
+ * applied to each priced line is recorded on the row as `toleranceRule`.
+ *
+ * `qtyCheck` (optional) also compares PO quantity on matched lines against an
+ * ERP reference quantity — "order" uses the open-order qty column, "stock" the
+ * ATP/stock column, true picks whichever was detected (open-order first).
+ * Mismatches are recorded as qtyStatus "Qty Short" / "Qty Over" on the row;
+ * the price status is left untouched.
+ *
+ * `uomConversions` (text or list, see uom.js) converts PO lines ordered in a
+ * different unit into the ERP unit before prices and quantities are compared.
+ * Matched rows then carry poPrice / poQty / uom in ERP units, with the PO's own
+ * figures kept as orderedPrice / orderedQty / orderedUom. A line whose units
+ * cannot be converted becomes a Warning rather than a false price exception.
+ *
+ * When the ERP export has Valid From / Valid To columns (erpColumns.validFrom /
+ * validTo), every price record per SKU is kept and each line is priced with the
+ * record valid on `priceDate` (the PO date; defaults to today — see
+ * pricelist.js). Rows describe the record used in `priceSource`. A line whose
+ * PO price equals an expired record's price is flagged `expiredPrice` and
+ * counted in summary.expiredPrices; a SKU with no record valid on the date
+ * becomes a Warning.
+ *
+ * When the ERP export has a Min Qty column (erpColumns.minQty), rows for the
+ * same SKU are volume breaks and each line is priced at the break its
+ * quantity (in ERP units) qualifies for, recorded as `tier` ("100+"). A PO
+ * priced at a different break of the same SKU is an Exception with reason
+ * "Wrong tier applied" (`poTier` names the break the PO used), counted in
+ * summary.wrongTiers.
+ *
+ * `priceLayers` (optional) are price lists layered over the ERP export, which
+ * is the base list: [{ source: "contract" | "promo", data, columns }]. Each SKU
+ * is priced from the first list that has a price for it on the PO date —
+ * contract, then promo, then base — so an expired contract price falls
+ * through to the base list. Rows record the winning list as `priceList`. A
+ * line priced below the contract when a contract list was given is flagged
+ * `notInContract` (counted in summary.notInContract) — it is in the ERP, just
+ * not in the customer's contract; a SKU in no list is still "Not in ERP".
+ * Only SKUs in the highest list given become "Not in PO" rows, so a
+ * catalogue-wide base list doesn't swamp a contract customer's PO. Layers
+ * are in the base list's currency.
+ *
+ * Either file may give a list price plus a discount % and/or net price
+ * (columns.discount / netPrice, see discount.js). Net unit prices are
+ * compared; rows keep the split as poListPrice / poDiscount and
+ * erpListPrice / erpDiscount.
+ *
+ * PO and price list may be in different currencies (`poCurrency` /
+ * `erpCurrency`, else detected per file and per PO line — see fx.js). PO
+ * prices are converted into the price list's currency with `fxRates` at the
+ * rate for the PO date before comparing; matched rows keep the PO's own
+ * price as poPriceOriginal with fxRate / fxRateDate. A converted line whose
+ * difference is within `fxTolerance` % (default DEFAULT_FX_BAND, off) is put down
+ * to exchange-rate movement: a Tolerance row with reason "FX difference",
+ * counted in summary.fxDifferences / fxExposure rather than as an exception.
+ * A line with no rate becomes a Warning.
+ *
+ * `promotions` (text or list, see promo.js) are deal prices a customer may
+ * pay below list, quoting the deal code on the PO line (poColumns.dealCode)
+ * or not. A line outside tolerance of the list but at an eligible
+ * promotion's price (right SKU or category, customer, and a window covering
+ * `priceDate` — the PO's date, whether or not the lists are dated) becomes a
+ * "Promo Match" — not an exception — counted in summary.promoMatches. A line
+ * quoting a deal that has ended, isn't this customer's, doesn't cover the SKU
+ * or gives another price stays an Exception with reason "Expired promo" or
+ * "Promo misapplied", counted in summary.promoIssues. Rows keep the deal as
+ * dealCode / promoPrice.
+ *
+ * Exception and Tolerance rows carry a `reason`: "Wrong tier applied",
+ * "Expired price", "Expired promo", "Promo misapplied", "FX difference",
+ * "Wrong discount", "Wrong list price", "Wrong list price and discount" or
+ * "Price mismatch".
+ *
+ * Exposure is quantity-weighted: each priced row carries lineExposure = diff × poQty,
+ * and summary.exposure totals |lineExposure| over exceptions, split into
+ * overcharge (customer paying above ERP) and undercharge (paying below).
+ *
+ * When the PO states its own totals (poData.totals from parser.js), the PO
+ * lines plus charges and tax are checked against them before any pricing —
+ * summary.poTotals (see totals.js) flags lines lost or added in capture.
+ *
+ * Every PO line carries taxCode / taxRate from `taxCodes` (per SKU or per
+ * customer, see tax.js) for the credit note, re-invoice and staging VAT lines.
+ * PO prices that include tax (`priceBasis` "gross", or detected from an
+ * "inc VAT" price header) are taken net of their line's rate before
+ * comparing — price lists are net — and kept as poPriceGross.
+ *
+ * Arithmetic is exact decimal (utils/money.js): diff is to PRICE_DECIMALS, so
+ * a line is a Match only when the prices agree to 4 decimals, and line totals
+ * and exposure are rounded once to the price list currency's minor units.
+ *
+ * `onProgress` (optional) is called as PO rows are matched with
+ * { phase: "match", done, total } — about every 1% of the PO — so a caller
+ * running this in a worker (worker-client.js) can report real progress.
  */
-export function reconcile({ poData, poColumns, erpData, erpColumns, tolerance }) {
-  // Build ERP lookup map: normalizedSKU -> { price, name, originalRow, matched }
-  const erpMap = new Map();
-  const erpDuplicates = new Set();
+export function reconcile({
+  poData,
+  poColumns,
+  erpData,
+  erpColumns,
+  priceLayers,
+  tolerance,
+  customer,
+  qtyCheck,
+  uomConversions,
+  xref,
+  priceDate,
+  fxRates,
+  poCurrency,
+  erpCurrency,
+  fxTolerance,
+  taxCodes,
+  priceBasis,
+  promotions,
+  onProgress,
+}) {
+  const tolerancePolicy = buildTolerancePolicy(tolerance);
+  const uomTable = buildUomTable(uomConversions);
+  const xrefMap = buildXrefMap(xref, customer);
+  let skuIndex = null; // built on first line without an exact match
+  let fuzzyIndex = null; // built on first unmatched line
+  const qtyBasis = resolveQtyBasis(qtyCheck, poColumns, erpColumns);
+  const priceLists = orderPriceLists(priceLayers, erpData, erpColumns);
+  const layered = priceLists.length > 1;
+  const hasContract = priceLists.some((list) => list.source === "contract");
+  const dated = priceLists.some((list) => list.columns.validFrom || list.columns.validTo);
+  const tiered = priceLists.some((list) => list.columns.minQty);
+  const asOf = dated ? parseDate(priceDate) || today() : null;
+  const sourceOf = (record) => (dated ? describePriceRecord(record) : "");
 
-  for (const row of erpData.rows) {
-    const rawSku = row[erpColumns.sku];
-    if (!rawSku) continue;
-    const normSku = normalizeSku(rawSku);
+  // Currencies: explicit, else detected from each file
+  const fxTable = buildFxTable(fxRates);
+  const fxDate = parseDate(priceDate) || today();
+  const fxBand = fxTolerance != null && fxTolerance !== "" ? Number(fxTolerance) : DEFAULT_FX_BAND;
+  const erpCcy = normalizeCurrency(erpCurrency) || (detectCurrency(erpData, erpColumns) || {}).currency || null;
+  const poFileCcy = normalizeCurrency(poCurrency) || (detectCurrency(poData, poColumns) || {}).currency || null;
+  const lineCurrency = (row) =>
+    normalizeCurrency(poCurrency) || (poColumns.currency && normalizeCurrency(row[poColumns.currency])) || poFileCcy;
+  // Rate from a PO line's currency into the price list's; { rate: 1 } when no conversion applies
+  const rateFor = (ccy) => (ccy && erpCcy && ccy !== erpCcy ? findFxRate(fxTable, ccy, erpCcy, fxDate) : { rate: 1, date: null });
 
-    if (erpMap.has(normSku)) {
-      erpDuplicates.add(normSku);
+  // Promotions, checked as of the PO date
+  const promoTable = buildPromoTable(promotions);
+  const promoDate = parseDate(priceDate) || today();
+
+  // Tax codes for this customer; PO prices are compared net of tax
+  const taxTable = buildTaxTable(taxCodes, customer);
+  const poBasis = priceBasis || detectPriceBasis(poColumns.price, poColumns.netPrice);
+  const poFractions = discountFractions(poData, poColumns);
+
+  // Build ERP lookup map: normalizedSKU -> { price, name, records, originalRow, matched }.
+  // With layered lists each SKU comes from the highest list that has it;
+  // the lists below are kept as fallbacks and fill in what it leaves blank.
+  const [top, ...lower] = priceLists.map((list) => buildPriceMap(list, dated, tiered));
+  const erpMap = top.map;
+  const erpDuplicates = top.duplicates;
+  for (const { map, duplicates } of lower) {
+    for (const [normSku, entry] of map) {
+      const existing = erpMap.get(normSku);
+      if (!existing) {
+        erpMap.set(normSku, entry);
+        if (duplicates.has(normSku)) erpDuplicates.add(normSku);
+        continue;
+      }
+      existing.lists.push(entry.source);
+      existing.fallbacks.push(entry);
+      for (const field of ["name", "category", "uom"]) existing[field] = existing[field] || entry[field];
+      if (existing.openQty == null) Object.assign(existing, { qty: entry.qty, openQty: entry.openQty });
+      if (existing.stock == null) existing.stock = entry.stock;
     }
+  }
 
-    erpMap.set(normSku, {
-      price: parseNumber(row[erpColumns.price]),
-      name: erpColumns.name ? row[erpColumns.name] || "" : "",
-      qty: erpColumns.qty ? parseNumber(row[erpColumns.qty]) || 1 : 1,
-      originalRow: row,
-      matched: false,
-    });
+  // Base price per SKU: the record valid on the PO date, lowest tier, from
+  // the highest list that has one. Matched lines are re-priced below for
+  // their own quantity, among that list's tiers only.
+  if (dated || tiered) {
+    for (const entry of erpMap.values()) {
+      entry.priceRecord = selectPriceRecord(entry.records, asOf);
+      const fallback = !entry.priceRecord && entry.fallbacks.find((f) => selectPriceRecord(f.records, asOf));
+      if (fallback) {
+        // Keep the higher list's expired records apart, so a PO still on them is explained
+        entry.lapsed = entry.records;
+        entry.records = fallback.records;
+        entry.source = fallback.source;
+        entry.priceRecord = selectPriceRecord(entry.records, asOf);
+      }
+      entry.price = entry.priceRecord ? entry.priceRecord.price : null;
+    }
   }
 
+  // Records a PO price may have expired from: the winning list's and any higher list's
+  const expiredCandidates = (entry) => (entry.lapsed ? [...entry.records, ...entry.lapsed] : entry.records);
+
+  // The list that priced a line, when there is more than one
+  const listOf = (entry) => ({
+    priceList: layered ? entry.source : null,
+    notInContract: hasContract && !entry.lists.includes("contract"),
+  });
+
   // Track PO duplicates
   const poSkuCounts = new Map();
   for (const row of poData.rows) {
@@ -42,22 +247,66 @@ export function reconcile({ poData, poColumns, erpData, erpColumns, tolerance })
     if (count > 1) poDuplicates.add(sku);
   }
 
+  // The PO's stated subtotal / total against its own lines, in the PO's currency
+  const poTotals = poData.totals ? checkDocumentTotals(poLineTotals(poData, poColumns, poFileCcy, poFractions), poData.totals, poFileCcy) : null;
+
   const resultRows = [];
   let matches = 0;
   let tolerances = 0;
   let exceptions = 0;
-  let exposure = 0;
+  let exposure = 0; // exposure totals are kept in minor units (pence)
+  let overcharge = 0;
+  let undercharge = 0;
   let warnings = 0;
+  let qtyShort = 0;
+  let qtyOver = 0;
+  let uomConverted = 0;
+  let suggested = 0;
+  let expiredPrices = 0;
+  let wrongTiers = 0;
+  let fxConverted = 0;
+  let fxDifferences = 0;
+  let fxExposure = 0;
+  let promoMatches = 0;
+  let promoIssues = 0;
 
   // Process each PO row
-  for (const row of poData.rows) {
+  const poRowCount = poData.rows.length;
+  const progressStep = Math.max(1, Math.ceil(poRowCount / 100));
+  for (const [rowIdx, row] of poData.rows.entries()) {
+    if (onProgress && rowIdx % progressStep === 0) onProgress({ phase: "match", done: rowIdx, total: poRowCount });
     const rawSku = row[poColumns.sku];
     if (!rawSku) continue;
 
     const normSku = normalizeSku(rawSku);
-    const poPrice = parseNumber(row[poColumns.price]);
+    const buyerSku = poColumns.buyerSku ? normalizeSku(row[poColumns.buyerSku] || "") : "";
+    const xrefSku = xrefMap.get(normSku) || (buyerSku && !erpMap.has(normSku) ? xrefMap.get(buyerSku) : undefined);
+    const tax = taxFor(taxTable, [rawSku, xrefSku]);
+    const poTerms = readNetPrice(row, poColumns, poFractions);
+    const poPriceGross = poBasis === "gross" ? poTerms.price : null;
+    if (poBasis === "gross") {
+      poTerms.price = netOfTax(poTerms.price, tax.taxRate);
+      poTerms.listPrice = netOfTax(poTerms.listPrice, tax.taxRate);
+    }
+    let poPrice = poTerms.price;
     const poName = poColumns.name ? row[poColumns.name] || "" : "";
-    const poQty = poColumns.qty ? parseNumber(row[poColumns.qty]) || 1 : 1;
+    let poQty = readPoQty(row, poColumns);
+    const poUom = poColumns.uom ? String(row[poColumns.uom] || "").trim() : "";
+    const poCcy = lineCurrency(row);
+    const ordered = {
+      uom: poUom,
+      orderedUom: poUom,
+      orderedQty: poQty,
+      orderedPrice: poPrice,
+      uomFactor: 1,
+      poListPrice: poTerms.listPrice,
+      poDiscount: poTerms.discount,
+      poCurrency: poCcy,
+      poPriceGross,
+      ...tax,
+    };
+    const poCategory = poColumns.category ? row[poColumns.category] || "" : "";
+    const poDeal = poColumns.dealCode ? String(row[poColumns.dealCode] || "").trim() : "";
     const isDuplicate = poDuplicates.has(normSku) || erpDuplicates.has(normSku);
 
     if (poPrice === null) {
@@ -65,26 +314,61 @@ export function reconcile({ poData, poColumns, erpData, erpColumns, tolerance })
       resultRows.push({
         status: "Warning",
         sku: rawSku,
+        matchType: null,
         name: poName,
         erpPrice: null,
         poPrice: null,
         diff: null,
         pctDiff: null,
+        lineExposure: null,
+        toleranceRule: null,
         action: "Non-numeric price — skipped",
         duplicate: isDuplicate,
         poQty,
         erpQty: null,
         lineTotal: null,
+        refQty: null,
+        qtyDiff: null,
+        qtyStatus: null,
+        ...ordered,
       });
       continue;
     }
 
-    // Try exact match first, then prefix match (customer core number → ERP full SKU)
-    let oracle = erpMap.get(normSku);
-    let matchType = "exact";
+    if (poQty === null) {
+      warnings++;
+      resultRows.push({
+        status: "Warning",
+        sku: rawSku,
+        matchType: null,
+        name: poName,
+        erpPrice: null,
+        poPrice,
+        diff: null,
+        pctDiff: null,
+        lineExposure: null,
+        toleranceRule: null,
+        action: `Non-numeric quantity "${row[poColumns.qty]}" — skipped`,
+        duplicate: isDuplicate,
+        poQty,
+        erpQty: null,
+        lineTotal: null,
+        refQty: null,
+        qtyDiff: null,
+        qtyStatus: null,
+        ...ordered,
+      });
+      continue;
+    }
 
-    if (!oracle) {
-      const prefixMatches = findPrefixMatches(normSku, erpMap);
+    // Cross-reference first (customer's own code → ERP SKU), then exact match,
+    // then prefix match (customer core number → ERP full SKU)
+    let oracle = xrefSku ? erpMap.get(normalizeSku(xrefSku)) : erpMap.get(normSku);
+    let matchType = xrefSku ? "xref" : "exact";
+
+    if (!oracle && !xrefSku) {
+      skuIndex = skuIndex || buildSkuIndex(erpMap);
+      const prefixMatches = findPrefixMatches(skuIndex, normSku);
 
       if (prefixMatches.length === 1) {
         // Single prefix match — use it
@@ -97,16 +381,69 @@ export function reconcile({ poData, poColumns, erpData, erpColumns, tolerance })
         resultRows.push({
           status: "Warning",
           sku: rawSku,
+          matchType: null,
+          erpCandidates: prefixMatches.map((m) => m.sku),
           name: poName,
           erpPrice: null,
           poPrice,
           diff: null,
           pctDiff: null,
+          lineExposure: null,
+          toleranceRule: null,
           action: `Multiple ERP matches: ${matchedSkus}`,
           duplicate: isDuplicate,
           poQty,
           erpQty: null,
-          lineTotal: round(poPrice * poQty),
+          lineTotal: lineAmount(poPrice, poQty, erpCcy),
+          refQty: null,
+          qtyDiff: null,
+          qtyStatus: null,
+          ...ordered,
+        });
+        continue;
+      }
+    }
+
+    if (!oracle && !xrefSku) {
+      fuzzyIndex = fuzzyIndex || buildFuzzyIndex(erpMap);
+      const candidates = findFuzzyMatches(fuzzyIndex, rawSku, poName);
+
+      if (candidates.length > 0) {
+        // Propose, don't accept — the ERP line counts as accounted for
+        const best = candidates[0];
+        best.entry.matched = true;
+        suggested++;
+        const erpPrice = best.entry.price;
+        const fx = rateFor(poCcy);
+        const diff = erpPrice != null && fx ? priceDiff(multiply(poPrice, fx.rate, PRICE_DECIMALS), erpPrice) : null;
+        resultRows.push({
+          status: "Suggested match",
+          sku: rawSku,
+          erpSku: best.sku,
+          matchType: "fuzzy",
+          confidence: best.confidence,
+          matchReason: best.reason,
+          erpCandidates: candidates.map((c) => c.sku),
+          name: poName || best.entry.name,
+          erpPrice,
+          poPrice,
+          diff,
+          pctDiff: diff != null && erpPrice !== 0 ? roundTo((diff / erpPrice) * 100, 2) : null,
+          lineExposure: null,
+          toleranceRule: null,
+          action: `Confirm suggested match ${best.sku} (${best.confidence}% — ${best.reason})`,
+          priceSource: sourceOf(best.entry.priceRecord),
+          ...listOf(best.entry),
+          erpListPrice: best.entry.priceRecord ? best.entry.priceRecord.listPrice : null,
+          erpDiscount: best.entry.priceRecord ? best.entry.priceRecord.discount : null,
+          duplicate: isDuplicate,
+          poQty,
+          erpQty: best.entry.qty,
+          lineTotal: lineAmount(poPrice, poQty, erpCcy),
+          refQty: null,
+          qtyDiff: null,
+          qtyStatus: null,
+          ...ordered,
         });
         continue;
       }
@@ -117,113 +454,341 @@ export function reconcile({ poData, poColumns, erpData, erpColumns, tolerance })
       resultRows.push({
         status: "Not in ERP",
         sku: rawSku,
+        erpSku: xrefSku || null,
+        matchType: null,
         name: poName,
         erpPrice: null,
         poPrice,
         diff: null,
         pctDiff: null,
-        action: "Review — SKU not found in ERP",
+        lineExposure: null,
+        toleranceRule: null,
+        action: xrefSku ? `Review — mapped to ${xrefSku}, not in ERP` : "Review — SKU not found in ERP",
         duplicate: isDuplicate,
         poQty,
         erpQty: null,
-        lineTotal: round(poPrice * poQty),
+        lineTotal: lineAmount(poPrice, poQty, erpCcy),
+        refQty: null,
+        qtyDiff: null,
+        qtyStatus: null,
+        ...ordered,
       });
       continue;
     }
 
     oracle.matched = true;
 
-    if (oracle.price === null) {
+    // Bring the PO line into the ERP's unit of measure
+    const unit = convertUom(uomTable, [rawSku, oracle.sku], poUom, oracle.uom);
+    if (!unit) {
+      warnings++;
+      resultRows.push({
+        status: "Warning",
+        sku: rawSku,
+        erpSku: matchType !== "exact" ? oracle.sku : null,
+        matchType,
+        name: oracle.name || poName,
+        erpPrice: oracle.price,
+        poPrice,
+        diff: null,
+        pctDiff: null,
+        lineExposure: null,
+        toleranceRule: null,
+        action: `UOM mismatch: PO ${poUom} vs ERP ${oracle.uom || BASE_UOM} — add a conversion`,
+        ...listOf(oracle),
+        duplicate: isDuplicate,
+        poQty,
+        erpQty: oracle.qty,
+        lineTotal: lineAmount(poPrice, poQty, erpCcy),
+        refQty: null,
+        qtyDiff: null,
+        qtyStatus: null,
+        ...ordered,
+      });
+      continue;
+    }
+    if (unit.factor !== 1) {
+      poPrice = roundPrice(poPrice / unit.factor);
+      poQty = multiply(poQty, unit.factor, QTY_DECIMALS);
+      uomConverted++;
+    }
+    const units = {
+      ...ordered,
+      uom: unit.uom,
+      orderedUom: unit.orderedUom,
+      uomFactor: unit.factor,
+      poListPrice: poTerms.listPrice != null && unit.factor !== 1 ? roundPrice(poTerms.listPrice / unit.factor) : poTerms.listPrice,
+    };
+
+    // Bring the PO price into the price list's currency
+    const fx = rateFor(poCcy);
+    if (!fx) {
+      warnings++;
+      resultRows.push({
+        status: "Warning",
+        sku: rawSku,
+        erpSku: matchType !== "exact" ? oracle.sku : null,
+        matchType,
+        name: oracle.name || poName,
+        erpPrice: oracle.price,
+        poPrice,
+        diff: null,
+        pctDiff: null,
+        lineExposure: null,
+        toleranceRule: null,
+        action: `No FX rate ${poCcy}→${erpCcy} on ${fxDate} — add a rate`,
+        ...listOf(oracle),
+        duplicate: isDuplicate,
+        poQty,
+        erpQty: oracle.qty,
+        lineTotal: lineAmount(poPrice, poQty, erpCcy),
+        refQty: null,
+        qtyDiff: null,
+        qtyStatus: null,
+        ...units,
+      });
+      continue;
+    }
+    const converted = fx.rate !== 1;
+    const currency = {
+      erpCurrency: erpCcy,
+      poPriceOriginal: poPrice,
+      fxRate: converted ? fx.rate : null,
+      fxRateDate: converted ? fx.date : null,
+    };
+    if (converted) {
+      poPrice = multiply(poPrice, fx.rate, PRICE_DECIMALS);
+      if (units.poListPrice != null) units.poListPrice = multiply(units.poListPrice, fx.rate, PRICE_DECIMALS);
+      fxConverted++;
+    }
+
+    const qty = compareQuantity(poQty, oracle, qtyBasis);
+    if (qty.status === "Qty Short") qtyShort++;
+    else if (qty.status === "Qty Over") qtyOver++;
+
+    // Re-price for this line's quantity (volume breaks) on the PO date
+    const priceRecord = tiered ? selectPriceRecord(oracle.records, asOf, poQty) : oracle.priceRecord;
+    const erpPrice = tiered ? (priceRecord ? priceRecord.price : null) : oracle.price;
+    const tier = tiered ? describeTier(oracle.records, asOf, priceRecord) : "";
+
+    if (erpPrice === null) {
       warnings++;
+      let action = "Non-numeric ERP price";
+      let expiredPrice = false;
+      if (dated && !priceRecord) {
+        const expired = findExpiredRecord(expiredCandidates(oracle), asOf, poPrice);
+        action = `No ERP price valid on ${asOf}`;
+        if (expired) {
+          action += ` — PO uses expired price (valid to ${expired.validTo})`;
+          expiredPrice = true;
+          expiredPrices++;
+        }
+      }
       resultRows.push({
         status: "Warning",
         sku: rawSku,
+        erpSku: matchType !== "exact" ? oracle.sku : null,
+        matchType,
         name: oracle.name || poName,
         erpPrice: null,
         poPrice,
         diff: null,
         pctDiff: null,
-        action: "Non-numeric ERP price",
+        lineExposure: null,
+        toleranceRule: null,
+        action,
+        priceSource: "",
+        tier: "",
+        ...listOf(oracle),
+        expiredPrice,
         duplicate: isDuplicate,
         poQty,
         erpQty: oracle.qty,
-        lineTotal: round(poPrice * poQty),
+        lineTotal: lineAmount(poPrice, poQty, erpCcy),
+        refQty: qty.refQty,
+        qtyDiff: qty.diff,
+        qtyStatus: qty.status,
+        ...units,
       });
       continue;
     }
 
-    const diff = round(poPrice - oracle.price);
+    // Exact to PRICE_DECIMALS, so 4-decimal prices match only when they are equal
+    const diff = priceDiff(poPrice, erpPrice);
     const absDiff = Math.abs(diff);
-    const pctDiff = oracle.price !== 0 ? round((diff / oracle.price) * 100) : (diff !== 0 ? 100 : 0);
+    const pctDiff = erpPrice !== 0 ? roundTo((diff / erpPrice) * 100, 2) : (diff !== 0 ? 100 : 0);
+    // Money at risk on this line: positive = customer overpaying, negative = underpaying
+    const lineExposure = lineAmount(diff, poQty, erpCcy);
 
+    const rule = selectToleranceRule(tolerancePolicy, {
+      price: erpPrice,
+      category: oracle.category || poCategory,
+      customer,
+    });
+    const limit = toleranceLimit(rule, erpPrice);
+
+    // Explain the diff: a promotion (honoured or not), another volume break,
+    // a superseded list, a rate that has since moved, or the wrong list price / discount
+    const promo = promoTable.length > 0 && absDiff > limit
+      ? checkPromo(promoTable, {
+        skus: [rawSku, oracle.sku],
+        category: oracle.category || poCategory,
+        customer,
+        date: promoDate,
+        dealCode: poDeal,
+        poPrice,
+        listPrice: erpPrice,
+        limit,
+      })
+      : null;
+    const wrongTier = tiered && absDiff !== 0 && !promo ? findTierRecord(oracle.records, asOf, poPrice, priceRecord) : null;
+    const expired = dated && absDiff !== 0 && !promo && !wrongTier ? findExpiredRecord(expiredCandidates(oracle), asOf, poPrice) : null;
+    const fxDriven = converted && absDiff !== 0 && !promo && !wrongTier && !expired && Math.abs(pctDiff) <= fxBand;
+    const poTier = wrongTier ? describeTier(oracle.records, asOf, wrongTier) : null;
+    const erpTerms = { price: erpPrice, listPrice: priceRecord ? priceRecord.listPrice : null, discount: priceRecord ? priceRecord.discount : null };
+    const poSplit = { price: poPrice, listPrice: units.poListPrice, discount: poTerms.discount };
+    const split = absDiff !== 0 && !promo && !wrongTier && !expired && !fxDriven ? attributePriceDiff(poSplit, erpTerms) : null;
+    const reason = absDiff === 0 ? null
+      : promo ? promo.reason || "Promo price"
+      : wrongTier ? "Wrong tier applied"
+      : expired ? "Expired price"
+      : fxDriven ? "FX difference"
+      : split || "Price mismatch";
+    if (wrongTier) wrongTiers++;
+    if (expired) expiredPrices++;
+    if (promo && !promo.match) promoIssues++;
+
+    const list = listOf(oracle);
     let status, action;
 
     if (absDiff === 0) {
       status = "Match";
       action = "OK";
       matches++;
-    } else if (absDiff <= tolerance) {
+    } else if (promo && promo.match) {
+      status = "Promo Match";
+      action = `OK — ${promo.note}`;
+      promoMatches++;
+    } else if (fxDriven) {
       status = "Tolerance";
-      action = "OK — within tolerance";
+      action = `OK — FX difference (${pctDiff}% at ${poCcy}/${erpCcy} ${fx.rate})`;
+      tolerances++;
+      fxDifferences++;
+      fxExposure += toMinor(Math.abs(lineExposure), erpCcy);
+    } else if (absDiff <= limit) {
+      status = "Tolerance";
+      action = wrongTier ? `OK — within tolerance (PO priced at tier ${poTier}, qty ${poQty} is tier ${tier})`
+        : expired ? `OK — within tolerance (expired price, valid to ${expired.validTo})`
+        : "OK — within tolerance";
       tolerances++;
     } else {
       status = "Exception";
-      action = "Review pricing";
+      action = promo ? `Review pricing — ${promo.note}`
+        : wrongTier ? `Wrong tier applied — PO priced at tier ${poTier}, qty ${poQty} qualifies for tier ${tier}`
+        : expired ? `Review pricing — PO uses expired price (valid to ${expired.validTo})`
+        : split ? explainPriceDiff(split, poSplit, erpTerms)
+        : "Review pricing";
       exceptions++;
-      exposure += absDiff;
+      exposure += toMinor(Math.abs(lineExposure), erpCcy);
+      if (lineExposure > 0) overcharge += toMinor(lineExposure, erpCcy);
+      else undercharge -= toMinor(lineExposure, erpCcy);
     }
 
     resultRows.push({
       status,
       sku: rawSku,
-      erpSku: matchType === "prefix" ? denormalizeSku(findPrefixMatches(normSku, erpMap)[0].sku, erpData.rows, erpColumns.sku) : null,
+      erpSku: matchType !== "exact" ? oracle.sku : null,
+      matchType,
       name: oracle.name || poName,
-      erpPrice: oracle.price,
+      erpPrice,
       poPrice,
       diff,
       pctDiff,
-      action: matchType === "prefix" && action === "OK" ? "OK (prefix match)" : action,
+      lineExposure,
+      toleranceRule: describeToleranceRule(rule),
+      action: noteAction(action, matchType, list.notInContract && oracle.source),
+      reason,
+      ...currency,
+      erpListPrice: erpTerms.listPrice ?? null,
+      erpDiscount: erpTerms.discount ?? null,
+      priceSource: sourceOf(priceRecord),
+      ...list,
+      tier,
+      poTier,
+      expiredPrice: Boolean(expired),
+      dealCode: promo ? promo.dealCode : poDeal,
+      promoPrice: promo ? promo.promoPrice : null,
       duplicate: isDuplicate,
       poQty,
       erpQty: oracle.qty,
-      lineTotal: round(poPrice * poQty),
+      lineTotal: lineAmount(poPrice, poQty, erpCcy),
+      refQty: qty.refQty,
+      qtyDiff: qty.diff,
+      qtyStatus: qty.status,
+      ...units,
     });
   }
 
-  // Unmatched ERP rows
+  if (onProgress) onProgress({ phase: "match", done: poRowCount, total: poRowCount });
+
+  // Unmatched ERP rows — with layered lists, only those in the highest list
   for (const [normSku, oracle] of erpMap) {
     if (oracle.matched) continue;
+    if (layered && oracle.lists[0] !== priceLists[0].source) continue;
 
     resultRows.push({
       status: "Not in PO",
-      sku: denormalizeSku(normSku, erpData.rows, erpColumns.sku),
+      sku: oracle.sku,
+      matchType: null,
       name: oracle.name,
       erpPrice: oracle.price,
+      erpListPrice: oracle.priceRecord ? oracle.priceRecord.listPrice : null,
+      erpDiscount: oracle.priceRecord ? oracle.priceRecord.discount : null,
       poPrice: null,
       diff: null,
       pctDiff: null,
+      lineExposure: null,
+      toleranceRule: null,
       action: "Review — SKU not in PO",
+      priceSource: sourceOf(oracle.priceRecord),
+      ...listOf(oracle),
       duplicate: erpDuplicates.has(normSku),
       poQty: null,
       erpQty: oracle.qty,
       lineTotal: null,
+      refQty: null,
+      qtyDiff: null,
+      qtyStatus: null,
+      uom: oracle.uom,
+      orderedUom: null,
+      orderedQty: null,
+      orderedPrice: null,
+      uomFactor: null,
     });
   }
 
-  // Sort: exceptions first, then tolerance, then matches; within each group by |diff| desc
+  // Sort: exceptions first, then tolerance, then matches; within each group by money at risk desc
   const statusOrder = {
     Exception: 0,
     "Not in ERP": 1,
-    "Not in PO": 2,
-    Warning: 3,
-    Tolerance: 4,
-    Match: 5,
+    "Suggested match": 2,
+    "Not in PO": 3,
+    Warning: 4,
+    Tolerance: 5,
+    "Promo Match": 6,
+    Match: 7,
   };
 
   resultRows.sort((a, b) => {
     const sa = statusOrder[a.status] ?? 99;
     const sb = statusOrder[b.status] ?? 99;
     if (sa !== sb) return sa - sb;
+    if (a.confidence != null && b.confidence != null && a.confidence !== b.confidence) {
+      return b.confidence - a.confidence;
+    }
+    const ea = a.lineExposure != null ? Math.abs(a.lineExposure) : 0;
+    const eb = b.lineExposure != null ? Math.abs(b.lineExposure) : 0;
+    if (ea !== eb) return eb - ea;
     const da = a.diff != null ? Math.abs(a.diff) : 0;
     const db = b.diff != null ? Math.abs(b.diff) : 0;
     return db - da;
@@ -235,41 +800,183 @@ export function reconcile({ poData, poColumns, erpData, erpColumns, tolerance })
       matches,
       tolerances,
       exceptions,
-      exposure: round(exposure),
+      exposure: fromMinor(exposure, erpCcy),
+      overcharge: fromMinor(overcharge, erpCcy),
+      undercharge: fromMinor(undercharge, erpCcy),
       warnings,
+      qtyBasis,
+      qtyShort,
+      qtyOver,
+      uomConverted,
+      suggested,
+      priceDate: asOf,
+      expiredPrices,
+      wrongTiers,
+      priceLists: priceLists.map((list) => list.source),
+      notInContract: resultRows.filter((r) => r.notInContract && r.status !== "Suggested match").length,
+      poCurrency: poFileCcy,
+      erpCurrency: erpCcy,
+      fxDate: fxConverted > 0 ? fxDate : null,
+      fxConverted,
+      fxDifferences,
+      fxExposure: fromMinor(fxExposure, erpCcy),
+      promoMatches,
+      promoIssues,
+      poTotals,
+      priceBasis: poBasis,
       timestamp: new Date().toISOString(),
     },
     rows: resultRows,
   };
 }
 
+// Shown on OK rows matched other than by exact SKU
+const MATCH_NOTES = {
+  prefix: "prefix match",
+  xref: "cross-ref",
+};
+
+/**
+ * Action with its notes: how an OK line was matched, and the list that
+ * priced a line missing from the contract, e.g. "OK (not in contract — base list)".
+ */
+function noteAction(action, matchType, nonContractList) {
+  const notes = [];
+  if (action === "OK" && MATCH_NOTES[matchType]) notes.push(MATCH_NOTES[matchType]);
+  if (nonContractList) notes.push(`not in contract — ${describePriceList(nonContractList)}`);
+  return notes.length > 0 ? `${action} (${notes.join(", ")})` : action;
+}
+
 /**
- * Find ERP SKUs that start with the given PO core number.
- * e.g. PO "1234" matches ERP "1234V012", "1234V013"
+ * The base list (the ERP export) and any layers over it, highest priority
+ * first (PRICE_LISTS order).
  */
-function findPrefixMatches(normPoSku, erpMap) {
-  const results = [];
-  for (const [erpSku, entry] of erpMap) {
-    if (erpSku.startsWith(normPoSku) && erpSku !== normPoSku) {
-      results.push({ sku: erpSku, entry });
+function orderPriceLists(priceLayers, erpData, erpColumns) {
+  const layers = (priceLayers || []).filter((layer) => layer && layer.data && layer.columns);
+  for (const layer of layers) {
+    if (layer.source === "base" || !PRICE_LISTS.includes(layer.source)) {
+      throw new Error(`Unknown price list "${layer.source}". Layer contract or promo prices over the ERP list.`);
     }
   }
-  return results;
+  return [...layers, { source: "base", data: erpData, columns: erpColumns }]
+    .sort((a, b) => PRICE_LISTS.indexOf(a.source) - PRICE_LISTS.indexOf(b.source));
 }
 
-function normalizeSku(sku) {
-  return String(sku).trim().toUpperCase();
-}
+/**
+ * Price records per SKU from one price list, plus the SKUs it lists twice
+ * for the same validity window and volume break.
+ */
+function buildPriceMap({ source, data, columns }, dated, tiered) {
+  const map = new Map();
+  const duplicates = new Set();
+  const fractions = discountFractions(data, columns);
 
-function denormalizeSku(normSku, rows, skuColumn) {
-  for (const row of rows) {
-    if (normalizeSku(row[skuColumn]) === normSku) {
-      return row[skuColumn];
+  for (const row of data.rows) {
+    const rawSku = row[columns.sku];
+    if (!rawSku) continue;
+    const normSku = normalizeSku(rawSku);
+    const record = {
+      ...readNetPrice(row, columns, fractions),
+      validFrom: columns.validFrom ? parseDate(row[columns.validFrom]) : null,
+      validTo: columns.validTo ? parseDate(row[columns.validTo]) : null,
+      minQty: columns.minQty ? parseNumber(row[columns.minQty]) : null,
+    };
+
+    const existing = map.get(normSku);
+    if (existing && (dated || tiered)) {
+      // Another price record for the same SKU — only a duplicate if it covers the same window and break
+      if (existing.records.some((r) => r.validFrom === record.validFrom && r.validTo === record.validTo && r.minQty === record.minQty)) {
+        duplicates.add(normSku);
+      }
+      existing.records.push(record);
+      continue;
     }
+    if (existing) {
+      duplicates.add(normSku);
+    }
+
+    map.set(normSku, {
+      sku: rawSku,
+      price: record.price,
+      records: [record],
+      priceRecord: record,
+      name: columns.name ? row[columns.name] || "" : "",
+      qty: columns.qty ? parseQuantity(row[columns.qty]) || 1 : 1,
+      category: columns.category ? row[columns.category] || "" : "",
+      openQty: columns.qty ? parseQuantity(row[columns.qty]) : null,
+      stock: columns.stock ? parseQuantity(row[columns.stock]) : null,
+      uom: columns.uom ? String(row[columns.uom] || "").trim() : "",
+      source,
+      lists: [source],
+      fallbacks: [],
+      originalRow: row,
+      matched: false,
+    });
   }
-  return normSku;
+
+  return { map, duplicates };
 }
 
-function round(n) {
-  return Math.round(n * 100) / 100;
+/**
+ * Decide which ERP quantity (if any) PO quantities are checked against.
+ * Returns "order", "stock", or null when the check is off or impossible.
+ */
+function resolveQtyBasis(qtyCheck, poColumns, erpColumns) {
+  if (!qtyCheck || !poColumns.qty) return null;
+  if (qtyCheck === "order") return erpColumns.qty ? "order" : null;
+  if (qtyCheck === "stock") return erpColumns.stock ? "stock" : null;
+  if (erpColumns.qty) return "order";
+  if (erpColumns.stock) return "stock";
+  return null;
+}
+
+/**
+ * Compare a PO quantity against the ERP reference quantity.
+ * Against open orders, PO below/above the order qty is Short/Over.
+ * Against stock (ATP), only ordering more than is available matters —
+ * that line will ship short.
+ */
+function compareQuantity(poQty, oracle, basis) {
+  const refQty = basis === "order" ? oracle.openQty : basis === "stock" ? oracle.stock : null;
+  if (refQty == null) return { refQty: null, diff: null, status: null };
+
+  const diff = subtract(poQty, refQty, QTY_DECIMALS);
+  let status = "Qty OK";
+  if (basis === "stock") {
+    if (diff > 0) status = "Qty Short";
+  } else if (diff > 0) {
+    status = "Qty Over";
+  } else if (diff < 0) {
+    status = "Qty Short";
+  }
+
+  return { refQty, diff, status };
+}
+
+/**
+ * PO lines as ordered — price × qty before any UOM or FX conversion — for the
+ * totals check.
+ */
+function poLineTotals(poData, poColumns, currency, fractions) {
+  const lines = [];
+  poData.rows.forEach((row, i) => {
+    const sku = row[poColumns.sku];
+    if (!sku) return;
+    const price = readNetPrice(row, poColumns, fractions).price;
+    const qty = readPoQty(row, poColumns);
+    lines.push({ lineNum: i + 1, sku, lineTotal: price !== null && qty !== null ? lineAmount(price, qty, currency) : null });
+  });
+  return lines;
+}
+
+// A PO line's quantity: 1 when it gives none, null when its cell can't be read
+function readPoQty(row, poColumns) {
+  const raw = poColumns.qty ? String(row[poColumns.qty] ?? "").trim() : "";
+  if (!raw) return 1;
+  const qty = parseQuantity(raw);
+  return qty === null ? null : qty || 1;
+}
+
+function normalizeSku(sku) {
+  return String(sku).trim().toUpperCase();
 }
@@ -1,4 +1,6 @@
-import { formatCurrency, getCurrencyFormat } from "../utils/format";
+import { formatCurrency, formatMoney, getCurrencyFormat, getPriceFormat } from "../utils/format.js";
+import { describeTolerancePolicy } from "./tolerance.js";
+import { describePriceList } from "./pricelist.js";
 
 /* global Excel */
 
@@ -8,20 +10,32 @@ const EXCEPTION_BG = "#FFC7CE";
 const TOLERANCE_BG = "#FFEB9C";
 const MATCH_BG = "#C6EFCE";
 const WARNING_BG = "#F2F2F2";
+const SUGGESTED_BG = "#DDEBF7";
+const PROMO_BG = "#E2EFDA";
 
 const TABLE_HEADERS = [
   "Status",
   "SKU",
   "Product Name",
+  "Qty",
+  "UOM",
+  "Ordered As",
   "ERP $",
   "PO $",
+  "PO Original",
+  "List − Discount",
   "Difference",
   "% Diff",
+  "Line Exposure",
+  "Tolerance Rule",
+  "Price Source",
   "Action",
 ];
+const LAST_COL = String.fromCharCode(64 + TABLE_HEADERS.length); // P
 
 /**
  * Write reconciliation results to a new Excel sheet.
+ * `tolerance` is the amount or policy passed to reconcile().
  */
 export async function writeResultsSheet(results, tolerance, poRef) {
   await Excel.run(async (context) => {
@@ -38,7 +52,7 @@ export async function writeResultsSheet(results, tolerance, poRef) {
     // Create new sheet
     const sheet = context.workbook.worksheets.add(sheetName);
 
-    // --- Summary Section (rows 1-7) ---
+    // --- Summary Section (rows 1-14) ---
     const summaryData = [
       ["PO Reconciliation Summary", ""],
       ["Total Line Items", results.summary.total],
@@ -46,11 +60,17 @@ export async function writeResultsSheet(results, tolerance, poRef) {
       ["Within Tolerance", results.summary.tolerances],
       ["Exceptions", results.summary.exceptions],
       ["Total $ Exposure", formatCurrency(results.summary.exposure)],
-      ["Tolerance Used", formatCurrency(tolerance)],
+      ["Customer Overpaying", formatCurrency(results.summary.overcharge)],
+      ["Customer Underpaying", formatCurrency(results.summary.undercharge)],
+      ["Tolerance Used", describeTolerancePolicy(tolerance)],
+      ["Prices As Of", describePriceDate(results.summary)],
+      ["Currency", describeCurrency(results.summary)],
+      ["PO Totals", describePoTotals(results.summary)],
+      ["Promotions", describePromotions(results.summary)],
       ["Timestamp", new Date().toLocaleString()],
     ];
 
-    const summaryRange = sheet.getRange("A1:B8");
+    const summaryRange = sheet.getRange("A1:B14");
     summaryRange.values = summaryData;
 
     // Format summary header
@@ -61,7 +81,7 @@ export async function writeResultsSheet(results, tolerance, poRef) {
     summaryTitle.format.font.color = HEADER_BG;
 
     // Format summary labels
-    const summaryLabels = sheet.getRange("A2:A8");
+    const summaryLabels = sheet.getRange("A2:A14");
     summaryLabels.format.font.bold = true;
 
     // Highlight exceptions row
@@ -69,11 +89,21 @@ export async function writeResultsSheet(results, tolerance, poRef) {
     exceptionsRow.format.font.color = "#A4262C";
     exceptionsRow.format.font.bold = true;
 
-    // --- Table Section (row 10+) ---
-    const tableStartRow = 10;
+    // Highlight PO totals that don't add up
+    if (results.summary.poTotals && results.summary.poTotals.status === "Mismatch") {
+      sheet.getRange("A12:B12").format.font.color = "#A4262C";
+    }
+
+    // Highlight promotions that were expired or misapplied
+    if (results.summary.promoIssues > 0) {
+      sheet.getRange("A13:B13").format.font.color = "#A4262C";
+    }
+
+    // --- Table Section (row 16+) ---
+    const tableStartRow = 16;
 
     // Header row
-    const headerRange = sheet.getRange(`A${tableStartRow}:H${tableStartRow}`);
+    const headerRange = sheet.getRange(`A${tableStartRow}:${LAST_COL}${tableStartRow}`);
     headerRange.values = [TABLE_HEADERS];
     headerRange.format.font.bold = true;
     headerRange.format.font.color = HEADER_FG;
@@ -88,44 +118,62 @@ export async function writeResultsSheet(results, tolerance, poRef) {
         row.duplicate ? `${row.status} (DUP)` : row.status,
         row.erpSku ? `${row.sku} → ${row.erpSku}` : row.sku,
         row.name || "",
+        row.poQty != null ? row.poQty : "",
+        row.uom || "",
+        describeOrdered(row),
         row.erpPrice != null ? row.erpPrice : "",
         row.poPrice != null ? row.poPrice : "",
+        describeOriginal(row),
+        describeDiscounts(row),
         row.diff != null ? row.diff : "",
         row.pctDiff != null ? `${row.pctDiff}%` : "",
+        row.lineExposure != null ? row.lineExposure : "",
+        row.toleranceRule || "",
+        describePriceSource(row),
         row.action,
       ]);
 
       const dataStartRow = tableStartRow + 1;
       const dataEndRow = dataStartRow + dataValues.length - 1;
-      const dataRange = sheet.getRange(`A${dataStartRow}:H${dataEndRow}`);
+      const dataRange = sheet.getRange(`A${dataStartRow}:${LAST_COL}${dataEndRow}`);
       dataRange.values = dataValues;
 
       // Conditional formatting per row
       for (let i = 0; i < results.rows.length; i++) {
-        const rowRange = sheet.getRange(`A${dataStartRow + i}:H${dataStartRow + i}`);
+        const rowRange = sheet.getRange(`A${dataStartRow + i}:${LAST_COL}${dataStartRow + i}`);
         const status = results.rows[i].status;
 
         if (status === "Exception" || status === "Not in ERP" || status === "Not in PO") {
           rowRange.format.fill.color = EXCEPTION_BG;
         } else if (status === "Tolerance") {
           rowRange.format.fill.color = TOLERANCE_BG;
+        } else if (status === "Promo Match") {
+          rowRange.format.fill.color = PROMO_BG;
         } else if (status === "Match") {
           rowRange.format.fill.color = MATCH_BG;
         } else if (status === "Warning") {
           rowRange.format.fill.color = WARNING_BG;
+        } else if (status === "Suggested match") {
+          rowRange.format.fill.color = SUGGESTED_BG;
         }
       }
 
-      // Currency format for price columns (D, E, F)
-      const priceColumns = ["D", "E", "F"];
-      for (const col of priceColumns) {
+      // Unit prices and differences keep up to 4 dp (G, H, K); exposure is money (M)
+      for (const col of ["G", "H", "K"]) {
         const priceRange = sheet.getRange(`${col}${dataStartRow}:${col}${dataEndRow}`);
-        priceRange.numberFormat = [[getCurrencyFormat()]];
+        priceRange.numberFormat = [[getPriceFormat()]];
       }
+      sheet.getRange(`M${dataStartRow}:M${dataEndRow}`).numberFormat = [[getCurrencyFormat()]];
+    }
+
+    // --- Quantity Check Section (below the price table, when run) ---
+    let lastRow = tableStartRow + results.rows.length;
+    if (results.summary.qtyBasis) {
+      lastRow = writeQuantitySection(sheet, results, lastRow + 2);
     }
 
     // Auto-fit columns
-    const fullRange = sheet.getRange(`A1:H${tableStartRow + results.rows.length}`);
+    const fullRange = sheet.getRange(`A1:${LAST_COL}${lastRow}`);
     fullRange.format.autofitColumns();
 
     // Activate the new sheet
@@ -135,6 +183,142 @@ export async function writeResultsSheet(results, tolerance, poRef) {
   });
 }
 
+/**
+ * Write the quantity check block starting at `startRow`.
+ * Lists only lines whose quantity disagrees with ERP. Returns the last row used.
+ */
+function writeQuantitySection(sheet, results, startRow) {
+  const { qtyBasis, qtyShort, qtyOver } = results.summary;
+  const refLabel = qtyBasis === "stock" ? "Available (ATP)" : "ERP Open Qty";
+  const qtyRows = results.rows.filter((r) => r.qtyStatus === "Qty Short" || r.qtyStatus === "Qty Over");
+
+  const titleRange = sheet.getRange(`A${startRow}:B${startRow}`);
+  titleRange.values = [[
+    "Quantity Check",
+    `${qtyShort} short, ${qtyOver} over (vs ${qtyBasis === "stock" ? "stock" : "open orders"})`,
+  ]];
+  titleRange.format.font.bold = true;
+  titleRange.format.font.color = HEADER_BG;
+
+  const headerRow = startRow + 1;
+  const headerRange = sheet.getRange(`A${headerRow}:F${headerRow}`);
+  headerRange.values = [["Qty Status", "SKU", "Product Name", "PO Qty", refLabel, "Qty Diff"]];
+  headerRange.format.font.bold = true;
+  headerRange.format.font.color = HEADER_FG;
+  headerRange.format.fill.color = HEADER_BG;
+
+  if (qtyRows.length === 0) {
+    sheet.getRange(`A${headerRow + 1}`).values = [["All quantities agree with ERP"]];
+    return headerRow + 1;
+  }
+
+  const dataStartRow = headerRow + 1;
+  const dataEndRow = dataStartRow + qtyRows.length - 1;
+  const dataRange = sheet.getRange(`A${dataStartRow}:F${dataEndRow}`);
+  dataRange.values = qtyRows.map((row) => [
+    row.qtyStatus,
+    row.erpSku ? `${row.sku} → ${row.erpSku}` : row.sku,
+    row.name || "",
+    row.poQty,
+    row.refQty,
+    row.qtyDiff,
+  ]);
+  dataRange.format.fill.color = qtyBasis === "stock" ? EXCEPTION_BG : TOLERANCE_BG;
+
+  return dataEndRow;
+}
+
+/**
+ * Summary line for dated price lists, e.g. "2026-03-14 (2 lines on expired prices)",
+ * followed by the layered lists in priority order when there are several,
+ * e.g. " — contract → base list (3 line(s) not in contract)".
+ */
+function describePriceDate(summary) {
+  const expired = summary.expiredPrices > 0 ? ` (${summary.expiredPrices} line(s) on expired prices)` : "";
+  const date = summary.priceDate ? `${summary.priceDate}${expired}` : "Undated price list";
+  const lists = summary.priceLists || [];
+  if (lists.length < 2) return date;
+  const notInContract = summary.notInContract > 0 ? ` (${summary.notInContract} line(s) not in contract)` : "";
+  return `${date} — ${lists.map(describePriceList).join(" → ")}${notInContract}`;
+}
+
+/**
+ * Summary line for the currencies compared,
+ * e.g. "PO EUR → GBP: 12 line(s) converted, 2 FX difference(s) (£3.40)".
+ */
+function describeCurrency(summary) {
+  const { poCurrency, erpCurrency, fxConverted, fxDifferences, fxExposure } = summary;
+  if (!fxConverted) return poCurrency || erpCurrency || "Single currency";
+  const fx = fxDifferences > 0 ? `, ${fxDifferences} FX difference(s) (${formatCurrency(fxExposure)})` : "";
+  return `PO ${poCurrency || "mixed"} → ${erpCurrency}: ${fxConverted} line(s) converted${fx}`;
+}
+
+/**
+ * Whether the PO's lines add up to its own stated totals, e.g.
+ * "Agree — PO total £4,825.80" or the mismatch found.
+ */
+function describePoTotals(summary) {
+  const check = summary.poTotals;
+  if (!check || check.status === "Not stated") return "Not stated on PO";
+  if (check.status === "Mismatch" || check.statedTotal == null) return check.message;
+  return `Agree — PO total ${formatMoney(check.statedTotal, summary.poCurrency)}`;
+}
+
+/**
+ * Summary line for promotions, e.g. "3 line(s) at promo prices, 1 expired or misapplied".
+ */
+function describePromotions(summary) {
+  const matched = summary.promoMatches || 0;
+  const issues = summary.promoIssues || 0;
+  if (matched === 0 && issues === 0) return "None applied";
+  const parts = [];
+  if (matched > 0) parts.push(`${matched} line(s) at promo prices`);
+  if (issues > 0) parts.push(`${issues} expired or misapplied`);
+  return parts.join(", ");
+}
+
+/**
+ * The PO price before FX conversion, e.g. "€11.20 × 0.8512 (2026-03-01)".
+ * Blank when the PO is in the price list's currency.
+ */
+function describeOriginal(row) {
+  if (row.fxRate == null) return "";
+  const date = row.fxRateDate ? ` (${row.fxRateDate})` : "";
+  return `${formatMoney(row.poPriceOriginal, row.poCurrency)} × ${row.fxRate}${date}`;
+}
+
+/**
+ * List price and discount behind the net ERP and PO prices,
+ * e.g. "ERP £10.00 − 15% · PO £10.00 − 10%". Blank without a discount split.
+ */
+function describeDiscounts(row) {
+  const side = (label, list, discount) =>
+    list != null ? `${label} ${formatCurrency(list)}${discount ? ` − ${discount}%` : ""}` : "";
+  return [side("ERP", row.erpListPrice, row.erpDiscount), side("PO", row.poListPrice, row.poDiscount)]
+    .filter(Boolean)
+    .join(" · ");
+}
+
+/**
+ * ERP price record behind the line: layered list, volume break and validity
+ * window, e.g. "contract, tier 100+, valid from 2026-01-01". Blank for a
+ * single flat, undated list.
+ */
+function describePriceSource(row) {
+  return [describePriceList(row.priceList), row.tier ? `tier ${row.tier}` : "", row.priceSource || ""].filter(Boolean).join(", ");
+}
+
+/**
+ * The PO line as ordered, when it was converted to the ERP unit,
+ * e.g. "2 CS @ £24.00". Blank when no conversion was needed.
+ */
+function describeOrdered(row) {
+  if (row.uomFactor == null || row.uomFactor === 1) return "";
+  // Ordered price stays in the PO's own currency when the line was converted
+  const price = row.orderedPrice != null ? ` @ ${formatMoney(row.orderedPrice, row.fxRate != null ? row.poCurrency : null)}` : "";
+  return `${row.orderedQty} ${row.orderedUom}${price}`;
+}
+
 function getSheetName(poRef) {
   const clean = (poRef || "Recon").replace(/[\\/*?\[\]:]/g, "").trim().slice(0, 20);
   return `Recon ${clean}`;
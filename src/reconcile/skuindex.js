@@ -0,0 +1,60 @@
+/**
+ * Sorted SKU index for prefix matching — PO core number "1234" → ERP
+ * "1234V012", "1234V013".
+ *
+ * Scanning every ERP SKU for every unmatched PO line is O(PO × ERP), which
+ * stalls the taskpane on 80k-SKU price lists. Sorted, all SKUs sharing a
+ * prefix sit next to each other, so each lookup is a binary search to the
+ * first candidate plus a walk over the hits.
+ */
+
+/**
+ * Build the index once per reconciliation from reconcile()'s ERP lookup
+ * (normalized SKU → entry).
+ *
+ * @param {Map<string, object>} erpMap
+ * @returns {{ keys: string[], order: Map<string, number>, erpMap: Map<string, object> }}
+ */
+export function buildSkuIndex(erpMap) {
+  const order = new Map();
+  for (const key of erpMap.keys()) order.set(key, order.size);
+
+  // Default sort compares UTF-16 code units, the same order startsWith relies on
+  const keys = [...order.keys()].sort();
+  return { keys, order, erpMap };
+}
+
+/**
+ * ERP SKUs that start with `normPoSku` (but aren't it), in price list order.
+ *
+ * @returns {{ sku: string, entry: object }[]} sku is the ERP SKU as written
+ */
+export function findPrefixMatches(index, normPoSku) {
+  if (!normPoSku) return [];
+  const { keys, order, erpMap } = index;
+
+  const hits = [];
+  for (let i = lowerBound(keys, normPoSku); i < keys.length && keys[i].startsWith(normPoSku); i++) {
+    if (keys[i] !== normPoSku) hits.push(keys[i]);
+  }
+
+  return hits
+    .sort((a, b) => order.get(a) - order.get(b))
+    .map((key) => ({ sku: erpMap.get(key).sku, entry: erpMap.get(key) }));
+}
+
+// ── Helpers ──
+
+/**
+ * First position whose key is >= `target`.
+ */
+function lowerBound(keys, target) {
+  let lo = 0;
+  let hi = keys.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (keys[mid] < target) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
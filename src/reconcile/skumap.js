@@ -0,0 +1,121 @@
+/**
+ * SKUMap sheet — Office.js reader/writer for the customer SKU cross-reference.
+ *
+ * The sheet persists in the workbook so mappings remembered on one PO
+ * apply to every later reconciliation for the same customer.
+ */
+
+/* global Excel */
+
+const SHEET_NAME = "SKUMap";
+const HEADERS = ["Customer", "Customer SKU", "ERP SKU", "Added"];
+
+const HEADER_BG = "#1f4e79";
+const HEADER_FG = "#ffffff";
+
+/**
+ * Read all cross-reference entries from the SKUMap sheet.
+ *
+ * @returns {object[]} { customer, customerSku, erpSku }, or empty array if no sheet.
+ */
+export async function readSkuMap() {
+  const entries = [];
+
+  await Excel.run(async (ctx) => {
+    const sheet = ctx.workbook.worksheets.getItemOrNullObject(SHEET_NAME);
+    await ctx.sync();
+    if (sheet.isNullObject) return;
+
+    const usedRange = sheet.getUsedRangeOrNullObject(true);
+    usedRange.load(["values", "rowCount"]);
+    await ctx.sync();
+
+    if (usedRange.isNullObject || usedRange.rowCount < 2) return;
+
+    const allValues = usedRange.values;
+    // Skip header row
+    for (let i = 1; i < allValues.length; i++) {
+      const row = allValues[i];
+      if (!row[1] || !row[2]) continue; // both SKUs required
+
+      entries.push({
+        customer: String(row[0] || "").trim(),
+        customerSku: String(row[1]).trim(),
+        erpSku: String(row[2]).trim(),
+      });
+    }
+  });
+
+  return entries;
+}
+
+/**
+ * Save mappings to the SKUMap sheet, creating it if needed.
+ * An existing entry for the same customer + customer SKU is updated in place.
+ *
+ * @param {object[]} entries - { customer, customerSku, erpSku }
+ * @returns {{ added: number, updated: number }}
+ */
+export async function saveSkuMappings(entries) {
+  let added = 0;
+  let updated = 0;
+  if (!entries || entries.length === 0) return { added, updated };
+
+  await Excel.run(async (ctx) => {
+    let sheet = ctx.workbook.worksheets.getItemOrNullObject(SHEET_NAME);
+    await ctx.sync();
+
+    if (sheet.isNullObject) {
+      sheet = ctx.workbook.worksheets.add(SHEET_NAME);
+
+      const headerRange = sheet.getRangeByIndexes(0, 0, 1, HEADERS.length);
+      headerRange.values = [HEADERS];
+      headerRange.format.font.bold = true;
+      headerRange.format.font.color = HEADER_FG;
+      headerRange.format.fill.color = HEADER_BG;
+
+      const widths = [160, 130, 130, 90];
+      for (let i = 0; i < widths.length; i++) {
+        sheet.getRangeByIndexes(0, i, 1, 1).format.columnWidth = widths[i];
+      }
+      await ctx.sync();
+    }
+
+    const usedRange = sheet.getUsedRangeOrNullObject(true);
+    usedRange.load(["values", "rowCount"]);
+    await ctx.sync();
+
+    const existing = usedRange.isNullObject ? [HEADERS] : usedRange.values;
+    const today = new Date().toISOString().slice(0, 10);
+    const appended = [];
+
+    for (const e of entries) {
+      const key = mappingKey(e.customer, e.customerSku);
+      const idx = existing.findIndex((row, i) => i > 0 && mappingKey(row[0], row[1]) === key);
+      const values = [e.customer || "", e.customerSku, e.erpSku, today];
+
+      if (idx !== -1) {
+        sheet.getRangeByIndexes(idx, 0, 1, HEADERS.length).values = [values];
+        existing[idx] = values;
+        updated++;
+      } else {
+        appended.push(values);
+        existing.push(values);
+        added++;
+      }
+    }
+
+    if (appended.length > 0) {
+      const startRow = usedRange.isNullObject ? 1 : usedRange.rowCount;
+      sheet.getRangeByIndexes(startRow, 0, appended.length, HEADERS.length).values = appended;
+    }
+
+    await ctx.sync();
+  });
+
+  return { added, updated };
+}
+
+function mappingKey(customer, customerSku) {
+  return `${String(customer || "").trim().toLowerCase()}|${String(customerSku || "").trim().toUpperCase()}`;
+}
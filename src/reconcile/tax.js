@@ -0,0 +1,294 @@
+/**
+ * VAT / sales tax — tax codes per SKU or per customer, gross vs net PO
+ * prices, and tax lines for credit notes, re-invoices and ERP staging.
+ *
+ * A tax code entry gives a code (and optionally its rate) for every line,
+ * for one SKU, or for one customer:
+ *   { sku: null,   customer: null,        code: "standard", rate: 20 }  — sets the standard rate
+ *   { sku: "1234", customer: null,        code: "zero" }
+ *   { sku: null,   customer: "Acme Corp", code: "reverse charge" }
+ * A SKU's code wins over its customer's, except that a customer on reverse
+ * charge or zero rating (exports) has no tax on any line. Lines with no
+ * entry are standard rated.
+ */
+
+import { divide, multiply, percentOf, sumMoney, currencyDecimals, PRICE_DECIMALS } from "../utils/money.js";
+
+export const TAX_CODES = {
+  STANDARD: "standard",
+  REDUCED: "reduced",
+  ZERO: "zero",
+  EXEMPT: "exempt",
+  REVERSE_CHARGE: "reverse charge",
+};
+
+// UK rates — the add-in's default currency; "standard = 8.25%" etc. overrides them
+const DEFAULT_RATES = {
+  standard: 20,
+  reduced: 5,
+  zero: 0,
+  exempt: 0,
+  "reverse charge": 0,
+};
+
+// Codes with no tax whatever rate is configured
+const UNTAXED = new Set([TAX_CODES.ZERO, TAX_CODES.EXEMPT, TAX_CODES.REVERSE_CHARGE]);
+
+const CODE_SYNONYMS = {
+  s: "standard",
+  std: "standard",
+  sr: "standard",
+  "standard rate": "standard",
+  "standard rated": "standard",
+  r: "reduced",
+  rr: "reduced",
+  "reduced rate": "reduced",
+  z: "zero",
+  zr: "zero",
+  "zero rate": "zero",
+  "zero rated": "zero",
+  "zero-rated": "zero",
+  e: "exempt",
+  ex: "exempt",
+  rc: "reverse charge",
+  reverse: "reverse charge",
+  "reverse-charge": "reverse charge",
+  "reverse charged": "reverse charge",
+};
+
+const LABELS = {
+  standard: "Standard",
+  reduced: "Reduced",
+  zero: "Zero rated",
+  exempt: "Exempt",
+  "reverse charge": "Reverse charge",
+};
+
+/**
+ * Canonical tax code ("standard", "reduced", "zero", "exempt",
+ * "reverse charge") for a cell or setting, or null if unrecognised.
+ */
+export function normalizeTaxCode(value) {
+  const key = String(value ?? "").trim().toLowerCase().replace(/\s+/g, " ");
+  if (!key) return null;
+  if (DEFAULT_RATES[key] != null) return key;
+  return CODE_SYNONYMS[key] || null;
+}
+
+/**
+ * Build a lookup table for one PO's customer from tax code entries — text
+ * (see parseTaxCodes) or an array. Entries for other customers are ignored.
+ */
+export function buildTaxTable(entries, customer) {
+  const list = typeof entries === "string" ? parseTaxCodes(entries) : entries || [];
+  const table = { rates: { ...DEFAULT_RATES }, bySku: new Map(), customer: null };
+  const forCustomer = (c) => !c || (customer && normalizeKey(c) === normalizeKey(customer));
+
+  for (const e of list) {
+    const code = normalizeTaxCode(e.code);
+    if (!code || !forCustomer(e.customer)) continue;
+    const rate = e.rate != null && e.rate !== "" ? Number(e.rate) : null;
+
+    if (e.sku) {
+      // A customer-specific SKU entry beats a general one
+      const key = normalizeKey(e.sku);
+      const existing = table.bySku.get(key);
+      if (!existing || e.customer || !existing.customer) table.bySku.set(key, { code, rate, customer: e.customer || null });
+    } else if (e.customer) {
+      table.customer = { code, rate };
+    } else if (rate != null) {
+      table.rates[code] = rate;
+    }
+  }
+
+  return table;
+}
+
+/**
+ * Tax code and rate for a line. `skus` are the PO and ERP SKUs (either may
+ * carry an entry).
+ *
+ * @returns {{ taxCode: string, taxRate: number }}
+ */
+export function taxFor(table, skus) {
+  const customer = table.customer;
+  let entry = null;
+  if (customer && (customer.code === TAX_CODES.REVERSE_CHARGE || customer.code === TAX_CODES.ZERO)) {
+    entry = customer;
+  } else {
+    for (const sku of skus) {
+      if (sku && table.bySku.has(normalizeKey(sku))) {
+        entry = table.bySku.get(normalizeKey(sku));
+        break;
+      }
+    }
+    entry = entry || customer || { code: TAX_CODES.STANDARD, rate: null };
+  }
+
+  const rate = UNTAXED.has(entry.code) ? 0 : entry.rate ?? table.rates[entry.code];
+  return { taxCode: entry.code, taxRate: rate };
+}
+
+/**
+ * Parse tax codes from the compact text form used by the settings panel and
+ * the ReconcilePO agent parameter. One entry per line (or ";"):
+ *
+ *   standard = 20%
+ *   reduced = 5%
+ *   1234: zero
+ *   5678: reduced 5%
+ *   customer Acme Corp: reverse charge
+ *
+ * Throws on a malformed line.
+ */
+export function parseTaxCodes(text) {
+  if (!text || !String(text).trim()) return [];
+
+  const lines = String(text).split(/[\n;]/).map((l) => l.trim()).filter(Boolean);
+  return lines.map((line, i) => {
+    const fail = () => new Error(`Tax code ${i + 1} ("${line}"): expected "standard = 20%", "<SKU>: zero" or "customer <name>: reverse charge".`);
+
+    // Rate setting: "standard = 20%"
+    const rateMatch = line.match(/^([A-Za-z][\w -]*?)\s*=\s*([\d.]+)\s*%?$/);
+    if (rateMatch) {
+      const code = normalizeTaxCode(rateMatch[1]);
+      if (!code) throw fail();
+      return { sku: null, customer: null, code, rate: parseFloat(rateMatch[2]) };
+    }
+
+    const sep = line.lastIndexOf(":");
+    if (sep === -1) throw fail();
+    const target = line.slice(0, sep).trim();
+    const m = line.slice(sep + 1).trim().match(/^([A-Za-z][\w -]*?)(?:\s+([\d.]+)\s*%)?$/);
+    const code = m && normalizeTaxCode(m[1]);
+    if (!target || !code) throw fail();
+
+    const customerMatch = target.match(/^customer\s+(.+)$/i);
+    return {
+      sku: customerMatch ? null : target,
+      customer: customerMatch ? customerMatch[1].trim() : null,
+      code,
+      rate: m[2] != null ? parseFloat(m[2]) : null,
+    };
+  });
+}
+
+/**
+ * Read tax codes from a sheet-style table ({ headers, rows }) with columns
+ * like SKU and/or Customer, Tax Code, and an optional Rate.
+ */
+export function taxCodesFromRows({ headers, rows }) {
+  const find = (aliases) => headers.find((h) => aliases.includes(String(h).toLowerCase().trim())) || null;
+  const skuCol = find(["sku", "item", "item number", "product code", "part number"]);
+  const customerCol = find(["customer", "customer name", "account"]);
+  const codeCol = find(["tax code", "vat code", "tax", "vat", "code", "tax category", "vat rate code"]);
+  const rateCol = find(["rate", "tax rate", "vat rate", "rate %", "vat %", "tax %"]);
+
+  if (!codeCol) {
+    throw new Error(`Tax code sheet needs a Tax Code column. Found headers: ${headers.join(", ")}`);
+  }
+
+  return rows
+    .filter((row) => normalizeTaxCode(row[codeCol]))
+    .map((row) => {
+      const rate = rateCol ? parseFloat(String(row[rateCol]).replace("%", "")) : NaN;
+      return {
+        sku: skuCol && String(row[skuCol] ?? "").trim() ? row[skuCol] : null,
+        customer: customerCol && String(row[customerCol] ?? "").trim() ? row[customerCol] : null,
+        code: row[codeCol],
+        rate: isNaN(rate) ? null : rate,
+      };
+    });
+}
+
+// ── Gross / net prices ──
+
+/**
+ * Whether a PO price column holds gross (tax-inclusive) or net prices, from
+ * its header: "Price inc VAT", "Unit Price (incl. tax)" → "gross". "Gross
+ * price" alone is a list price before discount, not a tax-inclusive one.
+ */
+export function detectPriceBasis(...headers) {
+  const gross = /\b(inc|incl|including|inclusive of)\.?\s*(vat|tax|gst|sales tax)\b|\b(vat|tax|gst)[- ]inc(l|lusive)?\b|\bgross of (vat|tax)\b/i;
+  return headers.some((h) => h && gross.test(String(h))) ? "gross" : "net";
+}
+
+/**
+ * Price basis from a setting or request field: "net", "gross", or null for
+ * detect-from-headers. Throws on anything else.
+ */
+export function parsePriceBasis(value) {
+  if (value == null || value === "" || String(value).toLowerCase() === "auto") return null;
+  const key = String(value).trim().toLowerCase();
+  if (["net", "ex vat", "exclusive", "ex tax"].includes(key)) return "net";
+  if (["gross", "inc vat", "inclusive", "inc tax"].includes(key)) return "gross";
+  throw new Error(`Unknown price basis "${value}". Use net, gross or auto.`);
+}
+
+/**
+ * Net unit price from a tax-inclusive one: gross × 100 / (100 + rate).
+ */
+export function netOfTax(gross, rate) {
+  if (gross == null) return null;
+  return rate ? divide(multiply(gross, 100, PRICE_DECIMALS + 2), 100 + rate, PRICE_DECIMALS) : gross;
+}
+
+/**
+ * Tax on a net amount, rounded to the currency's minor units.
+ */
+export function taxAmount(net, rate, currency) {
+  if (net == null) return null;
+  return rate ? percentOf(net, rate, currencyDecimals(currency)) || 0 : 0;
+}
+
+// ── Summaries ──
+
+/**
+ * Label for a code and rate: "Standard 20%", "Reverse charge".
+ */
+export function describeTaxCode(code, rate) {
+  const label = LABELS[code] || code || "";
+  return UNTAXED.has(code) || rate == null ? label : `${label} ${rate}%`;
+}
+
+/**
+ * VAT summary of document lines: net, tax and gross per code and rate.
+ * Line tax is summed as shown on each line, so the summary agrees with the table.
+ *
+ * @param {object[]} lines - { taxCode, taxRate, net, tax }
+ * @returns {{ rates: object[], net: number, tax: number, gross: number, reverseCharge: boolean }}
+ *   each rate is { code, rate, label, net, tax, gross }
+ */
+export function summarizeTax(lines, currency) {
+  const groups = new Map();
+  for (const l of lines) {
+    const key = `${l.taxCode}|${l.taxRate}`;
+    if (!groups.has(key)) groups.set(key, { code: l.taxCode, rate: l.taxRate, nets: [], taxes: [] });
+    groups.get(key).nets.push(l.net);
+    groups.get(key).taxes.push(l.tax);
+  }
+
+  const rates = [...groups.values()]
+    .sort((a, b) => (b.rate ?? 0) - (a.rate ?? 0))
+    .map((g) => {
+      const net = sumMoney(g.nets, currency);
+      const tax = sumMoney(g.taxes, currency);
+      return { code: g.code, rate: g.rate, label: describeTaxCode(g.code, g.rate), net, tax, gross: sumMoney([net, tax], currency) };
+    });
+
+  const net = sumMoney(rates.map((r) => r.net), currency);
+  const tax = sumMoney(rates.map((r) => r.tax), currency);
+  return {
+    rates,
+    net,
+    tax,
+    gross: sumMoney([net, tax], currency),
+    reverseCharge: rates.some((r) => r.code === TAX_CODES.REVERSE_CHARGE),
+  };
+}
+
+// ── Helpers ──
+
+function normalizeKey(value) {
+  return String(value).trim().toUpperCase();
+}
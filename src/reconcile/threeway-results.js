@@ -0,0 +1,269 @@
+import { formatCurrency, getCurrencyFormat, getPriceFormat } from "../utils/format.js";
+import { describeTolerancePolicy } from "./tolerance.js";
+import { describeTaxCode } from "./tax.js";
+import { writeVatSummary } from "./creditnote-results.js";
+
+/* global Excel */
+
+// Same palette as the Recon sheet (results.js)
+const HEADER_BG = "#1F4E79";
+const HEADER_FG = "#FFFFFF";
+const EXCEPTION_BG = "#FFC7CE";
+const TOLERANCE_BG = "#FFEB9C";
+const MATCH_BG = "#C6EFCE";
+const WARNING_BG = "#F2F2F2";
+const CREDIT_FG = "#A4262C";
+
+const STATUS_BG = {
+  "Not on PO": EXCEPTION_BG,
+  "Not Received": EXCEPTION_BG,
+  "Over-Invoiced": EXCEPTION_BG,
+  "Price Variance": EXCEPTION_BG,
+  "Under-Invoiced": TOLERANCE_BG,
+  Tolerance: TOLERANCE_BG,
+  Match: MATCH_BG,
+  "Not Invoiced": WARNING_BG,
+  Open: WARNING_BG,
+};
+
+const TABLE_HEADERS = [
+  "Status",
+  "PO Line",
+  "SKU",
+  "Product Name",
+  "PO Qty",
+  "Received",
+  "Invoiced",
+  "Qty Variance",
+  "PO Price",
+  "Invoice Price",
+  "Price Diff",
+  "% Diff",
+  "Invoice Amount",
+  "Payable",
+  "Over-billed",
+  "Action",
+];
+const LAST_COL = String.fromCharCode(64 + TABLE_HEADERS.length); // P
+
+/**
+ * Write three-way match results (reconcileThreeWay) to a new sheet.
+ * `tolerance` is the amount or policy the match used.
+ */
+export async function writeThreeWayResultsSheet(results, tolerance, ref) {
+  await Excel.run(async (context) => {
+    const sheetName = getSheetName("3-Way", ref);
+
+    const existing = context.workbook.worksheets.getItemOrNullObject(sheetName);
+    await context.sync();
+    if (!existing.isNullObject) {
+      existing.delete();
+      await context.sync();
+    }
+
+    const sheet = context.workbook.worksheets.add(sheetName);
+    const s = results.summary;
+
+    // --- Summary Section (rows 1-13) ---
+    const summaryData = [
+      ["Three-Way Match Summary", ""],
+      ["Total Lines", s.total],
+      ["Matched (incl. tolerance)", s.matches + s.tolerances],
+      ["Price Variances", s.priceVariances],
+      ["Over-Invoiced", s.overInvoiced],
+      ["Not Received", s.notReceived],
+      ["Not on PO", s.notOnPo],
+      ["Awaiting Invoice", s.notInvoiced + s.underInvoiced],
+      ["Invoice Total", formatCurrency(s.invoiceTotal)],
+      ["Payable", formatCurrency(s.payable)],
+      ["Over-billed (credit due)", formatCurrency(s.overBilled)],
+      ["On Hold (not received)", formatCurrency(s.onHold)],
+      ["Tolerance Used", describeTolerancePolicy(tolerance)],
+    ];
+
+    sheet.getRange("A1:B13").values = summaryData;
+
+    const summaryTitle = sheet.getRange("A1:B1");
+    summaryTitle.merge();
+    summaryTitle.format.font.bold = true;
+    summaryTitle.format.font.size = 14;
+    summaryTitle.format.font.color = HEADER_BG;
+
+    sheet.getRange("A2:A13").format.font.bold = true;
+
+    // Highlight the credit due
+    const creditRow = sheet.getRange("A11:B11");
+    creditRow.format.font.color = CREDIT_FG;
+    creditRow.format.font.bold = true;
+
+    // --- Table Section (row 15+) ---
+    const tableStartRow = 15;
+
+    const headerRange = sheet.getRange(`A${tableStartRow}:${LAST_COL}${tableStartRow}`);
+    headerRange.values = [TABLE_HEADERS];
+    headerRange.format.font.bold = true;
+    headerRange.format.font.color = HEADER_FG;
+    headerRange.format.fill.color = HEADER_BG;
+
+    sheet.freezePanes.freezeRows(tableStartRow);
+
+    if (results.rows.length > 0) {
+      const blank = (v) => (v != null ? v : "");
+      const dataValues = results.rows.map((row) => [
+        row.duplicate ? `${row.status} (DUP)` : row.status,
+        row.line || "",
+        row.sku,
+        row.name || "",
+        blank(row.poQty),
+        blank(row.receivedQty),
+        blank(row.invoicedQty),
+        blank(row.qtyVariance),
+        blank(row.poPrice),
+        blank(row.invoicePrice),
+        blank(row.diff),
+        row.pctDiff != null ? `${row.pctDiff}%` : "",
+        blank(row.invoiceAmount),
+        blank(row.payable),
+        blank(row.overBilled),
+        row.action,
+      ]);
+
+      const dataStartRow = tableStartRow + 1;
+      const dataEndRow = dataStartRow + dataValues.length - 1;
+      sheet.getRange(`A${dataStartRow}:${LAST_COL}${dataEndRow}`).values = dataValues;
+
+      for (let i = 0; i < results.rows.length; i++) {
+        const fill = STATUS_BG[results.rows[i].status];
+        if (fill) sheet.getRange(`A${dataStartRow + i}:${LAST_COL}${dataStartRow + i}`).format.fill.color = fill;
+      }
+
+      // Unit prices keep up to 4 dp (I, J, K); amounts are money (M, N, O)
+      for (const col of ["I", "J", "K"]) {
+        sheet.getRange(`${col}${dataStartRow}:${col}${dataEndRow}`).numberFormat = [[getPriceFormat()]];
+      }
+      for (const col of ["M", "N", "O"]) {
+        sheet.getRange(`${col}${dataStartRow}:${col}${dataEndRow}`).numberFormat = [[getCurrencyFormat()]];
+      }
+      sheet.getRange(`O${dataStartRow}:O${dataEndRow}`).format.font.color = CREDIT_FG;
+    }
+
+    sheet.getRange(`A1:${LAST_COL}${tableStartRow + results.rows.length}`).format.autofitColumns();
+    sheet.activate();
+    await context.sync();
+  });
+}
+
+/**
+ * Write the over-billing credit note request (generateThreeWayCreditNote)
+ * to a new sheet.
+ */
+export async function writeThreeWayCreditNoteSheet(creditData, ref) {
+  await Excel.run(async (context) => {
+    const sheetName = getSheetName("3-Way Credit", ref);
+
+    const existing = context.workbook.worksheets.getItemOrNullObject(sheetName);
+    await context.sync();
+    if (!existing.isNullObject) {
+      existing.delete();
+      await context.sync();
+    }
+
+    const sheet = context.workbook.worksheets.add(sheetName);
+    const { creditRows, totals } = creditData;
+
+    // --- Summary Section (rows 1-9) ---
+    const summaryData = [
+      ["Credit Note Request — Over-billing", ""],
+      ["Date", new Date().toLocaleDateString()],
+      ["Reference", ref || "—"],
+      ["Total Lines", totals.lineCount],
+      ["Total Credit", formatCurrency(totals.totalCredit)],
+      ["VAT", formatCurrency(totals.totalTax)],
+      ["Total Credit inc VAT", formatCurrency(totals.totalGross)],
+      ["Invoiced Above Received", formatCurrency(totals.qtyOverBilled)],
+      ["Invoiced Above PO Price", formatCurrency(totals.priceOverBilled)],
+    ];
+
+    sheet.getRange("A1:B9").values = summaryData;
+
+    const summaryTitle = sheet.getRange("A1:B1");
+    summaryTitle.merge();
+    summaryTitle.format.font.bold = true;
+    summaryTitle.format.font.size = 14;
+    summaryTitle.format.font.color = HEADER_BG;
+
+    sheet.getRange("A2:A9").format.font.bold = true;
+
+    for (const row of [5, 7]) {
+      const totalRow = sheet.getRange(`A${row}:B${row}`);
+      totalRow.format.font.color = CREDIT_FG;
+      totalRow.format.font.bold = true;
+    }
+
+    // --- Table Section (row 11+) ---
+    const tableStartRow = 11;
+    const headers = ["PO Line", "SKU", "Product Name", "Reason", "Received", "Invoiced", "PO Price", "Invoice Price", "Invoice Amount", "Payable", "Credit Amount", "Tax Code", "VAT", "Gross Credit"];
+
+    const headerRange = sheet.getRange(`A${tableStartRow}:N${tableStartRow}`);
+    headerRange.values = [headers];
+    headerRange.format.font.bold = true;
+    headerRange.format.font.color = HEADER_FG;
+    headerRange.format.fill.color = HEADER_BG;
+
+    sheet.freezePanes.freezeRows(tableStartRow);
+
+    let lastRow = tableStartRow;
+    if (creditRows.length > 0) {
+      const dataValues = creditRows.map((row) => [
+        row.line,
+        row.sku,
+        row.name,
+        row.reason,
+        row.receivedQty,
+        row.invoicedQty,
+        row.poPrice != null ? row.poPrice : "",
+        row.invoicePrice != null ? row.invoicePrice : "",
+        row.invoiceAmount,
+        row.payable,
+        row.creditAmount,
+        describeTaxCode(row.taxCode, row.taxRate),
+        row.taxAmount,
+        row.grossAmount,
+      ]);
+
+      const dataStartRow = tableStartRow + 1;
+      const dataEndRow = dataStartRow + dataValues.length - 1;
+      sheet.getRange(`A${dataStartRow}:N${dataEndRow}`).values = dataValues;
+
+      // Unit prices keep up to 4 dp (G, H); amounts are money (I, J, K, M, N)
+      for (const col of ["G", "H", "I", "J", "K", "M", "N"]) {
+        sheet.getRange(`${col}${dataStartRow}:${col}${dataEndRow}`).numberFormat = [[col <= "H" ? getPriceFormat() : getCurrencyFormat()]];
+      }
+      for (const col of ["K", "M", "N"]) {
+        sheet.getRange(`${col}${dataStartRow}:${col}${dataEndRow}`).format.font.color = CREDIT_FG;
+      }
+
+      // Footer row: total credit, VAT and gross
+      const footerRow = dataEndRow + 1;
+      const footerRange = sheet.getRange(`A${footerRow}:N${footerRow}`);
+      footerRange.values = [["", "", "", "", "", "", "", "", "", "Total Credit:", totals.totalCredit, "", totals.totalTax, totals.totalGross]];
+      footerRange.format.font.bold = true;
+      for (const col of ["K", "M", "N"]) {
+        const cell = sheet.getRange(`${col}${footerRow}`);
+        cell.numberFormat = [[getCurrencyFormat()]];
+        cell.format.font.color = CREDIT_FG;
+      }
+
+      lastRow = writeVatSummary(sheet, footerRow + 2, totals.vat);
+    }
+
+    sheet.getRange(`A1:N${lastRow}`).format.autofitColumns();
+    sheet.activate();
+    await context.sync();
+  });
+}
+
+function getSheetName(prefix, ref) {
+  const clean = (ref || "").replace(/[\\/*?\[\]:]/g, "").trim().slice(0, 18);
+  return clean ? `${prefix} ${clean}` : prefix;
+}
@@ -0,0 +1,279 @@
+/**
+ * Three-way match — purchase order vs goods received note (GRN) vs supplier
+ * invoice, for accounts payable.
+ *
+ * Invoice and receipt lines are matched to PO lines by PO line reference when
+ * both files carry one (columns.line, see detectLineColumn), else by SKU.
+ * Quantities received and invoiced against a line are summed, so split
+ * deliveries and part invoices land on the line they belong to.
+ *
+ * Each line is then checked two ways:
+ *   - price:    invoice unit price vs PO price, within `tolerance` (tolerance.js)
+ *   - quantity: invoiced vs received — only goods received are payable
+ * and the amount payable is received-and-invoiced qty × the lower of the
+ * invoice and PO price (the invoice price when within tolerance). Anything
+ * invoiced above that is over-billed and goes on the credit note request
+ * (generateThreeWayCreditNote in creditnote.js) — except on lines with
+ * nothing received yet, where the invoice is held (onHold) instead.
+ *
+ * Amounts are exact decimal (utils/money.js) in the invoice currency.
+ */
+
+import { parseQuantity } from "../utils/format.js";
+import { buildTolerancePolicy, selectToleranceRule, toleranceLimit, describeToleranceRule } from "./tolerance.js";
+import { readNetPrice, discountFractions } from "./discount.js";
+import { buildTaxTable, taxFor } from "./tax.js";
+import { roundTo, divide, lineAmount, priceDiff, subtract, sumMoney, currencyDecimals, PRICE_DECIMALS } from "../utils/money.js";
+
+const QTY_DECIMALS = 4;
+
+/**
+ * Run a three-way match.
+ *
+ * Input: { poData, poColumns, grnData, grnColumns, invoiceData, invoiceColumns,
+ *          tolerance, supplier, taxCodes, currency }
+ *   each *Columns is a detectColumns() result, plus an optional `line` (PO line reference)
+ *   `supplier` picks account-scoped tax codes and tolerance bands, as `customer` does in reconcile()
+ * Output: { summary, rows }
+ *
+ * Row status, most serious first:
+ *   "Not on PO"      — received or invoiced, but never ordered
+ *   "Not Received"   — invoiced, nothing received
+ *   "Over-Invoiced"  — invoiced more than received
+ *   "Price Variance" — invoice price outside tolerance of the PO price
+ *   "Under-Invoiced" — invoiced less than received (balance to follow)
+ *   "Not Invoiced"   — received, no invoice yet
+ *   "Open"           — neither received nor invoiced
+ *   "Tolerance" / "Match"
+ * A line can have both a price and a quantity variance: priceStatus and
+ * qtyVariance are kept on every row, and the action names both.
+ */
+export function reconcileThreeWay({
+  poData,
+  poColumns,
+  grnData,
+  grnColumns,
+  invoiceData,
+  invoiceColumns,
+  tolerance,
+  supplier,
+  taxCodes,
+  currency,
+}) {
+  const tolerancePolicy = buildTolerancePolicy(tolerance);
+  const taxTable = buildTaxTable(taxCodes, supplier);
+  const ccy = currency || null;
+
+  // PO lines by line reference and by SKU. Unreferenced lines for the same SKU
+  // are one line; with references, receipts by SKU alone go to the first.
+  const lines = [];
+  const byRef = new Map();
+  const bySku = new Map();
+  const poFractions = discountFractions(poData, poColumns);
+  for (const row of poData.rows) {
+    const rawSku = row[poColumns.sku];
+    if (!rawSku) continue;
+    const normSku = normalizeSku(rawSku);
+    const ref = readRef(row, poColumns);
+    const qty = poColumns.qty ? parseQuantity(row[poColumns.qty]) || 1 : 1;
+
+    const existing = !ref && bySku.get(normSku);
+    if (existing && !existing.line) {
+      existing.poQty = addQty(existing.poQty, qty);
+      existing.duplicate = true;
+      continue;
+    }
+
+    const line = newLine(rawSku, ref, poColumns.name ? row[poColumns.name] || "" : "");
+    line.poQty = qty;
+    line.poPrice = readNetPrice(row, poColumns, poFractions).price;
+    lines.push(line);
+    if (ref) byRef.set(ref, line);
+    if (!bySku.has(normSku)) bySku.set(normSku, line);
+  }
+
+  // Receipts and invoice lines onto PO lines; anything unmatched is "Not on PO"
+  const extras = new Map();
+  const attach = (data, columns, add) => {
+    for (const row of data.rows) {
+      const rawSku = row[columns.sku];
+      const ref = readRef(row, columns);
+      if (!rawSku && !ref) continue;
+
+      let line = (ref && byRef.get(ref)) || (rawSku && bySku.get(normalizeSku(rawSku)));
+      if (!line) {
+        const key = rawSku ? normalizeSku(rawSku) : `#${ref}`;
+        line = extras.get(key);
+        if (!line) {
+          line = newLine(rawSku || "", ref, "");
+          extras.set(key, line);
+        }
+      }
+      if (!line.name && columns.name && columns.name !== columns.sku) line.name = row[columns.name] || "";
+      add(line, row, columns.qty ? parseQuantity(row[columns.qty]) || 0 : 1);
+    }
+  };
+
+  attach(grnData, grnColumns, (line, row, qty) => {
+    line.receipts++;
+    line.receivedQty = addQty(line.receivedQty, qty);
+  });
+  const invoiceFractions = discountFractions(invoiceData, invoiceColumns);
+  attach(invoiceData, invoiceColumns, (line, row, qty) => {
+    const price = readNetPrice(row, invoiceColumns, invoiceFractions).price;
+    line.invoiceLines.push({ qty, price, amount: price !== null ? lineAmount(price, qty, ccy) : null });
+    line.invoicedQty = addQty(line.invoicedQty, qty);
+  });
+
+  const resultRows = [...lines, ...extras.values()].map((line) => {
+    const tax = taxFor(taxTable, [line.sku]);
+    return { ...evaluateLine(line, tolerancePolicy, supplier, ccy), ...tax };
+  });
+
+  const count = (status) => resultRows.filter((r) => r.status === status).length;
+  return {
+    summary: {
+      total: resultRows.length,
+      matches: count("Match"),
+      tolerances: count("Tolerance"),
+      priceVariances: resultRows.filter((r) => r.priceStatus === "Variance").length,
+      qtyVariances: resultRows.filter((r) => r.qtyVariance).length,
+      overInvoiced: count("Over-Invoiced"),
+      underInvoiced: count("Under-Invoiced"),
+      notReceived: count("Not Received"),
+      notInvoiced: count("Not Invoiced"),
+      notOnPo: count("Not on PO"),
+      open: count("Open"),
+      overReceived: resultRows.filter((r) => r.overReceived).length,
+      invoiceTotal: sumMoney(resultRows.map((r) => r.invoiceAmount), ccy),
+      payable: sumMoney(resultRows.map((r) => r.payable), ccy),
+      overBilled: sumMoney(resultRows.map((r) => r.overBilled), ccy),
+      onHold: sumMoney(resultRows.map((r) => r.onHold), ccy),
+      currency: ccy,
+      timestamp: new Date().toISOString(),
+    },
+    rows: resultRows,
+  };
+}
+
+// ── Helpers ──
+
+function newLine(sku, ref, name) {
+  return {
+    sku,
+    line: ref || null,
+    name,
+    poQty: null,
+    poPrice: null,
+    duplicate: false,
+    receipts: 0,
+    receivedQty: 0,
+    invoiceLines: [],
+    invoicedQty: 0,
+  };
+}
+
+/**
+ * Price and quantity checks, payable and over-billed amounts, status and
+ * action for one matched line.
+ */
+function evaluateLine(line, tolerancePolicy, supplier, ccy) {
+  const onPo = line.poQty != null;
+  const invoiced = line.invoiceLines.length > 0;
+  const received = line.receivedQty > 0;
+  const invoiceAmount = invoiced ? sumMoney(line.invoiceLines.map((l) => l.amount), ccy) : null;
+
+  // One price when every invoice line agrees, else the quantity-weighted average
+  const prices = [...new Set(line.invoiceLines.map((l) => l.price).filter((p) => p !== null))];
+  const invoicePrice = prices.length <= 1 ? prices[0] ?? null : divide(invoiceAmount, line.invoicedQty, PRICE_DECIMALS);
+
+  // Price: invoice vs PO
+  let diff = null;
+  let pctDiff = null;
+  let priceStatus = null;
+  let rule = null;
+  if (onPo && invoicePrice !== null && line.poPrice !== null) {
+    diff = priceDiff(invoicePrice, line.poPrice);
+    pctDiff = line.poPrice !== 0 ? roundTo((diff / line.poPrice) * 100, 2) : (diff !== 0 ? 100 : 0);
+    rule = selectToleranceRule(tolerancePolicy, { price: line.poPrice, category: "", customer: supplier });
+    priceStatus = diff === 0 ? "Match" : Math.abs(diff) <= toleranceLimit(rule, line.poPrice) ? "Tolerance" : "Variance";
+  }
+
+  // Quantity: invoiced vs received; only received, invoiced, ordered goods are payable
+  const qtyVariance = invoiced ? subtract(line.invoicedQty, line.receivedQty, QTY_DECIMALS) : null;
+  const payQty = onPo ? Math.min(line.invoicedQty, line.receivedQty) : 0;
+  const payPrice = priceStatus === "Variance" && diff > 0 ? line.poPrice : invoicePrice;
+  const payable = invoiced ? (payPrice !== null ? lineAmount(payPrice, payQty, ccy) : 0) : null;
+  const unpayable = invoiced ? Math.max(0, subtract(invoiceAmount, payable, currencyDecimals(ccy))) : null;
+  const qtyOverBilled = invoiced && invoicePrice !== null
+    ? (onPo ? lineAmount(invoicePrice, Math.max(0, qtyVariance), ccy) : invoiceAmount)
+    : null;
+  const overReceived = onPo && subtract(line.receivedQty, line.poQty, QTY_DECIMALS) > 0;
+
+  let status, action;
+  if (!onPo) {
+    status = "Not on PO";
+    action = invoiced ? "Invoiced but not ordered — dispute with supplier" : "Received but not ordered — return or raise a PO";
+  } else if (!invoiced) {
+    status = received ? "Not Invoiced" : "Open";
+    action = received ? `Received ${line.receivedQty} — awaiting invoice` : "Not yet received or invoiced";
+  } else if (!received) {
+    status = "Not Received";
+    action = `Invoiced ${line.invoicedQty}, nothing received — hold payment`;
+  } else if (qtyVariance > 0) {
+    status = "Over-Invoiced";
+    action = `Invoiced ${line.invoicedQty}, received ${line.receivedQty} — request credit for ${qtyVariance}`;
+    if (priceStatus === "Variance") action += `; invoice price ${invoicePrice} vs PO ${line.poPrice}`;
+  } else if (priceStatus === "Variance") {
+    status = "Price Variance";
+    action = `Invoice price ${invoicePrice} vs PO ${line.poPrice} — ${diff > 0 ? "request credit" : "check invoice"}`;
+  } else if (qtyVariance < 0) {
+    status = "Under-Invoiced";
+    action = `Invoiced ${line.invoicedQty} of ${line.receivedQty} received — balance to follow`;
+  } else {
+    status = priceStatus === "Tolerance" ? "Tolerance" : "Match";
+    action = status === "Tolerance" ? "OK to pay — within tolerance" : "OK to pay";
+  }
+  if (overReceived) action += ` (received ${line.receivedQty} against ${line.poQty} ordered)`;
+
+  // Goods not yet received are held, not credited — they may still arrive
+  const onHold = status === "Not Received" ? invoiceAmount : null;
+  const overBilled = onHold != null ? 0 : unpayable;
+
+  return {
+    status,
+    line: line.line,
+    sku: line.sku,
+    name: line.name,
+    poQty: line.poQty,
+    poPrice: line.poPrice,
+    receivedQty: line.receipts > 0 ? line.receivedQty : null,
+    invoicedQty: invoiced ? line.invoicedQty : null,
+    invoicePrice,
+    diff,
+    pctDiff,
+    priceStatus,
+    toleranceRule: rule ? describeToleranceRule(rule) : null,
+    qtyVariance,
+    invoiceAmount,
+    payable,
+    overBilled,
+    qtyOverBilled: overBilled != null && qtyOverBilled != null ? Math.min(qtyOverBilled, overBilled) : null,
+    onHold,
+    overReceived,
+    duplicate: line.duplicate,
+    action,
+  };
+}
+
+function readRef(row, columns) {
+  return columns.line ? String(row[columns.line] ?? "").trim().replace(/^0+(?=\d)/, "") : "";
+}
+
+function addQty(a, b) {
+  return roundTo((a || 0) + (b || 0), QTY_DECIMALS);
+}
+
+function normalizeSku(sku) {
+  return String(sku).trim().toUpperCase();
+}
@@ -0,0 +1,242 @@
+import { formatCurrency } from "../utils/format.js";
+import { percentOf, PRICE_DECIMALS } from "../utils/money.js";
+
+/**
+ * Tolerance rules — how far a PO price may drift from the ERP price
+ * before the line becomes an Exception.
+ *
+ * A rule is { type, amount, percent } where type is one of:
+ *   "absolute" — fixed currency amount (the original single tolerance)
+ *   "percent"  — percentage of the ERP price
+ *   "greater"  — whichever of amount / percent-of-price is greater
+ *   "lesser"   — whichever of amount / percent-of-price is lesser
+ *
+ * A policy is { default: rule, bands: rule[] }. Bands also carry a scope —
+ * minPrice (inclusive), maxPrice (exclusive), category, customer — and are
+ * checked in order; the first band whose scope matches wins.
+ */
+
+export const DEFAULT_TOLERANCE = 0.02;
+export const DEFAULT_TOLERANCE_PERCENT = 0;
+
+const RULE_TYPES = ["absolute", "percent", "greater", "lesser"];
+
+/**
+ * Normalize whatever the caller passed as `tolerance` into a policy.
+ * Accepts a plain number (absolute amount), a single rule, or a policy.
+ */
+export function buildTolerancePolicy(tolerance) {
+  if (tolerance == null || tolerance === "") {
+    return { default: { type: "absolute", amount: DEFAULT_TOLERANCE, percent: DEFAULT_TOLERANCE_PERCENT }, bands: [] };
+  }
+  if (typeof tolerance === "number") {
+    return { default: { type: "absolute", amount: tolerance, percent: 0 }, bands: [] };
+  }
+  if (tolerance.default || tolerance.bands) {
+    return {
+      default: normalizeRule(tolerance.default || { type: "absolute", amount: DEFAULT_TOLERANCE }),
+      bands: (tolerance.bands || []).map(normalizeRule),
+    };
+  }
+  return { default: normalizeRule(tolerance), bands: [] };
+}
+
+/**
+ * Build a policy from flat agent/API/task pane parameters:
+ * { tolerance, toleranceType, tolerancePercent, toleranceBands }.
+ * A blank amount or percent takes the default; 0 is a valid setting.
+ */
+export function tolerancePolicyFromParams(params = {}) {
+  const amount = toNumber(params.tolerance);
+  const percent = toNumber(params.tolerancePercent);
+  if (amount != null && amount < 0) throw new Error(`Invalid tolerance: "${params.tolerance}"`);
+  if (percent != null && percent < 0) throw new Error(`Invalid tolerancePercent: "${params.tolerancePercent}"`);
+  if (params.toleranceType && !RULE_TYPES.includes(params.toleranceType)) {
+    throw new Error(`Invalid toleranceType: "${params.toleranceType}". Use ${RULE_TYPES.join(", ")}.`);
+  }
+
+  return buildTolerancePolicy({
+    default: {
+      type: params.toleranceType || "absolute",
+      amount: amount ?? DEFAULT_TOLERANCE,
+      percent: percent ?? DEFAULT_TOLERANCE_PERCENT,
+    },
+    bands: parseToleranceBands(params.toleranceBands),
+  });
+}
+
+/**
+ * Pick the rule for a line. `price` is the ERP (reference) price.
+ */
+export function selectToleranceRule(policy, { price, category, customer }) {
+  for (const band of policy.bands) {
+    if (band.minPrice != null && !(price >= band.minPrice)) continue;
+    if (band.maxPrice != null && !(price < band.maxPrice)) continue;
+    if (band.category && !sameText(band.category, category)) continue;
+    if (band.customer && !sameText(band.customer, customer)) continue;
+    return band;
+  }
+  return policy.default;
+}
+
+/**
+ * Absolute tolerance (in currency units) a rule allows at a given price, to
+ * PRICE_DECIMALS like the price difference it is compared with.
+ */
+export function toleranceLimit(rule, price) {
+  const byAmount = rule.amount || 0;
+  const byPercent = percentOf(Math.abs(price || 0), rule.percent || 0, PRICE_DECIMALS) ?? 0;
+
+  switch (rule.type) {
+    case "percent":
+      return byPercent;
+    case "greater":
+      return Math.max(byAmount, byPercent);
+    case "lesser":
+      return Math.min(byAmount, byPercent);
+    default:
+      return byAmount;
+  }
+}
+
+/**
+ * Human-readable rule, including its scope when it is a band.
+ * e.g. "price 0–1: 5%", "category Fasteners: greater of £0.02 / 1%"
+ */
+export function describeToleranceRule(rule) {
+  const scope = describeScope(rule);
+  const body = describeRuleBody(rule);
+  return scope ? `${scope}: ${body}` : body;
+}
+
+/**
+ * One-line summary of a whole policy for the Recon sheet header.
+ */
+export function describeTolerancePolicy(tolerance) {
+  const policy = buildTolerancePolicy(tolerance);
+  const base = describeRuleBody(policy.default);
+  if (policy.bands.length === 0) return base;
+  return `${base} (+${policy.bands.length} band${policy.bands.length !== 1 ? "s" : ""})`;
+}
+
+/**
+ * Parse tolerance bands from the compact text form used by the settings
+ * panel and the ReconcilePO agent parameter. One band per line (or ";"):
+ *
+ *   price < 1: 5%
+ *   price 1-100: greater 0.02 / 1%
+ *   category Fasteners: 10%
+ *   customer Acme Corp, price >= 1000: lesser 5 / 0.5%
+ *
+ * Throws on a malformed line so the user sees which one is wrong.
+ */
+export function parseToleranceBands(text) {
+  if (!text || !String(text).trim()) return [];
+
+  const lines = String(text).split(/[\n;]/).map((l) => l.trim()).filter(Boolean);
+  return lines.map((line, i) => {
+    const sep = line.lastIndexOf(":");
+    if (sep === -1) {
+      throw new Error(`Tolerance band ${i + 1} ("${line}"): expected "<scope>: <rule>".`);
+    }
+    const band = parseRule(line.slice(sep + 1), i + 1, line);
+    for (const part of line.slice(0, sep).split(",")) {
+      applyScope(band, part.trim(), i + 1, line);
+    }
+    return band;
+  });
+}
+
+// ── Helpers ──
+
+function normalizeRule(rule) {
+  const type = RULE_TYPES.includes(rule.type) ? rule.type : "absolute";
+  const out = {
+    type,
+    amount: toNumber(rule.amount) ?? 0,
+    percent: toNumber(rule.percent) ?? 0,
+  };
+  if (toNumber(rule.minPrice) != null) out.minPrice = toNumber(rule.minPrice);
+  if (toNumber(rule.maxPrice) != null) out.maxPrice = toNumber(rule.maxPrice);
+  if (rule.category) out.category = String(rule.category).trim();
+  if (rule.customer) out.customer = String(rule.customer).trim();
+  return out;
+}
+
+function parseRule(text, lineNum, line) {
+  const str = String(text).trim().toLowerCase();
+
+  const combo = str.match(/^(greater|lesser)(?:\s+of)?\s+([\d.]+)\s*\/\s*([\d.]+)\s*%$/);
+  if (combo) {
+    return { type: combo[1], amount: parseFloat(combo[2]), percent: parseFloat(combo[3]) };
+  }
+
+  const pct = str.match(/^([\d.]+)\s*%$/);
+  if (pct) return { type: "percent", amount: 0, percent: parseFloat(pct[1]) };
+
+  const abs = str.match(/^([\d.]+)$/);
+  if (abs) return { type: "absolute", amount: parseFloat(abs[1]), percent: 0 };
+
+  throw new Error(`Tolerance band ${lineNum} ("${line}"): could not read rule "${text.trim()}". Use 0.05, 2%, or greater 0.05 / 1%.`);
+}
+
+function applyScope(band, part, lineNum, line) {
+  const lower = part.toLowerCase();
+
+  const range = lower.match(/^price\s+([\d.]+)\s*[-–]\s*([\d.]+)$/);
+  if (range) {
+    band.minPrice = parseFloat(range[1]);
+    band.maxPrice = parseFloat(range[2]);
+    return;
+  }
+
+  const cmp = lower.match(/^price\s*(<|>=)\s*([\d.]+)$/);
+  if (cmp) {
+    if (cmp[1] === "<") band.maxPrice = parseFloat(cmp[2]);
+    else band.minPrice = parseFloat(cmp[2]);
+    return;
+  }
+
+  const named = part.match(/^(category|customer)\s+(.+)$/i);
+  if (named) {
+    band[named[1].toLowerCase()] = named[2].trim();
+    return;
+  }
+
+  throw new Error(`Tolerance band ${lineNum} ("${line}"): unknown scope "${part}". Use price a-b, price < x, price >= x, category X, or customer X.`);
+}
+
+function describeRuleBody(rule) {
+  const pct = `${rule.percent}%`;
+  switch (rule.type) {
+    case "percent":
+      return pct;
+    case "greater":
+      return `greater of ${formatCurrency(rule.amount)} / ${pct}`;
+    case "lesser":
+      return `lesser of ${formatCurrency(rule.amount)} / ${pct}`;
+    default:
+      return formatCurrency(rule.amount);
+  }
+}
+
+function describeScope(rule) {
+  const parts = [];
+  if (rule.customer) parts.push(`customer ${rule.customer}`);
+  if (rule.category) parts.push(`category ${rule.category}`);
+  if (rule.minPrice != null && rule.maxPrice != null) parts.push(`price ${rule.minPrice}–${rule.maxPrice}`);
+  else if (rule.maxPrice != null) parts.push(`price < ${rule.maxPrice}`);
+  else if (rule.minPrice != null) parts.push(`price >= ${rule.minPrice}`);
+  return parts.join(", ");
+}
+
+function sameText(a, b) {
+  if (b == null) return false;
+  return String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+}
+
+function toNumber(value) {
+  if (value == null || value === "") return null;
+  const n = typeof value === "number" ? value : parseFloat(value);
+  return isNaN(n) ? null : n;
+}
@@ -0,0 +1,202 @@
+/**
+ * PO header / footer totals — the subtotal, charges, VAT and grand total a PO
+ * prints around its line table, and a check that the lines add up to them.
+ *
+ * Totals are read from label / amount pairs outside the line table:
+ *   ["", "", "", "Subtotal", "4,021.50"]   (label and amount in their own cells)
+ *   ["Total Lines: 14"]                    (label and value in one cell)
+ * A mismatch between the lines and the stated totals means a line is missing,
+ * duplicated or mis-keyed — worth knowing before any price is compared.
+ */
+
+import { parseNumber } from "../utils/format.js";
+import { sumMoney, subtract, currencyDecimals } from "../utils/money.js";
+
+// Differences up to this much are put down to per-line rounding on the PO
+export const TOTALS_TOLERANCE = 0.02;
+
+// Checked in order — "total vat" is tax and "total lines" a count, not the grand total,
+// and a page's running total ("Page subtotal", "Carried forward") is none of them
+const TOTAL_LABELS = [
+  ["running", /^(page (sub[- ]?)?total|(sub[- ]?)?total (for |on |of )?this page|((sub[- ]?)?total |balance |amount )?(carried|brought|carry|bring|to carry) (forward|fwd|over)|((sub[- ]?)?total |balance )?[cb]\/f(wd)?)\b/],
+  ["lineCount", /^(total |no\.? of |number of )?(lines|line items|items)( count)?$|^line count$/],
+  ["subtotal", /^(sub[- ]?total|goods total|total goods|net total|total net|merchandise total|total ex\.?(cl)?\.?( vat| tax)?|total before (vat|tax)|net amount|goods value)\b/],
+  ["freight", /^(freight|carriage|shipping|postage|delivery (charge|fee|cost)s?)\b/],
+  ["discount", /^(order|invoice|settlement|early payment|volume) discount\b/],
+  ["tax", /^(vat|tax|sales tax|gst|hst|total vat|total tax|vat amount|tax amount)\b/],
+  ["charge", /^(handling|surcharge|fuel surcharge|packing|packaging|insurance|other charges?|misc(ellaneous)? charges?)\b/],
+  ["total", /^(grand total|order total|po total|total due|amount due|total amount|total value|invoice total|total payable|total inc\.?(l)?\.?( vat| tax)?|total)\b/],
+];
+
+/**
+ * Classify a cell as a totals label: "subtotal", "freight", "discount", "tax",
+ * "charge", "total", "lineCount", "running" (a page subtotal or carried-forward
+ * amount on a multi-page PO), or null. A trailing ":" and "(GBP)" / "@ 20%"
+ * qualifiers are ignored.
+ */
+export function classifyTotalLabel(text) {
+  const label = String(text ?? "")
+    .toLowerCase()
+    .replace(/\(.*?\)|@.*$|\d+(\.\d+)?\s*%/g, "")
+    .replace(/[:\s]+$/, "")
+    .trim();
+  if (!label || label.length > 40) return null;
+  for (const [kind, pattern] of TOTAL_LABELS) {
+    if (pattern.test(label)) return kind;
+  }
+  return null;
+}
+
+// A totals row is a label, an amount and perhaps a currency — a PO line fills more
+const MAX_TOTALS_CELLS = 3;
+
+/**
+ * True when a raw row is a totals line ("Subtotal", "VAT @ 20%", "Total Lines: 14")
+ * rather than a PO line: a short row whose first non-empty cell is a totals label,
+ * so a "Shipping crate" line with its SKU, qty and price is still a line.
+ */
+export function isTotalsRow(cells) {
+  const filled = cells.filter((c) => c != null && String(c).trim() !== "");
+  if (filled.length === 0 || filled.length > MAX_TOTALS_CELLS) return false;
+  return classifyTotalLabel(splitInline(filled[0]).label) !== null;
+}
+
+/**
+ * Read the stated totals from raw rows outside the line table.
+ *
+ * @param {Array<Array<string>>} rawRows
+ * @returns {{ subtotal, freight, discount, tax, charges, total, lineCount, labels } | null}
+ *   amounts are numbers or null, charges is [{ label, amount }], labels maps
+ *   each field to the label it was read from; null when the PO states none.
+ */
+export function readDocumentTotals(rawRows) {
+  const totals = { subtotal: null, freight: null, discount: null, tax: null, charges: [], total: null, lineCount: null, labels: {} };
+  let found = false;
+
+  for (const row of rawRows) {
+    const cells = row.map((c) => (c == null ? "" : String(c).trim()));
+    for (let i = 0; i < cells.length; i++) {
+      if (!cells[i]) continue;
+
+      // "Label: value" in one cell, else the label with the amount in the last filled cell after it
+      const inline = splitInline(cells[i]);
+      const kind = classifyTotalLabel(inline.label);
+      if (!kind) continue;
+      if (kind === "running") break; // part of the lines so far, not the PO's totals
+
+      let valueText = inline.value;
+      if (valueText == null) {
+        const after = cells.slice(i + 1).filter(Boolean);
+        valueText = after.length > 0 ? after[after.length - 1] : null;
+      }
+      const value = parseAmount(valueText);
+      if (value === null) continue;
+
+      found = true;
+      const label = inline.label.replace(/[:\s]+$/, "");
+      if (kind === "charge") {
+        totals.charges.push({ label, amount: value });
+      } else if (totals[kind] === null) {
+        totals[kind] = kind === "lineCount" ? Math.round(value) : value;
+        totals.labels[kind] = label;
+      }
+      break; // one total per row
+    }
+  }
+
+  return found ? totals : null;
+}
+
+/**
+ * Check PO lines against the PO's stated totals.
+ *
+ * @param {object[]} lines - { lineNum, sku, lineTotal } per PO line
+ * @param {object|null} totals - readDocumentTotals() result
+ * @param {string} [currency] - currency of the amounts (default: active currency)
+ * @returns {{ status: "OK" | "Mismatch" | "Not stated", linesTotal, calculatedTotal, statedTotal, checks: object[], message: string }}
+ *   each check is { check, stated, calculated, difference, ok, message }
+ */
+export function checkDocumentTotals(lines, totals, currency) {
+  const linesTotal = sumMoney(lines.map((l) => l.lineTotal), currency);
+  const result = { status: "Not stated", linesTotal, calculatedTotal: null, statedTotal: null, checks: [], message: "PO states no totals" };
+  if (!totals) return result;
+
+  const checks = result.checks;
+
+  if (totals.lineCount != null) {
+    const diff = lines.length - totals.lineCount;
+    checks.push({
+      check: "lineCount",
+      stated: totals.lineCount,
+      calculated: lines.length,
+      difference: diff,
+      ok: diff === 0,
+      message: diff === 0 ? `${lines.length} lines as stated`
+        : diff < 0 ? `PO states ${totals.lineCount} lines but ${lines.length} were read — ${-diff} missing`
+        : `PO states ${totals.lineCount} lines but ${lines.length} were read — ${diff} extra`,
+    });
+  }
+
+  if (totals.subtotal != null) {
+    checks.push(amountCheck("subtotal", totals.subtotal, linesTotal, lines, currency, "Lines"));
+  }
+
+  if (totals.total != null) {
+    const charges = sumMoney([totals.freight, ...totals.charges.map((c) => c.amount)], currency);
+    const discount = totals.discount != null ? Math.abs(totals.discount) : 0;
+    const base = totals.subtotal ?? linesTotal;
+    const calculated = sumMoney([base, charges, -discount, totals.tax], currency);
+    result.calculatedTotal = calculated;
+    result.statedTotal = totals.total;
+
+    // With a stated subtotal the lines are checked above, so a total mismatch is in the charges or tax
+    const label = totals.subtotal != null ? "Subtotal + charges + tax" : "Lines + charges + tax";
+    checks.push(amountCheck("total", totals.total, calculated, totals.subtotal != null ? null : lines, currency, label));
+  }
+
+  if (checks.length === 0) return result;
+
+  const failed = checks.filter((c) => !c.ok);
+  result.status = failed.length === 0 ? "OK" : "Mismatch";
+  result.message = failed.length === 0 ? "PO totals agree with the lines" : failed.map((c) => c.message).join("; ");
+  return result;
+}
+
+// ── Helpers ──
+
+function amountCheck(check, stated, calculated, lines, currency, label) {
+  const difference = subtract(calculated, stated, currencyDecimals(currency));
+  const ok = Math.abs(difference) <= TOTALS_TOLERANCE;
+  let message = ok ? `${label} agree with the PO ${check}`
+    : `${label} ${calculated.toFixed(2)} vs PO ${check} ${stated.toFixed(2)} (${difference > 0 ? "+" : ""}${difference.toFixed(2)})`;
+
+  if (!ok && !lines) {
+    message += " — check the PO's charges and tax";
+  } else if (!ok && difference > 0) {
+    // A surplus equal to one line's total points at that line
+    const suspect = lines.find((l) => l.lineTotal != null && Math.abs(subtract(difference, l.lineTotal, currencyDecimals(currency))) <= TOTALS_TOLERANCE);
+    message += suspect ? ` — line ${suspect.lineNum} (${suspect.sku}) may be extra or duplicated` : " — extra or over-priced lines?";
+  } else if (!ok) {
+    message += ` — missing or under-priced lines worth ${(-difference).toFixed(2)}?`;
+  }
+
+  return { check, stated, calculated, difference, ok, message };
+}
+
+function splitInline(text) {
+  const str = String(text);
+  const m = str.match(/^([^:]+):\s*(.+)$/);
+  return m ? { label: m[1].trim(), value: m[2].trim() } : { label: str.trim(), value: null };
+}
+
+/**
+ * An amount cell: "1,234.50", "£1,234.50", "(12.00)", "GBP 12.00", "14".
+ * Dates, percentages and words are not amounts.
+ */
+function parseAmount(text) {
+  if (text == null) return null;
+  const str = String(text).trim();
+  if (!str || /%$/.test(str) || /\d[/.-]\d{1,2}[/.-]\d/.test(str)) return null;
+  if (!/^[(-]?\s*([A-Za-z]{3}\s*)?[$£€]?\s*[\d,]+(\.\d+)?\s*\)?(\s*[A-Za-z]{3})?$/.test(str)) return null;
+  return parseNumber(str);
+}
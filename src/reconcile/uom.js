@@ -0,0 +1,202 @@
+/**
+ * Unit-of-measure conversion — lets a PO ordered in cases be compared with
+ * an ERP price list that prices per each, without raising false exceptions.
+ *
+ * A conversion says one `from` unit holds `factor` × `to` units, either for
+ * every SKU or for one SKU only:
+ *   { sku: null,   from: "CS", factor: 12, to: "EA" }
+ *   { sku: "1234", from: "CS", factor: 24, to: "EA" }
+ * SKU-specific conversions win over global ones. Conversions chain
+ * (PL = 40 CS, CS = 12 EA), so two units are comparable when they reduce
+ * to the same root unit.
+ */
+
+export const BASE_UOM = "EA";
+
+// Common spellings → canonical code
+const UOM_SYNONYMS = {
+  EACH: "EA",
+  PC: "EA",
+  PCS: "EA",
+  PCE: "EA",
+  PIECE: "EA",
+  PIECES: "EA",
+  UNIT: "EA",
+  UNITS: "EA",
+  CASE: "CS",
+  CASES: "CS",
+  CA: "CS",
+  BOX: "BX",
+  BOXES: "BX",
+  CARTON: "CT",
+  CTN: "CT",
+  PACK: "PK",
+  PKT: "PK",
+  PALLET: "PL",
+  PAL: "PL",
+  DOZEN: "DZ",
+  DOZ: "DZ",
+};
+
+// Known without being configured; a configured global DZ overrides it
+const BUILT_IN = [{ sku: null, from: "DZ", factor: 12, to: "EA" }];
+
+const MAX_CHAIN = 5;
+
+/**
+ * Normalize whatever the caller passed as conversions — text (see
+ * parseUomConversions) or an array of conversions — into a lookup table.
+ */
+export function buildUomTable(conversions) {
+  const list = typeof conversions === "string" ? parseUomConversions(conversions) : conversions || [];
+  const table = { global: new Map(), bySku: new Map() };
+
+  for (const c of [...BUILT_IN, ...list]) {
+    const from = normalizeUomCode(c.from);
+    const to = normalizeUomCode(c.to) || BASE_UOM;
+    const factor = Number(c.factor);
+    if (!from || !(factor > 0) || from === to) continue;
+
+    if (c.sku) {
+      const key = normalizeSku(c.sku);
+      if (!table.bySku.has(key)) table.bySku.set(key, new Map());
+      table.bySku.get(key).set(from, { factor, to });
+    } else {
+      table.global.set(from, { factor, to });
+    }
+  }
+
+  return table;
+}
+
+/**
+ * Work out how many ERP units one PO unit holds for a matched line.
+ *
+ * `skus` are the PO and ERP SKUs (either may carry a SKU-specific conversion).
+ * A blank PO unit is taken to be the ERP unit; a blank ERP unit is BASE_UOM.
+ *
+ * @returns {{ factor: number, uom: string, orderedUom: string } | null}
+ *   null when the units are known to differ but no conversion links them.
+ */
+export function convertUom(table, skus, poUomValue, erpUomValue) {
+  const erpUnit = parseUom(erpUomValue) || { code: BASE_UOM, pack: null, label: BASE_UOM };
+  const poUnit = parseUom(poUomValue);
+  if (!poUnit) {
+    return { factor: 1, uom: erpUnit.label, orderedUom: erpUnit.label };
+  }
+
+  const po = resolveUnit(table, skus, poUnit);
+  const erp = resolveUnit(table, skus, erpUnit);
+  if (!po || !erp || po.root !== erp.root) return null;
+
+  return { factor: po.factor / erp.factor, uom: erpUnit.label, orderedUom: poUnit.label };
+}
+
+/**
+ * Parse conversions from the compact text form used by the settings panel
+ * and the ReconcilePO agent parameter. One conversion per line (or ";"):
+ *
+ *   CS = 12 EA
+ *   PL = 40 CS
+ *   1234: CS = 24 EA
+ *
+ * The target unit defaults to EA. Throws on a malformed line.
+ */
+export function parseUomConversions(text) {
+  if (!text || !String(text).trim()) return [];
+
+  const lines = String(text).split(/[\n;]/).map((l) => l.trim()).filter(Boolean);
+  return lines.map((line, i) => {
+    const sep = line.indexOf(":");
+    const sku = sep !== -1 ? line.slice(0, sep).trim() : null;
+    const body = sep !== -1 ? line.slice(sep + 1) : line;
+
+    const m = body.trim().match(/^1?\s*([A-Za-z][\w ]*?)\s*=\s*([\d.]+)\s*([A-Za-z][\w ]*)?$/);
+    if (!m || !(parseFloat(m[2]) > 0)) {
+      throw new Error(`UOM conversion ${i + 1} ("${line}"): expected "CS = 12 EA" or "<SKU>: CS = 12 EA".`);
+    }
+    return { sku: sku || null, from: m[1], factor: parseFloat(m[2]), to: m[3] || BASE_UOM };
+  });
+}
+
+/**
+ * Read conversions from a sheet-style table ({ headers, rows }) with columns
+ * like SKU (optional), UOM / From, Factor / Qty, Base UOM / To.
+ */
+export function uomConversionsFromRows({ headers, rows }) {
+  const find = (aliases) => headers.find((h) => aliases.includes(String(h).toLowerCase().trim())) || null;
+  const skuCol = find(["sku", "item", "item number", "product code", "part number"]);
+  const fromCol = find(["uom", "from", "from uom", "unit", "pack"]);
+  const factorCol = find(["factor", "qty", "quantity", "conversion", "per", "pack size"]);
+  const toCol = find(["to", "to uom", "base uom", "base unit", "base"]);
+
+  if (!fromCol || !factorCol) {
+    throw new Error(`UOM sheet needs UOM and Factor columns. Found headers: ${headers.join(", ")}`);
+  }
+
+  return rows
+    .filter((row) => row[fromCol] && parseFloat(row[factorCol]) > 0)
+    .map((row) => ({
+      sku: skuCol && String(row[skuCol]).trim() ? row[skuCol] : null,
+      from: row[fromCol],
+      factor: parseFloat(row[factorCol]),
+      to: (toCol && row[toCol]) || BASE_UOM,
+    }));
+}
+
+// ── Helpers ──
+
+/**
+ * Read a UOM cell. Handles plain codes ("CS", "Case"), codes with an
+ * embedded pack size ("CS12", "CS/12", "Case of 12") and bare pack sizes ("12").
+ */
+function parseUom(value) {
+  const raw = value == null ? "" : String(value).trim();
+  if (!raw) return null;
+  const str = raw.toUpperCase();
+
+  const bare = str.match(/^(\d+(?:\.\d+)?)$/);
+  if (bare) return { code: null, pack: parseFloat(bare[1]), label: raw };
+
+  const packed = str.match(/^([A-Z]+)\s*(?:\/|X|×|OF)?\s*(\d+(?:\.\d+)?)$/);
+  if (packed) return { code: normalizeUomCode(packed[1]), pack: parseFloat(packed[2]), label: raw };
+
+  return { code: normalizeUomCode(str), pack: null, label: normalizeUomCode(str) };
+}
+
+/**
+ * Reduce a unit to { root, factor } — how many root units one of it holds.
+ * An embedded pack size counts in BASE_UOM.
+ */
+function resolveUnit(table, skus, unit) {
+  if (unit.pack != null) return { root: BASE_UOM, factor: unit.pack };
+
+  let code = unit.code;
+  let factor = 1;
+  for (let hop = 0; hop < MAX_CHAIN; hop++) {
+    const step = lookup(table, skus, code);
+    if (!step) return { root: code, factor };
+    factor *= step.factor;
+    code = step.to;
+  }
+  return null;
+}
+
+function lookup(table, skus, code) {
+  for (const sku of skus) {
+    if (!sku) continue;
+    const own = table.bySku.get(normalizeSku(sku));
+    if (own && own.has(code)) return own.get(code);
+  }
+  return table.global.get(code) || null;
+}
+
+function normalizeUomCode(value) {
+  if (value == null) return "";
+  const code = String(value).trim().toUpperCase().replace(/\.$/, "");
+  return UOM_SYNONYMS[code] || code;
+}
+
+function normalizeSku(sku) {
+  return String(sku).trim().toUpperCase();
+}
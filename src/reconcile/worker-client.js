@@ -0,0 +1,95 @@
+/**
+ * Run parseFile() and reconcile() in a Web Worker (worker.js) so large PDFs
+ * and price lists don't freeze the taskpane. Inputs and results are the
+ * engine's own; the options add:
+ *   onProgress — called with the engine's progress events:
+ *                { phase: "parse", done, total, unit: "page" | "sheet" }
+ *                { phase: "match", done, total }
+ *   signal     — an AbortSignal; aborting stops the worker mid-task and
+ *                rejects with "Cancelled."
+ *
+ * Hosts without Worker support (some Office command runtimes) run the same
+ * functions inline, with progress but without mid-task cancellation.
+ */
+
+import { getCurrency } from "../utils/format.js";
+import { getRoundingMode } from "../utils/money.js";
+
+let worker = null;
+let nextId = 1;
+const pending = new Map(); // task id → { resolve, reject, onProgress }
+
+/**
+ * parseFile(file) in the worker.
+ */
+export function parseFileInWorker(file, options = {}) {
+  return runTask("parse", { file }, options);
+}
+
+/**
+ * reconcile(input) in the worker.
+ */
+export function reconcileInWorker(input, options = {}) {
+  return runTask("reconcile", input, options);
+}
+
+// ── Helpers ──
+
+function runTask(task, payload, { onProgress, signal } = {}) {
+  if (signal && signal.aborted) return Promise.reject(new Error("Cancelled."));
+  if (typeof Worker === "undefined") return runInline(task, payload, onProgress);
+
+  const id = nextId++;
+  return new Promise((resolve, reject) => {
+    // Terminating is the only way to stop a synchronous reconcile() mid-run
+    const onAbort = () => stopWorker(new Error("Cancelled."));
+    const settle = (fn) => (value) => {
+      if (signal) signal.removeEventListener("abort", onAbort);
+      fn(value);
+    };
+
+    pending.set(id, { resolve: settle(resolve), reject: settle(reject), onProgress });
+    if (signal) signal.addEventListener("abort", onAbort, { once: true });
+    getWorker().postMessage({ id, task, payload, settings: { currency: getCurrency(), rounding: getRoundingMode() } });
+  });
+}
+
+async function runInline(task, payload, onProgress) {
+  if (task === "parse") {
+    const { parseFile } = await import("./parser.js");
+    return parseFile(payload.file, { onProgress });
+  }
+  const { reconcile } = await import("./reconcile.js");
+  return reconcile({ ...payload, onProgress });
+}
+
+function getWorker() {
+  if (worker) return worker;
+
+  worker = new Worker(new URL("./worker.js", import.meta.url));
+  worker.onmessage = ({ data }) => {
+    const task = pending.get(data.id);
+    if (!task) return;
+    if (data.type === "progress") {
+      if (task.onProgress) task.onProgress(data.progress);
+      return;
+    }
+    pending.delete(data.id);
+    if (data.type === "done") task.resolve(data.result);
+    else task.reject(new Error(data.message));
+  };
+  worker.onerror = (event) => stopWorker(new Error(event.message || "Background processing failed."));
+  return worker;
+}
+
+/**
+ * Terminate the worker and fail every task still running in it. The next
+ * task starts a fresh worker.
+ */
+function stopWorker(err) {
+  if (worker) worker.terminate();
+  worker = null;
+  const tasks = [...pending.values()];
+  pending.clear();
+  for (const task of tasks) task.reject(err);
+}
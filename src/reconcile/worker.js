@@ -0,0 +1,39 @@
+/* global self */
+
+/**
+ * Web Worker entry — runs parseFile() and reconcile() off the UI thread.
+ * Started and driven by worker-client.js; nothing else should post to it.
+ *
+ * In:  { id, task: "parse" | "reconcile", payload, settings: { currency, rounding } }
+ * Out: { id, type: "progress", progress } — as pages are parsed / rows matched
+ *      { id, type: "done", result }
+ *      { id, type: "error", message }
+ *
+ * The worker has its own copy of every module, so the page's currency and
+ * rounding settings arrive with each task rather than through setCurrency().
+ */
+
+import { parseFile } from "./parser.js";
+import { reconcile } from "./reconcile.js";
+import { setCurrency } from "../utils/format.js";
+import { setRoundingMode } from "../utils/money.js";
+
+const TASKS = {
+  parse: ({ file }, onProgress) => parseFile(file, { onProgress }),
+  reconcile: (input, onProgress) => reconcile({ ...input, onProgress }),
+};
+
+self.onmessage = async (event) => {
+  const { id, task, payload, settings } = event.data;
+  const onProgress = (progress) => self.postMessage({ id, type: "progress", progress });
+
+  try {
+    if (!TASKS[task]) throw new Error(`Unknown worker task "${task}".`);
+    setCurrency(settings.currency);
+    setRoundingMode(settings.rounding);
+    const result = await TASKS[task](payload, onProgress);
+    self.postMessage({ id, type: "done", result });
+  } catch (err) {
+    self.postMessage({ id, type: "error", message: err.message });
+  }
+};
@@ -0,0 +1,85 @@
+/**
+ * Customer-to-ERP SKU cross-reference.
+ *
+ * Customers who order with their own item codes never match the ERP
+ * exactly or by prefix. A cross-reference entry maps one customer code
+ * to one ERP SKU:
+ *   { customer: "Acme Corp", customerSku: "AC-889", erpSku: "1234V012" }
+ * A blank customer applies to every customer; a customer-specific entry
+ * wins over a blank one for the same code.
+ */
+
+const CUSTOMER_ALIASES = ["customer", "customer name", "account", "account name", "sold to"];
+const CUSTOMER_SKU_ALIASES = ["customer sku", "customer item", "customer code", "customer part", "buyer part", "their sku", "po sku"];
+const ERP_SKU_ALIASES = ["erp sku", "our sku", "erp item", "item number", "sku", "erp code", "material"];
+
+/**
+ * Build the lookup used by reconcile(): normalized customer SKU → ERP SKU,
+ * keeping only entries for `customer` (or for all customers).
+ *
+ * @param {object[]} entries - { customer, customerSku, erpSku }
+ * @param {string} customer - Customer on the PO being reconciled
+ * @returns {Map<string, string>}
+ */
+export function buildXrefMap(entries, customer) {
+  const map = new Map();
+  const scoped = [];
+
+  for (const e of entries || []) {
+    if (!e.customerSku || !e.erpSku) continue;
+    if (!e.customer) {
+      map.set(normalizeSku(e.customerSku), String(e.erpSku).trim());
+    } else if (sameText(e.customer, customer)) {
+      scoped.push(e);
+    }
+  }
+
+  // Customer-specific entries override the all-customer ones
+  for (const e of scoped) {
+    map.set(normalizeSku(e.customerSku), String(e.erpSku).trim());
+  }
+
+  return map;
+}
+
+/**
+ * Read cross-reference entries from a parsed CSV / sheet ({ headers, rows }).
+ * Needs a customer SKU and an ERP SKU column; the customer column is optional.
+ */
+export function xrefFromRows({ headers, rows }) {
+  const customerSkuCol = findHeader(headers, CUSTOMER_SKU_ALIASES);
+  const erpSkuCol = findHeader(headers, ERP_SKU_ALIASES, customerSkuCol);
+  const customerCol = findHeader(headers, CUSTOMER_ALIASES, customerSkuCol);
+
+  if (!customerSkuCol || !erpSkuCol) {
+    throw new Error(`SKU map needs Customer SKU and ERP SKU columns. Found headers: ${headers.join(", ")}`);
+  }
+
+  return rows
+    .filter((row) => String(row[customerSkuCol] ?? "").trim() && String(row[erpSkuCol] ?? "").trim())
+    .map((row) => ({
+      customer: customerCol ? String(row[customerCol] ?? "").trim() : "",
+      customerSku: String(row[customerSkuCol]).trim(),
+      erpSku: String(row[erpSkuCol]).trim(),
+    }));
+}
+
+// ── Helpers ──
+
+function normalizeSku(sku) {
+  return String(sku).trim().toUpperCase();
+}
+
+function findHeader(headers, aliases, exclude) {
+  const normalized = headers.map((h) => String(h).toLowerCase().trim());
+  for (const alias of aliases) {
+    const idx = normalized.indexOf(alias);
+    if (idx !== -1 && headers[idx] !== exclude) return headers[idx];
+  }
+  return null;
+}
+
+function sameText(a, b) {
+  if (b == null) return false;
+  return String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+}
@@ -1,21 +1,34 @@
 import "./taskpane.css";
-import { parseFile } from "../reconcile/parser";
-import { detectColumns } from "../reconcile/detector";
-import { reconcile } from "../reconcile/reconcile";
-import { writeResultsSheet } from "../reconcile/results";
-import { generateEmailDraft, buildMailtoLink } from "../email/email";
-import { generateCreditNote, generateCorrectedInvoice } from "../reconcile/creditnote";
-import { writeCreditNoteSheet, writeReInvoiceSheet } from "../reconcile/creditnote-results";
-import { formatCurrency, setCurrency } from "../utils/format";
-import { detectAllColumns, extractPOData } from "../capture/extractor";
-import { writeStagingSheet } from "../capture/staging";
-import { validate, formatValidationReport } from "../validate/validator";
-import { generateStagingEntry } from "../entry/entry";
-import { writeEntrySheet } from "../entry/entry-results";
-import { toHistoryRecords, analyzeHistory, formatPredictReport } from "../predict/predict";
-import { appendHistory, readHistory, getHistorySummary } from "../predict/history";
-import { writeDashboard } from "../predict/dashboard";
-import { checkLicense, hasFeature, getTier, saveLicenseKey, UPGRADE_URL } from "../license/license";
+import { parseFile } from "../reconcile/parser.js";
+import { detectColumns } from "../reconcile/detector.js";
+import { parseFileInWorker, reconcileInWorker } from "../reconcile/worker-client.js";
+import { DEFAULT_TOLERANCE, tolerancePolicyFromParams } from "../reconcile/tolerance.js";
+import { parseUomConversions } from "../reconcile/uom.js";
+import { parseTaxCodes, parsePriceBasis } from "../reconcile/tax.js";
+import { xrefFromRows } from "../reconcile/xref.js";
+import { readSkuMap, saveSkuMappings } from "../reconcile/skumap.js";
+import { parseFxRates, fxRatesFromRows } from "../reconcile/fx.js";
+import { describePriceList } from "../reconcile/pricelist.js";
+import { parsePromotions, promotionsFromRows } from "../reconcile/promo.js";
+import { readFxRates, saveFxRates } from "../reconcile/fxrates.js";
+import { writeResultsSheet } from "../reconcile/results.js";
+import { batchRefs, summarizeBatch } from "../reconcile/batch.js";
+import { writeBatchSummarySheet } from "../reconcile/batch-results.js";
+import { generateEmailDraft, buildMailtoLink } from "../email/email.js";
+import { generateCreditNote, generateCorrectedInvoice } from "../reconcile/creditnote.js";
+import { writeCreditNoteSheet, writeReInvoiceSheet } from "../reconcile/creditnote-results.js";
+import { formatCurrency, formatMoney, setCurrency } from "../utils/format.js";
+import { setRoundingMode } from "../utils/money.js";
+import { detectAllColumns, extractPOData } from "../capture/extractor.js";
+import { parseHeaderPatterns } from "../capture/header.js";
+import { writeStagingSheet } from "../capture/staging.js";
+import { validate, formatValidationReport } from "../validate/validator.js";
+import { generateStagingEntry } from "../entry/entry.js";
+import { writeEntrySheet } from "../entry/entry-results.js";
+import { toHistoryRecords, analyzeHistory, formatPredictReport } from "../predict/predict.js";
+import { appendHistory, readHistory, getHistorySummary } from "../predict/history.js";
+import { writeDashboard } from "../predict/dashboard.js";
+import { checkLicense, hasFeature, getTier, saveLicenseKey, UPGRADE_URL } from "../license/license.js";
 
 /* global Office, Excel */
 
@@ -25,9 +38,16 @@ const state = {
   poColumns: null,    // { sku, price, name? }
   erpData: null,   // { headers, rows }
   erpColumns: null, // { sku, price, name? }
-  tolerance: 0.02,
+  priceLayers: [],  // { source: "contract" | "promo", filename, data, columns } — layered over the ERP list
+  promotions: [],     // imported promotions table (session only); typed ones are read at each run
+  tolerance: DEFAULT_TOLERANCE, // amount or { default, bands } policy
   results: null,
   poFilename: "",
+  batch: null,        // [{ poRef, poData, poColumns, error }] when several PO files are chosen
+  customer: "",
+  xref: [],           // { customer, customerSku, erpSku } — SKUMap sheet, or session-only in browser mode
+  fxRates: [],        // { from, to, rate, date } — FXRates sheet, or session-only in browser mode
+  task: null,         // AbortController of the running parse / reconcile, for Cancel
   browserMode: false,
 };
 
@@ -53,11 +73,36 @@ function initUI(browserMode) {
     selectRangeBtn: document.getElementById("select-range-btn"),
     erpStatus: document.getElementById("erp-status"),
     toleranceInput: document.getElementById("tolerance-input"),
+    toleranceTypeSelect: document.getElementById("tolerance-type-select"),
+    tolerancePercentInput: document.getElementById("tolerance-percent-input"),
+    toleranceBandsInput: document.getElementById("tolerance-bands-input"),
+    qtyCheckInput: document.getElementById("qty-check-input"),
+    uomConversionsInput: document.getElementById("uom-conversions-input"),
+    taxCodesInput: document.getElementById("tax-codes-input"),
+    priceBasisSelect: document.getElementById("price-basis-select"),
+    priceDateInput: document.getElementById("price-date-input"),
+    customerInput: document.getElementById("customer-input"),
+    headerPatternsInput: document.getElementById("header-patterns-input"),
+    skuMapFileInput: document.getElementById("sku-map-file-input"),
+    skuMapStatus: document.getElementById("sku-map-status"),
+    fxRatesInput: document.getElementById("fx-rates-input"),
+    fxRatesFileInput: document.getElementById("fx-rates-file-input"),
+    fxRatesStatus: document.getElementById("fx-rates-status"),
+    fxToleranceInput: document.getElementById("fx-tolerance-input"),
+    promotionsInput: document.getElementById("promotions-input"),
+    promotionsFileInput: document.getElementById("promotions-file-input"),
+    promotionsStatus: document.getElementById("promotions-status"),
+    contractFileInput: document.getElementById("contract-file-input"),
+    promoFileInput: document.getElementById("promo-file-input"),
+    clearPriceLayersBtn: document.getElementById("clear-price-layers-btn"),
+    priceLayersStatus: document.getElementById("price-layers-status"),
     currencySelect: document.getElementById("currency-select"),
+    roundingSelect: document.getElementById("rounding-select"),
     reconcileBtn: document.getElementById("reconcile-btn"),
     progressSection: document.getElementById("progress-section"),
     progressFill: document.getElementById("progress-fill"),
     progressText: document.getElementById("progress-text"),
+    cancelBtn: document.getElementById("cancel-btn"),
     resultsSection: document.getElementById("results-section"),
     resultTotal: document.getElementById("result-total"),
     resultMatches: document.getElementById("result-matches"),
@@ -75,6 +120,9 @@ function initUI(browserMode) {
     mailtoLink: document.getElementById("mailto-link"),
     emailStatus: document.getElementById("email-status"),
     actionStatus: document.getElementById("action-status"),
+    xrefSection: document.getElementById("xref-section"),
+    xrefList: document.getElementById("xref-list"),
+    xrefStatus: document.getElementById("xref-status"),
     errorSection: document.getElementById("error-section"),
     errorMessage: document.getElementById("error-message"),
     // Manual column selectors
@@ -146,13 +194,16 @@ function initUI(browserMode) {
   // Event listeners
   els.poFileInput.addEventListener("change", handleFileUpload);
   els.selectRangeBtn.addEventListener("click", handleSelectRange);
-  els.toleranceInput.addEventListener("change", () => {
-    state.tolerance = parseFloat(els.toleranceInput.value) || 0.02;
-  });
+  els.toleranceTypeSelect.addEventListener("change", updateToleranceInputs);
+  updateToleranceInputs();
   els.currencySelect.addEventListener("change", () => {
     setCurrency(els.currencySelect.value);
   });
+  els.roundingSelect.addEventListener("change", () => {
+    setRoundingMode(els.roundingSelect.value);
+  });
   els.reconcileBtn.addEventListener("click", handleReconcile);
+  els.cancelBtn.addEventListener("click", () => state.task && state.task.abort());
   els.emailBtn.addEventListener("click", handleShowEmail);
   els.copyEmailBtn.addEventListener("click", handleCopyEmail);
   els.creditNoteBtn.addEventListener("click", handleCreditNote);
@@ -162,6 +213,12 @@ function initUI(browserMode) {
   els.applyPoColumns.addEventListener("click", () => applyManualColumns("po"));
   els.applyErpColumns.addEventListener("click", () => applyManualColumns("erp"));
   els.dashboardBtn.addEventListener("click", handleDashboard);
+  els.skuMapFileInput.addEventListener("change", handleSkuMapImport);
+  els.fxRatesFileInput.addEventListener("change", handleFxRatesImport);
+  els.promotionsFileInput.addEventListener("change", handlePromotionsImport);
+  els.contractFileInput.addEventListener("change", (e) => handlePriceLayerUpload("contract", e));
+  els.promoFileInput.addEventListener("change", (e) => handlePriceLayerUpload("promo", e));
+  els.clearPriceLayersBtn.addEventListener("click", handleClearPriceLayers);
 
   // Copilot prompt copy buttons
   document.querySelectorAll(".prompt-card").forEach((btn) => {
@@ -279,13 +336,19 @@ async function handleActivateLicense() {
 async function handleFileUpload(e) {
   const file = e.target.files[0];
   if (!file) return;
+  if (e.target.files.length > 1) return handleBatchUpload(e);
 
   hideError();
+  state.batch = null;
   setStatus(els.poStatus, "Parsing...", "");
   state.poFilename = file.name;
+  const signal = beginTask();
 
   try {
-    state.poData = await parseFile(file);
+    state.poData = await parseFileInWorker(file, {
+      signal,
+      onProgress: (p) => setProgress(Math.round((p.done / p.total) * 100), `Parsing ${p.unit} ${p.done + 1} of ${p.total}...`),
+    });
     const columns = detectColumns(state.poData.headers);
 
     if (!columns.sku || !columns.price) {
@@ -300,8 +363,61 @@ async function handleFileUpload(e) {
   } catch (err) {
     state.poData = null;
     state.poColumns = null;
-    setStatus(els.poStatus, "No file selected", "");
-    showError(err.message);
+    setStatus(els.poStatus, signal.aborted ? "Parsing cancelled" : "No file selected", "");
+    if (!signal.aborted) showError(err.message);
+    updateReconcileButton();
+  } finally {
+    endTask();
+    els.progressSection.hidden = true;
+    e.target.value = ""; // so choosing the same file again after a cancel re-parses it
+  }
+}
+
+/**
+ * Several PO files chosen at once: parse them all for a batch run. Files
+ * whose SKU / Price columns can't be detected are kept and reported as
+ * failed in the batch summary rather than stopping the batch.
+ */
+async function handleBatchUpload(e) {
+  const files = [...e.target.files];
+  hideError();
+  els.manualColumnsPo.hidden = true;
+  state.poData = null;
+  state.poColumns = null;
+  state.batch = null;
+  const signal = beginTask();
+
+  try {
+    const refs = batchRefs(files.map((f) => f.name));
+    const batch = [];
+    for (const [i, file] of files.entries()) {
+      setProgress(Math.round((i / files.length) * 100), `Parsing ${file.name} (${i + 1} of ${files.length})...`);
+      try {
+        const poData = await parseFileInWorker(file, { signal });
+        const poColumns = detectColumns(poData.headers);
+        const error = !poColumns.sku || !poColumns.price
+          ? `Could not detect SKU and Price columns. Found headers: ${poData.headers.join(", ")}`
+          : null;
+        batch.push({ poRef: refs[i], poData, poColumns, error });
+      } catch (err) {
+        if (signal.aborted) throw err;
+        batch.push({ poRef: refs[i], poData: null, poColumns: null, error: err.message });
+      }
+    }
+
+    state.batch = batch;
+    state.poFilename = "";
+    const ready = batch.filter((po) => !po.error).length;
+    const lines = batch.reduce((n, po) => n + (po.poData ? po.poData.rows.length : 0), 0);
+    setStatus(els.poStatus, `${files.length} POs (${lines} rows)${ready < files.length ? ` — ${files.length - ready} can't be read` : ""}`, ready > 0 ? "success" : "error");
+  } catch (err) {
+    setStatus(els.poStatus, signal.aborted ? "Parsing cancelled" : "No file selected", "");
+    if (!signal.aborted) showError(err.message);
+  } finally {
+    endTask();
+    els.progressSection.hidden = true;
+    e.target.value = "";
+    updateReconcileButton();
   }
 }
 
@@ -425,24 +541,25 @@ function applyManualColumns(source) {
 // --- Reconciliation ---
 
 async function handleReconcile() {
+  if (state.batch) return handleBatchReconcile();
+
   hideError();
   els.resultsSection.hidden = true;
   els.emailSection.hidden = true;
   els.progressSection.hidden = false;
   els.reconcileBtn.disabled = true;
+  const signal = beginTask();
   setProgress(10, "Preparing data...");
 
   try {
-    state.tolerance = parseFloat(els.toleranceInput.value) || 0.02;
+    const settings = await readRunSettings();
+    state.customer = resolveCustomer();
 
     setProgress(30, "Running reconciliation...");
 
-    const results = reconcile({
-      poData: state.poData,
-      poColumns: state.poColumns,
-      erpData: state.erpData,
-      erpColumns: state.erpColumns,
-      tolerance: state.tolerance,
+    const results = await reconcileInWorker(buildReconcileInput(state.poData, state.poColumns, settings), {
+      signal,
+      onProgress: (p) => setProgress(30 + Math.round((p.done / p.total) * 30), `Matching rows: ${p.done} of ${p.total}...`),
     });
 
     state.results = results;
@@ -479,6 +596,7 @@ async function handleReconcile() {
     els.resultExceptions.textContent = results.summary.exceptions;
     els.resultWarnings.textContent = results.summary.warnings || 0;
     els.resultExposure.textContent = formatCurrency(results.summary.exposure);
+    els.resultExposure.title = `Customer overpaying ${formatCurrency(results.summary.overcharge)}, underpaying ${formatCurrency(results.summary.undercharge)}`;
 
     setProgress(100, "Complete!");
     els.resultsSection.hidden = false;
@@ -497,6 +615,7 @@ async function handleReconcile() {
 
     // Clear any previous action status
     setStatus(els.actionStatus, "", "");
+    renderXrefSection(results);
 
     // Show contextual next steps and update workflow
     showNextSteps("reconciled");
@@ -506,13 +625,447 @@ async function handleReconcile() {
       els.progressSection.hidden = true;
     }, 1000);
   } catch (err) {
-    showError(err.message);
+    if (!signal.aborted) showError(err.message);
     els.progressSection.hidden = true;
   } finally {
+    endTask();
     els.reconcileBtn.disabled = false;
   }
 }
 
+/**
+ * Reconcile every PO of a batch against the loaded ERP data: one Recon
+ * sheet each, every PO added to price history, then the Batch Summary sheet.
+ * A PO that fails is reported in the summary; the rest carry on.
+ */
+async function handleBatchReconcile() {
+  hideError();
+  els.resultsSection.hidden = true;
+  els.emailSection.hidden = true;
+  els.reconcileBtn.disabled = true;
+  const signal = beginTask();
+  const pos = state.batch;
+
+  try {
+    const settings = await readRunSettings();
+    const today = new Date().toISOString().slice(0, 10);
+    const entries = [];
+
+    for (const [i, po] of pos.entries()) {
+      if (po.error) {
+        entries.push({ poRef: po.poRef, error: po.error });
+        continue;
+      }
+      const label = `${po.poRef} (${i + 1} of ${pos.length})`;
+      setProgress(Math.round((i / pos.length) * 100), `Reconciling ${label}...`);
+
+      try {
+        const results = await reconcileInWorker(buildReconcileInput(po.poData, po.poColumns, settings, resolveCustomer(po.poData)), {
+          signal,
+          onProgress: (p) => setProgress(Math.round(((i + p.done / p.total) / pos.length) * 100), `Reconciling ${label}: ${p.done} of ${p.total} rows...`),
+        });
+        if (!state.browserMode) {
+          await writeResultsSheet(results, state.tolerance, po.poRef);
+          try {
+            await appendHistory(toHistoryRecords(results, po.poRef, today));
+          } catch (histErr) {
+            console.error("Price history append failed:", histErr);
+            setStatus(els.dashboardStatus, "History save failed: " + histErr.message, "error");
+          }
+        }
+        entries.push({ poRef: po.poRef, results });
+      } catch (err) {
+        if (signal.aborted) throw err;
+        entries.push({ poRef: po.poRef, error: err.message });
+      }
+    }
+
+    setProgress(95, "Writing batch summary...");
+    const batch = summarizeBatch(entries);
+    if (state.browserMode) {
+      renderBrowserBatchTable(batch);
+    } else {
+      await writeBatchSummarySheet(batch, state.tolerance);
+      await refreshHistorySummary();
+    }
+
+    // Batch totals in the result cards
+    const t = batch.totals;
+    els.resultTotal.textContent = t.lines;
+    els.resultMatches.textContent = t.matches;
+    els.resultTolerances.textContent = t.tolerances;
+    els.resultExceptions.textContent = t.exceptions;
+    els.resultWarnings.textContent = t.warnings;
+    els.resultExposure.textContent = formatCurrency(t.exposure);
+    els.resultExposure.title = `${t.reconciled} PO(s): customer overpaying ${formatCurrency(t.overcharge)}, underpaying ${formatCurrency(t.undercharge)}`;
+    els.resultsSection.hidden = false;
+    els.nextSteps.hidden = true;
+
+    // Credit notes, re-invoices and emails are per PO — reconcile one PO for those
+    state.results = null;
+    els.tabActions.disabled = true;
+
+    setProgress(100, `Batch complete — ${t.reconciled} of ${t.pos} POs reconciled${t.failed > 0 ? `, ${t.failed} failed` : ""}`);
+    setTimeout(() => {
+      els.progressSection.hidden = true;
+    }, 1000);
+  } catch (err) {
+    if (!signal.aborted) showError(err.message);
+    els.progressSection.hidden = true;
+  } finally {
+    endTask();
+    els.reconcileBtn.disabled = false;
+  }
+}
+
+/**
+ * Settings shared by every PO in a run. Also refreshes the SKU map and FX
+ * rates from their sheets.
+ */
+async function readRunSettings() {
+  state.tolerance = readTolerancePolicy();
+  const settings = {
+    uomConversions: parseUomConversions(els.uomConversionsInput.value),
+    typedFxRates: parseFxRates(els.fxRatesInput.value),
+    taxCodes: parseTaxCodes(els.taxCodesInput.value),
+    priceBasis: parsePriceBasis(els.priceBasisSelect.value),
+    promotions: [...state.promotions, ...parsePromotions(els.promotionsInput.value)],
+  };
+  if (!state.browserMode) {
+    try {
+      state.xref = await readSkuMap();
+    } catch (mapErr) {
+      console.error("SKU map read failed:", mapErr);
+    }
+    try {
+      state.fxRates = await readFxRates();
+    } catch (fxErr) {
+      console.error("FX rates read failed:", fxErr);
+    }
+  }
+  return settings;
+}
+
+/**
+ * reconcile() input for one PO against the loaded ERP data.
+ */
+function buildReconcileInput(poData, poColumns, settings, customer = state.customer) {
+  return {
+    poData,
+    poColumns,
+    erpData: state.erpData,
+    erpColumns: state.erpColumns,
+    priceLayers: state.priceLayers.map(({ source, data, columns }) => ({ source, data, columns })),
+    tolerance: state.tolerance,
+    customer,
+    qtyCheck: els.qtyCheckInput.checked,
+    uomConversions: settings.uomConversions,
+    xref: state.xref,
+    priceDate: resolvePriceDate(poData),
+    fxRates: [...state.fxRates, ...settings.typedFxRates],
+    fxTolerance: els.fxToleranceInput.value,
+    taxCodes: settings.taxCodes,
+    priceBasis: settings.priceBasis,
+    promotions: settings.promotions,
+  };
+}
+
+/**
+ * Date the PO is priced as of — the record valid on a dated price list, the FX
+ * rate and the promo windows: the settings field, else the PO's order date,
+ * else its earliest delivery date. Blank lets reconcile() use today.
+ */
+function resolvePriceDate(poData = state.poData) {
+  if (els.priceDateInput.value) return els.priceDateInput.value;
+  try {
+    const m = extractPO(poData).metadata;
+    return m.poDate || m.deliveryDate;
+  } catch {
+    return "";
+  }
+}
+
+// --- Contract / Promo Price Lists ---
+
+/**
+ * Load a contract or promotional price list to layer over the ERP list for
+ * this session. A second file for the same layer replaces the first.
+ */
+async function handlePriceLayerUpload(source, e) {
+  const file = e.target.files[0];
+  if (!file) return;
+
+  hideError();
+  setStatus(els.priceLayersStatus, "Reading...", "");
+
+  try {
+    const data = await parseFile(file);
+    const columns = detectColumns(data.headers);
+    if (!columns.sku || !columns.price) {
+      throw new Error(`Could not detect SKU and Price columns in ${file.name}. Found headers: ${data.headers.join(", ")}`);
+    }
+
+    state.priceLayers = [
+      ...state.priceLayers.filter((layer) => layer.source !== source),
+      { source, filename: file.name, data, columns },
+    ];
+  } catch (err) {
+    showError(err.message);
+  } finally {
+    showPriceLayers();
+    e.target.value = "";
+  }
+}
+
+function handleClearPriceLayers() {
+  state.priceLayers = [];
+  showPriceLayers();
+}
+
+function showPriceLayers() {
+  els.clearPriceLayersBtn.hidden = state.priceLayers.length === 0;
+  if (state.priceLayers.length === 0) {
+    setStatus(els.priceLayersStatus, "ERP list only", "");
+    return;
+  }
+  const loaded = state.priceLayers.map((layer) => `${describePriceList(layer.source)}: ${layer.filename} (${layer.data.rows.length} rows)`);
+  setStatus(els.priceLayersStatus, `${loaded.join(" · ")} → then ERP list`, "success");
+}
+
+// --- Promotions ---
+
+/**
+ * Import a promotions table for this session; it replaces the previous
+ * import and is used alongside any promotions typed in settings.
+ */
+async function handlePromotionsImport(e) {
+  const file = e.target.files[0];
+  if (!file) return;
+
+  hideError();
+  setStatus(els.promotionsStatus, "Importing...", "");
+
+  try {
+    const promotions = promotionsFromRows(await parseFile(file));
+    if (promotions.length === 0) {
+      throw new Error("Promotions file has no promotions.");
+    }
+
+    state.promotions = promotions;
+    setStatus(els.promotionsStatus, `${file.name}: ${promotions.length} promotion(s)`, "success");
+  } catch (err) {
+    setStatus(els.promotionsStatus, "Import failed", "error");
+    showError(err.message);
+  } finally {
+    e.target.value = "";
+  }
+}
+
+// --- FX Rates ---
+
+async function handleFxRatesImport(e) {
+  const file = e.target.files[0];
+  if (!file) return;
+
+  hideError();
+  setStatus(els.fxRatesStatus, "Importing...", "");
+
+  try {
+    const rates = fxRatesFromRows(await parseFile(file));
+    if (rates.length === 0) {
+      throw new Error("FX rate file has no rates.");
+    }
+
+    const { added, updated } = await rememberFxRates(rates);
+    setStatus(els.fxRatesStatus, `${file.name}: ${added} added, ${updated} updated`, "success");
+  } catch (err) {
+    setStatus(els.fxRatesStatus, "Import failed", "error");
+    showError(err.message);
+  } finally {
+    e.target.value = "";
+  }
+}
+
+/**
+ * Persist rates — FXRates sheet in Excel, session state in browser preview.
+ */
+async function rememberFxRates(rates) {
+  if (!state.browserMode) {
+    return saveFxRates(rates);
+  }
+
+  let added = 0;
+  let updated = 0;
+  for (const r of rates) {
+    const idx = state.fxRates.findIndex((x) => x.from === r.from && x.to === r.to && x.date === r.date);
+    if (idx !== -1) {
+      state.fxRates[idx] = r;
+      updated++;
+    } else {
+      state.fxRates.push(r);
+      added++;
+    }
+  }
+  return { added, updated };
+}
+
+// --- SKU Cross-Reference ---
+
+/**
+ * Customer for SKU map scoping: the settings field, else the customer
+ * detected on the PO.
+ */
+function resolveCustomer(poData = state.poData) {
+  const typed = els.customerInput.value.trim();
+  if (typed) return typed;
+  try {
+    const detected = extractPO(poData).metadata.customer;
+    return detected !== "Unknown" ? detected : "";
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * extractPOData() with the PO header patterns typed in settings.
+ */
+function extractPO(poData, columns) {
+  return extractPOData(poData, columns, { headerPatterns: parseHeaderPatterns(els.headerPatternsInput.value) });
+}
+
+async function handleSkuMapImport(e) {
+  const file = e.target.files[0];
+  if (!file) return;
+
+  hideError();
+  setStatus(els.skuMapStatus, "Importing...", "");
+
+  try {
+    const parsed = await parseFile(file);
+    const customer = els.customerInput.value.trim();
+    // A file without a customer column is scoped to the customer in settings (if any)
+    const entries = xrefFromRows(parsed).map((m) => ({ ...m, customer: m.customer || customer }));
+    if (entries.length === 0) {
+      throw new Error("SKU map file has no mappings.");
+    }
+
+    const { added, updated } = await rememberMappings(entries);
+    setStatus(els.skuMapStatus, `${file.name}: ${added} added, ${updated} updated`, "success");
+  } catch (err) {
+    setStatus(els.skuMapStatus, "Import failed", "error");
+    showError(err.message);
+  } finally {
+    e.target.value = "";
+  }
+}
+
+/**
+ * Persist mappings — SKUMap sheet in Excel, session state in browser preview.
+ */
+async function rememberMappings(entries) {
+  if (!state.browserMode) {
+    return saveSkuMappings(entries);
+  }
+
+  let added = 0;
+  let updated = 0;
+  for (const e of entries) {
+    const idx = state.xref.findIndex((m) =>
+      m.customer.toLowerCase() === e.customer.toLowerCase() &&
+      m.customerSku.toUpperCase() === e.customerSku.toUpperCase());
+    if (idx !== -1) {
+      state.xref[idx] = e;
+      updated++;
+    } else {
+      state.xref.push(e);
+      added++;
+    }
+  }
+  return { added, updated };
+}
+
+/**
+ * List "Not in ERP", "Multiple ERP matches" and "Suggested match" rows with
+ * a one-click Remember button that saves the customer SKU → ERP SKU mapping.
+ * Suggested matches come pre-filled with the best candidate.
+ */
+function renderXrefSection(results) {
+  const unmatched = results.rows.filter((r) =>
+    r.status === "Not in ERP" || r.status === "Suggested match" || (r.status === "Warning" && r.erpCandidates));
+
+  els.xrefList.innerHTML = "";
+  setStatus(els.xrefStatus, "", "");
+  els.xrefSection.hidden = unmatched.length === 0;
+
+  unmatched.forEach((row, i) => {
+    const item = document.createElement("div");
+    item.className = "xref-row";
+
+    const label = document.createElement("span");
+    label.className = "xref-sku";
+    label.textContent = row.sku;
+    label.title = row.action;
+
+    const input = document.createElement("input");
+    input.type = "text";
+    input.placeholder = "ERP SKU";
+    const candidates = row.erpCandidates || [];
+    if (candidates.length > 0) {
+      const list = document.createElement("datalist");
+      list.id = `xref-candidates-${i}`;
+      candidates.forEach((c) => {
+        const opt = document.createElement("option");
+        opt.value = c;
+        list.appendChild(opt);
+      });
+      item.appendChild(list);
+      input.setAttribute("list", list.id);
+      input.value = candidates[0];
+    }
+
+    const btn = document.createElement("button");
+    btn.className = "btn btn-sm";
+    btn.textContent = "Remember";
+    btn.addEventListener("click", async () => {
+      const erpSku = input.value.trim();
+      if (!erpSku) {
+        setStatus(els.xrefStatus, `Enter the ERP SKU for ${row.sku}`, "error");
+        return;
+      }
+      btn.disabled = true;
+      try {
+        await rememberMappings([{ customer: state.customer, customerSku: String(row.sku), erpSku }]);
+        btn.textContent = "Saved";
+        const scope = state.customer ? ` for ${state.customer}` : "";
+        setStatus(els.xrefStatus, `${row.sku} → ${erpSku} remembered${scope}. Re-run Reconcile to apply.`, "success");
+      } catch (err) {
+        btn.disabled = false;
+        showError(err.message);
+      }
+    });
+
+    item.append(label, input, btn);
+    els.xrefList.appendChild(item);
+  });
+}
+
+// --- Tolerance Settings ---
+
+function readTolerancePolicy() {
+  return tolerancePolicyFromParams({
+    tolerance: els.toleranceInput.value,
+    toleranceType: els.toleranceTypeSelect.value,
+    tolerancePercent: els.tolerancePercentInput.value,
+    toleranceBands: els.toleranceBandsInput.value,
+  });
+}
+
+function updateToleranceInputs() {
+  const type = els.toleranceTypeSelect.value;
+  els.toleranceInput.disabled = type === "percent";
+  els.tolerancePercentInput.disabled = type === "absolute";
+}
+
 // --- Extract to Staging ---
 
 async function handleExtract() {
@@ -524,15 +1077,14 @@ async function handleExtract() {
   setStatus(els.extractStatus, "Extracting...", "");
 
   try {
-    const columns = detectAllColumns(state.poData.headers);
-    const extraction = extractPOData(state.poData, columns);
+    const extraction = extractPO(state.poData, detectAllColumns(state.poData.headers));
 
     if (!state.browserMode) {
       await writeStagingSheet(extraction);
     }
 
     // Run validation
-    const validation = validate(extraction.stagingRows);
+    const validation = validate(extraction.stagingRows, extraction.metadata.documentTotals);
     state.validation = validation;
     showValidationResults(validation);
 
@@ -725,7 +1277,7 @@ async function handleDashboard() {
 
 function renderBrowserResultsTable(results) {
   const table = els.resultsTable;
-  const headers = ["Status", "SKU", "Name", "ERP $", "PO $", "Diff", "% Diff", "Action"];
+  const headers = ["Status", "SKU", "Name", "Qty", "ERP $", "PO $", "PO Original", "List − Disc", "Diff", "% Diff", "Exposure", "Price Source", "Action"];
 
   let html = "<thead><tr>";
   headers.forEach((h) => { html += `<th>${h}</th>`; });
@@ -737,6 +1289,8 @@ function renderBrowserResultsTable(results) {
         ? "row-exception"
         : row.status === "Tolerance" ? "row-tolerance"
         : row.status === "Match" ? "row-match"
+        : row.status === "Suggested match" ? "row-suggested"
+        : row.status === "Promo Match" ? "row-promo"
         : "row-warning";
 
     const label = row.duplicate ? `${row.status} (DUP)` : row.status;
@@ -745,10 +1299,15 @@ function renderBrowserResultsTable(results) {
     html += `<td>${label}</td>`;
     html += `<td>${row.erpSku ? `${row.sku} → ${row.erpSku}` : row.sku}</td>`;
     html += `<td>${row.name || ""}</td>`;
+    html += `<td>${row.poQty != null ? row.poQty : ""}</td>`;
     html += `<td>${row.erpPrice != null ? formatCurrency(row.erpPrice) : ""}</td>`;
     html += `<td>${row.poPrice != null ? formatCurrency(row.poPrice) : ""}</td>`;
+    html += `<td>${row.fxRate != null ? `${formatMoney(row.poPriceOriginal, row.poCurrency)} × ${row.fxRate}` : ""}</td>`;
+    html += `<td>${describeDiscounts(row)}</td>`;
     html += `<td>${row.diff != null ? formatCurrency(row.diff) : ""}</td>`;
     html += `<td>${row.pctDiff != null ? row.pctDiff + "%" : ""}</td>`;
+    html += `<td>${row.lineExposure != null ? formatCurrency(row.lineExposure) : ""}</td>`;
+    html += `<td>${[describePriceList(row.priceList), row.tier ? `tier ${row.tier}` : "", row.priceSource || ""].filter(Boolean).join(", ")}</td>`;
     html += `<td>${row.action}</td>`;
     html += "</tr>";
   });
@@ -758,6 +1317,44 @@ function renderBrowserResultsTable(results) {
   els.browserResultsTable.hidden = false;
 }
 
+function renderBrowserBatchTable(batch) {
+  const table = els.resultsTable;
+  const headers = ["PO", "Lines", "Matches", "Tolerance", "Exceptions", "Warnings", "PO Total", "Exposure", "Recommendation", "Notes"];
+  const rowClass = { ACCEPT: "row-match", REVIEW: "row-tolerance", ESCALATE: "row-exception" };
+
+  let html = "<thead><tr>";
+  headers.forEach((h) => { html += `<th>${h}</th>`; });
+  html += "</tr></thead><tbody>";
+
+  batch.rows.forEach((row) => {
+    html += `<tr class="${rowClass[row.recommendation] || "row-warning"}">`;
+    html += `<td>${row.poRef}</td>`;
+    if (row.status === "Failed") {
+      html += `<td colspan="7"></td><td>Failed</td><td>${row.error}</td>`;
+    } else {
+      html += `<td>${row.total}</td><td>${row.matches}</td><td>${row.tolerances}</td><td>${row.exceptions}</td><td>${row.warnings}</td>`;
+      html += `<td>${formatCurrency(row.poTotal)}</td><td>${formatCurrency(row.exposure)}</td>`;
+      html += `<td>${row.recommendation}</td><td>${row.reason}</td>`;
+    }
+    html += "</tr>";
+  });
+
+  html += "</tbody>";
+  table.innerHTML = html;
+  els.browserResultsTable.hidden = false;
+}
+
+/**
+ * "ERP £10.00 − 15% · PO £10.00 − 10%", or "" without a discount split.
+ */
+function describeDiscounts(row) {
+  const side = (label, list, discount) =>
+    list != null ? `${label} ${formatCurrency(list)}${discount ? ` − ${discount}%` : ""}` : "";
+  return [side("ERP", row.erpListPrice, row.erpDiscount), side("PO", row.poListPrice, row.poDiscount)]
+    .filter(Boolean)
+    .join(" · ");
+}
+
 // --- Contextual Next Steps ---
 
 function showNextSteps(context) {
@@ -820,9 +1417,8 @@ function markWorkflowDone(stepId) {
 // --- UI Helpers ---
 
 function updateReconcileButton() {
-  const ready =
-    state.poData && state.poColumns &&
-    state.erpData && state.erpColumns;
+  const poReady = state.batch ? state.batch.some((po) => !po.error) : state.poData && state.poColumns;
+  const ready = poReady && state.erpData && state.erpColumns;
   els.reconcileBtn.disabled = !ready;
   // Enable extract button when PO data is loaded (doesn't need ERP data)
   els.extractBtn.disabled = !(state.poData && state.poColumns);
@@ -833,6 +1429,23 @@ function setStatus(el, text, type) {
   el.className = "status" + (type ? " " + type : "");
 }
 
+/**
+ * Start a cancellable parse / reconcile: shows the progress bar with its
+ * Cancel button. Returns the signal to hand to the worker call.
+ */
+function beginTask() {
+  state.task = new AbortController();
+  setProgress(0, "Starting...");
+  els.progressSection.hidden = false;
+  els.cancelBtn.hidden = false;
+  return state.task.signal;
+}
+
+function endTask() {
+  state.task = null;
+  els.cancelBtn.hidden = true;
+}
+
 function setProgress(pct, text) {
   els.progressFill.style.width = pct + "%";
   els.progressText.textContent = text;
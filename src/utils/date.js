@@ -0,0 +1,72 @@
+/**
+ * Date parsing for price-list validity windows and PO dates.
+ *
+ * Everything is normalized to "YYYY-MM-DD" strings, which compare correctly
+ * as plain strings and avoid timezone shifts from Date objects.
+ */
+
+// Excel serial day 1 = 1900-01-01 (with the 1900 leap-year bug → epoch 1899-12-30)
+const EXCEL_EPOCH_MS = Date.UTC(1899, 11, 30);
+const MS_PER_DAY = 86400000;
+
+/**
+ * Parse a date cell into "YYYY-MM-DD", or null if it isn't a date.
+ * Accepts ISO (2026-01-31), UK day-first (31/01/2026, 31.01.26),
+ * compact (20260131), Excel serial numbers (46053) and Date objects.
+ */
+export function parseDate(value) {
+  if (value == null || value === "") return null;
+
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : toIso(value.getFullYear(), value.getMonth() + 1, value.getDate());
+  }
+
+  const str = String(value).trim();
+  if (!str) return null;
+
+  const iso = str.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T\s].*)?$/);
+  if (iso) return validIso(+iso[1], +iso[2], +iso[3]);
+
+  // Day-first — the UK convention used across our customers' documents
+  const dmy = str.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})$/);
+  if (dmy) {
+    const year = dmy[3].length === 2 ? 2000 + +dmy[3] : +dmy[3];
+    return validIso(year, +dmy[2], +dmy[1]);
+  }
+
+  const compact = str.match(/^(\d{4})(\d{2})(\d{2})$/);
+  if (compact) return validIso(+compact[1], +compact[2], +compact[3]);
+
+  // Excel serial (roughly 1955–2119)
+  if (/^\d{5}(\.\d+)?$/.test(str)) {
+    const d = new Date(EXCEL_EPOCH_MS + Math.floor(parseFloat(str)) * MS_PER_DAY);
+    return toIso(d.getUTCFullYear(), d.getUTCMonth() + 1, d.getUTCDate());
+  }
+
+  // Month names ("31 Jan 2026", "January 31, 2026") — require a 4-digit year
+  if (/[a-z]/i.test(str) && /\b\d{4}\b/.test(str)) {
+    const d = new Date(str);
+    if (!isNaN(d.getTime())) return toIso(d.getFullYear(), d.getMonth() + 1, d.getDate());
+  }
+
+  return null;
+}
+
+/**
+ * Today's date as "YYYY-MM-DD" (local time).
+ */
+export function today() {
+  const d = new Date();
+  return toIso(d.getFullYear(), d.getMonth() + 1, d.getDate());
+}
+
+function validIso(year, month, day) {
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+  const d = new Date(Date.UTC(year, month - 1, day));
+  if (d.getUTCMonth() !== month - 1) return null; // e.g. 31/02
+  return toIso(year, month, day);
+}
+
+function toIso(year, month, day) {
+  return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+}
@@ -1,3 +1,5 @@
+import { normalizeCurrency } from "../reconcile/fx.js";
+
 /**
  * Currency configuration — configurable via Settings dropdown.
  */
@@ -24,6 +26,14 @@ export function getCurrencyFormat() {
   return CURRENCY_CONFIG[activeCurrency].format;
 }
 
+/**
+ * Excel number format for unit prices: the active currency format with up to
+ * two further decimals, so 4-decimal prices (£0.8333) aren't shown rounded.
+ */
+export function getPriceFormat() {
+  return `${CURRENCY_CONFIG[activeCurrency].format}##`;
+}
+
 /**
  * Format a number as a currency string using the active currency.
  */
@@ -41,24 +51,82 @@ export function formatCurrency(value) {
 }
 
 /**
- * Parse a string/number into a float, stripping currency symbols and commas.
+ * Format a number in a given currency (e.g. a PO's own currency before FX
+ * conversion), regardless of the active currency. Codes outside the settings
+ * list use the active locale.
+ */
+export function formatMoney(value, code) {
+  if (!code) return formatCurrency(value);
+  if (value == null) return "—";
+  const num = typeof value === "number" ? value : parseFloat(value);
+  if (isNaN(num)) return "—";
+  const cfg = CURRENCY_CONFIG[code] || CURRENCY_CONFIG[activeCurrency];
+  return new Intl.NumberFormat(cfg.locale, {
+    style: "currency",
+    currency: code,
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  }).format(num);
+}
+
+// A plain decimal once symbols, codes and separators are gone — nothing may trail it
+const NUMBER_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i;
+
+/**
+ * Parse a string/number into a float, stripping currency symbols, commas and
+ * a recognised currency code ("EUR 12.50", "12.50 GBP", "US$12.50" — see
+ * normalizeCurrency). Any other letters ("EA 12", "12 BOX") make the value
+ * non-numeric.
  * Returns null if non-numeric.
  */
 export function parseNumber(value) {
   if (value == null || value === "") return null;
   if (typeof value === "number") return isNaN(value) ? null : value;
 
-  // Strip currency symbols ($, £, €), commas, spaces
-  const cleaned = String(value).replace(/[$£€,\s]/g, "").trim();
+  const cleaned = String(value)
+    .replace(/[,\s]/g, "")
+    .replace(/^[A-Za-z]{1,3}[$£€]?(?=[-\d(.$£€])/, currencyOnly) // EUR12.50, US$12.50
+    .replace(/(?<=[\d)])[A-Za-z]{3}$/, currencyOnly) // 12.50GBP
+    .replace(/[$£€]/g, "");
   if (cleaned === "") return null;
 
   // Handle parentheses as negative: (123.45) -> -123.45
   const parenMatch = cleaned.match(/^\((.+)\)$/);
   if (parenMatch) {
-    const num = parseFloat(parenMatch[1]);
-    return isNaN(num) ? null : -num;
+    return NUMBER_PATTERN.test(parenMatch[1]) ? -Number(parenMatch[1]) : null;
   }
 
-  const num = parseFloat(cleaned);
-  return isNaN(num) ? null : num;
+  return NUMBER_PATTERN.test(cleaned) ? Number(cleaned) : null;
+}
+
+/**
+ * Parse a quantity cell, which may carry its unit after the number: "12 EA",
+ * "12pcs", "5 cases" and "1,200 units" read as 12, 12, 5 and 1200. Anything
+ * else is read as parseNumber reads it.
+ * Returns null if non-numeric ("twelve", "EA 12").
+ */
+export function parseQuantity(value) {
+  if (typeof value !== "string") return parseNumber(value);
+  return parseNumber(value.trim().replace(/(?<=[\d.])\s*[A-Za-z][A-Za-z.]*$/, ""));
+}
+
+// Drop a currency code / symbol prefix or suffix; keep anything else so it fails to parse
+function currencyOnly(text) {
+  return normalizeCurrency(text) ? "" : text;
+}
+
+/**
+ * Parse a discount / percentage cell into a percentage (12.5 for 12.5%).
+ * "12.5%" and "12.5" both read as 12.5, and "0.5" as 0.5%. When `fraction`
+ * is set — the whole column holds fractions, which is how Excel returns a
+ * %-formatted cell — a bare 0.125 reads as 12.5; a value with a % sign
+ * never does. Returns null if non-numeric.
+ */
+export function parsePercent(value, fraction = false) {
+  if (value == null || value === "") return null;
+  const hasSign = typeof value === "string" && value.includes("%");
+  const num = parseNumber(typeof value === "string" ? value.replace(/%/g, "") : value);
+  if (num === null) return null;
+  if (fraction && !hasSign) return Math.round(num * 1e6) / 1e4;
+  return num;
 }
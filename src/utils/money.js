@@ -0,0 +1,278 @@
+/**
+ * Exact decimal arithmetic for prices, quantities and money totals.
+ *
+ * Binary floats can't hold most decimal prices exactly (0.1 + 0.2, 1.005 × 100),
+ * so `Math.round(n * 100) / 100` drifts on 3–4 decimal unit prices and large
+ * quantities. Here every value is read as the decimal it was written as
+ * (1.005 is 1005 × 10⁻³), worked as a scaled BigInt, and rounded once to the
+ * precision asked for:
+ *   - money amounts  → the currency's minor units (2 for GBP, 0 for JPY, 3 for KWD)
+ *   - unit prices    → PRICE_DECIMALS
+ *
+ * Rounding is half-up (away from zero) or half-even (banker's rounding);
+ * the mode is set per workbook with setRoundingMode(), or per request with
+ * withMoneySettings().
+ */
+
+import { getCurrency, setCurrency } from "./format.js";
+
+export const ROUNDING = {
+  HALF_UP: "half-up",
+  HALF_EVEN: "half-even",
+};
+
+// Unit prices are compared and stored to 4 decimals (fasteners, per-gram chemicals)
+export const PRICE_DECIMALS = 4;
+
+const DEFAULT_DECIMALS = 2;
+const CURRENCY_DECIMALS = {
+  JPY: 0,
+  KRW: 0,
+  BHD: 3,
+  KWD: 3,
+  OMR: 3,
+  JOD: 3,
+  TND: 3,
+};
+
+let roundingMode = ROUNDING.HALF_UP;
+
+/**
+ * Set the rounding mode: "half-up" or "half-even" ("bankers" is accepted).
+ * Throws on anything else.
+ */
+export function setRoundingMode(mode) {
+  roundingMode = parseRoundingMode(mode);
+}
+
+export function getRoundingMode() {
+  return roundingMode;
+}
+
+/**
+ * Run `fn` with this currency and rounding mode, then restore the previous
+ * ones — for a server handling requests side by side (api/). The settings are
+ * module state, so `fn` must be synchronous: no other request's code runs
+ * until it returns.
+ *
+ * @param {{ currency: string, rounding: string }} settings
+ * @param {function} fn
+ * @returns {*} fn's result
+ */
+export function withMoneySettings({ currency, rounding }, fn) {
+  const previous = { currency: getCurrency(), rounding: roundingMode };
+  setCurrency(currency);
+  roundingMode = parseRoundingMode(rounding);
+  try {
+    return fn();
+  } finally {
+    setCurrency(previous.currency);
+    roundingMode = previous.rounding;
+  }
+}
+
+/**
+ * Rounding mode from a setting or request field; blank means half-up.
+ */
+export function parseRoundingMode(mode) {
+  if (mode == null || mode === "") return ROUNDING.HALF_UP;
+  const key = String(mode).trim().toLowerCase().replace(/[\s_]+/g, "-");
+  if (key === "half-up") return ROUNDING.HALF_UP;
+  if (key === "half-even" || key === "bankers" || key === "banker's" || key === "banker") return ROUNDING.HALF_EVEN;
+  throw new Error(`Unknown rounding mode "${mode}". Use half-up or half-even (banker's).`);
+}
+
+/**
+ * Override the number of minor-unit decimals for a currency.
+ */
+export function setCurrencyDecimals(code, decimals) {
+  CURRENCY_DECIMALS[String(code).toUpperCase()] = decimals;
+}
+
+/**
+ * Minor-unit decimals for a currency (default: the active display currency).
+ */
+export function currencyDecimals(code) {
+  const key = String(code || getCurrency()).toUpperCase();
+  return CURRENCY_DECIMALS[key] ?? DEFAULT_DECIMALS;
+}
+
+// ── Rounding ──
+
+/**
+ * Round a value to `decimals` places. Returns null for non-numeric input.
+ */
+export function roundTo(value, decimals, mode = roundingMode) {
+  const d = toDecimal(value);
+  if (!d) return null;
+  return fromScaled(rescale(d, decimals, mode), decimals);
+}
+
+/**
+ * Round a money amount to the currency's minor units.
+ */
+export function roundMoney(value, currency) {
+  return roundTo(value, currencyDecimals(currency));
+}
+
+/**
+ * Round a unit price to PRICE_DECIMALS.
+ */
+export function roundPrice(value) {
+  return roundTo(value, PRICE_DECIMALS);
+}
+
+// ── Arithmetic ──
+
+/**
+ * a × b, exact, rounded once to `decimals`.
+ */
+export function multiply(a, b, decimals, mode = roundingMode) {
+  const x = toDecimal(a);
+  const y = toDecimal(b);
+  if (!x || !y) return null;
+  return fromScaled(rescale({ int: x.int * y.int, scale: x.scale + y.scale }, decimals, mode), decimals);
+}
+
+/**
+ * pct % of a (a × pct / 100), exact, rounded once to `decimals`.
+ */
+export function percentOf(a, pct, decimals, mode = roundingMode) {
+  const x = toDecimal(a);
+  const y = toDecimal(pct);
+  if (!x || !y) return null;
+  return fromScaled(rescale({ int: x.int * y.int, scale: x.scale + y.scale + 2 }, decimals, mode), decimals);
+}
+
+/**
+ * a − b, exact, rounded to `decimals`.
+ */
+export function subtract(a, b, decimals, mode = roundingMode) {
+  const x = toDecimal(a);
+  const y = toDecimal(b);
+  if (!x || !y) return null;
+  const scale = Math.max(x.scale, y.scale);
+  const int = align(x, scale) - align(y, scale);
+  return fromScaled(rescale({ int, scale }, decimals, mode), decimals);
+}
+
+/**
+ * a ÷ b, rounded once to `decimals`. Null for non-numeric input or b = 0.
+ */
+export function divide(a, b, decimals, mode = roundingMode) {
+  const x = toDecimal(a);
+  const y = toDecimal(b);
+  if (!x || !y || y.int === 0n) return null;
+
+  // Scale so the integer quotient keeps one digit beyond `decimals`, then round it
+  const shift = decimals + 1 + y.scale - x.scale;
+  const num = shift >= 0 ? x.int * 10n ** BigInt(shift) : x.int;
+  const den = shift >= 0 ? y.int : y.int * 10n ** BigInt(-shift);
+  let quotient = num / den;
+  let scale = decimals + 1;
+  // Any remainder becomes a trailing sticky digit, so 0.125000…1 isn't read as a tie
+  if (num % den !== 0n) {
+    quotient = quotient * 10n + (num < 0n !== den < 0n ? -1n : 1n);
+    scale++;
+  }
+  return fromScaled(rescale({ int: quotient, scale }, decimals, mode), decimals);
+}
+
+/**
+ * Line amount: unit price × quantity in the currency's minor units.
+ */
+export function lineAmount(price, qty, currency) {
+  return multiply(price, qty, currencyDecimals(currency));
+}
+
+/**
+ * Difference between two unit prices, to PRICE_DECIMALS.
+ */
+export function priceDiff(a, b) {
+  return subtract(a, b, PRICE_DECIMALS);
+}
+
+/**
+ * True when two unit prices are equal to PRICE_DECIMALS (false if either is missing).
+ */
+export function samePrice(a, b) {
+  return priceDiff(a, b) === 0;
+}
+
+/**
+ * Sum of money amounts in minor units — no float drift however many lines.
+ * Nulls are skipped.
+ */
+export function sumMoney(amounts, currency) {
+  const decimals = currencyDecimals(currency);
+  let total = 0n;
+  for (const a of amounts) {
+    const d = toDecimal(a);
+    if (d) total += rescale(d, decimals, roundingMode);
+  }
+  return fromScaled(total, decimals);
+}
+
+/**
+ * Integer minor units of an amount (£12.34 → 1234).
+ */
+export function toMinor(value, currency) {
+  const d = toDecimal(value);
+  return d ? Number(rescale(d, currencyDecimals(currency), roundingMode)) : null;
+}
+
+/**
+ * Amount from integer minor units (1234 → 12.34).
+ */
+export function fromMinor(minor, currency) {
+  return minor == null ? null : fromScaled(BigInt(Math.round(minor)), currencyDecimals(currency));
+}
+
+// ── Helpers ──
+
+/**
+ * Read a number (or numeric string) as the decimal it prints as:
+ * { int, scale } with value = int × 10^-scale. Null if not numeric.
+ */
+function toDecimal(value) {
+  if (value == null || value === "") return null;
+  if (typeof value === "number" && !isFinite(value)) return null;
+
+  // String(n) is the shortest decimal that round-trips, e.g. 1.005 → "1.005"
+  const m = String(value).trim().match(/^([+-])?(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i);
+  if (!m || (!m[2] && !m[3])) return null;
+
+  const fraction = m[3] || "";
+  let int = BigInt((m[2] || "0") + fraction);
+  let scale = fraction.length - (m[4] ? parseInt(m[4], 10) : 0);
+  if (scale < 0) {
+    int *= 10n ** BigInt(-scale);
+    scale = 0;
+  }
+  return { int: m[1] === "-" ? -int : int, scale };
+}
+
+function align(d, scale) {
+  return d.int * 10n ** BigInt(scale - d.scale);
+}
+
+/**
+ * Scaled integer at `decimals` places, rounding the dropped digits.
+ */
+function rescale(d, decimals, mode) {
+  if (d.scale <= decimals) return align(d, decimals);
+
+  const divisor = 10n ** BigInt(d.scale - decimals);
+  let quotient = d.int / divisor; // truncates toward zero
+  const remainder = d.int % divisor;
+  const twice = (remainder < 0n ? -remainder : remainder) * 2n;
+  const away = twice > divisor || (twice === divisor && (mode === ROUNDING.HALF_UP || quotient % 2n !== 0n));
+  if (away) quotient += d.int < 0n ? -1n : 1n;
+  return quotient;
+}
+
+function fromScaled(int, decimals) {
+  // Integer ÷ power of ten is correctly rounded, giving the same float as the literal
+  const value = Number(int) / 10 ** decimals;
+  return value === 0 ? 0 : value; // no -0
+}
@@ -10,7 +10,9 @@
  *   info     → informational only
  */
 
-import { parseNumber } from "../utils/format";
+import { parseNumber } from "../utils/format.js";
+import { lineAmount, subtract, currencyDecimals } from "../utils/money.js";
+import { checkDocumentTotals } from "../reconcile/totals.js";
 
 // ── Rule: No data ──
 
@@ -134,8 +136,8 @@ function checkLineTotals(rows) {
   const results = [];
   for (const row of rows) {
     if (row.lineTotal > 0 && row.price > 0 && row.qty > 0) {
-      const expected = Math.round(row.price * row.qty * 100) / 100;
-      const diff = Math.abs(row.lineTotal - expected);
+      const expected = lineAmount(row.price, row.qty);
+      const diff = Math.abs(subtract(row.lineTotal, expected, currencyDecimals()));
       if (diff > 0.02) {
         results.push({
           severity: "warning",
@@ -189,9 +191,32 @@ function checkSkuFormat(rows) {
   return [];
 }
 
+// ── Rule: PO totals ──
+
+// Lines, charges and tax against the subtotal / total the PO itself states —
+// a shortfall or surplus here means lines were lost or added in capture
+function checkPoTotals(rows, documentTotals) {
+  const check = checkDocumentTotals(rows, documentTotals);
+  if (check.status === "Not stated") return [];
+  if (check.status === "OK") {
+    return [{ severity: "info", rule: "po-totals", message: check.message }];
+  }
+
+  return check.checks.filter((c) => !c.ok).map((c) => ({
+    severity: "warning",
+    rule: c.check === "lineCount" ? "po-line-count" : "po-total-mismatch",
+    field: c.check === "lineCount" ? "Lines" : "Total",
+    message: c.message,
+  }));
+}
+
 // ── Main validator ──
 
-export function validate(stagingRows) {
+/**
+ * @param {object[]} stagingRows
+ * @param {object|null} [documentTotals] - the PO's stated totals (metadata.documentTotals)
+ */
+export function validate(stagingRows, documentTotals = null) {
   const all = [
     ...checkNoData(stagingRows),
     ...checkDuplicateSkus(stagingRows),
@@ -200,6 +225,7 @@ export function validate(stagingRows) {
     ...checkPriceRange(stagingRows),
     ...checkQuantityOutliers(stagingRows),
     ...checkLineTotals(stagingRows),
+    ...checkPoTotals(stagingRows, documentTotals),
     ...checkMissingNames(stagingRows),
     ...checkSkuFormat(stagingRows),
   ];
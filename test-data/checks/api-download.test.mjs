@@ -0,0 +1,114 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { fixture, postReconcileJson } from "./helpers.mjs";
+
+// The handler's downloads go to this stand-in for fetch(); `requested` records every URL
+const realFetch = globalThis.fetch;
+let requested = [];
+
+function serve(responder) {
+  requested = [];
+  globalThis.fetch = async (url, init) => {
+    requested.push(url);
+    assert.equal(init.redirect, "manual");
+    assert.ok(init.signal instanceof AbortSignal, "every download has a timeout");
+    return responder(url, init);
+  };
+}
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+const PO_URL = "https://contoso.sharepoint.com/sites/sales/PO-2026-041.csv";
+const PRICES_URL = "https://contoso-my.sharepoint.com/personal/prices.csv";
+
+async function fileResponse(path) {
+  return new Response(await fixture(path).arrayBuffer(), { status: 200 });
+}
+
+test("downloads SharePoint files, following redirects within SharePoint", async () => {
+  serve((url) => {
+    if (url === PO_URL) return new Response(null, { status: 302, headers: { location: "/download.aspx?id=1" } });
+    if (url.endsWith("download.aspx?id=1")) return fileResponse("pos/Acme Corp PO-2026-041.csv");
+    return fileResponse("pricelists/Acme Corp Price List.csv");
+  });
+  const { status, body } = await postReconcileJson({ poFileUrl: PO_URL, pricelistFileUrl: PRICES_URL });
+  assert.equal(status, 200, body.error);
+  assert.equal(body.poRef, "PO-2026-041");
+  assert.deepEqual(requested, [PO_URL, "https://contoso.sharepoint.com/download.aspx?id=1", PRICES_URL]);
+});
+
+test("refuses URLs outside SharePoint, OneDrive and Graph without fetching them", async () => {
+  serve(() => assert.fail("nothing should be fetched"));
+  for (const url of [
+    "http://169.254.169.254/latest/meta-data/",
+    "http://contoso.sharepoint.com/PO.csv",
+    "https://sharepoint.com.attacker.example/PO.csv",
+    "https://localhost/PO.csv",
+    "https://contoso.sharepoint.com:8443/PO.csv",
+    "not a url",
+  ]) {
+    const { status, body } = await postReconcileJson({ poFileUrl: url, pricelistFileUrl: PRICES_URL });
+    assert.equal(status, 400, url);
+    assert.match(body.error, /poFileUrl must be an https SharePoint or OneDrive download URL/);
+  }
+});
+
+test("refuses a redirect that leaves the allowed hosts", async () => {
+  serve(() => new Response(null, { status: 307, headers: { location: "http://10.0.0.5/admin" } }));
+  const { status } = await postReconcileJson({ poFileUrl: PO_URL, pricelistFileUrl: PRICES_URL });
+  assert.equal(status, 400);
+  assert.deepEqual(requested, [PO_URL]);
+});
+
+test("stops at a redirect loop", async () => {
+  serve((url) => new Response(null, { status: 302, headers: { location: url } }));
+  const { status, body } = await postReconcileJson({ poFileUrl: PO_URL, pricelistFileUrl: PRICES_URL });
+  assert.equal(status, 502);
+  assert.match(body.error, /too many redirects/);
+});
+
+test("rejects a file over 10 MB by its Content-Length before reading it", async () => {
+  let pulled = 0;
+  serve(() => new Response(new ReadableStream({
+    pull(controller) {
+      pulled++;
+      controller.enqueue(new Uint8Array(1024));
+    },
+  }), { status: 200, headers: { "content-length": String(50 * 1024 * 1024) } }));
+  const { status } = await postReconcileJson({ poFileUrl: PO_URL, pricelistFileUrl: PRICES_URL });
+  assert.equal(status, 413);
+  assert.ok(pulled <= 1, `read ${pulled} chunks`);
+});
+
+test("stops reading a body with no Content-Length once it passes 10 MB", async () => {
+  let sent = 0;
+  const chunk = new Uint8Array(1024 * 1024);
+  serve(() => new Response(new ReadableStream({
+    pull(controller) {
+      sent += chunk.length;
+      controller.enqueue(chunk);
+    },
+  }), { status: 200 }));
+  const { status } = await postReconcileJson({ poFileUrl: PO_URL, pricelistFileUrl: PRICES_URL });
+  assert.equal(status, 413);
+  assert.ok(sent <= 12 * 1024 * 1024, `read ${sent} bytes`);
+});
+
+test("reports a download that times out", async () => {
+  serve(() => Promise.reject(new DOMException("The operation was aborted due to timeout", "TimeoutError")));
+  const { status, body } = await postReconcileJson({ poFileUrl: PO_URL, pricelistFileUrl: PRICES_URL });
+  assert.equal(status, 504);
+  assert.match(body.error, /Timed out downloading poFileUrl/);
+});
+
+test("falls back to the URL's file name when Content-Disposition is malformed", async () => {
+  serve(async (url) => {
+    const response = await fileResponse(url === PO_URL ? "pos/Acme Corp PO-2026-041.csv" : "pricelists/Acme Corp Price List.csv");
+    return new Response(response.body, { status: 200, headers: { "content-disposition": "attachment; filename*=UTF-8''PO%E0%A4%A.csv" } });
+  });
+  const { status, body } = await postReconcileJson({ poFileUrl: PO_URL, pricelistFileUrl: PRICES_URL });
+  assert.equal(status, 200, body.error);
+  assert.equal(body.poFilename, "PO-2026-041.csv");
+});
@@ -0,0 +1,91 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import { promisify } from "node:util";
+import { fileURLToPath } from "node:url";
+import { postReconcile, postReconcileForm } from "./helpers.mjs";
+import { getCurrency } from "../../src/utils/format.js";
+import { getRoundingMode } from "../../src/utils/money.js";
+
+const ACME = {
+  poFile: "pos/Acme Corp PO-2026-041.csv",
+  pricelistFile: "pricelists/Acme Corp Price List.csv",
+};
+
+test("reconciles an uploaded PO against a price list", async () => {
+  const { status, body } = await postReconcile(ACME);
+  assert.equal(status, 200, body.error);
+  assert.equal(body.poRef, "PO-2026-041");
+  const { matches, tolerances, exceptions } = body.summary;
+  assert.equal(matches + tolerances + exceptions, 5);
+  assert.equal(body.poTotals.status, "OK");
+  assert.ok(["ACCEPT", "REVIEW", "ESCALATE"].includes(body.recommendation));
+});
+
+test("keeps each request's currency and rounding when requests overlap", async () => {
+  const [eur, usd] = await Promise.all([
+    postReconcile(ACME, { currency: "EUR", rounding: "half-even" }),
+    postReconcile(ACME, { currency: "USD" }),
+  ]);
+  assert.equal(eur.body.currency, "EUR");
+  assert.equal(eur.body.rounding, "half-even");
+  assert.equal(usd.body.currency, "USD");
+  assert.equal(usd.body.rounding, "half-up");
+  // ...and leaves the module defaults as they were
+  assert.equal(getCurrency(), "GBP");
+  assert.equal(getRoundingMode(), "half-up");
+});
+
+test("rejects a malformed parameter with 400", async () => {
+  const { status, body } = await postReconcile(ACME, { rounding: "sideways" });
+  assert.equal(status, 400);
+  assert.match(body.error, /rounding mode/);
+});
+
+test("reads a PDF PO on the server", async () => {
+  const { status, body } = await postReconcile({
+    poFile: "tesco-po-2025-0247.pdf",
+    pricelistFile: "erp-price-list-2025-02.csv",
+  });
+  assert.equal(status, 200, body.error);
+  assert.equal(body.poRef, "PO-2025-0247");
+  assert.equal(body.customer, "Tesco Stores Ltd");
+  const { matches, tolerances, exceptions, suggested } = body.summary;
+  assert.equal(matches + tolerances + exceptions + suggested, 14);
+});
+
+test("loads in plain Node with require(), as the deployed function does", async () => {
+  // A child process with no loader hooks: the handler and every src/ import must resolve on their own
+  const script = `
+    const handler = require(${JSON.stringify(fileURLToPath(new URL("../../api/reconcile.js", import.meta.url)))});
+    const { readFileSync } = require("node:fs");
+    const form = new FormData();
+    form.append("poFile", new File([readFileSync(process.argv[1])], "PO.csv"));
+    form.append("pricelistFile", new File([readFileSync(process.argv[2])], "prices.csv"));
+    const request = new Request("http://localhost/api/reconcile", { method: "POST", body: form });
+    request.arrayBuffer().then((body) => handler({
+      method: "POST",
+      headers: { "content-type": request.headers.get("content-type") },
+      query: {},
+      async *[Symbol.asyncIterator]() { yield Buffer.from(body); },
+    }, {
+      status(code) { this.code = code; return this; },
+      json(value) { console.log(JSON.stringify({ status: this.code, poRef: value.poRef, error: value.error })); return this; },
+      setHeader() {},
+    }));
+  `;
+  const testData = (path) => fileURLToPath(new URL(`../${path}`, import.meta.url));
+  const { stdout } = await promisify(execFile)(process.execPath, [
+    "-e", script, testData(ACME.poFile), testData(ACME.pricelistFile),
+  ]);
+  assert.deepEqual(JSON.parse(stdout.trim().split("\n").pop()), { status: 200, poRef: "PO-2026-041" });
+});
+
+test("limits each uploaded file to 10 MB", async () => {
+  const form = new FormData();
+  form.append("poFile", new File([new Uint8Array(10 * 1024 * 1024 + 1)], "PO.csv"));
+  form.append("pricelistFile", new File(["SKU,Unit Price\n1001,5.50\n"], "prices.csv"));
+  const { status, body } = await postReconcileForm(form);
+  assert.equal(status, 413);
+  assert.equal(body.error, "poFile is too large. Maximum 10 MB per file.");
+});
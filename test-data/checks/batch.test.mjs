@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fixture } from "./helpers.mjs";
+import { parseFile } from "../../src/reconcile/parser.js";
+import { detectColumns } from "../../src/reconcile/detector.js";
+import { reconcile } from "../../src/reconcile/reconcile.js";
+import { batchRefs, matchSheetPattern, summarizeBatch } from "../../src/reconcile/batch.js";
+
+// Three POs against the Acme list, the same PO twice (CSV and EDI), and a goods
+// received note with no prices, which fails as the taskpane would
+const FILES = [
+  "pos/Acme Corp PO-2026-041.csv",
+  "pos/Acme Corp PO-2026-041.edi",
+  "pos/TechSolutions Ltd PO-2026-017.csv",
+  "threeway/Northwind GRN-5521.csv",
+];
+
+async function reconcileBatch(paths) {
+  const erpData = await parseFile(fixture("pricelists/Acme Corp Price List.csv"));
+  const erpColumns = detectColumns(erpData.headers);
+  const refs = batchRefs(paths.map((p) => p.split("/").pop()));
+
+  const entries = [];
+  for (const [i, path] of paths.entries()) {
+    try {
+      const poData = await parseFile(fixture(path));
+      const poColumns = detectColumns(poData.headers);
+      if (!poColumns.sku || !poColumns.price) throw new Error("Could not detect SKU and Price columns.");
+      entries.push({ poRef: refs[i], results: reconcile({ poData, poColumns, erpData, erpColumns }) });
+    } catch (err) {
+      entries.push({ poRef: refs[i], error: err.message });
+    }
+  }
+  return summarizeBatch(entries);
+}
+
+test("refs drop the extension and stay unique when file names repeat", () => {
+  assert.deepEqual(batchRefs(FILES.map((p) => p.split("/").pop())), [
+    "Acme Corp PO-2026-041",
+    "Acme Corp PO-2026 #2",
+    "TechSolutions Ltd PO-2026-017",
+    "Northwind GRN-5521",
+  ]);
+});
+
+test("sheet patterns take globs and comma-separated lists", () => {
+  const matches = matchSheetPattern("PO*, Order-??");
+  assert.deepEqual(
+    ["PO-2026-041", "po 17", "Order-12", "Order-123", "Summary"].filter(matches),
+    ["PO-2026-041", "po 17", "Order-12"],
+  );
+  assert.throws(() => matchSheetPattern(" , "), /Sheet pattern is empty/);
+});
+
+test("a batch rolls up one row per PO, and a PO that fails does not stop the rest", async () => {
+  const { rows, totals } = await reconcileBatch(FILES);
+
+  assert.deepEqual(rows.map((r) => [r.poRef, r.status, r.recommendation]), [
+    ["Acme Corp PO-2026-041", "Reconciled", "ACCEPT"],
+    ["Acme Corp PO-2026 #2", "Reconciled", "ACCEPT"],
+    ["TechSolutions Ltd PO-2026-017", "Reconciled", "ESCALATE"],
+    ["Northwind GRN-5521", "Failed", null],
+  ]);
+  assert.equal(rows[3].error, "Could not detect SKU and Price columns.");
+  assert.deepEqual(
+    { exposure: rows[2].exposure, overcharge: rows[2].overcharge, undercharge: rows[2].undercharge },
+    { exposure: 53.5, overcharge: 7.5, undercharge: 46 },
+  );
+
+  assert.deepEqual(totals, {
+    pos: 4, reconciled: 3, failed: 1,
+    lines: 39, matches: 6, tolerances: 3, exceptions: 6, warnings: 3,
+    poTotal: 1788.5, exposure: 63.5, overcharge: 7.5, undercharge: 56,
+    accept: 2, review: 0, escalate: 1,
+  });
+});
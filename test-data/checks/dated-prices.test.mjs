@@ -0,0 +1,29 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { postReconcile } from "./helpers.mjs";
+
+// The dated Acme list has 2025 and 2026 prices for Widget A and Part D; PO-2026-041
+// (26/02/2026) still buys Part D at its 2025 price of 0.85
+const DATED = {
+  poFile: "pos/Acme Corp PO-2026-041.csv",
+  pricelistFile: "pricelists/Acme Corp Dated Prices.csv",
+};
+
+const line = (body, sku) => body.exceptionDetails.find((r) => r.sku === sku);
+
+test("lines are priced from the record valid on the PO date, and a superseded price is named", async () => {
+  const { status, body } = await postReconcile(DATED);
+  assert.equal(status, 200, body.error);
+  assert.equal(body.priceDate, "2026-02-26");
+  assert.equal(body.expiredPrices, 1);
+  assert.equal(line(body, "1004").reason, "Expired price");
+  assert.equal(line(body, "1004").priceSource, "valid 2026-01-01 – 2026-12-31");
+});
+
+test("an earlier price date picks the earlier records", async () => {
+  const { body } = await postReconcile(DATED, { priceDate: "2025-06-01" });
+  assert.equal(body.expiredPrices, 0);
+  assert.equal(line(body, "1004"), undefined);
+  assert.equal(line(body, "1001").erpPrice, 5.25);
+  assert.equal(line(body, "1001").reason, "Price mismatch");
+});
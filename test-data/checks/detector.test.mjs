@@ -0,0 +1,24 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fixture, postReconcile } from "./helpers.mjs";
+import { parseFile } from "../../src/reconcile/parser.js";
+import { detectColumns } from "../../src/reconcile/detector.js";
+
+// The same Acme list with a Pack Size (units per case) and an MOQ column
+const WITH_MOQ = "pricelists/Acme Corp Price List with MOQ.csv";
+
+test("MOQ is not a volume break and Pack Size is not a unit of measure", async () => {
+  const data = await parseFile(fixture(WITH_MOQ));
+  const columns = detectColumns(data.headers);
+  assert.equal(columns.price, "Unit Price");
+  assert.equal(columns.minQty, null);
+  assert.equal(columns.uom, null);
+});
+
+test("Part D reconciles in eaches, not in packs of 10", async () => {
+  const { status, body } = await postReconcile({ poFile: "pos/Acme Corp PO-2026-041.csv", pricelistFile: WITH_MOQ });
+  assert.equal(status, 200, body.error);
+  const partD = body.exceptionDetails.find((r) => r.sku === "1004");
+  assert.equal(partD.uom, "EA");
+  assert.equal(partD.reason, "Price mismatch");
+});
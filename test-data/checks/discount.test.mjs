@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { postReconcile } from "./helpers.mjs";
+import { parsePercent } from "../../src/utils/format.js";
+import { attributePriceDiff, explainPriceDiff } from "../../src/reconcile/discount.js";
+
+// The price list gives discounts as fractions (0.1, 0.005, 0.125), as Excel
+// returns %-formatted cells; the PO types them as 10, 0.5 and 12.5%
+const HARBOUR = {
+  poFile: "pos/Harbour Marine PO-2026-077.csv",
+  pricelistFile: "pricelists/Harbour Marine Trade Prices.csv",
+};
+
+test("a 0.5% discount typed as 0.5 next to whole percentages is not 50%", async () => {
+  const { status, body } = await postReconcile(HARBOUR);
+  assert.equal(status, 200, body.error);
+  assert.deepEqual(body.exceptionDetails, []);
+  assert.equal(body.summary.matches, 3);
+});
+
+test("a bare number is a percentage unless its column holds fractions", () => {
+  assert.equal(parsePercent("0.5"), 0.5);
+  assert.equal(parsePercent(0.125, true), 12.5);
+  assert.equal(parsePercent("12.5%", true), 12.5);
+});
+
+test("a list price differing below a penny is shown to PRICE_DECIMALS", () => {
+  const po = { price: 9, listPrice: 10, discount: 10 };
+  const erp = { price: 9.0113, listPrice: 10.0125, discount: 10 };
+  const reason = attributePriceDiff(po, erp);
+  assert.equal(reason, "Wrong list price");
+  assert.equal(explainPriceDiff(reason, po, erp), "Review list price — PO 10.00 vs ERP 10.0125");
+  assert.equal(explainPriceDiff(reason, po, { ...erp, listPrice: 10.5 }), "Review list price — PO 10.00 vs ERP 10.50");
+});
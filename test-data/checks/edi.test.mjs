@@ -0,0 +1,30 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { postReconcile } from "./helpers.mjs";
+import { isEdi, parseEdi } from "../../src/reconcile/edi.js";
+
+// PO-2026-041 as an EDIFACT ORDERS message and as an X12 850; both should
+// reconcile as the CSV does, without its letterhead and total rows
+const ACME_LIST = "pricelists/Acme Corp Price List.csv";
+
+for (const [format, poFile] of [["EDIFACT", "pos/Acme Corp PO-2026-041.edi"], ["X12", "pos/Acme Corp PO-2026-041.x12"]]) {
+  test(`an ${format} order reconciles with its header read from the envelope`, async () => {
+    const { status, body } = await postReconcile({ poFile, pricelistFile: ACME_LIST });
+    assert.equal(status, 200, body.error);
+    assert.equal(body.lineCount, 5);
+    assert.deepEqual(
+      { matches: body.summary.matches, tolerances: body.summary.tolerances, exceptions: body.summary.exceptions, warnings: body.summary.warnings },
+      { matches: 3, tolerances: 1, exceptions: 1, warnings: 0 },
+    );
+    assert.deepEqual(
+      { poRef: body.poRef, poDate: body.poDate, customer: body.customer, shipTo: body.shipTo },
+      { poRef: "PO-2026-041", poDate: "2026-02-26", customer: "Acme Corp", shipTo: "Acme Corp London DC" },
+    );
+  });
+}
+
+test("other EDI messages are refused by name", () => {
+  assert.equal(isEdi("SKU,Qty,Unit Price\n1001,10,5.50"), false);
+  assert.throws(() => parseEdi("ST*810*0001~BIG*20260226*INV-1~SE*3*0001~"), /X12 810, not an 850/);
+  assert.throws(() => parseEdi("UNH+1+INVOIC:D:96A:UN'BGM+380+INV-1+9'UNT+3+1'"), /EDIFACT INVOIC message, not ORDERS/);
+});
@@ -0,0 +1,48 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fixture, postReconcile } from "./helpers.mjs";
+import { parseFile } from "../../src/reconcile/parser.js";
+import { detectColumns } from "../../src/reconcile/detector.js";
+import { reconcile } from "../../src/reconcile/reconcile.js";
+
+// TechSolutions' PO priced against the Acme list: Gadget C is 0.75 over on 10,
+// Widget A, Part D and Assembly E are under on 20, 200 and 15
+const TECHSOLUTIONS_ON_ACME = {
+  poFile: "pos/TechSolutions Ltd PO-2026-017.csv",
+  pricelistFile: "pricelists/Acme Corp Price List.csv",
+};
+
+test("exposure is each exception's difference times its quantity, split by direction", async () => {
+  const { status, body } = await postReconcile(TECHSOLUTIONS_ON_ACME);
+  assert.equal(status, 200, body.error);
+  assert.equal(body.overcharge, 7.5);
+  assert.equal(body.undercharge, 46); // 0.30 × 20 + 0.05 × 200 + 2.00 × 15
+  assert.equal(body.exposure, 53.5);
+
+  const exposures = Object.fromEntries(body.exceptionDetails
+    .filter((r) => r.status === "Exception")
+    .map((r) => [r.sku, r.lineExposure]));
+  assert.deepEqual(exposures, { 1001: -6, 1003: 7.5, 1004: -10, 1005: -30 });
+});
+
+test("a difference within tolerance adds nothing to exposure", async () => {
+  // Widget B is 0.01 under on 50 — within the default £0.02
+  const { body } = await postReconcile(TECHSOLUTIONS_ON_ACME);
+  assert.equal(body.summary.tolerances, 1);
+  assert.equal(body.exceptionDetails.some((r) => r.sku === "1002"), false);
+});
+
+test("quantities written with their unit are weighted in full; one that can't be read is a warning", async () => {
+  // PO-2026-019 is PO-2026-017 with "20 EA", "50pcs", "1,200 units"… and Bracket F at "a few"
+  const [poData, erpData] = await Promise.all([
+    parseFile(fixture("pos/TechSolutions Ltd PO-2026-019 Units.csv")),
+    parseFile(fixture("pricelists/Acme Corp Price List.csv")),
+  ]);
+  const results = reconcile({ poData, poColumns: detectColumns(poData.headers), erpData, erpColumns: detectColumns(erpData.headers) });
+
+  assert.equal(results.summary.exposure, 103.5); // 0.30 × 20 + 0.75 × 10 + 0.05 × 1200 + 2.00 × 15
+  const bracket = results.rows.find((r) => r.sku === "1006" && r.status !== "Not in PO");
+  assert.equal(bracket.status, "Warning");
+  assert.equal(bracket.action, "Non-numeric quantity \"a few\" — skipped");
+  assert.equal(results.summary.poTotals.status, "OK");
+});
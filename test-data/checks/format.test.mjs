@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { postReconcile } from "./helpers.mjs";
+import { parseNumber, parseQuantity } from "../../src/utils/format.js";
+
+// PO-2026-058 writes its prices with currency codes and symbols, except Part D
+// ("EA 0.90") and Assembly E ("22.00 BOX"), which carry a unit instead
+const ACME = {
+  poFile: "pos/Acme Corp PO-2026-058.csv",
+  pricelistFile: "pricelists/Acme Corp Price List.csv",
+};
+
+test("prices with a currency code or symbol match; a unit in the price is a warning", async () => {
+  const { status, body } = await postReconcile(ACME);
+  assert.equal(status, 200, body.error);
+  assert.equal(body.summary.matches, 3);
+  assert.equal(body.summary.exceptions, 0);
+  assert.equal(body.summary.warnings, 2);
+});
+
+test("only recognised currency codes and symbols are stripped", () => {
+  assert.equal(parseNumber("GBP 12"), 12);
+  assert.equal(parseNumber("12 EUR"), 12);
+  assert.equal(parseNumber("US$12.50"), 12.5);
+  assert.equal(parseNumber("(£1,234.50)"), -1234.5);
+  assert.equal(parseNumber("EA 12"), null);
+  assert.equal(parseNumber("12 BOX"), null);
+  assert.equal(parseNumber("12kg"), null);
+});
+
+test("a quantity is read with its unit after it", () => {
+  assert.equal(parseQuantity("12 EA"), 12);
+  assert.equal(parseQuantity("12pcs"), 12);
+  assert.equal(parseQuantity("5 cases"), 5);
+  assert.equal(parseQuantity("1,200 units"), 1200);
+  assert.equal(parseQuantity(8), 8);
+  assert.equal(parseQuantity("EA 12"), null);
+  assert.equal(parseQuantity("a few"), null);
+});
@@ -0,0 +1,27 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { postReconcile } from "./helpers.mjs";
+
+// PO-2025-0311 keys four of its five item numbers slightly wrong: a stray
+// dash, two digits swapped, a letter O for a zero, and the buyer's own code
+const MISKEYED = {
+  poFile: "pos/Tesco PO-2025-0311 Miskeyed Codes.csv",
+  pricelistFile: "erp-price-list-2025-02.csv",
+};
+
+test("near-miss SKUs are suggested with a confidence by tier, never matched", async () => {
+  const { status, body } = await postReconcile(MISKEYED);
+  assert.equal(status, 200, body.error);
+  assert.equal(body.summary.matches, 1);
+  assert.equal(body.summary.suggested, 4);
+
+  const suggestions = Object.fromEntries(body.exceptionDetails
+    .filter((r) => r.status === "Suggested match")
+    .map((r) => [r.sku, [r.erpSku, r.confidence]]));
+  assert.deepEqual(suggestions, {
+    "1006-V001": ["1006V001", 95],
+    "1007V020": ["1007V002", 85],
+    "1008V0O3": ["1008V003", 80],
+    "TR-88812": ["1010V012", 70], // by product name
+  });
+});
@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { postReconcile } from "./helpers.mjs";
+
+const ACME = {
+  poFile: "pos/Acme Corp PO-2026-041.csv",
+  pricelistFile: "pricelists/Acme Corp Price List.csv",
+};
+
+test("converts a foreign-currency PO at the rate on its order date, though the price list is undated", async () => {
+  const { status, body } = await postReconcile(ACME, {
+    poCurrency: "EUR",
+    fxRates: "EUR/GBP = 0.80 @ 2026-02-01; EUR/GBP = 0.90 @ 2026-03-01",
+  });
+  assert.equal(status, 200, body.error);
+  assert.equal(body.fxDate, "2026-02-26"); // PO Date on the PO, not today
+  assert.equal(body.poCurrency, "EUR");
+  assert.equal(body.erpCurrency, "GBP");
+  assert.ok(body.fxConverted > 0);
+  for (const line of body.exceptionDetails.filter((l) => l.fxRate != null)) {
+    assert.equal(line.fxRate, 0.8, line.sku);
+  }
+});
+
+test("differences on converted lines are price errors unless an FX band is asked for", async () => {
+  // At 1.002 every converted price lands within 0.2% of the list, except Part D's 5% undercharge
+  const fields = { poCurrency: "EUR", fxRates: "EUR/GBP = 1.002", tolerance: "0" };
+
+  const strict = (await postReconcile(ACME, fields)).body;
+  assert.equal(strict.fxDifferences, 0);
+  assert.equal(strict.summary.exceptions, 5);
+
+  const banded = (await postReconcile(ACME, { ...fields, fxTolerance: "1" })).body;
+  assert.equal(banded.fxDifferences, 4);
+  assert.deepEqual(banded.exceptionDetails.filter((r) => r.status === "Exception").map((r) => [r.sku, r.reason]), [["1004", "Price mismatch"]]);
+});
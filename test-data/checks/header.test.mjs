@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fixture, postReconcile } from "./helpers.mjs";
+import { parseFile } from "../../src/reconcile/parser.js";
+import { readDocumentHeader, parseHeaderPatterns } from "../../src/capture/header.js";
+
+const titleBlock = async (path, patterns) => {
+  const { labels, ...header } = readDocumentHeader((await parseFile(fixture(path))).titleBlock, patterns);
+  return header;
+};
+
+test("labels beside their values are read from a CSV title block", async () => {
+  assert.deepEqual(await titleBlock("tesco-po-2025-0247.csv"), {
+    poRef: "PO-2025-0247", poDate: null, deliveryDate: "2025-02-28", customer: "Tesco Stores Ltd", shipTo: "Tesco DC Didcot",
+  });
+});
+
+test("the buyer is the Bill To party, not the supplier above it", async () => {
+  assert.deepEqual(await titleBlock("pos/Acme Corp PO-2026-041.csv"), {
+    poRef: "PO-2026-041", poDate: "2026-02-26", deliveryDate: "2026-03-15", customer: "Acme Corp", shipTo: null,
+  });
+});
+
+test("labels and values in one PDF text run are split", async () => {
+  assert.deepEqual(await titleBlock("acme-po-2026-200-multipage.pdf"), {
+    poRef: "PO-2026-200", poDate: "2026-03-02", deliveryDate: null, customer: "Acme Corp", shipTo: null,
+  });
+});
+
+test("the API returns the title block, and a customer's pattern fills what the labels miss", async () => {
+  const ACME = { poFile: "pos/Acme Corp PO-2026-041.csv", pricelistFile: "pricelists/Acme Corp Price List.csv" };
+
+  const { status, body } = await postReconcile(ACME, { headerPatterns: "ship to for Acme Corp: Bill To:.*\\n\\s*Address:\\s*(.+)" });
+  assert.equal(status, 200, body.error);
+  assert.deepEqual(
+    { poRef: body.poRef, poDate: body.poDate, customer: body.customer, shipTo: body.shipTo },
+    { poRef: "PO-2026-041", poDate: "2026-02-26", customer: "Acme Corp", shipTo: "10 Commerce Way" },
+  );
+
+  const other = await postReconcile(ACME, { headerPatterns: "ship to for Tesco: Bill To:.*\\n\\s*Address:\\s*(.+)" });
+  assert.equal(other.body.shipTo, null);
+});
+
+test("a pattern for an unknown field is refused", async () => {
+  assert.throws(() => parseHeaderPatterns("colour: (.+)"), /unknown field "colour"/);
+
+  const { status, body } = await postReconcile(
+    { poFile: "tesco-po-2025-0247.csv", pricelistFile: "erp-price-list-2025-02.csv" },
+    { headerPatterns: "po number: (" },
+  );
+  assert.equal(status, 400);
+  assert.match(body.error, /Header pattern 1 .* invalid pattern/);
+});
@@ -0,0 +1,78 @@
+/**
+ * Shared fixtures for the checks — files from test-data/ as the File objects
+ * the add-in and api/ hand to parseFile(), and a request through api/reconcile.
+ */
+
+import { readFileSync } from "node:fs";
+import { basename, dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+import handler from "../../api/reconcile.js";
+
+const TEST_DATA = join(dirname(fileURLToPath(import.meta.url)), "..");
+
+// pdf.js's in-thread worker for checks that parse PDFs directly, as api/reconcile.js loads it
+globalThis.pdfjsWorker ??= await import("pdfjs-dist/legacy/build/pdf.worker.mjs");
+
+/**
+ * A test-data file as a File, e.g. fixture("pos/Acme Corp PO-2026-041.csv").
+ */
+export function fixture(path) {
+  return new File([readFileSync(join(TEST_DATA, path))], basename(path));
+}
+
+/**
+ * POST a multipart request to the ReconcilePO handler.
+ *
+ * @param {Record<string, string>} files - form field → test-data path
+ * @param {Record<string, string>} [fields] - other form fields
+ * @returns {Promise<{ status: number, body: object }>}
+ */
+export async function postReconcile(files, fields = {}) {
+  const form = new FormData();
+  for (const [name, path] of Object.entries(files)) form.append(name, fixture(path));
+  for (const [name, value] of Object.entries(fields)) form.append(name, value);
+  return postReconcileForm(form);
+}
+
+/**
+ * POST a FormData body to the ReconcilePO handler as a multipart upload.
+ */
+export async function postReconcileForm(form) {
+  const request = new Request("http://localhost/api/reconcile", { method: "POST", body: form });
+  const body = Buffer.from(await request.arrayBuffer());
+  return callHandler({
+    method: "POST",
+    headers: { "content-type": request.headers.get("content-type") },
+    query: {},
+    async *[Symbol.asyncIterator]() {
+      yield body;
+    },
+  });
+}
+
+/**
+ * POST a JSON body (file URLs and parameters) to the ReconcilePO handler,
+ * parsed as Vercel parses it.
+ */
+export function postReconcileJson(fields) {
+  return callHandler({ method: "POST", headers: { "content-type": "application/json" }, query: {}, body: fields });
+}
+
+async function callHandler(req) {
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(value) {
+      this.body = value;
+      return this;
+    },
+    end() {
+      return this;
+    },
+    setHeader() {},
+  };
+  await handler(req, res);
+  return { status: res.statusCode, body: res.body };
+}
@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { postReconcile } from "./helpers.mjs";
+
+// PO-2026-041 buys Widgets A, C and Assembly E at Acme's 2026 contract prices,
+// Widget B at the spring promotion price and Part D at neither
+const LAYERED = {
+  poFile: "pos/Acme Corp PO-2026-041.csv",
+  pricelistFile: "pricelists/layered/Base Price List.csv",
+  contractFile: "pricelists/layered/Acme Corp Contract Prices.csv",
+  promoFile: "pricelists/layered/Spring Promotion.csv",
+};
+
+const line = (body, sku) => body.exceptionDetails.find((r) => r.sku === sku);
+
+test("the base list alone flags every contract price", async () => {
+  const { status, body } = await postReconcile({ poFile: LAYERED.poFile, pricelistFile: LAYERED.pricelistFile });
+  assert.equal(status, 200, body.error);
+  assert.deepEqual(body.priceLists, ["base"]);
+  assert.equal(body.summary.exceptions, 5);
+});
+
+test("contract and promo lists are layered over the base list", async () => {
+  const { status, body } = await postReconcile(LAYERED);
+  assert.equal(status, 200, body.error);
+  assert.deepEqual(body.priceLists, ["contract", "promo", "base"]);
+  assert.equal(body.summary.matches, 4);
+  assert.equal(body.summary.exceptions, 1);
+  const partD = line(body, "1004");
+  assert.deepEqual(
+    { erpPrice: partD.erpPrice, priceList: partD.priceList, notInContract: partD.notInContract },
+    { erpPrice: 0.95, priceList: "base", notInContract: true },
+  );
+});
+
+test("lines priced off the contract are listed, whatever their status", async () => {
+  const { body } = await postReconcile(LAYERED);
+  assert.equal(body.notInContract, 2);
+  assert.deepEqual(body.notInContractLines.map((r) => [r.sku, r.status, r.priceList]), [
+    ["1004", "Exception", "base"],
+    ["1002", "Match", "promo"],
+  ]);
+});
+
+test("a promotion outside its dates falls back to the base price", async () => {
+  const { body } = await postReconcile(LAYERED, { priceDate: "2026-04-15" });
+  assert.equal(body.summary.exceptions, 2);
+  assert.deepEqual(
+    { erpPrice: line(body, "1002").erpPrice, priceList: line(body, "1002").priceList },
+    { erpPrice: 3.5, priceList: "base" },
+  );
+});
+
+test("a line the contract no longer prices takes its tier from the base list alone", async () => {
+  // Widget A's contract tiers (1+ at 5.50, 5+ at 5.25) ended on 31 March; the
+  // base list's (1+ at 5.75, 20+ at 5.60) price the 10 on the PO from April
+  const { status, body } = await postReconcile({
+    poFile: LAYERED.poFile,
+    pricelistFile: "pricelists/layered/Base Price List Tiers.csv",
+    contractFile: "pricelists/layered/Acme Corp Contract Tiers.csv",
+  }, { priceDate: "2026-04-15" });
+  assert.equal(status, 200, body.error);
+  const widgetA = line(body, "1001");
+  assert.deepEqual(
+    { erpPrice: widgetA.erpPrice, tier: widgetA.tier, priceList: widgetA.priceList, reason: widgetA.reason },
+    { erpPrice: 5.75, tier: "1–19", priceList: "base", reason: "Expired price" },
+  );
+  assert.equal(widgetA.action, "Review pricing — PO uses expired price (valid to 2026-03-31)");
+});
@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fixture, postReconcile } from "./helpers.mjs";
+import { parseFile, readOcrTable } from "../../src/reconcile/parser.js";
+import { wordItems } from "../../src/reconcile/ocr.js";
+import { extractPOData } from "../../src/capture/extractor.js";
+
+// acme-po-2026-210-scanned.pdf is PO-2026-210 as a page image with no text
+// layer. OCR needs a canvas, which only the add-in has, so these checks cover
+// the routing, what is made of a recorded Tesseract result and what extraction
+// does with OCR's confidences
+const SCANNED = "acme-po-2026-210-scanned.pdf";
+
+// Tesseract's blocks for tesco-po-2025-0247.pdf rendered at 300 dpi, trimmed to
+// the column header and first four lines and to the fields ocr.js reads
+const RECORDED = "tesco-po-2025-0247-ocr.json";
+
+test("a PDF with no text layer goes to OCR, and the API says it cannot read scans", async () => {
+  await assert.rejects(parseFile(fixture(SCANNED)), /This PDF is a scan with no text/);
+
+  const { status, body } = await postReconcile({ poFile: SCANNED, pricelistFile: "pricelists/Acme Corp Price List.csv" });
+  assert.equal(status, 422);
+  assert.match(body.error, /export to Excel\/CSV/);
+});
+
+test("a digital PDF is still read from its text layer", async () => {
+  const parsed = await parseFile(fixture("tesco-po-2025-0247.pdf"));
+  assert.equal(parsed.ocr, undefined);
+  assert.ok(parsed.rows.length > 0);
+});
+
+test("a recorded OCR result is rebuilt into the PO table, its doubtful cells flagged", async () => {
+  const { blocks } = JSON.parse(await fixture(RECORDED).text());
+  const items = wordItems(blocks, 1);
+  // Pixels at 300 dpi back to points, on the line's baseline
+  const { x, y, width, ...word } = items[0];
+  assert.deepEqual([x, y, width].map((n) => Math.round(n * 100) / 100), [72.48, 161.52, 17.52]);
+  assert.deepEqual(word, { text: "Item", confidence: 90, page: 1 });
+
+  const { headers, rows, ocr } = readOcrTable({ items, confidence: 88 });
+  assert.deepEqual(headers, ["Item Code", "Description", "Qty", "Unit Price", "UOM"]);
+  assert.deepEqual(rows.map((r) => [r.Qty, r["Unit Price"], r.UOM]), [
+    ["12", "4.29", "EA"], ["40", "3.15", "DZ"], ["25", "2.89", "EA"], ["30", "1.99", "EA"],
+  ]);
+  // The item codes' hyphens were misread; the header's own "UOM" (41%) is not a cell
+  assert.deepEqual(ocr, {
+    confidence: 88,
+    cells: [
+      { line: 1, field: "Item Code", text: "1001Vv001", confidence: 67 },
+      { line: 2, field: "Item Code", text: "1002v001", confidence: 42 },
+      { line: 2, field: "UOM", text: "DZ", confidence: 63 },
+      { line: 3, field: "Item Code", text: "1003Vv001", confidence: 49 },
+      { line: 4, field: "Item Code", text: "1005Vv001", confidence: 65 },
+      { line: 4, field: "Description", text: "Greek Yoghurt 500g", confidence: 25 },
+    ],
+  });
+});
+
+test("cells OCR could only just read are warnings, in detected columns only", async () => {
+  const parsed = await parseFile(fixture("pos/Acme Corp PO-2026-041.csv"));
+  const ocr = {
+    confidence: 87,
+    cells: [
+      { line: 2, field: "Unit Price", text: "3.2O", confidence: 41 },
+      { line: 4, field: "#", text: "4", confidence: 30 },
+    ],
+  };
+  const { metadata, warnings } = extractPOData({ ...parsed, ocr });
+
+  assert.equal(metadata.ocrConfidence, 87);
+  assert.deepEqual(warnings.filter((w) => w.message.startsWith("Read by OCR")), [
+    { line: 2, field: "Unit Price", message: "Read by OCR at 41% confidence: \"3.2O\" — check against the scan" },
+  ]);
+});
@@ -0,0 +1,30 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { postReconcile } from "./helpers.mjs";
+import { isOrderXml, parseOrderXml } from "../../src/reconcile/orderxml.js";
+
+// PO-2026-041 as a UBL Order and as a cXML OrderRequest
+const ACME_LIST = "pricelists/Acme Corp Price List.csv";
+
+for (const [format, poFile] of [["UBL", "pos/Acme Corp PO-2026-041 UBL.xml"], ["cXML", "pos/Acme Corp PO-2026-041 cXML.xml"]]) {
+  test(`a ${format} order reconciles with its header read from the document`, async () => {
+    const { status, body } = await postReconcile({ poFile, pricelistFile: ACME_LIST });
+    assert.equal(status, 200, body.error);
+    assert.equal(body.lineCount, 5);
+    assert.deepEqual(
+      { matches: body.summary.matches, tolerances: body.summary.tolerances, exceptions: body.summary.exceptions },
+      { matches: 3, tolerances: 1, exceptions: 1 },
+    );
+    assert.equal(body.exceptionDetails[0].sku, "1004");
+    assert.deepEqual(
+      { poRef: body.poRef, poDate: body.poDate, customer: body.customer, shipTo: body.shipTo },
+      { poRef: "PO-2026-041", poDate: "2026-02-26", customer: "Acme Corp", shipTo: "Acme Corp London DC" },
+    );
+  });
+}
+
+test("other XML documents are refused by name", () => {
+  assert.equal(isOrderXml("SKU,Qty,Unit Price\n1001,10,5.50"), false);
+  assert.throws(() => parseOrderXml("<?xml version=\"1.0\"?><Invoice><ID>INV-1</ID></Invoice>"), /<Invoice> document, not a cXML OrderRequest or UBL Order/);
+  assert.throws(() => parseOrderXml("<Order><ID>PO-1</Order>"), /Malformed XML/);
+});
@@ -0,0 +1,18 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fixture } from "./helpers.mjs";
+import { parseFile } from "../../src/reconcile/parser.js";
+
+// Three pages of 10 lines, each page ending with the company footer and
+// "Page N of 3" on one line (see generate-multipage-pdf.js)
+const MULTIPAGE = "acme-po-2026-200-multipage.pdf";
+
+test("a footer that shares its line with the page number is dropped from every page", async () => {
+  const data = await parseFile(fixture(MULTIPAGE));
+  assert.deepEqual(data.headers, ["Item Code", "Description", "Qty", "Unit Price", "UOM"]);
+  assert.equal(data.rows.length, 30);
+  assert.deepEqual(
+    data.rows.map((row) => row["Item Code"]),
+    Array.from({ length: 30 }, (_, i) => `AC-${2001 + i}`),
+  );
+});
@@ -0,0 +1,28 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { postReconcile } from "./helpers.mjs";
+
+// PO-2025-0322 orders by core number (1001 for the ERP's 1001V001); "105" is
+// the start of four ERP SKUs, 1050V001–1053V003
+const CORE_NUMBERS = {
+  poFile: "pos/Tesco PO-2025-0322 Core Numbers.csv",
+  pricelistFile: "erp-price-list-2025-02.csv",
+};
+
+test("a core number matches the one ERP SKU it starts", async () => {
+  const { status, body } = await postReconcile(CORE_NUMBERS);
+  assert.equal(status, 200, body.error);
+  assert.equal(body.summary.matches, 2);
+
+  const eggs = body.exceptionDetails.find((r) => r.sku === "1004");
+  assert.deepEqual([eggs.status, eggs.erpSku, eggs.matchType], ["Exception", "1004V010", "prefix"]);
+
+  const notInPo = body.exceptionDetails.filter((r) => r.status === "Not in PO").map((r) => r.sku);
+  for (const sku of ["1001V001", "1004V010", "1051V001"]) assert.equal(notInPo.includes(sku), false, sku);
+});
+
+test("a core number shared by several ERP SKUs is a warning, not a guess", async () => {
+  const { body } = await postReconcile(CORE_NUMBERS);
+  assert.equal(body.summary.warnings, 1);
+  assert.equal(body.exceptionDetails.some((r) => r.sku === "105"), false);
+});
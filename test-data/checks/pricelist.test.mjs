@@ -0,0 +1,31 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { postReconcile } from "./helpers.mjs";
+
+// Fixings Direct prices to four decimals: nuts break from 0.0125 to 0.0120 at 1,000,
+// bolts from 0.0480 to 0.0450, and both washers moved up a little on 1 January
+const FIXINGS = {
+  poFile: "pos/Fixings Direct PO-2026-112.csv",
+  pricelistFile: "pricelists/Fixings Direct Price List.csv",
+};
+
+const line = (body, sku) => body.exceptionDetails.find((r) => r.sku === sku);
+
+test("a PO price only near another tier's price is not a wrong tier", async () => {
+  const { status, body } = await postReconcile(FIXINGS, { tolerance: "0" });
+  assert.equal(status, 200, body.error);
+  assert.equal(line(body, "M6-NUT").status, "Exception");
+  assert.equal(line(body, "M6-NUT").reason, "Price mismatch");
+});
+
+test("a PO priced at the base tier for a volume order is a wrong tier", async () => {
+  const { body } = await postReconcile(FIXINGS, { tolerance: "0" });
+  assert.equal(line(body, "M6-BOLT").reason, "Wrong tier applied");
+});
+
+test("a PO price only near last year's price is not an expired price", async () => {
+  const { body } = await postReconcile(FIXINGS, { tolerance: "0" });
+  assert.equal(line(body, "M6-WASH").status, "Exception");
+  assert.equal(line(body, "M6-WASH").reason, "Price mismatch");
+  assert.equal(line(body, "M8-WASH").reason, "Expired price");
+});
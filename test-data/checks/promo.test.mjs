@@ -0,0 +1,33 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { postReconcile } from "./helpers.mjs";
+
+// PO-2026-041 is dated 26/02/2026 and buys Part D (1004) at 0.85 against a list price of 0.90
+const ACME = {
+  poFile: "pos/Acme Corp PO-2026-041.csv",
+  pricelistFile: "pricelists/Acme Corp Price List.csv",
+};
+const FEBRUARY_DEAL = "1004: 0.85 deal FEBD from 2026-02-01 to 2026-02-28";
+
+const partD = (body) => body.promoLines.find((line) => line.sku === "1004");
+
+test("a deal price inside the promo window on the PO date is a Promo Match, whenever it is reconciled", async () => {
+  const { status, body } = await postReconcile(ACME, { promotions: FEBRUARY_DEAL });
+  assert.equal(status, 200, body.error);
+  assert.equal(partD(body).status, "Promo Match");
+  assert.equal(partD(body).dealCode, "FEBD");
+  assert.equal(body.promoMatches, 1);
+});
+
+test("the same deal has expired on a PO priced after the window", async () => {
+  const { body } = await postReconcile(ACME, { promotions: FEBRUARY_DEAL, priceDate: "2026-03-15" });
+  assert.equal(partD(body).status, "Exception");
+  assert.equal(partD(body).reason, "Expired promo");
+});
+
+test("another customer's deal from the promotions table is misapplied", async () => {
+  // BR-VOL prices 1004 at 0.85 for BuildRight Industries only
+  const { body } = await postReconcile({ ...ACME, promotionsFile: "promotions/Promotions 2026.csv" });
+  assert.equal(partD(body).reason, "Promo misapplied");
+  assert.equal(partD(body).dealCode, "BR-VOL");
+});
@@ -0,0 +1,30 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { postReconcile } from "./helpers.mjs";
+
+// PO-2026-041 orders 25 Widget B and 100 Part D against open orders of 20 and
+// 120, and 5 Gadget C when only 2 are available
+const PO = "pos/Acme Corp PO-2026-041.csv";
+const OPEN_ORDERS = "pricelists/Acme Corp Open Orders.csv";
+const STOCK = "pricelists/Acme Corp Stock and Prices.csv";
+
+const bySku = (issues) => Object.fromEntries(issues.map((i) => [i.sku, [i.qtyStatus, i.qtyDiff]]));
+
+test("against open orders a PO quantity is short or over", async () => {
+  const { status, body } = await postReconcile({ poFile: PO, pricelistFile: OPEN_ORDERS }, { checkQuantity: "true" });
+  assert.equal(status, 200, body.error);
+  assert.equal(body.qtyBasis, "order");
+  assert.deepEqual(bySku(body.quantityIssues), { 1002: ["Qty Over", 5], 1004: ["Qty Short", -20] });
+});
+
+test("against stock only ordering more than is available is short", async () => {
+  const { body } = await postReconcile({ poFile: PO, pricelistFile: STOCK }, { qtyBasis: "stock" });
+  assert.equal(body.qtyBasis, "stock");
+  assert.deepEqual(bySku(body.quantityIssues), { 1003: ["Qty Short", 3] });
+});
+
+test("quantities are only checked when asked", async () => {
+  const { body } = await postReconcile({ poFile: PO, pricelistFile: OPEN_ORDERS });
+  assert.equal(body.qtyBasis, null);
+  assert.deepEqual(body.quantityIssues, []);
+});
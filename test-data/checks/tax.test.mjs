@@ -0,0 +1,31 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { postReconcile } from "./helpers.mjs";
+
+// PO-2026-072 prices inc VAT; Part D is zero rated in the tax code sheet
+const GROSS = {
+  poFile: "pos/Acme Corp PO-2026-072 Gross.csv",
+  pricelistFile: "pricelists/Acme Corp Price List.csv",
+  taxCodesFile: "taxcodes/Acme Corp Tax Codes.csv",
+};
+
+const line = (body, sku) => body.exceptionDetails.find((r) => r.sku === sku);
+
+test("gross PO prices are compared net of each line's tax", async () => {
+  const { status, body } = await postReconcile(GROSS);
+  assert.equal(status, 200, body.error);
+  assert.equal(body.priceBasis, "gross");
+  assert.equal(body.summary.matches, 2); // Widget A 6.60 and Assembly E 26.40 are list + 20%
+  assert.deepEqual([line(body, "1003").poPriceGross, line(body, "1003").poPrice, line(body, "1003").taxRate], [16.2, 13.5, 20]);
+  assert.deepEqual([line(body, "1004").poPriceGross, line(body, "1004").poPrice, line(body, "1004").taxCode], [0.95, 0.95, "zero"]);
+});
+
+test("the credit note and staging entry carry VAT per rate", async () => {
+  const { body } = await postReconcile(GROSS);
+  // Credits Gadget C (67.50 + 13.50 VAT), Part D (95.00, zero rated) and Widget B (80.21 + 16.04 VAT)
+  assert.equal(body.creditNoteLines, 3);
+  assert.equal(body.creditNoteTotal, -242.71);
+  assert.equal(body.creditNoteTax, -29.54);
+  assert.equal(body.creditNoteGross, -272.25);
+  assert.deepEqual(body.staging.vat.map((v) => [v.label, v.net, v.tax]), [["Standard 20%", 375, 75], ["Zero rated", 90, 0]]);
+});
@@ -0,0 +1,51 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fixture } from "./helpers.mjs";
+import { parseFile } from "../../src/reconcile/parser.js";
+import { detectColumns, detectLineColumn } from "../../src/reconcile/detector.js";
+import { reconcileThreeWay } from "../../src/reconcile/threeway.js";
+import { generateThreeWayCreditNote } from "../../src/reconcile/creditnote.js";
+
+// Northwind PO-2026-310: bolts received in two deliveries and invoiced in full,
+// nuts invoiced 200 with 150 received, washers invoiced at 0.08 against 0.05,
+// anchor bolts invoiced before delivery, and a pallet charge never ordered
+async function readDocument(path) {
+  const data = await parseFile(fixture(`threeway/${path}`));
+  return { data, columns: { ...detectColumns(data.headers), line: detectLineColumn(data.headers) } };
+}
+
+async function threeWay() {
+  const po = await readDocument("Northwind PO-2026-310.csv");
+  const grn = await readDocument("Northwind GRN-5521.csv");
+  const invoice = await readDocument("Northwind Invoice INV-88411.csv");
+  return reconcileThreeWay({
+    poData: po.data,
+    poColumns: po.columns,
+    grnData: grn.data,
+    grnColumns: grn.columns,
+    invoiceData: invoice.data,
+    invoiceColumns: invoice.columns,
+    currency: "GBP",
+  });
+}
+
+test("each invoice line is checked against the PO price and the goods received", async () => {
+  const results = await threeWay();
+  assert.deepEqual(results.rows.map((r) => [r.sku, r.status]), [
+    ["NW-100", "Match"],
+    ["NW-200", "Over-Invoiced"],
+    ["NW-300", "Price Variance"],
+    ["NW-400", "Not Received"],
+    ["NW-950", "Not on PO"],
+  ]);
+  assert.equal(results.rows[0].receivedQty, 100); // two deliveries on PO line 1
+});
+
+test("only received goods at the PO price are payable; the rest is credited or held", async () => {
+  const results = await threeWay();
+  const { invoiceTotal, payable, overBilled, onHold } = results.summary;
+  assert.deepEqual({ invoiceTotal, payable, overBilled, onHold }, { invoiceTotal: 169, payable: 83, overBilled: 36, onHold: 50 });
+
+  const credit = generateThreeWayCreditNote(results).totals;
+  assert.deepEqual([credit.lineCount, credit.totalCredit, credit.qtyOverBilled, credit.priceOverBilled], [3, -36, 21, 15]);
+});
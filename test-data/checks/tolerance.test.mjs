@@ -0,0 +1,40 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { postReconcile } from "./helpers.mjs";
+import { tolerancePolicyFromParams, toleranceLimit, DEFAULT_TOLERANCE, DEFAULT_TOLERANCE_PERCENT } from "../../src/reconcile/tolerance.js";
+
+// PO-2026-041 buys Widget B (1002) at 3.20 against a list price of 3.21
+const ACME = {
+  poFile: "pos/Acme Corp PO-2026-041.csv",
+  pricelistFile: "pricelists/Acme Corp Price List.csv",
+};
+
+const widgetB = (body) => body.exceptionDetails.find((r) => r.sku === "1002");
+
+test("a penny difference is within the default tolerance", async () => {
+  const { status, body } = await postReconcile(ACME);
+  assert.equal(status, 200, body.error);
+  assert.equal(widgetB(body), undefined);
+  assert.equal(body.summary.tolerances, 1);
+});
+
+test("a tolerance of 0 makes every difference an Exception", async () => {
+  const { body } = await postReconcile(ACME, { tolerance: "0" });
+  assert.equal(widgetB(body).status, "Exception");
+  assert.equal(body.summary.tolerances, 0);
+});
+
+test("blank settings take the defaults, and 0 is kept", () => {
+  const blank = tolerancePolicyFromParams({ tolerance: "", toleranceType: "greater", tolerancePercent: "" });
+  assert.deepEqual(blank.default, { type: "greater", amount: DEFAULT_TOLERANCE, percent: DEFAULT_TOLERANCE_PERCENT });
+
+  const zero = tolerancePolicyFromParams({ tolerance: "0", toleranceType: "greater", tolerancePercent: "0" });
+  assert.deepEqual(zero.default, { type: "greater", amount: 0, percent: 0 });
+});
+
+test("a difference of exactly the percentage is within it", () => {
+  // 3% of 0.70 is 0.021, which floating point makes 0.020999…
+  assert.equal(toleranceLimit({ type: "percent", percent: 3 }, 0.7), 0.021);
+  assert.equal(toleranceLimit({ type: "greater", amount: 0.02, percent: 3 }, 0.7), 0.021);
+  assert.equal(toleranceLimit({ type: "lesser", amount: 0.2, percent: 1 }, 12.3), 0.123);
+});
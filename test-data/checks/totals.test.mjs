@@ -0,0 +1,22 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { postReconcile } from "./helpers.mjs";
+
+const ACME_LIST = "pricelists/Acme Corp Price List.csv";
+
+test("a PO whose lines add up to its total is OK", async () => {
+  const { status, body } = await postReconcile({ poFile: "pos/Acme Corp PO-2026-041.csv", pricelistFile: ACME_LIST });
+  assert.equal(status, 200, body.error);
+  assert.equal(body.poTotals.status, "OK");
+  assert.equal(body.poTotals.linesTotal, 459.75);
+});
+
+test("a subtotal 55.00 above the lines points at a missing line", async () => {
+  // PO-2026-066: three lines of 294.75, subtotal 349.75, delivery 10.00, VAT 71.95, total 431.70
+  const { body } = await postReconcile({ poFile: "pos/Acme Corp PO-2026-066 Totals.csv", pricelistFile: ACME_LIST });
+  assert.equal(body.poTotals.status, "Mismatch");
+  const byCheck = Object.fromEntries(body.poTotals.checks.map((c) => [c.check, [c.ok, c.difference]]));
+  assert.deepEqual(byCheck, { subtotal: [false, -55], total: [true, 0] });
+  // The totals rows are not PO lines
+  assert.equal(body.lineCount, 3);
+});
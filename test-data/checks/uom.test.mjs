@@ -0,0 +1,27 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { postReconcile } from "./helpers.mjs";
+
+// PO-2026-063 orders in cases (CS, and CS/24 with the pack size in the cell),
+// dozens and a pallet, at prices that match the Acme per-each list once converted
+const CASES = {
+  poFile: "pos/Acme Corp PO-2026-063 Cases.csv",
+  pricelistFile: "pricelists/Acme Corp Price List.csv",
+};
+
+test("cases convert to eaches, with a SKU's own case size winning", async () => {
+  const { status, body } = await postReconcile(CASES, { uomConversions: "CS = 12 EA; 1003: CS = 6 EA" });
+  assert.equal(status, 200, body.error);
+  assert.equal(body.uomConverted, 4);
+  assert.equal(body.summary.matches, 4);
+  assert.equal(body.summary.exceptions, 0);
+  // The pallet has no conversion — a warning, not a price exception
+  assert.equal(body.summary.warnings, 1);
+});
+
+test("without conversions only the embedded pack size and the built-in dozen convert", async () => {
+  const { body } = await postReconcile(CASES);
+  assert.equal(body.uomConverted, 2);
+  assert.equal(body.summary.matches, 2);
+  assert.equal(body.summary.warnings, 3);
+});
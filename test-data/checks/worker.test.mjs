@@ -0,0 +1,52 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fixture } from "./helpers.mjs";
+import { parseFileInWorker, reconcileInWorker } from "../../src/reconcile/worker-client.js";
+import { parseFile } from "../../src/reconcile/parser.js";
+import { detectColumns } from "../../src/reconcile/detector.js";
+
+// Node has no Worker global, so worker-client.js runs tasks inline, as in an
+// Office command runtime; worker.js itself is driven through a stand-in `self`
+const posted = [];
+globalThis.self = { postMessage: (message) => posted.push(message) };
+await import("../../src/reconcile/worker.js");
+
+async function reconcileInput() {
+  const poData = await parseFile(fixture("pos/Acme Corp PO-2026-041.csv"));
+  const erpData = await parseFile(fixture("pricelists/Acme Corp Price List.csv"));
+  return { poData, poColumns: detectColumns(poData.headers), erpData, erpColumns: detectColumns(erpData.headers) };
+}
+
+test("a parse reports progress page by page", async () => {
+  const progress = [];
+  const data = await parseFileInWorker(fixture("acme-po-2026-200-multipage.pdf"), { onProgress: (p) => progress.push(p) });
+  assert.equal(data.rows.length, 30);
+  assert.deepEqual(progress.map((p) => [p.phase, p.done, p.total, p.unit]), [
+    ["parse", 0, 3, "page"],
+    ["parse", 1, 3, "page"],
+    ["parse", 2, 3, "page"],
+  ]);
+});
+
+test("a reconcile reports match progress, and a cancelled one never starts", async () => {
+  const progress = [];
+  const results = await reconcileInWorker(await reconcileInput(), { onProgress: (p) => progress.push(p) });
+  assert.equal(results.summary.exceptions, 1);
+  assert.ok(progress.length > 0 && progress.every((p) => p.phase === "match"));
+
+  const controller = new AbortController();
+  controller.abort();
+  await assert.rejects(reconcileInWorker(await reconcileInput(), { signal: controller.signal }), /Cancelled\./);
+});
+
+test("the worker answers each task with progress then done, or an error", async () => {
+  posted.length = 0;
+  await self.onmessage({ data: { id: 7, task: "reconcile", payload: await reconcileInput(), settings: { currency: "GBP", rounding: "half-up" } } });
+  const done = posted.at(-1);
+  assert.deepEqual([done.id, done.type, done.result.summary.exceptions], [7, "done", 1]);
+  assert.ok(posted.slice(0, -1).every((m) => m.id === 7 && m.type === "progress"));
+
+  posted.length = 0;
+  await self.onmessage({ data: { id: 8, task: "print", payload: {}, settings: {} } });
+  assert.deepEqual(posted, [{ id: 8, type: "error", message: 'Unknown worker task "print".' }]);
+});
@@ -0,0 +1,30 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { postReconcile } from "./helpers.mjs";
+
+// PO-2026-070 orders with Acme's own codes; the map gives Acme's codes, one
+// code for every customer (GEN-PD) and BuildRight's different use of AC-GC
+const CUSTOMER_CODES = {
+  poFile: "pos/Acme Corp PO-2026-070 Customer Codes.csv",
+  pricelistFile: "pricelists/Acme Corp Price List.csv",
+  skuMapFile: "skumaps/Customer SKU Map.csv",
+};
+
+const line = (body, sku) => body.exceptionDetails.find((r) => r.sku === sku);
+
+test("the PO's customer codes reconcile through the map", async () => {
+  const { status, body } = await postReconcile(CUSTOMER_CODES);
+  assert.equal(status, 200, body.error);
+  assert.equal(body.customer, "Acme Corp");
+  assert.equal(body.xrefMatches, 4);
+  assert.equal(body.summary.matches, 4);
+  assert.equal(line(body, "AC-ZZ").status, "Not in ERP");
+});
+
+test("another customer's entries apply only to that customer", async () => {
+  const { body } = await postReconcile(CUSTOMER_CODES, { customer: "BuildRight Industries" });
+  assert.equal(line(body, "AC-GC").erpSku, "1012");
+  assert.equal(line(body, "AC-GC").matchType, "xref");
+  // Acme's own codes are no longer mapped
+  assert.equal(line(body, "AC-WA").matchType, "fuzzy");
+});
@@ -0,0 +1,88 @@
+/**
+ * Generate a three-page PO PDF whose footer shares its line with the page
+ * number ("Acme Supplies Ltd · Registered in England …   Page 2 of 3"), for
+ * the multi-page stitching checks in test-data/checks/.
+ * Run: node test-data/generate-multipage-pdf.js
+ */
+const PDFDocument = require("pdfkit");
+const fs = require("fs");
+const path = require("path");
+
+const outPath = path.join(__dirname, "acme-po-2026-200-multipage.pdf");
+
+// 30 lines, 10 to a page
+const products = [
+  "Hex Bolt M8 x 40", "Hex Nut M8", "Flat Washer M8", "Spring Washer M8", "Coach Screw 8 x 60",
+  "Wall Plug 8mm", "Cable Tie 300mm", "Hose Clip 20-32mm", "Jubilee Clip 30-40mm", "Threaded Rod M10",
+];
+const rows = Array.from({ length: 30 }, (_, i) => [
+  `AC-${2001 + i}`,
+  `${products[i % 10]}${i >= 10 ? ` (${i >= 20 ? "Zinc" : "Stainless"})` : ""}`,
+  String(10 + (i % 7) * 5),
+  (0.35 + i * 0.1).toFixed(2),
+  "EA",
+]);
+
+// Column X positions (points from left margin)
+const colX = [72, 160, 380, 420, 480];
+const headers = ["Item Code", "Description", "Qty", "Unit Price", "UOM"];
+const footer = "Acme Supplies Ltd · Registered in England 01234567 · VAT GB 123 4567 89";
+const pageCount = 3;
+
+const doc = new PDFDocument({ size: "A4", margin: 50 });
+const stream = fs.createWriteStream(outPath);
+doc.pipe(stream);
+
+for (let p = 0; p < pageCount; p++) {
+  if (p > 0) doc.addPage();
+
+  // Letterhead — in full on the first page, one line after that
+  let tableTop;
+  if (p === 0) {
+    doc.fontSize(16).font("Helvetica-Bold").text("PURCHASE ORDER", 72, 50);
+    doc.fontSize(10).font("Helvetica")
+      .text("PO Number: PO-2026-200", 72, 75)
+      .text("Date: 02/03/2026", 72, 90)
+      .text("Customer: Acme Corp", 72, 105);
+    tableTop = 140;
+  } else {
+    doc.fontSize(10).font("Helvetica-Bold").text("PURCHASE ORDER PO-2026-200 (continued)", 72, 50);
+    tableTop = 80;
+  }
+
+  // Table header, repeated on every page
+  doc.font("Helvetica-Bold").fontSize(9);
+  headers.forEach((h, i) => {
+    doc.text(h, colX[i], tableTop, { width: 100 });
+  });
+  doc.moveTo(72, tableTop + 15).lineTo(540, tableTop + 15).stroke();
+
+  // This page's lines
+  doc.font("Helvetica").fontSize(9);
+  const pageRows = rows.slice(p * 10, p * 10 + 10);
+  pageRows.forEach((row, r) => {
+    const y = tableTop + 22 + r * 16;
+    row.forEach((cell, c) => {
+      doc.text(cell, colX[c], y, { width: 200 });
+    });
+  });
+
+  const endY = tableTop + 22 + pageRows.length * 16 + 10;
+  if (p === pageCount - 1) {
+    doc.font("Helvetica-Bold").text("Total Lines: " + rows.length, 72, endY);
+  } else {
+    doc.font("Helvetica-Bold").text("Page subtotal", 72, endY).text("See next page", 420, endY);
+  }
+
+  // Footer and page number on the same line
+  doc.font("Helvetica").fontSize(8)
+    .text(footer, 72, 790, { lineBreak: false })
+    .text(`Page ${p + 1} of ${pageCount}`, 480, 790, { lineBreak: false });
+}
+
+doc.end();
+
+stream.on("finish", () => {
+  console.log("PDF written to", outPath);
+  console.log("Size:", fs.statSync(outPath).size, "bytes");
+});
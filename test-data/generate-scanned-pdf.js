@@ -0,0 +1,131 @@
+/**
+ * Generate a "scanned" PO PDF: one page that is only an image of the order,
+ * with no text layer, so the parser has to OCR it. The image is drawn with a
+ * blocky 5x7 font at 150 dpi — plain enough for Tesseract to read.
+ * Run: node test-data/generate-scanned-pdf.js
+ */
+const PDFDocument = require("pdfkit");
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+
+const outPath = path.join(__dirname, "acme-po-2026-210-scanned.pdf");
+
+// A4 at 150 dpi
+const WIDTH = 1240;
+const HEIGHT = 1754;
+const DOT = 3; // Pixels per font dot — a 15 x 21 px character, about 10pt
+
+const lines = [
+  [130, [[150, "PURCHASE ORDER"]]],
+  [190, [[150, "PO NUMBER: PO-2026-210"]]],
+  [225, [[150, "DATE: 09/03/2026"]]],
+  [260, [[150, "CUSTOMER: ACME CORP"]]],
+  [340, [[150, "SKU"], [300, "PRODUCT NAME"], [700, "QTY"], [850, "UNIT PRICE"]]],
+  ...[
+    ["1001", "WIDGET A", "10", "5.50"],
+    ["1002", "WIDGET B", "25", "3.21"],
+    ["1003", "GADGET C", "5", "12.75"],
+    ["1004", "PART D", "100", "0.85"],
+    ["1005", "ASSEMBLY E", "8", "22.00"],
+  ].map((row, i) => [390 + i * 40, row.map((text, c) => [[150, 300, 700, 850][c], text])]),
+  [620, [[700, "TOTAL:"], [850, "459.75"]]],
+];
+
+// 5x7 glyphs, one string of five dots per row
+const FONT = {
+  A: ["01110", "10001", "10001", "11111", "10001", "10001", "10001"],
+  B: ["11110", "10001", "10001", "11110", "10001", "10001", "11110"],
+  C: ["01110", "10001", "10000", "10000", "10000", "10001", "01110"],
+  D: ["11110", "10001", "10001", "10001", "10001", "10001", "11110"],
+  E: ["11111", "10000", "10000", "11110", "10000", "10000", "11111"],
+  G: ["01110", "10001", "10000", "10111", "10001", "10001", "01111"],
+  H: ["10001", "10001", "10001", "11111", "10001", "10001", "10001"],
+  I: ["01110", "00100", "00100", "00100", "00100", "00100", "01110"],
+  K: ["10001", "10010", "10100", "11000", "10100", "10010", "10001"],
+  L: ["10000", "10000", "10000", "10000", "10000", "10000", "11111"],
+  M: ["10001", "11011", "10101", "10101", "10001", "10001", "10001"],
+  N: ["10001", "11001", "10101", "10011", "10001", "10001", "10001"],
+  O: ["01110", "10001", "10001", "10001", "10001", "10001", "01110"],
+  P: ["11110", "10001", "10001", "11110", "10000", "10000", "10000"],
+  Q: ["01110", "10001", "10001", "10001", "10101", "10010", "01101"],
+  R: ["11110", "10001", "10001", "11110", "10100", "10010", "10001"],
+  S: ["01111", "10000", "10000", "01110", "00001", "00001", "11110"],
+  T: ["11111", "00100", "00100", "00100", "00100", "00100", "00100"],
+  U: ["10001", "10001", "10001", "10001", "10001", "10001", "01110"],
+  W: ["10001", "10001", "10001", "10101", "10101", "10101", "01010"],
+  Y: ["10001", "10001", "01010", "00100", "00100", "00100", "00100"],
+  0: ["01110", "10001", "10011", "10101", "11001", "10001", "01110"],
+  1: ["00100", "01100", "00100", "00100", "00100", "00100", "01110"],
+  2: ["01110", "10001", "00001", "00010", "00100", "01000", "11111"],
+  3: ["11111", "00010", "00100", "00010", "00001", "10001", "01110"],
+  4: ["00010", "00110", "01010", "10010", "11111", "00010", "00010"],
+  5: ["11111", "10000", "11110", "00001", "00001", "10001", "01110"],
+  6: ["00110", "01000", "10000", "11110", "10001", "10001", "01110"],
+  7: ["11111", "00001", "00010", "00100", "01000", "01000", "01000"],
+  8: ["01110", "10001", "10001", "01110", "10001", "10001", "01110"],
+  9: ["01110", "10001", "10001", "01111", "00001", "00010", "01100"],
+  ".": ["00000", "00000", "00000", "00000", "00000", "01100", "01100"],
+  ":": ["00000", "01100", "01100", "00000", "01100", "01100", "00000"],
+  "-": ["00000", "00000", "00000", "11111", "00000", "00000", "00000"],
+  "/": ["00001", "00001", "00010", "00100", "01000", "10000", "10000"],
+  " ": ["00000", "00000", "00000", "00000", "00000", "00000", "00000"],
+};
+
+// White page, black text — one byte per pixel
+const pixels = Buffer.alloc(WIDTH * HEIGHT, 0xff);
+
+function drawText(x, y, text) {
+  for (const ch of text) {
+    const glyph = FONT[ch];
+    if (!glyph) throw new Error(`No glyph for "${ch}"`);
+    glyph.forEach((row, gy) => {
+      [...row].forEach((dot, gx) => {
+        if (dot !== "1") return;
+        for (let dy = 0; dy < DOT; dy++) {
+          pixels.fill(0, (y + gy * DOT + dy) * WIDTH + x + gx * DOT, (y + gy * DOT + dy) * WIDTH + x + (gx + 1) * DOT);
+        }
+      });
+    });
+    x += 6 * DOT;
+  }
+}
+
+for (const [y, cells] of lines) {
+  for (const [x, text] of cells) drawText(x, y, text);
+}
+
+// Grayscale PNG: each scanline starts with filter type 0
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(zlib.crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+const header = Buffer.alloc(13);
+header.writeUInt32BE(WIDTH, 0);
+header.writeUInt32BE(HEIGHT, 4);
+header[8] = 8; // Bit depth
+header[9] = 0; // Grayscale
+const scanlines = Buffer.alloc((WIDTH + 1) * HEIGHT);
+for (let y = 0; y < HEIGHT; y++) pixels.copy(scanlines, y * (WIDTH + 1) + 1, y * WIDTH, (y + 1) * WIDTH);
+const png = Buffer.concat([
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  pngChunk("IHDR", header),
+  pngChunk("IDAT", zlib.deflateSync(scanlines)),
+  pngChunk("IEND", Buffer.alloc(0)),
+]);
+
+const doc = new PDFDocument({ size: "A4", margin: 0 });
+const stream = fs.createWriteStream(outPath);
+doc.pipe(stream);
+doc.image(png, 0, 0, { width: doc.page.width, height: doc.page.height });
+doc.end();
+
+stream.on("finish", () => {
+  console.log("PDF written to", outPath);
+  console.log("Size:", fs.statSync(outPath).size, "bytes");
+});
@@ -50,10 +50,15 @@ module.exports = (env, argv) => {
           { from: "manifest.xml", to: "manifest.xml" },
           { from: "index.html", to: "index.html" },
           { from: "guide.html", to: "guide.html" },
+          // OCR engine and English data for scanned PDFs — served locally, never from a CDN (ocr.js)
+          { from: "node_modules/tesseract.js/dist/worker.min.js", to: "ocr/worker.min.js" },
+          { from: "node_modules/tesseract.js-core/tesseract-core*", to: "ocr/core/[name][ext]" },
+          { from: "node_modules/@tesseract.js-data/eng/4.0.0_best_int/eng.traineddata.gz", to: "ocr/lang/eng.traineddata.gz" },
           // Agent config files — copied to dist for Copilot deployment
           { from: "appPackage/manifest.json", to: "appPackage/manifest.json" },
           { from: "appPackage/declarativeAgent.json", to: "declarativeAgent.json" },
           { from: "appPackage/Office-API-local-plugin.json", to: "Office-API-local-plugin.json" },
+          { from: "appPackage/apiSpecificationFile/openapi.json", to: "apiSpecificationFile/openapi.json" },
         ],
       }),
     ],